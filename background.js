@@ -1,75 +1,225 @@
 /**
- * Background Service Worker for Amazon & Yami Product Scraper
- * Handles tab creation and management for bulk scraping
+ * Background Service Worker for Amazon, Yami & Costco Product Scraper
+ * Owns the product catalog writes, the bulk-scrape job queue, scheduled re-checks
+ * and the background tabs they use
  */
 
+importScripts(
+  'src/locale/Marketplaces.js',
+  'src/pricing/PricingEngine.js',
+  'src/screening/ProductScreener.js',
+  'src/storage/ProductCatalog.js',
+  'src/extractors/OrderTimeline.js',
+  'src/storage/OrderMerge.js',
+  'src/storage/StorageRecovery.js',
+  'src/jobs/ScrapeJobQueue.js',
+  'src/recheck/ProductRechecker.js',
+  'src/schedule/RecheckScheduler.js',
+  'src/health/SelectorHealth.js'
+);
+
+// Products saved by versions that kept them in chrome.storage.local
+ProductCatalog.migrateFromStorage()
+  .catch(error => console.error('Product catalog migration failed:', error));
+
+// Bulk scrape jobs: each URL is opened in a background tab whose content script
+// scrapes, validates and saves the product (or, for retried eBay order runs, the order)
+ScrapeJobQueue.init({
+  processItem: (job, item) => scrapeProductInBackgroundTab(item.url, {
+    action: 'PROCESS_SCRAPE_JOB_ITEM',
+    options: job.options
+  }),
+  onComplete: (job) => {
+    if (job.options?.autoExport && job.counts.saved > 0) {
+      return autoExportProducts(job.source);
+    }
+  }
+});
+
+ProductRechecker.init();
+
+// Scheduled re-checks read product and seller pages in background tabs too
+RecheckScheduler.init({ openInTab: scrapeProductInBackgroundTab });
+chrome.alarms.onAlarm.addListener((alarm) => RecheckScheduler.handleAlarm(alarm));
+
+// Job controls sent by content scripts and the popup Jobs tab
+const SCRAPE_JOB_ACTIONS = {
+  PAUSE_SCRAPE_JOB: 'pauseJob',
+  RESUME_SCRAPE_JOB: 'resumeJob',
+  CANCEL_SCRAPE_JOB: 'cancelJob',
+  RETRY_FAILED_SCRAPE_JOB: 'retryFailed',
+  DELETE_SCRAPE_JOB: 'deleteJob'
+};
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'SCRAPE_PRODUCT_IN_BACKGROUND_TAB') {
-    // Handle scraping a product in a background tab
-    scrapeProductInBackgroundTab(message.url)
-      .then(result => sendResponse(result))
+  if (message.action === 'CATALOG_SAVE_PRODUCT') {
+    // Saves from one bulk run arrive together and are written in batches
+    ProductCatalog.saveProduct(message.product)
+      .then(result => sendResponse({ success: true, ...result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
 
     return true; // Keep message channel open for async response
   }
 
-  if (message.action === 'AUTO_EXPORT_PRODUCTS') {
-    chrome.storage.local.get(['scrapedProducts'], (result) => {
-      const products = result.scrapedProducts || [];
-      if (products.length === 0) {
-        sendResponse({ success: false });
-        return;
-      }
+  if (message.action === 'RECOVER_FALLBACK_PRODUCTS') {
+    StorageRecovery.recoverProducts(message.products, message.origin)
+      .then(recovered => sendResponse({ success: true, recovered }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
 
-      const exportData = {
-        exportedAt: new Date().toISOString(),
-        totalProducts: products.length,
-        products
-      };
+    return true; // Keep message channel open for async response
+  }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      const source = message.source || 'amazon';
-      const filename = `${source}-products-${timestamp}.json`;
+  if (message.action === 'RECOVER_FALLBACK_ORDERS') {
+    StorageRecovery.recoverOrders(message.orders, message.origin)
+      .then(recovered => sendResponse({ success: true, recovered }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
 
-      // Service workers can't use URL.createObjectURL, so use a data URL
-      const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(exportData, null, 2));
+    return true; // Keep message channel open for async response
+  }
 
-      chrome.downloads.download({ url: dataUrl, filename }, () => {
-        chrome.storage.local.set({ scrapedProducts: [] });
-        sendResponse({ success: true, count: products.length });
-      });
-    });
+  if (message.action === 'CREATE_SCRAPE_JOB') {
+    ScrapeJobQueue.createJob(message)
+      .then(job => sendResponse({ success: true, jobId: job.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'RECORD_SCRAPE_RUN') {
+    // A bulk order run finished in-page; keep its report with the queued jobs
+    ScrapeJobQueue.recordRun(message)
+      .then(job => sendResponse({ success: true, jobId: job.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'RECORD_SELECTOR_HEALTH') {
+    // Which selector found each field on one scrape or re-check (see SelectorHealth)
+    SelectorHealth.record(message.site, message.results)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'RECHECK_PRODUCTS') {
+    if (ProductRechecker.running) {
+      sendResponse({ success: false, error: 'A re-check is already running' });
+      return false;
+    }
+
+    // Runs for a while; the popup follows progress through recheckStatus in storage
+    ProductRechecker.recheckAll({ asins: message.asins || null })
+      .catch(error => console.error('Product re-check failed:', error));
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'STOP_RECHECK') {
+    ProductRechecker.stop();
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'SAVE_SCHEDULE_SETTINGS') {
+    RecheckScheduler.saveSettings(message.settings)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'RUN_SCHEDULED_RECHECK') {
+    if (RecheckScheduler.running || ProductRechecker.running) {
+      sendResponse({ success: false, error: 'A re-check is already running' });
+      return false;
+    }
+
+    // The popup follows progress through scheduleRunLog in storage
+    RecheckScheduler.runNow('manual')
+      .catch(error => console.error('Scheduled re-check failed:', error));
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'CLEAR_SCHEDULE_BADGE') {
+    RecheckScheduler.setBadge(0)
+      .then(() => sendResponse({ success: true }));
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'UPLOAD_TRACKING') {
+    // One order of a tracking upload run, entered on its order page in a background tab (TrackingUploader)
+    scrapeProductInBackgroundTab(message.url, { action: 'UPLOAD_TRACKING_IN_TAB', upload: message.upload })
+      .then(sendResponse);
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (SCRAPE_JOB_ACTIONS[message.action]) {
+    ScrapeJobQueue[SCRAPE_JOB_ACTIONS[message.action]](message.jobId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
 
     return true; // Keep message channel open for async response
   }
 });
 
 /**
- * Open a product URL in a background tab, scrape it, and return the data
+ * Download all saved products as JSON and clear the list
+ * @param {string} source - Source name used in the filename
+ * @returns {Promise<Object>} { success, count }
+ */
+async function autoExportProducts(source) {
+  const products = await ProductCatalog.getAll();
+  if (products.length === 0) {
+    return { success: false };
+  }
+
+  const exportData = {
+    exportedAt: new Date().toISOString(),
+    totalProducts: products.length,
+    products
+  };
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const filename = `${source}-products-${timestamp}.json`;
+
+  // Service workers can't use URL.createObjectURL, so use a data URL
+  const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(exportData, null, 2));
+
+  await chrome.downloads.download({ url: dataUrl, filename });
+  await ProductCatalog.clear();
+  return { success: true, count: products.length };
+}
+
+/**
+ * Open a product URL in a background tab and ask its content script to scrape it
  * @param {string} url - Product URL to scrape
- * @returns {Promise<Object>} Scraped product data
+ * @param {Object} message - Message sent to the tab's content script
+ * @returns {Promise<Object>} The content script's response
  */
-async function scrapeProductInBackgroundTab(url) {
+async function scrapeProductInBackgroundTab(url, message) {
+  let tabId = null;
+
   try {
     // Open product in a new background tab
     const tab = await chrome.tabs.create({
       url: url,
       active: false // Don't switch to the new tab
     });
+    tabId = tab.id;
 
     // Wait for the tab to fully load
     await waitForTabLoad(tab.id);
 
     // Send message to the tab's content script to scrape the product
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'SCRAPE_PRODUCT_IN_TAB'
-    });
-
-    // Close the tab after scraping
-    await chrome.tabs.remove(tab.id);
+    const response = await chrome.tabs.sendMessage(tab.id, message);
 
-    return response;
+    return response || { success: false, error: 'No response from product page' };
 
   } catch (error) {
     console.error('Error scraping product in background tab:', error);
@@ -77,15 +227,25 @@ async function scrapeProductInBackgroundTab(url) {
       success: false,
       error: error.message
     };
+  } finally {
+    // Close the tab after scraping (also when scraping failed)
+    if (tabId !== null) {
+      chrome.tabs.remove(tabId).catch(() => {});
+    }
   }
 }
 
+const TAB_LOAD_TIMEOUT_MS = 60000;
+
 /**
  * Wait for a tab to finish loading
+ * Gives up after TAB_LOAD_TIMEOUT_MS so a hung page can't stall the job queue
  * @param {number} tabId - Tab ID
  * @returns {Promise<void>}
  */
 async function waitForTabLoad(tabId) {
+  const deadline = Date.now() + TAB_LOAD_TIMEOUT_MS;
+
   return new Promise((resolve) => {
     const checkStatus = () => {
       chrome.tabs.get(tabId, (tab) => {
@@ -94,7 +254,7 @@ async function waitForTabLoad(tabId) {
           return;
         }
 
-        if (tab.status === 'complete') {
+        if (tab.status === 'complete' || Date.now() > deadline) {
           // Wait an additional 2 seconds for JavaScript and lazy loading to execute
           setTimeout(resolve, 2000);
         } else {
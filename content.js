@@ -5,7 +5,7 @@
  * Original structure:
  * - src/utils/        (DOMHelpers, DataSanitizer, Validators)
  * - src/extractors/   (DataExtractor)
- * - src/scrapers/     (ProductScraper, BulkScraper)
+ * - src/scrapers/     (VariationExpander, ProductScraper, BulkScraper)
  * - src/address/      (AddressImporter)
  * - src/ui/           (UIManager)
  * - src/storage/      (StorageManager)
@@ -35,6 +35,9 @@ class DOMHelpers {
 
   static isCategoryPage() {
     const url = window.location.href;
+    // Localized bestseller/new-release paths differ per marketplace (/Bestseller, /ranking, ...)
+    if (Marketplaces.current().categoryPaths.some(path => url.includes(path))) return true;
+
     return url.includes('/s?') ||
            url.includes('/s/') ||
            url.includes('/b/') ||
@@ -59,6 +62,30 @@ class DOMHelpers {
     return window.location.href.includes('alertId=yaab-enterAddressSucceed');
   }
 
+  static isCheckoutPage() {
+    const url = window.location.href;
+    return url.includes('/gp/buy/') || url.includes('/checkout/');
+  }
+
+  static isOrderConfirmationPage() {
+    return /thank-?you/i.test(window.location.pathname);
+  }
+
+  static isOrderHistoryPage() {
+    const url = window.location.href;
+    return url.includes('/gp/your-account/order-history') || url.includes('/your-orders/orders') || url.includes('/gp/css/order-history');
+  }
+
+  static isOrderDetailsPage() {
+    const url = window.location.href;
+    return url.includes('/gp/your-account/order-details') || url.includes('/your-orders/order-details') || url.includes('/gp/css/summary/edit.html');
+  }
+
+  static isPackageTrackingPage() {
+    const url = window.location.href;
+    return url.includes('/progress-tracker/package') || url.includes('/gp/your-account/ship-track');
+  }
+
   static getVisibleProductCount() {
     const productSelectors = [
       '[data-asin]:not([data-asin=""])',
@@ -92,10 +119,7 @@ class DOMHelpers {
   }
 
   static parsePrice(priceText) {
-    if (!priceText) return 0;
-    const cleaned = priceText.replace(/[^0-9.]/g, '');
-    const price = parseFloat(cleaned);
-    return isNaN(price) ? 0 : price;
+    return Marketplaces.parsePrice(priceText) || 0;
   }
 
   static formatPhoneNumber(phoneNumber) {
@@ -124,6 +148,7 @@ class DOMHelpers {
 /**
  * Data Sanitizer
  * Removes Amazon branding and sanitizes product data for reselling
+ * Localized phrases ("Versand durch Amazon", "Expédié par Amazon", ...) come from Marketplaces
  */
 class DataSanitizer {
   static sanitizeProductData(productData) {
@@ -160,8 +185,15 @@ class DataSanitizer {
   static removeAmazonBranding(text) {
     if (!text || typeof text !== 'string') return text;
 
+    // The page language's phrases go first, while "Amazon" is still there to match
+    const strings = Marketplaces.strings();
+    const localized = strings === Marketplaces.LANGUAGES.en
+      ? strings.branding
+      : [...strings.branding, ...Marketplaces.LANGUAGES.en.branding];
+
     const patterns = [
-      { pattern: /\bAmazon\.com\b/gi, replacement: '' },
+      ...localized,
+      { pattern: /\bAmazon\.(com\.au|co\.uk|co\.jp|com|ca|de|fr|it|es)\b/gi, replacement: '' },
       { pattern: /\bAmazon\b/gi, replacement: '' },
       { pattern: /\bAMZ\b/gi, replacement: '' },
       { pattern: /\bamzn\b/gi, replacement: '' },
@@ -170,9 +202,6 @@ class DataSanitizer {
       { pattern: /Amazon's Choice/gi, replacement: '' },
       { pattern: /Amazon Basics/gi, replacement: 'Basic' },
       { pattern: /Amazon\.com Gift Card/gi, replacement: 'Gift Card' },
-      { pattern: /Ships from Amazon/gi, replacement: '' },
-      { pattern: /Sold by Amazon/gi, replacement: '' },
-      { pattern: /Fulfilled by Amazon/gi, replacement: '' },
       { pattern: /\bFBA\b/gi, replacement: '' },
       { pattern: /https?:\/\/(www\.)?amazon\.[a-z.]+\/[^\s]*/gi, replacement: '' },
       { pattern: /www\.amazon\.[a-z]+/gi, replacement: '' },
@@ -199,86 +228,34 @@ class DataSanitizer {
 
 /**
  * Product Validators
- * Validates products based on various criteria
+ * Validates products against the selected validation profile
  */
 class Validators {
-  static validateProduct(productData, primeOnly = false, getDeliveryDateFn = null) {
-    const errors = [];
-
-    if (!productData.price || productData.price === null || productData.price === '') {
-      errors.push('No price available - item may be out of stock');
-    }
-
-    if (getDeliveryDateFn) {
-      const deliveryDate = getDeliveryDateFn();
-      if (deliveryDate) {
-        const daysUntilDelivery = this.calculateDaysUntilDelivery(deliveryDate);
-        if (daysUntilDelivery !== null && daysUntilDelivery > 10) {
-          errors.push(`Delivery time too long (${daysUntilDelivery} days) - ships after ${deliveryDate}`);
-        }
-      }
-    }
-
-    if (primeOnly && productData.isPrime === false) {
-      errors.push('Not eligible for Amazon Prime shipping');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors: errors
-    };
-  }
-
-  static validateProductFromDoc(productData, primeOnly = false) {
-    const errors = [];
-
-    if (!productData.price || productData.price === null || productData.price === '') {
-      errors.push('No price available');
-    }
-
-    if (productData.deliveryDate) {
-      const daysUntilDelivery = this.calculateDaysUntilDelivery(productData.deliveryDate);
-      if (daysUntilDelivery !== null && daysUntilDelivery > 12) {
-        errors.push(`Delivery too long (${daysUntilDelivery} days)`);
-      }
-    }
-
-    if (primeOnly && productData.isPrime === false) {
-      errors.push('Not Prime eligible');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors: errors
-    };
+  /**
+   * Check an Amazon product against a validation profile (ValidationProfiles,
+   * loaded ahead of content.js in manifest.json)
+   * @param {Object} productData - Extracted product data
+   * @param {Object} profile - Validation profile
+   * @param {Object} [options]
+   * @param {boolean} [options.primeOnly] - Require Prime even if the profile doesn't
+   * @param {Function} [options.getDeliveryDateFn] - Reads the delivery date text
+   * @param {boolean} [options.bulk] - Bulk scrape (the profile's bulk delivery limit applies)
+   * @returns {Object} { isValid, errors, failures, failedRule }
+   */
+  static validateProduct(productData, profile, { primeOnly = false, getDeliveryDateFn = null, bulk = false } = {}) {
+    return ValidationProfiles.validate(productData, profile, {
+      primeOnly,
+      deliveryDate: getDeliveryDateFn ? getDeliveryDateFn() : null,
+      bulk
+    });
   }
 
-  static calculateDaysUntilDelivery(deliveryDateStr) {
-    if (!deliveryDateStr) return null;
-
-    try {
-      const currentYear = new Date().getFullYear();
-      const currentMonth = new Date().getMonth();
-
-      const cleanDate = deliveryDateStr.replace(/^(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),?\s*/i, '').trim();
-      const deliveryDate = new Date(`${cleanDate}, ${currentYear}`);
-
-      if (deliveryDate.getMonth() < currentMonth) {
-        deliveryDate.setFullYear(currentYear + 1);
-      }
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      deliveryDate.setHours(0, 0, 0, 0);
-
-      const diffTime = deliveryDate - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-      return diffDays;
-    } catch (error) {
-      console.error('Error parsing delivery date:', error);
-      return null;
-    }
+  static validateProductFromDoc(productData, profile, primeOnly = false) {
+    return ValidationProfiles.validate(productData, profile, {
+      primeOnly,
+      deliveryDate: productData.deliveryDate,
+      bulk: true
+    });
   }
 }
 
@@ -291,69 +268,11 @@ class Validators {
 /**
  * Storage Manager
  * Handles all data persistence using Chrome storage and localStorage fallback
+ * Products go to the catalog through CatalogClient (loaded ahead of content.js in manifest.json)
  */
 class StorageManager {
   static async saveProduct(productData) {
-    return new Promise((resolve, reject) => {
-      if (!chrome.runtime?.id) {
-        console.warn('Extension context invalidated, using localStorage');
-        this.saveToLocalStorage(productData);
-        resolve();
-        return;
-      }
-
-      try {
-        chrome.storage.local.get(['scrapedProducts'], (result) => {
-          if (chrome.runtime.lastError) {
-            console.warn('chrome.storage failed, using localStorage:', chrome.runtime.lastError);
-            this.saveToLocalStorage(productData);
-            resolve();
-            return;
-          }
-
-          const products = result.scrapedProducts || [];
-          const existingIndex = products.findIndex(p => p.asin === productData.asin);
-
-          if (existingIndex >= 0) {
-            products[existingIndex] = productData;
-          } else {
-            products.push(productData);
-          }
-
-          chrome.storage.local.set({ scrapedProducts: products }, () => {
-            if (chrome.runtime.lastError) {
-              console.warn('chrome.storage.set failed, using localStorage:', chrome.runtime.lastError);
-              this.saveToLocalStorage(productData);
-              resolve();
-            } else {
-              resolve();
-            }
-          });
-        });
-      } catch (error) {
-        console.warn('Extension context invalidated, using localStorage');
-        this.saveToLocalStorage(productData);
-        resolve();
-      }
-    });
-  }
-
-  static saveToLocalStorage(productData) {
-    try {
-      const stored = localStorage.getItem('scrapedProducts');
-      const products = stored ? JSON.parse(stored) : [];
-      const existingIndex = products.findIndex(p => p.asin === productData.asin);
-
-      if (existingIndex >= 0) {
-        products[existingIndex] = productData;
-      } else {
-        products.push(productData);
-      }
-
-      localStorage.setItem('scrapedProducts', JSON.stringify(products));
-    } catch (error) {
-      console.error('localStorage save failed:', error);
-    }
+    return CatalogClient.saveProduct(productData);
   }
 
   static async getPrimeOnlyMode() {
@@ -371,6 +290,23 @@ class StorageManager {
       });
     });
   }
+
+  // Fetch every child ASIN of a variation product (VariationExpander)
+  static async getExpandVariationsMode() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['expandVariations'], (result) => {
+        resolve(result.expandVariations || false);
+      });
+    });
+  }
+
+  static async setExpandVariationsMode(value) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ expandVariations: value }, () => {
+        resolve();
+      });
+    });
+  }
 }
 
 
@@ -652,12 +588,16 @@ class UIManager {
 /**
  * Data Extractor
  * Extracts product information from Amazon product pages (live DOM and parsed HTML documents)
+ * Prices, delivery text and unit prices are read with the marketplace's strings from Marketplaces
+ * Each field notes the selector or strategy that found it with SelectorHealth (rank 0 = first choice)
+ * Page selectors come from the amazon selector pack (SelectorPacks)
  */
 
 class DataExtractor {
   // ===== Current Page Extraction =====
 
   static extractProductData() {
+    SelectorHealth.begin();
     const variations = this.extractVariations();
     let images = this.getImages();
 
@@ -674,12 +614,17 @@ class DataExtractor {
       images = [...images, variations.sizeChart.url];
     }
 
-    return {
+    const marketplace = Marketplaces.current();
+    const price = this.getPrice();
+
+    const productData = {
       asin: DOMHelpers.extractASIN(),
       title: this.getTitle(),
-      price: this.getPrice(),
+      price,
       deliveryFee: this.getDeliveryFee(),
       isPrime: this.isPrimeEligible(),
+      rating: this.getRating(),
+      category: this.getCategory(),
       images,
       description: this.getDescription(),
       bulletPoints: this.getBulletPoints(),
@@ -688,8 +633,13 @@ class DataExtractor {
       url: window.location.href,
       scrapedAt: new Date().toISOString(),
       source: 'amazon',
+      marketplace: marketplace.code,
+      currency: Marketplaces.detectCurrency(price, marketplace.currency),
       customizedFinalPrice: null
     };
+
+    SelectorHealth.report('amazon', productData);
+    return productData;
   }
 
   // ===== Variation Extraction =====
@@ -864,11 +814,7 @@ class DataExtractor {
   static extractSizeChart() {
     // Size chart is pre-rendered inside a .a-popover-preload div in #sizeChartV2Data_feature_div
     // Selector covers both the preload container and any previously opened popover
-    const wrapper = document.querySelector(
-      '#sizeChartV2Data_feature_div .fit-sizechartv2-tables-wrapper, ' +
-      '#a-popover-sizeGuide .fit-sizechartv2-tables-wrapper, ' +
-      '.fit-sizechartv2-tables-wrapper'
-    );
+    const wrapper = SelectorPacks.first(document, 'amazon', 'sizeChart')?.element;
 
     if (wrapper) {
       const charts = this._parseSizeChartTables(wrapper);
@@ -878,10 +824,7 @@ class DataExtractor {
     }
 
     // Fallback: some size charts are images directly
-    const chartImg = document.querySelector(
-      '#sizeChartV2Data_feature_div img[src*="media-amazon"], ' +
-      '[id^="a-popover-content"] img[src*="media-amazon"]'
-    );
+    const chartImg = document.querySelector(SelectorPacks.selector('amazon', 'sizeChartImage'));
     if (chartImg) {
       return { type: 'image', url: chartImg.src };
     }
@@ -919,28 +862,24 @@ class DataExtractor {
   }
 
   static getTitle() {
-    const selectors = ['#productTitle', '#title', 'h1.a-size-large'];
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) return element.textContent.trim();
-    }
-    return null;
+    const match = SelectorPacks.first(document, 'amazon', 'title');
+    return match ? SelectorHealth.found('title', match.rank, match.selector, match.element.textContent.trim()) : null;
   }
 
   static getPrice() {
     // CRITICAL: Only look for prices within the core price display container
     // This prevents picking up incorrect prices from other parts of the page
     // Use querySelector to get the FIRST occurrence (in case of duplicates)
-    const corePriceDisplay = document.querySelector('#corePriceDisplay_desktop_feature_div');
+    const corePriceDisplay = SelectorPacks.first(document, 'amazon', 'priceContainer')?.element;
 
     if (corePriceDisplay) {
       // Strategy 0: Look for .aok-offscreen (Amazon's accessibility class for screen readers)
       const aokOffscreen = corePriceDisplay.querySelector('.aok-offscreen');
       if (aokOffscreen) {
         const priceText = aokOffscreen.textContent.trim();
-        // Validate it's a proper price format
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Validate it's a proper price format in the marketplace's currency
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 0, '.aok-offscreen', priceText);
         }
       }
 
@@ -951,7 +890,7 @@ class DataExtractor {
         const fractionPart = corePriceDisplay.querySelector('.priceToPay .a-price-fraction');
         if (wholePart) {
           const fraction = fractionPart ? fractionPart.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 1, '.priceToPay .a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
 
@@ -959,8 +898,8 @@ class DataExtractor {
       const priceToPay = corePriceDisplay.querySelector('.priceToPay .a-offscreen');
       if (priceToPay && priceToPay.textContent.trim()) {
         const priceText = priceToPay.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 2, '.priceToPay .a-offscreen', priceText);
         }
       }
 
@@ -968,8 +907,8 @@ class DataExtractor {
       const basisPrice = corePriceDisplay.querySelector('.basisPrice .a-offscreen');
       if (basisPrice && basisPrice.textContent.trim()) {
         const priceText = basisPrice.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 3, '.basisPrice .a-offscreen', priceText);
         }
       }
 
@@ -977,9 +916,9 @@ class DataExtractor {
       const offscreenPrices = corePriceDisplay.querySelectorAll('.a-offscreen');
       for (const offscreen of offscreenPrices) {
         const priceText = offscreen.textContent.trim();
-        // Match valid price format like $10.49 or $1,234.56
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Match valid price format like $10.49, £1,234.56 or 12,99 €
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 4, '.a-offscreen', priceText);
         }
       }
 
@@ -990,17 +929,16 @@ class DataExtractor {
         const fractionElement = priceWhole.parentElement?.querySelector('.a-price-fraction');
         if (wholePart) {
           const fraction = fractionElement ? fractionElement.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 5, '.a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
     }
 
     // Fallback: Legacy selectors (only if core price display not found)
-    const legacySelectors = ['#priceblock_ourprice', '#priceblock_dealprice', '#price_inside_buybox'];
-    for (const selector of legacySelectors) {
+    for (const [index, selector] of SelectorPacks.get('amazon', 'legacyPrice').entries()) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim()) {
-        return element.textContent.trim();
+        return SelectorHealth.found('price', 6 + index, selector, element.textContent.trim());
       }
     }
 
@@ -1008,12 +946,7 @@ class DataExtractor {
   }
 
   static isUnitPriceText(priceText, element) {
-    const unitPricePatterns = [
-      /\$[\d.,]+\s*(per|\/)\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.,]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i
-    ];
-
-    if (unitPricePatterns.some(pattern => pattern.test(priceText))) {
+    if (Marketplaces.isUnitPriceText(priceText)) {
       return true;
     }
 
@@ -1028,7 +961,7 @@ class DataExtractor {
       ];
 
       for (const context of contextTexts) {
-        if (/per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i.test(context)) {
+        if (Marketplaces.isUnitPriceText(context)) {
           if (context.includes(priceText)) {
             return true;
           }
@@ -1042,13 +975,7 @@ class DataExtractor {
   static isUnitPriceContainer(priceContainer) {
     const containerText = priceContainer.textContent || '';
     const parentText = priceContainer.parentElement?.textContent || '';
-    const unitPatterns = [
-      /\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i,
-      /per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i
-    ];
-    const textToCheck = containerText + ' ' + parentText;
-    return unitPatterns.some(pattern => pattern.test(textToCheck));
+    return Marketplaces.isUnitPriceText(containerText + ' ' + parentText);
   }
 
   static isPrimeEligible() {
@@ -1058,24 +985,14 @@ class DataExtractor {
       const boxText = box.textContent || '';
       if (boxText.match(/prime/i)) {
         // Verify it's near price information
-        const hasPriceInfo = boxText.match(/\$[\d,]+\.?\d*/);
+        const hasPriceInfo = Marketplaces.pricePattern().test(boxText);
         if (hasPriceInfo) {
           return true;
         }
       }
     }
 
-    const primeSelectors = [
-      '#priceBadging_feature_div [aria-label*="Prime"]',
-      '.prime-logo',
-      'i.a-icon-prime',
-      '[data-testid*="prime"]',
-      'span:contains("Prime")',
-      '#deliveryMessageMirId [aria-label*="Prime"]',
-      '#mir-layout-DELIVERY_BLOCK [aria-label*="Prime"]'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'prime')) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent || element.getAttribute('aria-label') || '';
@@ -1085,12 +1002,7 @@ class DataExtractor {
       }
     }
 
-    const deliverySelectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE'
-    ];
-
-    for (const selector of deliverySelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'primeDelivery')) {
       const element = document.querySelector(selector);
       if (element && element.textContent.match(/prime/i)) {
         return true;
@@ -1103,16 +1015,7 @@ class DataExtractor {
   static checkPrimeEligibilityFromElement(element) {
     if (!element) return false;
 
-    const primeSelectors = [
-      'i.a-icon-prime',
-      '.a-icon-prime',
-      '[aria-label*="Prime"]',
-      '.s-prime',
-      'i[aria-label*="Prime"]',
-      'span.a-icon-prime-logo'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'resultPrime')) {
       const primeElement = element.querySelector(selector);
       if (primeElement) {
         const text = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
@@ -1123,8 +1026,9 @@ class DataExtractor {
     }
 
     const deliveryText = element.textContent || '';
-    if (deliveryText.match(/FREE.*delivery/i) || deliveryText.match(/FREE.*shipping/i)) {
-      if (!deliveryText.match(/FREE.*returns/i) || deliveryText.match(/Prime/i)) {
+    const strings = Marketplaces.strings();
+    if (strings.freeDelivery.test(deliveryText)) {
+      if (!strings.freeReturns.test(deliveryText) || deliveryText.match(/Prime/i)) {
         return true;
       }
     }
@@ -1133,40 +1037,26 @@ class DataExtractor {
   }
 
   static getDeliveryFee() {
-    const selectors = [
-      '#deliveryMessageMirId span[data-csa-c-delivery-price]',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE .a-color-success',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#ourprice_shippingmessage',
-      '#price-shipping-message',
-      '#price_shipping_message',
-      '#delivery-message',
-      '#ddmDeliveryMessage',
-      '#fulfillerInfoFeature_feature_div .a-color-success',
-      '#deliveryBlockMessage',
-      '[data-feature-name="delivery"] .a-color-price',
-      '#buybox-see-all-buying-choices span.a-color-secondary'
-    ];
-
-    for (const selector of selectors) {
+    const selectors = SelectorPacks.get('amazon', 'deliveryFee');
+    for (const [index, selector] of selectors.entries()) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
-        if (text.match(/free\s+(delivery|shipping)/i)) {
-          return 'FREE';
+        if (Marketplaces.strings().freeDelivery.test(text)) {
+          return SelectorHealth.found('deliveryFee', index, selector, 'FREE');
         }
-        const priceMatch = text.match(/[\+]?\s*\$[\d.]+/);
+        const priceMatch = text.match(Marketplaces.pricePattern());
         if (priceMatch) {
-          return priceMatch[0].trim();
+          return SelectorHealth.found('deliveryFee', index, selector, priceMatch[0].trim());
         }
       }
     }
 
-    const primeElement = document.querySelector('#priceBadging_feature_div, .prime-logo, [aria-label*="Prime"]');
+    const primeElement = document.querySelector(SelectorPacks.selector('amazon', 'primeBadge'));
     if (primeElement) {
       const primeText = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
       if (primeText.match(/prime/i)) {
-        return 'FREE (Prime)';
+        return SelectorHealth.found('deliveryFee', selectors.length, 'Prime badge', 'FREE (Prime)');
       }
     }
 
@@ -1174,21 +1064,12 @@ class DataExtractor {
   }
 
   static getDeliveryDate() {
-    const selectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#delivery-message',
-      '#ddmDeliveryMessage'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of SelectorPacks.get('amazon', 'deliveryDate')) {
       const element = document.querySelector(selector);
       if (element) {
-        const text = element.textContent.trim();
-        const dateMatch = text.match(/(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)?,?\s*(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2}/i);
-        if (dateMatch) {
-          return dateMatch[0];
+        const dateText = Marketplaces.findDeliveryDate(element.textContent.trim());
+        if (dateText) {
+          return dateText;
         }
       }
     }
@@ -1196,19 +1077,40 @@ class DataExtractor {
     return null;
   }
 
+  // Average star rating, e.g. 4.5 from "4.5 out of 5 stars"
+  static getRating() {
+    for (const selector of SelectorPacks.get('amazon', 'rating')) {
+      const element = document.querySelector(selector);
+      const text = element?.getAttribute('title') || element?.textContent || '';
+      const match = text.match(/(\d(?:[.,]\d)?)\s*out of\s*5/i);
+      if (match) {
+        return parseFloat(match[1].replace(',', '.'));
+      }
+    }
+
+    return null;
+  }
+
+  // Breadcrumb path, e.g. "Toys & Games > Building Toys"
+  static getCategory() {
+    const links = document.querySelectorAll(SelectorPacks.selector('amazon', 'category'));
+    return [...links].map(a => a.textContent.trim()).filter(Boolean).join(' > ');
+  }
+
   static _isValidImageUrl(url) {
     return url && !/(PKmb|play-button-overlay|overlay-thumb)/i.test(url);
   }
 
   static getImages() {
     const images = [];
-    const mainImage = document.querySelector('#landingImage, #imgBlkFront');
+    const mainImage = document.querySelector(SelectorPacks.selector('amazon', 'mainImage'));
     if (mainImage) {
       const src = mainImage.getAttribute('data-old-hires') || mainImage.getAttribute('src');
       if (src && this._isValidImageUrl(src)) images.push(src);
     }
+    const hasMainImage = images.length > 0;
 
-    const thumbnails = document.querySelectorAll('#altImages img, .imageThumbnail img');
+    const thumbnails = document.querySelectorAll(SelectorPacks.selector('amazon', 'thumbnails'));
     thumbnails.forEach(img => {
       const src = img.getAttribute('src');
       if (src && !images.includes(src)) {
@@ -1217,61 +1119,50 @@ class DataExtractor {
       }
     });
 
-    return images.slice(0, 10);
+    return SelectorHealth.found('images', hasMainImage ? 0 : 1, hasMainImage ? '#landingImage' : '#altImages img', images.slice(0, 10));
   }
 
   static getDescription() {
-    // Collect all paragraph text from the product description section
-    const descDiv = document.querySelector('#productDescription');
-    if (descDiv) {
-      const paragraphs = [...descDiv.querySelectorAll('p')]
-        .map(p => p.textContent.trim())
-        .filter(Boolean);
-      if (paragraphs.length) return paragraphs.join('\n\n');
-      const text = descDiv.textContent.trim();
-      if (text) return text;
-    }
-    // Fallback: #feature-bullets
-    const featureBullets = document.querySelector('#feature-bullets');
-    if (featureBullets) return featureBullets.textContent.trim();
-    // Fallback: .a-section.a-spacing-medium — skip Rufus AI widget and other non-description widgets
-    for (const el of document.querySelectorAll('.a-section.a-spacing-medium')) {
-      if (el.closest('#nile-inline-btf_feature_div') || el.id === 'nile-inline-btf_feature_div') continue;
-      const text = el.textContent.trim();
-      if (text) return text;
+    const match = this._findDescription(document);
+    return match ? SelectorHealth.found('description', match.rank, match.selector, match.text) : '';
+  }
+
+  /**
+   * Description text from the first block in the pack's chain that has any
+   * (#productDescription, then #feature-bullets, then generic sections)
+   * @param {Document} root
+   * @returns {Object|null} { text, rank, selector }
+   */
+  static _findDescription(root) {
+    for (const [rank, selector] of SelectorPacks.get('amazon', 'description').entries()) {
+      for (const el of root.querySelectorAll(selector)) {
+        // Skip the Rufus AI widget and other non-description widgets
+        if (el.closest('#nile-inline-btf_feature_div')) continue;
+        // Keep paragraphs apart
+        const paragraphs = [...el.querySelectorAll('p')]
+          .map(p => p.textContent.trim())
+          .filter(Boolean);
+        const text = paragraphs.length ? paragraphs.join('\n\n') : el.textContent.trim();
+        if (text) return { text, rank, selector };
+      }
     }
-    return '';
+    return null;
   }
 
   static getBulletPoints() {
     const bullets = [];
 
-    // Strategy 1: standard feature-bullets section (most products)
-    let items = document.querySelectorAll(
-      '#feature-bullets ul li span.a-list-item, ' +
-      '#featurebullets_feature_div ul li span.a-list-item'
-    );
-
-    // Strategy 2: softlines/fashion products — standalone ul with a-spacing-small
-    if (!items.length) {
-      items = document.querySelectorAll(
-        'ul.a-unordered-list.a-vertical.a-spacing-small li span.a-list-item.a-size-base'
-      );
-    }
-
-    // Strategy 3: broad fallback
-    if (!items.length) {
-      items = document.querySelectorAll('#feature-bullets li, #featurebullets_feature_div li');
-    }
-
+    // Text bullets: standard feature-bullets section, then softlines/fashion lists, then a broad fallback
+    const { items, rank: textRank, selector } = this._findBulletItems(document);
     items.forEach(el => {
       const text = el.textContent.trim();
       if (text && !bullets.includes(text)) bullets.push(text);
     });
+    const [rank, strategy] = bullets.length ? [textRank, selector] : [SelectorPacks.get('amazon', 'bulletPoints').length, 'A+ images'];
 
     // Extract A+ content images (enhanced brand content below description)
     const seenUrls = new Set();
-    document.querySelectorAll('.aplus-v2 img, #aplus img').forEach(img => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'aplusImages')).forEach(img => {
       if (img.closest('.premium-aplus-module-5')) return;
       let src = (img.getAttribute('data-src') || img.getAttribute('src') || '').trim();
       if (!src || src.startsWith('data:')) return;
@@ -1287,16 +1178,28 @@ class DataExtractor {
       }
     });
 
-    return bullets;
+    return SelectorHealth.found('bulletPoints', rank, strategy, bullets);
+  }
+
+  /**
+   * Bullet elements from the first selector in the pack's chain that matches any
+   * @param {Document} root
+   * @returns {Object} { items, rank, selector }
+   */
+  static _findBulletItems(root) {
+    const selectors = SelectorPacks.get('amazon', 'bulletPoints');
+    for (const [rank, selector] of selectors.entries()) {
+      const items = root.querySelectorAll(selector);
+      if (items.length) return { items, rank, selector };
+    }
+    return { items: [], rank: selectors.length, selector: null };
   }
 
   static getSpecifications() {
     const specs = {};
 
     // Strategy 1: product details table (most products)
-    document.querySelectorAll(
-      '#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr'
-    ).forEach(row => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'specifications')).forEach(row => {
       const th = row.querySelector('th');
       const td = row.querySelector('td');
       if (th && td) {
@@ -1305,9 +1208,10 @@ class DataExtractor {
         if (key && val) specs[key] = val;
       }
     });
+    const fromDetailsTable = Object.keys(specs).length > 0;
 
     // Strategy 2: detail bullets list (softlines/fashion products)
-    document.querySelectorAll('#detailBullets_feature_div ul li').forEach(li => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'detailBullets')).forEach(li => {
       const listItem = li.querySelector('span.a-list-item');
       if (!listItem) return;
       const bold = listItem.querySelector('span.a-text-bold, strong');
@@ -1319,35 +1223,31 @@ class DataExtractor {
       const val = clone.textContent.trim();
       if (key && val) specs[key] = val;
     });
-
-    return specs;
+    return SelectorHealth.found('specifications', fromDetailsTable ? 0 : 1,
+      fromDetailsTable ? 'specifications' : 'detailBullets', specs);
   }
 
   // ===== Parsed Document Extraction =====
 
   static extractTitleFromDoc(doc) {
-    const selectors = ['#productTitle', '#title', 'h1.a-size-large'];
-    for (const selector of selectors) {
-      const element = doc.querySelector(selector);
-      if (element) return element.textContent.trim();
-    }
-    return null;
+    const match = SelectorPacks.first(doc, 'amazon', 'title');
+    return match ? SelectorHealth.found('title', match.rank, match.selector, match.element.textContent.trim()) : null;
   }
 
   static extractPriceFromDoc(doc) {
     // CRITICAL: Only look for prices within the core price display container
     // This prevents picking up incorrect prices from other parts of the page
     // Use querySelector to get the FIRST occurrence (in case of duplicates)
-    const corePriceDisplay = doc.querySelector('#corePriceDisplay_desktop_feature_div');
+    const corePriceDisplay = SelectorPacks.first(doc, 'amazon', 'priceContainer')?.element;
 
     if (corePriceDisplay) {
       // Strategy 0: Look for .aok-offscreen (Amazon's accessibility class for screen readers)
       const aokOffscreen = corePriceDisplay.querySelector('.aok-offscreen');
       if (aokOffscreen) {
         const priceText = aokOffscreen.textContent.trim();
-        // Validate it's a proper price format
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Validate it's a proper price format in the marketplace's currency
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 0, '.aok-offscreen', priceText);
         }
       }
 
@@ -1358,7 +1258,7 @@ class DataExtractor {
         const fractionPart = corePriceDisplay.querySelector('.priceToPay .a-price-fraction');
         if (wholePart) {
           const fraction = fractionPart ? fractionPart.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 1, '.priceToPay .a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
 
@@ -1366,8 +1266,8 @@ class DataExtractor {
       const priceToPay = corePriceDisplay.querySelector('.priceToPay .a-offscreen');
       if (priceToPay && priceToPay.textContent.trim()) {
         const priceText = priceToPay.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 2, '.priceToPay .a-offscreen', priceText);
         }
       }
 
@@ -1375,8 +1275,8 @@ class DataExtractor {
       const basisPrice = corePriceDisplay.querySelector('.basisPrice .a-offscreen');
       if (basisPrice && basisPrice.textContent.trim()) {
         const priceText = basisPrice.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 3, '.basisPrice .a-offscreen', priceText);
         }
       }
 
@@ -1384,9 +1284,9 @@ class DataExtractor {
       const offscreenPrices = corePriceDisplay.querySelectorAll('.a-offscreen');
       for (const offscreen of offscreenPrices) {
         const priceText = offscreen.textContent.trim();
-        // Match valid price format like $10.49 or $1,234.56
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Match valid price format like $10.49, £1,234.56 or 12,99 €
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 4, '.a-offscreen', priceText);
         }
       }
 
@@ -1397,17 +1297,16 @@ class DataExtractor {
         const fractionElement = priceWhole.parentElement?.querySelector('.a-price-fraction');
         if (wholePart) {
           const fraction = fractionElement ? fractionElement.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 5, '.a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
     }
 
     // Fallback: Legacy selectors (only if core price display not found)
-    const legacySelectors = ['#priceblock_ourprice', '#priceblock_dealprice', '#price_inside_buybox'];
-    for (const selector of legacySelectors) {
+    for (const [index, selector] of SelectorPacks.get('amazon', 'legacyPrice').entries()) {
       const element = doc.querySelector(selector);
       if (element && element.textContent.trim()) {
-        return element.textContent.trim();
+        return SelectorHealth.found('price', 6 + index, selector, element.textContent.trim());
       }
     }
 
@@ -1417,50 +1316,30 @@ class DataExtractor {
   static isUnitPriceContainerFromDoc(priceContainer) {
     const containerText = priceContainer.textContent || '';
     const parentText = priceContainer.parentElement?.textContent || '';
-    const unitPatterns = [
-      /\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i,
-      /per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i
-    ];
-    const textToCheck = containerText + ' ' + parentText;
-    return unitPatterns.some(pattern => pattern.test(textToCheck));
+    return Marketplaces.isUnitPriceText(containerText + ' ' + parentText);
   }
 
   static extractDeliveryFeeFromDoc(doc) {
-    const selectors = [
-      '#deliveryMessageMirId span[data-csa-c-delivery-price]',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE .a-color-success',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#ourprice_shippingmessage',
-      '#price-shipping-message',
-      '#price_shipping_message',
-      '#delivery-message',
-      '#ddmDeliveryMessage',
-      '#fulfillerInfoFeature_feature_div .a-color-success',
-      '#deliveryBlockMessage',
-      '[data-feature-name="delivery"] .a-color-price',
-      '#buybox-see-all-buying-choices span.a-color-secondary'
-    ];
-
-    for (const selector of selectors) {
+    const selectors = SelectorPacks.get('amazon', 'deliveryFee');
+    for (const [index, selector] of selectors.entries()) {
       const element = doc.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
-        if (text.match(/free\s+(delivery|shipping)/i)) {
-          return 'FREE';
+        if (Marketplaces.strings().freeDelivery.test(text)) {
+          return SelectorHealth.found('deliveryFee', index, selector, 'FREE');
         }
-        const priceMatch = text.match(/[\+]?\s*\$[\d.]+/);
+        const priceMatch = text.match(Marketplaces.pricePattern());
         if (priceMatch) {
-          return priceMatch[0].trim();
+          return SelectorHealth.found('deliveryFee', index, selector, priceMatch[0].trim());
         }
       }
     }
 
-    const primeElement = doc.querySelector('#priceBadging_feature_div, .prime-logo, [aria-label*="Prime"]');
+    const primeElement = doc.querySelector(SelectorPacks.selector('amazon', 'primeBadge'));
     if (primeElement) {
       const primeText = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
       if (primeText.match(/prime/i)) {
-        return 'FREE (Prime)';
+        return SelectorHealth.found('deliveryFee', selectors.length, 'Prime badge', 'FREE (Prime)');
       }
     }
 
@@ -1474,23 +1353,14 @@ class DataExtractor {
       const boxText = box.textContent || '';
       if (boxText.match(/prime/i)) {
         // Verify it's near price information
-        const hasPriceInfo = boxText.match(/\$[\d,]+\.?\d*/);
+        const hasPriceInfo = Marketplaces.pricePattern().test(boxText);
         if (hasPriceInfo) {
           return true;
         }
       }
     }
 
-    const primeSelectors = [
-      '#priceBadging_feature_div [aria-label*="Prime"]',
-      '.prime-logo',
-      'i.a-icon-prime',
-      '[data-testid*="prime"]',
-      '#deliveryMessageMirId [aria-label*="Prime"]',
-      '#mir-layout-DELIVERY_BLOCK [aria-label*="Prime"]'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'prime')) {
       const element = doc.querySelector(selector);
       if (element) {
         const text = element.textContent || element.getAttribute('aria-label') || '';
@@ -1500,12 +1370,7 @@ class DataExtractor {
       }
     }
 
-    const deliverySelectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE'
-    ];
-
-    for (const selector of deliverySelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'primeDelivery')) {
       const element = doc.querySelector(selector);
       if (element && element.textContent.match(/prime/i)) {
         return true;
@@ -1517,13 +1382,13 @@ class DataExtractor {
 
   static extractImagesFromDoc(doc) {
     const images = [];
-    const mainImage = doc.querySelector('#landingImage, #imgBlkFront');
+    const mainImage = doc.querySelector(SelectorPacks.selector('amazon', 'mainImage'));
     if (mainImage) {
       const src = mainImage.getAttribute('data-old-hires') || mainImage.getAttribute('src');
       if (src && this._isValidImageUrl(src)) images.push(src);
     }
 
-    const thumbnails = doc.querySelectorAll('#altImages img, .imageThumbnail img');
+    const thumbnails = doc.querySelectorAll(SelectorPacks.selector('amazon', 'thumbnails'));
     thumbnails.forEach(img => {
       const src = img.getAttribute('src');
       if (src && !images.includes(src)) {
@@ -1536,19 +1401,11 @@ class DataExtractor {
   }
 
   static extractDeliveryDateFromDoc(doc) {
-    const selectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#delivery-message',
-      '#ddmDeliveryMessage'
-    ];
-    for (const selector of selectors) {
+    for (const selector of SelectorPacks.get('amazon', 'deliveryDate')) {
       const element = doc.querySelector(selector);
       if (element) {
-        const text = element.textContent.trim();
-        const dateMatch = text.match(/(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)?,?\s*(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2}/i);
-        if (dateMatch) return dateMatch[0];
+        const dateText = Marketplaces.findDeliveryDate(element.textContent.trim());
+        if (dateText) return dateText;
       }
     }
     return null;
@@ -1701,59 +1558,25 @@ class DataExtractor {
   }
 
   static extractSizeChartFromDoc(doc) {
-    const wrapper = doc.querySelector(
-      '#sizeChartV2Data_feature_div .fit-sizechartv2-tables-wrapper, ' +
-      '#a-popover-sizeGuide .fit-sizechartv2-tables-wrapper, ' +
-      '.fit-sizechartv2-tables-wrapper'
-    );
+    const wrapper = SelectorPacks.first(doc, 'amazon', 'sizeChart')?.element;
     if (wrapper) {
       const charts = this._parseSizeChartTables(wrapper);
       if (charts.length) return { type: 'table', data: charts };
     }
-    const chartImg = doc.querySelector(
-      '#sizeChartV2Data_feature_div img[src*="media-amazon"], ' +
-      '[id^="a-popover-content"] img[src*="media-amazon"]'
-    );
+    const chartImg = doc.querySelector(SelectorPacks.selector('amazon', 'sizeChartImage'));
     if (chartImg) return { type: 'image', url: chartImg.src };
     return null;
   }
 
   static extractDescriptionFromDoc(doc) {
-    const descDiv = doc.querySelector('#productDescription');
-    if (descDiv) {
-      const paragraphs = [...descDiv.querySelectorAll('p')]
-        .map(p => p.textContent.trim())
-        .filter(Boolean);
-      if (paragraphs.length) return paragraphs.join('\n\n');
-      const text = descDiv.textContent.trim();
-      if (text) return text;
-    }
-    const featureBullets = doc.querySelector('#feature-bullets');
-    if (featureBullets) return featureBullets.textContent.trim();
-    for (const el of doc.querySelectorAll('.a-section.a-spacing-medium')) {
-      if (el.closest('#nile-inline-btf_feature_div') || el.id === 'nile-inline-btf_feature_div') continue;
-      const text = el.textContent.trim();
-      if (text) return text;
-    }
-    return '';
+    return this._findDescription(doc)?.text || '';
   }
 
   static extractBulletPointsFromDoc(doc) {
     const bullets = [];
 
     // Text bullets — try multiple selectors
-    let items = doc.querySelectorAll(
-      '#feature-bullets ul li span.a-list-item, ' +
-      '#featurebullets_feature_div ul li span.a-list-item'
-    );
-    if (!items.length) {
-      items = doc.querySelectorAll(
-        'ul.a-unordered-list.a-vertical.a-spacing-small li span.a-list-item.a-size-base'
-      );
-    }
-    if (!items.length) {
-      items = doc.querySelectorAll('#feature-bullets li, #featurebullets_feature_div li');
-    }
+    const { items } = this._findBulletItems(doc);
     items.forEach(el => {
       const text = el.textContent.trim();
       if (text && !bullets.includes(text)) bullets.push(text);
@@ -1762,7 +1585,7 @@ class DataExtractor {
     // A+ content images — reconstruct full CDN URL from path to fix truncated domains
     const aplusPath = '/images/S/aplus-media-library-service-media/';
     const seenUrls = new Set();
-    doc.querySelectorAll('.aplus-v2 img, #aplus img').forEach(img => {
+    doc.querySelectorAll(SelectorPacks.selector('amazon', 'aplusImages')).forEach(img => {
       if (img.closest('.premium-aplus-module-5')) return;
       let src = (img.getAttribute('data-src') || img.getAttribute('src') || '').trim();
       if (!src || src.startsWith('data:')) return;
@@ -1775,55 +1598,474 @@ class DataExtractor {
       }
     });
 
-    return bullets;
+    return bullets;
+  }
+
+  static extractSpecificationsFromDoc(doc) {
+    const specs = {};
+    const specTables = doc.querySelectorAll(SelectorPacks.selector('amazon', 'specifications'));
+    specTables.forEach(row => {
+      const th = row.querySelector('th');
+      const td = row.querySelector('td');
+      if (th && td) {
+        specs[th.textContent.trim()] = td.textContent.trim();
+      }
+    });
+    return specs;
+  }
+
+  /**
+   * Product links on a search, bestseller or category page
+   * @param {Document} [doc] - A fetched results page (PageCrawler); defaults to the open page
+   * @returns {Array<Object>} [{ asin, url, element }]
+   */
+  static extractProductLinksFromPage(doc = document) {
+    const productLinks = [];
+    const seenAsins = new Set();
+
+    SelectorPacks.get('amazon', 'productLinks').forEach(selector => {
+      const links = doc.querySelectorAll(selector);
+      links.forEach(link => {
+        const href = link.getAttribute('href');
+        if (!href) return;
+
+        const asinMatch = href.match(/\/dp\/([A-Z0-9]{10})/);
+        if (asinMatch && !seenAsins.has(asinMatch[1])) {
+          seenAsins.add(asinMatch[1]);
+          const listingElement = link.closest('[data-asin]') || link.closest('.s-result-item') || link.closest('.zg-grid-general-faceout');
+
+          productLinks.push({
+            asin: asinMatch[1],
+            url: new URL(href, location.origin).href,
+            element: listingElement
+          });
+        }
+      });
+    });
+
+    return productLinks;
+  }
+
+  /**
+   * Next results page: search results use .s-pagination-next, Best Sellers and
+   * New Releases use the older .a-pagination list
+   * @param {Document} doc - Results page
+   * @param {string} pageUrl - URL the page was loaded from
+   * @returns {string|null} Absolute URL of the next page
+   */
+  static getNextPageUrl(doc, pageUrl) {
+    const next = doc.querySelector(SelectorPacks.selector('amazon', 'nextPage'));
+    return next ? PageCrawler.resolveUrl(next.getAttribute('href'), pageUrl) : null;
+  }
+}
+
+
+
+// ========================================
+// AMAZONORDEREXTRACTOR MODULE
+// ========================================
+
+/**
+ * Amazon Order Extractor
+ * Reads the orders you placed on Amazon to fulfil eBay orders: the Your Orders list, order details
+ * and package tracking pages (live DOM and parsed HTML documents)
+ * Labels before the tracking number and carrier come from the marketplace's strings in Marketplaces
+ * Page selectors come from the amazon selector pack (SelectorPacks)
+ *
+ * Supplier order: { supplierOrderNumber, orderDate, shipTo: { name, addressLine1, fullAddress },
+ *   items: [{ title, asin, quantity, price }], total, charges: [{ label, amount }], carrier,
+ *   trackingNumber, marketplace, currency, url, scrapedAt }
+ * Each page fills in what it shows and leaves the rest null; SupplierOrders merges them.
+ */
+class AmazonOrderExtractor {
+  // Amazon order numbers on every marketplace: 111-1234567-1234567
+  static ORDER_NUMBER_PATTERN = /\b(\d{3}-\d{7}-\d{7})\b/;
+
+  /**
+   * Every supplier order on the current page
+   * @param {Document} doc
+   * @returns {Array} Supplier orders; empty on pages that aren't order pages
+   */
+  static extractOrdersFromDoc(doc) {
+    if (DOMHelpers.isOrderHistoryPage()) return this.extractOrderHistoryFromDoc(doc);
+    if (DOMHelpers.isOrderDetailsPage()) return [this.extractOrderDetailsFromDoc(doc)].filter(Boolean);
+    if (DOMHelpers.isPackageTrackingPage()) return [this.extractPackageTrackingFromDoc(doc)].filter(Boolean);
+    return [];
+  }
+
+  // ===== Page Extraction =====
+
+  /**
+   * Order cards on Your Orders; the ship-to address is the recipient popover's, or just the name
+   * @param {Document} doc
+   * @returns {Array}
+   */
+  static extractOrderHistoryFromDoc(doc) {
+    const cards = doc.querySelectorAll(SelectorPacks.selector('amazon', 'orderCard'));
+
+    return [...cards].map(card => {
+      const supplierOrderNumber = this.findOrderNumber(card.textContent);
+      if (!supplierOrderNumber) return null;
+
+      return this.createOrder({
+        supplierOrderNumber,
+        orderDate: this.readText(card, 'orderDate'),
+        shipTo: this.extractShipTo(card),
+        items: this.extractItems(card),
+        total: Marketplaces.parsePrice(this.readText(card, 'orderTotal')),
+        ...this.extractTracking(card)
+      });
+    }).filter(Boolean);
+  }
+
+  /**
+   * @param {Document} doc
+   * @returns {Object|null}
+   */
+  static extractOrderDetailsFromDoc(doc) {
+    const supplierOrderNumber = this.findOrderNumber(window.location.search) || this.findOrderNumber(doc.body.textContent);
+    if (!supplierOrderNumber) return null;
+
+    const charges = this.extractCharges(doc);
+    return this.createOrder({
+      supplierOrderNumber,
+      orderDate: this.readText(doc, 'orderDate'),
+      shipTo: this.extractShipTo(doc),
+      items: this.extractItems(doc),
+      total: charges.length > 0 ? charges[charges.length - 1].amount : null,
+      charges,
+      ...this.extractTracking(doc)
+    });
+  }
+
+  /**
+   * The package tracking page only knows its order from the URL
+   * @param {Document} doc
+   * @returns {Object|null}
+   */
+  static extractPackageTrackingFromDoc(doc) {
+    const supplierOrderNumber = this.findOrderNumber(window.location.search);
+    if (!supplierOrderNumber) return null;
+
+    return this.createOrder({ supplierOrderNumber, ...this.extractTracking(doc) });
+  }
+
+  // ===== Fields =====
+
+  static createOrder(fields) {
+    const marketplace = Marketplaces.current();
+    return {
+      supplierOrderNumber: null,
+      orderDate: null,
+      shipTo: null,
+      items: [],
+      total: null,
+      charges: [],
+      carrier: null,
+      trackingNumber: null,
+      ...fields,
+      marketplace: marketplace.code,
+      currency: marketplace.currency,
+      url: window.location.href,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  static findOrderNumber(text) {
+    return String(text || '').match(this.ORDER_NUMBER_PATTERN)?.[1] || null;
+  }
+
+  static readText(root, field) {
+    return SelectorPacks.first(root, 'amazon', field)?.element.textContent.replace(/\s+/g, ' ').trim() || null;
+  }
+
+  /**
+   * Ship-to address as lines: the name, then the street, then the rest
+   * @param {ParentNode} root - Order card or document
+   * @returns {Object|null} { name, addressLine1, fullAddress }
+   */
+  static extractShipTo(root) {
+    const element = SelectorPacks.first(root, 'amazon', 'orderShipTo')?.element;
+    if (!element) return null;
+
+    // Address blocks put each part in its own element (the popover is hidden, so innerText has
+    // no line breaks); the popover trigger is the name alone
+    const blocks = 'li, .a-row, div';
+    const leaves = [...element.querySelectorAll(blocks)].filter(block => !block.querySelector(blocks));
+    const parts = leaves.length > 0 ? leaves.map(part => part.textContent) : [element.textContent];
+    const lines = [...new Set(parts.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+    if (lines.length === 0) return null;
+
+    return {
+      name: lines[0],
+      addressLine1: lines[1] || null,
+      fullAddress: lines.join(', ')
+    };
+  }
+
+  /**
+   * @param {ParentNode} root - Order card or document
+   * @returns {Array} [{ title, asin, quantity, price }]
+   */
+  static extractItems(root) {
+    const items = [];
+    const seen = new Set();
+
+    for (const row of root.querySelectorAll(SelectorPacks.selector('amazon', 'orderItem'))) {
+      const links = [...row.querySelectorAll(SelectorPacks.selector('amazon', 'orderItemLink'))];
+      const titleLink = links.find(link => link.textContent.trim()) || links[0];
+      if (!titleLink) continue;
+
+      const asin = titleLink.getAttribute('href').match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/)?.[1] || null;
+      const title = titleLink.textContent.replace(/\s+/g, ' ').trim() || null;
+      // Grids nest, so the same item can sit in more than one matching row
+      const key = asin || title;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const priceText = [...row.querySelectorAll('.a-color-price, .a-price .a-offscreen')]
+        .map(element => element.textContent.trim())
+        .find(text => Marketplaces.isPriceText(text));
+
+      items.push({
+        title,
+        asin,
+        quantity: parseInt(this.readText(row, 'orderItemQuantity'), 10) || 1,
+        price: priceText ? Marketplaces.parsePrice(priceText) : null
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Charge lines of the cost breakdown, in page order (the last one is the grand total)
+   * @param {Document} doc
+   * @returns {Array} [{ label, amount }]
+   */
+  static extractCharges(doc) {
+    const section = SelectorPacks.first(doc, 'amazon', 'orderSubtotals')?.element;
+    if (!section) return [];
+
+    const charges = [];
+    for (const row of section.querySelectorAll('.a-row, li')) {
+      if (row.querySelector('.a-row, li')) continue; // Only the innermost rows hold one charge
+      const text = row.textContent.replace(/\s+/g, ' ').trim();
+      const amountText = text.match(Marketplaces.pricePattern())?.[0];
+      const amount = amountText ? Marketplaces.parsePrice(amountText) : null;
+      if (amount == null) continue;
+
+      charges.push({ label: text.replace(amountText, '').replace(/[:：]\s*$/, '').trim(), amount });
+    }
+    return charges;
+  }
+
+  /**
+   * Carrier and tracking number, read after the marketplace's labels ("Shipped with UPS",
+   * "Tracking ID: 1Z...")
+   * @param {ParentNode} root - Order card or document
+   * @returns {Object} { carrier, trackingNumber }
+   */
+  static extractTracking(root) {
+    // Order cards only count their own tracking section; pages fall back to their whole text
+    const section = SelectorPacks.first(root, 'amazon', 'packageTracking')?.element || root.body;
+    if (!section) return { carrier: null, trackingNumber: null };
+
+    const text = section.innerText ?? section.textContent;
+    const strings = Marketplaces.strings();
+    const labels = (list) => list.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const after = (list, value) => text.match(new RegExp(`(?:${labels(list)})\\s*[:：]?\\s*(${value})`, 'i'))?.[1];
+
+    // "Shipped with UPS Tracking ID: 1Z..." on one line: the carrier stops at the tracking label
+    const carrier = after(strings.carrierLabels, '[^\\n:：]{2,40}')
+      ?.split(new RegExp(labels(strings.trackingLabels), 'i'))[0].trim();
+    return {
+      carrier: carrier || null,
+      trackingNumber: after(strings.trackingLabels, '(?=[A-Z]*\\d)[A-Z0-9]{8,34}')?.toUpperCase() || null
+    };
+  }
+}
+
+
+// ========================================
+// VARIATIONEXPANDER MODULE
+// ========================================
+
+/**
+ * Variation Expander
+ * Fetches every child ASIN of an Amazon variation product and records its own
+ * price, stock, Prime status and images, so the eBay export can list real children.
+ *
+ * Child ASINs are discovered from the parent page's swatches and twister data, then
+ * from each fetched child's swatches (a two-dimension page only links the children
+ * that share its selected size or color). Unavailable or unpriced children are dropped.
+ * Offers are read with ProductSnapshot (loaded ahead of content.js in manifest.json).
+ */
+
+
+class VariationExpander {
+  static BATCH_SIZE = 3;
+  static BATCH_DELAY_MS = 800;
+  static MAX_CHILDREN = 40;
+  static MAX_DURATION_MS = 60000; // Stay well inside the job queue's per-item timeout
+
+  /**
+   * Expand a product's variations with per-child offers
+   * @param {Object} product - Output of DataExtractor.extractProductData() for the current page
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (checked, queued) => void
+   * @returns {Promise<Object>} Variations with children, validCombinations limited to available
+   *   children, and expansion stats; the original variations if no child could be read
+   */
+  static async expand(product, { onProgress = null } = {}) {
+    const variations = product.variations;
+    if (!variations?.hasVariations) return variations;
+
+    const deadline = Date.now() + this.MAX_DURATION_MS;
+    const children = new Map();
+    const seen = new Set([product.asin]);
+    const queue = [];
+    const stats = { checked: 0, failed: 0, dropped: 0 };
+
+    const enqueue = (asins) => {
+      for (const asin of asins) {
+        if (asin && !seen.has(asin)) {
+          seen.add(asin);
+          queue.push(asin);
+        }
+      }
+    };
+
+    // The open page is one of the children, so it doesn't need fetching
+    try {
+      this.addChild(children, stats, this.readChild(document, product.asin, variations));
+    } catch (error) {
+      stats.dropped++;
+    }
+    enqueue(this.collectChildAsins(document, variations));
+
+    while (queue.length > 0 && stats.checked < this.MAX_CHILDREN && Date.now() < deadline) {
+      const batch = queue.splice(0, Math.min(this.BATCH_SIZE, this.MAX_CHILDREN - stats.checked));
+      const results = await Promise.allSettled(batch.map(asin => this.fetchChild(asin)));
+
+      results.forEach((result, i) => {
+        stats.checked++;
+        if (result.status === 'rejected') {
+          console.warn(`Variation ${batch[i]} could not be read:`, result.reason);
+          stats.failed++;
+          return;
+        }
+        this.addChild(children, stats, result.value.child);
+        enqueue(result.value.asins);
+      });
+
+      if (onProgress) onProgress(stats.checked, stats.checked + queue.length);
+
+      if (queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.BATCH_DELAY_MS));
+      }
+    }
+
+    if (stats.checked === stats.failed) {
+      // Nothing fetched (blocked, signed out...) - keep the swatch-level data
+      return variations;
+    }
+
+    const available = [...children.values()];
+    return {
+      ...variations,
+      validCombinations: available.map(child => child.combination),
+      children: available,
+      expansion: {
+        expandedAt: new Date().toISOString(),
+        ...stats,
+        // Children we knew about but ran out of budget for
+        skipped: queue.length
+      }
+    };
+  }
+
+  /**
+   * Child ASINs linked from a product page
+   * @param {Document} doc - Product page document
+   * @param {Object} variations - Variations extracted from the same page
+   * @returns {string[]} ASINs
+   */
+  static collectChildAsins(doc, variations) {
+    const asins = variations.dimensions.flatMap(dim => dim.values.map(v => v.asin));
+
+    // twister data maps every dimension index combination to its ASIN, when present
+    const twisterEl = doc.getElementById('twister-js-init-dpx-data');
+    if (twisterEl) {
+      try {
+        const twisterData = JSON.parse(twisterEl.textContent.trim());
+        asins.push(...Object.values(twisterData.dimensionToAsinMap || {}));
+      } catch (e) {}
+    }
+
+    return asins.filter(asin => /^[A-Z0-9]{10}$/.test(asin));
   }
 
-  static extractSpecificationsFromDoc(doc) {
-    const specs = {};
-    const specTables = doc.querySelectorAll('#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr');
-    specTables.forEach(row => {
-      const th = row.querySelector('th');
-      const td = row.querySelector('td');
-      if (th && td) {
-        specs[th.textContent.trim()] = td.textContent.trim();
-      }
-    });
-    return specs;
-  }
+  /**
+   * Fetch and read one child ASIN's page
+   * @param {string} asin - Child ASIN
+   * @returns {Promise<Object>} { child, asins } - the child offer and the ASINs its page links to
+   */
+  static async fetchChild(asin) {
+    // psc=1 makes Amazon render this exact child instead of redirecting to a default one
+    const response = await fetch(`${location.origin}/dp/${asin}?th=1&psc=1`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
 
-  static extractProductLinksFromPage() {
-    const productLinks = [];
-    const seenAsins = new Set();
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const variations = DataExtractor.extractVariationsFromDoc(doc);
 
-    const selectors = [
-      '[data-asin]:not([data-asin=""]) h2 a',
-      '[data-asin]:not([data-asin=""]) .a-link-normal[href*="/dp/"]',
-      '.zg-grid-general-faceout a[href*="/dp/"]',
-      '.zg-item-immersion a[href*="/dp/"]',
-      'a[href*="/dp/"]'
-    ];
+    return {
+      child: this.readChild(doc, asin, variations),
+      asins: this.collectChildAsins(doc, variations)
+    };
+  }
 
-    selectors.forEach(selector => {
-      const links = document.querySelectorAll(selector);
-      links.forEach(link => {
-        const href = link.getAttribute('href');
-        if (!href) return;
+  /**
+   * Read a child's offer from its page
+   * @param {Document} doc - The child's product page
+   * @param {string} asin - Child ASIN
+   * @param {Object} variations - Variations extracted from the same page
+   * @returns {Object} { asin, combination, price, available, isPrime, images }
+   */
+  static readChild(doc, asin, { dimensions }) {
+    const snapshot = ProductSnapshot.fromDocument(doc, 'amazon', DataExtractor);
+
+    // The selected swatch in each dimension is this child's value
+    const combination = {};
+    for (const dim of dimensions) {
+      const selected = dim.values.find(v => v.selected);
+      if (selected) combination[dim.name] = selected.value;
+    }
+    const complete = dimensions.length > 0 && Object.keys(combination).length === dimensions.length;
 
-        const asinMatch = href.match(/\/dp\/([A-Z0-9]{10})/);
-        if (asinMatch && !seenAsins.has(asinMatch[1])) {
-          seenAsins.add(asinMatch[1]);
-          const listingElement = link.closest('[data-asin]') || link.closest('.s-result-item') || link.closest('.zg-grid-general-faceout');
+    return {
+      asin,
+      combination: complete ? combination : null,
+      price: snapshot.price,
+      available: snapshot.available,
+      isPrime: snapshot.isPrime,
+      images: DataExtractor.extractImagesFromDoc(doc)
+    };
+  }
 
-          productLinks.push({
-            asin: asinMatch[1],
-            url: href.startsWith('http') ? href : `https://www.amazon.com${href}`,
-            element: listingElement
-          });
-        }
-      });
-    });
+  static addChild(children, stats, child) {
+    if (!child.combination || !child.available || !child.price) {
+      stats.dropped++;
+      return;
+    }
 
-    return productLinks;
+    // Two ASINs for the same combination (e.g. a renamed listing) - the first one wins
+    const key = JSON.stringify(child.combination);
+    if (!children.has(key)) {
+      children.set(key, child);
+    }
   }
 }
 
@@ -1846,10 +2088,12 @@ class ProductScraper {
   constructor() {
     this.scrapeButton = null;
     this.primeOnlyMode = false;
+    this.expandVariations = false;
   }
 
   async init() {
     this.primeOnlyMode = await StorageManager.getPrimeOnlyMode();
+    this.expandVariations = await StorageManager.getExpandVariationsMode();
     this.injectScrapeButton();
   }
 
@@ -1899,11 +2143,11 @@ class ProductScraper {
         throw new Error('Could not extract product information');
       }
 
-      const validation = Validators.validateProduct(
-        productData,
-        this.primeOnlyMode,
-        () => DataExtractor.getDeliveryDate()
-      );
+      const profile = await ValidationProfiles.getProfileFor('amazon');
+      const validation = Validators.validateProduct(productData, profile, {
+        primeOnly: this.primeOnlyMode,
+        getDeliveryDateFn: () => DataExtractor.getDeliveryDate()
+      });
 
       if (!validation.isValid) {
         // Show modal with Continue/Cancel options
@@ -1917,10 +2161,29 @@ class ProductScraper {
         // User chose to continue despite warnings
       }
 
+      if (this.expandVariations && productData.variations.hasVariations) {
+        productData.variations = await VariationExpander.expand(productData, {
+          onProgress: (checked, total) => {
+            this.scrapeButton.innerHTML = `⏳ Variations ${checked}/${total}...`;
+          }
+        });
+      }
+
       const sanitizedData = DataSanitizer.sanitizeProductData(productData);
-      await StorageManager.saveProduct(sanitizedData);
+      const { saved, screening } = await StorageManager.saveProduct(sanitizedData);
+
+      if (!saved) {
+        UIManager.showNotification(`⛔ Not saved - blocked by screening: ${screening.summary}`, 'error');
+        this.scrapeButton.innerHTML = '📦 Scrape for eBay';
+        this.scrapeButton.disabled = false;
+        return;
+      }
 
-      UIManager.showNotification('✅ Product scraped successfully!', 'success');
+      if (screening?.status === 'flagged') {
+        UIManager.showNotification(`⚠️ Saved, but flagged by screening: ${screening.summary}`, 'warning');
+      } else {
+        UIManager.showNotification('✅ Product scraped successfully!', 'success');
+      }
       this.scrapeButton.innerHTML = '✅ Scraped!';
 
       setTimeout(() => {
@@ -1957,10 +2220,12 @@ class BulkScraper {
   constructor() {
     this.scrapeButton = null;
     this.primeOnlyMode = false;
+    this.expandVariations = false;
   }
 
   async init() {
     this.primeOnlyMode = await StorageManager.getPrimeOnlyMode();
+    this.expandVariations = await StorageManager.getExpandVariationsMode();
     this.injectBulkScrapeButton();
   }
 
@@ -2000,7 +2265,7 @@ class BulkScraper {
     document.body.appendChild(this.scrapeButton);
   }
 
-  showBulkScrapeSettings() {
+  async showBulkScrapeSettings() {
     const allProducts = DataExtractor.extractProductLinksFromPage();
 
     if (allProducts.length === 0) {
@@ -2008,11 +2273,13 @@ class BulkScraper {
       return;
     }
 
-    const settingsModal = this.createSettingsModal(allProducts);
+    const profiles = await ValidationProfiles.getProfiles();
+    const selectedProfile = await ValidationProfiles.getProfileFor('amazon');
+    const settingsModal = this.createSettingsModal(allProducts, profiles, selectedProfile.id);
     document.body.appendChild(settingsModal);
   }
 
-  createSettingsModal(allProducts) {
+  createSettingsModal(allProducts, profiles, selectedProfileId) {
     const productsWithMetadata = allProducts.map(p => {
       const priceText = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z')?.textContent?.trim();
       const price = DOMHelpers.parsePrice(priceText);
@@ -2025,6 +2292,7 @@ class BulkScraper {
     const prices = productsWithPrices.map(p => p.price);
     const minPrice = prices.length > 0 ? Math.floor(Math.min(...prices)) : 0;
     const maxPrice = prices.length > 0 ? Math.ceil(Math.max(...prices)) : 100;
+    const currencySymbol = Marketplaces.symbol(Marketplaces.current().currency);
 
     const modal = document.createElement('div');
     modal.id = 'scraper-settings-modal';
@@ -2060,7 +2328,7 @@ class BulkScraper {
               style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
             <div style="display: flex; justify-content: space-between; font-size: 12px; color: #999; margin-top: 5px;">
               <span>1</span>
-              <span>${allProducts.length}</span>
+              <span id="count-max">${allProducts.length}</span>
             </div>
           </div>
         </div>
@@ -2074,7 +2342,7 @@ class BulkScraper {
           <div id="price-filter-controls" style="opacity: 1; pointer-events: auto; transition: opacity 0.3s;">
             <div style="margin-bottom: 15px;">
               <label style="display: block; color: #666; font-size: 13px; margin-bottom: 8px;">
-                Min Price: $<span id="min-price-value">${minPrice}</span>
+                Min Price: ${currencySymbol}<span id="min-price-value">${minPrice}</span>
               </label>
               <input type="range" id="min-price-slider" min="${minPrice}" max="${maxPrice}" value="${minPrice}"
                 style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
@@ -2082,7 +2350,7 @@ class BulkScraper {
 
             <div style="margin-bottom: 15px;">
               <label style="display: block; color: #666; font-size: 13px; margin-bottom: 8px;">
-                Max Price: $<span id="max-price-value">${maxPrice}</span>
+                Max Price: ${currencySymbol}<span id="max-price-value">${maxPrice}</span>
               </label>
               <input type="range" id="max-price-slider" min="${minPrice}" max="${maxPrice}" value="${maxPrice}"
                 style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
@@ -2110,6 +2378,42 @@ class BulkScraper {
           </div>
         </div>
 
+        <div style="margin-bottom: 20px; padding: 15px 20px; background: #fff7ed; border-radius: 8px; border: 2px solid #f97316;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="checkbox" id="crawl-pages" style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
+            <span style="color: #c2410c; font-weight: 600;">Crawl through pages</span>
+          </label>
+          <p style="margin: 8px 0 0 28px; font-size: 12px; color: #666;">
+            Also read the next results pages until the number to scrape is reached
+          </p>
+          <div style="margin: 10px 0 0 28px; font-size: 13px; color: #666;">
+            Read up to
+            <input type="number" id="crawl-max-pages" min="2" max="${PageCrawler.MAX_PAGES}" value="${PageCrawler.DEFAULT_MAX_PAGES}"
+              style="width: 56px; padding: 4px; border: 1px solid #ddd; border-radius: 4px;">
+            pages
+          </div>
+        </div>
+
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 10px; font-weight: 600; color: #333;">
+            Validation profile
+          </label>
+          <select id="validation-profile" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;"></select>
+          <p style="margin: 8px 0 0 0; font-size: 12px; color: #666;">
+            Products failing the profile's rules are skipped; edit profiles in the extension popup
+          </p>
+        </div>
+
+        <div style="margin-bottom: 20px; padding: 15px 20px; background: #fdf4ff; border-radius: 8px; border: 2px solid #c026d3;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="checkbox" id="expand-variations" ${this.expandVariations ? 'checked' : ''} style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
+            <span style="color: #86198f; font-weight: 600;">Expand variations</span>
+          </label>
+          <p style="margin: 8px 0 0 28px; font-size: 12px; color: #666;">
+            Fetch every color/size of a variation product for its own price and stock (slower)
+          </p>
+        </div>
+
         <div style="margin-bottom: 20px; padding: 15px 20px; background: #f0fdf4; border-radius: 8px; border: 2px solid #22c55e;">
           <label style="display: flex; align-items: center; cursor: pointer;">
             <input type="checkbox" id="auto-export" checked style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
@@ -2131,6 +2435,10 @@ class BulkScraper {
       </div>
     `;
 
+    // Profile names are user-entered, so build the options as nodes rather than markup
+    const profileSelect = modal.querySelector('#validation-profile');
+    profiles.forEach(p => profileSelect.add(new Option(p.name, p.id, false, p.id === selectedProfileId)));
+
     this.attachModalEventListeners(modal, allProducts, productsWithMetadata);
     return modal;
   }
@@ -2154,6 +2462,17 @@ class BulkScraper {
       countValue.textContent = e.target.value;
     });
 
+    // Crawling can collect more products than this page shows
+    modal.querySelector('#crawl-pages').addEventListener('change', (e) => {
+      const max = e.target.checked ? Math.max(PageCrawler.MAX_PRODUCTS, allProducts.length) : allProducts.length;
+      countSlider.max = max;
+      modal.querySelector('#count-max').textContent = max;
+      if (parseInt(countSlider.value) > max) {
+        countSlider.value = max;
+      }
+      countValue.textContent = countSlider.value;
+    });
+
     const updateFilteredCount = () => {
       const minPrice = parseInt(minPriceSlider.value);
       const maxPrice = parseInt(maxPriceSlider.value);
@@ -2215,9 +2534,19 @@ class BulkScraper {
       const maxPrice = parseInt(maxPriceSlider.value);
       const primeOnly = primeOnlyFilter.checked;
       const autoExport = modal.querySelector('#auto-export').checked;
+      const expandVariations = modal.querySelector('#expand-variations').checked;
+      const validationProfile = modal.querySelector('#validation-profile').value;
+      const crawl = modal.querySelector('#crawl-pages').checked
+        ? { maxPages: parseInt(modal.querySelector('#crawl-max-pages').value) || PageCrawler.DEFAULT_MAX_PAGES }
+        : null;
+
+      // Remembered for the next bulk run and for single-product scrapes
+      this.expandVariations = expandVariations;
+      StorageManager.setExpandVariationsMode(expandVariations);
+      ValidationProfiles.setSelectedProfile('amazon', validationProfile);
 
       modal.remove();
-      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, primeOnly, autoExport);
+      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, primeOnly, autoExport, expandVariations, validationProfile, crawl);
     });
 
     cancelBtn.addEventListener('click', () => modal.remove());
@@ -2226,7 +2555,7 @@ class BulkScraper {
     });
   }
 
-  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, primeOnly = false, autoExport = false) {
+  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, primeOnly = false, autoExport = false, expandVariations = false, validationProfile = null, crawl = null) {
     try {
       this.scrapeButton.innerHTML = '⏳ Filtering...';
       this.scrapeButton.disabled = true;
@@ -2234,13 +2563,19 @@ class BulkScraper {
 
       let productLinks = allProducts;
 
+      const inPriceRange = (p) => {
+        const priceElement = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z');
+        const priceText = priceElement?.textContent?.trim();
+        const price = DOMHelpers.parsePrice(priceText);
+        return price >= minPrice && price <= maxPrice;
+      };
+
+      if (crawl) {
+        productLinks = await this.crawlPages(allProducts, maxCount, crawl.maxPages, usePriceFilter ? inPriceRange : undefined);
+      }
+
       if (usePriceFilter) {
-        productLinks = productLinks.filter(p => {
-          const priceElement = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z');
-          const priceText = priceElement?.textContent?.trim();
-          const price = DOMHelpers.parsePrice(priceText);
-          return price >= minPrice && price <= maxPrice;
-        });
+        productLinks = productLinks.filter(inPriceRange);
       }
 
       productLinks = productLinks.slice(0, maxCount);
@@ -2249,182 +2584,167 @@ class BulkScraper {
         throw new Error('No products found matching the filter criteria');
       }
 
-      const progressUI = UIManager.createProgressIndicator(productLinks.length);
-      document.body.appendChild(progressUI);
-
-      let stopRequested = false;
-      const stopBtn = progressUI.querySelector('#stop-scraping-btn');
-      stopBtn.addEventListener('click', () => {
-        stopRequested = true;
-        stopBtn.textContent = '⏹ Stopping...';
-        stopBtn.disabled = true;
-        stopBtn.style.background = '#9ca3af';
+      // The background job queue owns the run, so it survives closing or navigating this tab
+      const response = await chrome.runtime.sendMessage({
+        action: 'CREATE_SCRAPE_JOB',
+        source: 'amazon',
+        label: document.title,
+        originUrl: window.location.href,
+        items: productLinks.map(p => ({ id: p.asin, url: p.url })),
+        options: { primeOnly, autoExport, expandVariations, validationProfile }
       });
 
-      let successCount = 0;
-      let failCount = 0;
-      let skippedCount = 0;
-      let processedCount = 0;
-
-      const BATCH_SIZE = 3;
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not queue scrape job');
+      }
 
-      for (let batchStart = 0; batchStart < productLinks.length; batchStart += BATCH_SIZE) {
-        if (stopRequested) {
-          console.log('Scraping stopped by user');
-          break;
-        }
+      this.trackJob(response.jobId, productLinks.length);
 
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, productLinks.length);
-        const batch = productLinks.slice(batchStart, batchEnd);
+    } catch (error) {
+      console.error('Bulk scraping error:', error);
+      UIManager.showNotification('❌ Error: ' + error.message, 'error');
+      const count = DOMHelpers.getVisibleProductCount();
+      this.scrapeButton.innerHTML = `📦 Scrape ${count} Items`;
+      this.scrapeButton.disabled = false;
+    }
+  }
 
-        const batchPromises = batch.map(link => this.scrapeProductFromLink(link));
-        const batchResults = await Promise.allSettled(batchPromises);
+  /**
+   * Add product links from the following results pages (PageCrawler)
+   * @param {Array} firstLinks - Links on the open page
+   * @param {number} maxCount - Products wanted
+   * @param {number} maxPages - Pages to read, counting this one
+   * @param {Function} [accept] - Links that count toward maxCount (the price filter)
+   * @returns {Promise<Array>} Links from every page read, without repeated ASINs
+   */
+  async crawlPages(firstLinks, maxCount, maxPages, accept) {
+    const { links, pages, stopReason } = await PageCrawler.crawl({
+      firstLinks,
+      maxCount,
+      maxPages,
+      accept,
+      extractLinks: (doc) => DataExtractor.extractProductLinksFromPage(doc),
+      getNextPageUrl: (doc, pageUrl) => DataExtractor.getNextPageUrl(doc, pageUrl),
+      getId: (link) => link.asin,
+      onPage: (page, found) => {
+        this.scrapeButton.innerHTML = `⏳ Page ${page} (${found} found)...`;
+      }
+    });
 
-        for (let i = 0; i < batchResults.length; i++) {
-          processedCount++;
-          UIManager.updateProgressIndicator(progressUI, processedCount, productLinks.length, successCount, failCount, skippedCount);
+    console.log(`Crawled ${pages} page(s), ${links.length} products, stopped: ${stopReason}`);
+    if (!['maxCount', 'maxPages'].includes(stopReason)) {
+      const why = stopReason === 'lastPage' ? 'no more pages' : stopReason === 'noNewProducts' ? 'no new products' : stopReason;
+      UIManager.showNotification(`📄 Read ${pages} page${pages === 1 ? '' : 's'} (${why}) - ${links.length} products found`, 'info');
+    }
 
-          const result = batchResults[i];
+    return links;
+  }
 
-          if (result.status === 'fulfilled' && result.value && result.value.title) {
-            const productData = result.value;
-            const validation = Validators.validateProductFromDoc(productData, this.primeOnlyMode);
+  // Mirror the queued job in the on-page progress indicator until it stops running
+  trackJob(jobId, total) {
+    const progressUI = UIManager.createProgressIndicator(total);
+    document.body.appendChild(progressUI);
 
-            if (validation.isValid) {
-              const sanitizedData = DataSanitizer.sanitizeProductData(productData);
+    const stopBtn = progressUI.querySelector('#stop-scraping-btn');
+    stopBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'PAUSE_SCRAPE_JOB', jobId });
+      stopBtn.textContent = '⏹ Stopping...';
+      stopBtn.disabled = true;
+      stopBtn.style.background = '#9ca3af';
+    });
 
-              try {
-                await StorageManager.saveProduct(sanitizedData);
-                successCount++;
-              } catch (error) {
-                console.warn('chrome.storage failed, using localStorage:', error);
-                StorageManager.saveToLocalStorage(sanitizedData);
-                successCount++;
-              }
-            } else {
-              skippedCount++;
-              console.log(`Skipped product ${productData.asin}:`, validation.errors.join(', '));
-            }
-          } else {
-            failCount++;
-            if (result.status === 'rejected') {
-              console.error('Error scraping product:', result.reason);
-            }
-          }
-        }
+    const onJobsChanged = (changes, namespace) => {
+      if (namespace !== 'local' || !changes.scrapeJobs) return;
 
-        if (batchEnd < productLinks.length && !stopRequested) {
-          await DOMHelpers.sleep(100);
-        }
+      const job = (changes.scrapeJobs.newValue || []).find(j => j.id === jobId);
+      if (!job) {
+        chrome.storage.onChanged.removeListener(onJobsChanged);
+        progressUI.remove();
+        this.resetScrapeButton();
+        return;
       }
 
+      const { saved, skipped, failed } = job.counts;
+      UIManager.updateProgressIndicator(progressUI, saved + skipped + failed, job.counts.total, saved, failed, skipped);
+
+      if (!['completed', 'paused', 'cancelled'].includes(job.state)) return;
+
+      chrome.storage.onChanged.removeListener(onJobsChanged);
       progressUI.remove();
 
       const resultParts = [];
-      if (stopRequested) {
-        resultParts.push(`⏸ Stopped: ${successCount} products scraped`);
+      if (job.state === 'completed') {
+        resultParts.push(`✅ Scraped ${saved} products successfully!`);
       } else {
-        resultParts.push(`✅ Scraped ${successCount} products successfully!`);
+        resultParts.push(`⏸ ${job.state === 'paused' ? 'Paused' : 'Cancelled'}: ${saved} products scraped (see Jobs tab to resume)`);
       }
 
-      if (skippedCount > 0) {
-        resultParts.push(`${skippedCount} skipped (no price/unavailable/non-Prime)`);
+      if (skipped > 0) {
+        resultParts.push(`${skipped} skipped`);
       }
-      if (failCount > 0) {
-        resultParts.push(`${failCount} failed`);
+      if (failed > 0) {
+        resultParts.push(`${failed} failed`);
       }
-
-      UIManager.showNotification(resultParts.join(' | '), stopRequested ? 'warning' : 'success');
-      this.scrapeButton.innerHTML = `✅ Scraped ${successCount}!`;
-
-      if (!stopRequested && successCount > 0 && autoExport) {
-        chrome.runtime.sendMessage({ action: 'AUTO_EXPORT_PRODUCTS', source: 'amazon' });
+      if (skipped > 0 || failed > 0) {
+        resultParts.push('see the report in the Jobs tab');
       }
 
-      setTimeout(() => {
-        const newCount = DOMHelpers.getVisibleProductCount();
-        this.scrapeButton.innerHTML = `📦 Scrape ${newCount} Items`;
-        this.scrapeButton.disabled = false;
-      }, 3000);
+      UIManager.showNotification(resultParts.join(' | '), job.state === 'completed' ? 'success' : 'warning');
 
-    } catch (error) {
-      console.error('Bulk scraping error:', error);
-      UIManager.showNotification('❌ Error: ' + error.message, 'error');
-      const count = DOMHelpers.getVisibleProductCount();
-      this.scrapeButton.innerHTML = `📦 Scrape ${count} Items`;
-      this.scrapeButton.disabled = false;
-    }
+      this.scrapeButton.innerHTML = `✅ Scraped ${saved}!`;
+      setTimeout(() => this.resetScrapeButton(), 3000);
+    };
+
+    chrome.storage.onChanged.addListener(onJobsChanged);
   }
 
-  async scrapeProductFromLink(linkData) {
-    const { asin, url } = linkData;
+  resetScrapeButton() {
+    const newCount = DOMHelpers.getVisibleProductCount();
+    this.scrapeButton.innerHTML = `📦 Scrape ${newCount} Items`;
+    this.scrapeButton.disabled = false;
+  }
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
+  // Runs inside the background tab the job queue opened for one product URL
+  async processJobItem(options = {}) {
+    const productData = DataExtractor.extractProductData();
 
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+    if (!productData.title) {
+      throw new Error('Could not extract product information');
+    }
 
-      const variations = DataExtractor.extractVariationsFromDoc(doc);
-      let images = DataExtractor.extractImagesFromDoc(doc);
+    const profile = await ValidationProfiles.getProfileFor('amazon', options.validationProfile);
+    const validation = Validators.validateProduct(productData, profile, {
+      primeOnly: !!options.primeOnly,
+      getDeliveryDateFn: () => DataExtractor.getDeliveryDate(),
+      bulk: true
+    });
 
-      // Append all colorImages for all variations (same as single scraping)
-      if (variations.hasVariations && Object.keys(variations.colorImages).length > 0) {
-        const allColorUrls = [...new Set(Object.values(variations.colorImages).flat())];
-        for (const colorUrl of allColorUrls) {
-          if (!images.includes(colorUrl) && DataExtractor._isValidImageUrl(colorUrl)) {
-            images.push(colorUrl);
-          }
-        }
-      }
-      if (variations.sizeChart && variations.sizeChart.type === 'image') {
-        images.push(variations.sizeChart.url);
-      }
-
-      const productData = {
-        asin: asin,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: DataExtractor.extractTitleFromDoc(doc),
-        price: DataExtractor.extractPriceFromDoc(doc),
-        deliveryFee: DataExtractor.extractDeliveryFeeFromDoc(doc),
-        isPrime: DataExtractor.extractPrimeEligibilityFromDoc(doc),
-        images,
-        description: DataExtractor.extractDescriptionFromDoc(doc),
-        bulletPoints: DataExtractor.extractBulletPointsFromDoc(doc),
-        specifications: DataExtractor.extractSpecificationsFromDoc(doc),
-        variations,
-        deliveryDate: DataExtractor.extractDeliveryDateFromDoc(doc),
-        source: 'amazon',
-        customizedFinalPrice: null
+    if (!validation.isValid) {
+      return {
+        status: 'skipped',
+        asin: productData.asin,
+        reason: validation.errors.join(' | '),
+        rule: validation.failedRule
       };
+    }
 
-      return productData;
+    if (options.expandVariations && productData.variations.hasVariations) {
+      productData.variations = await VariationExpander.expand(productData);
+    }
 
-    } catch (error) {
-      console.error(`Error fetching product ${asin}:`, error);
-      return {
-        asin: asin,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: `Product ${asin}`,
-        price: null,
-        deliveryFee: null,
-        isPrime: false,
-        images: [],
-        description: `Error loading details: ${error.message}`,
-        bulletPoints: [],
-        specifications: {},
-        variations: { hasVariations: false, parentAsin: null, dimensions: [], validCombinations: [], colorImages: {}, sizeChart: null },
-        deliveryDate: null,
-        source: 'amazon',
-        customizedFinalPrice: null
-      };
+    const sanitizedData = DataSanitizer.sanitizeProductData(productData);
+    const { saved, screening } = await StorageManager.saveProduct(sanitizedData);
+
+    if (!saved) {
+      return { status: 'skipped', asin: productData.asin, reason: `Blocked by screening: ${screening.summary}`, rule: 'screening' };
     }
+
+    // A flagged product is saved; the note shows in the job details
+    return {
+      status: 'saved',
+      asin: productData.asin,
+      reason: screening?.status === 'flagged' ? `Flagged by screening: ${screening.summary}` : null
+    };
   }
 }
 
@@ -2437,6 +2757,7 @@ class BulkScraper {
 /**
  * Address Importer
  * Handles importing eBay order addresses into Amazon
+ * Works on every marketplace's address form; per-country differences come from Marketplaces
  */
 
 
@@ -2702,7 +3023,7 @@ class AddressImporter {
     UIManager.showNotification(`Starting import of ${addresses.length} addresses...`, 'info');
 
     setTimeout(() => {
-      window.location.href = 'https://www.amazon.com/a/addresses/add?ref=ebay_import';
+      window.location.href = `${location.origin}/a/addresses/add?ref=ebay_import`;
     }, 1000);
   }
 
@@ -2723,7 +3044,7 @@ class AddressImporter {
 
     UIManager.showNotification(`Address saved! Loading next address...`, 'success');
     setTimeout(() => {
-      window.location.href = 'https://www.amazon.com/a/addresses/add?ref=ebay_import';
+      window.location.href = `${location.origin}/a/addresses/add?ref=ebay_import`;
     }, 1000);
   }
 
@@ -2741,7 +3062,7 @@ class AddressImporter {
       UIManager.showNotification('✅ All addresses imported successfully!', 'success');
 
       setTimeout(() => {
-        window.location.href = 'https://www.amazon.com/a/addresses';
+        window.location.href = `${location.origin}/a/addresses`;
       }, 2000);
       return;
     }
@@ -2777,24 +3098,38 @@ class AddressImporter {
         return false;
       };
 
-      const formattedPhone = DOMHelpers.formatPhoneNumber(address.phoneNumber || '');
+      const form = Marketplaces.current().address;
+
+      // The +1 formatting only fits North American numbers; other forms take the number as given
+      const formattedPhone = form.phonePrefix === '+1'
+        ? DOMHelpers.formatPhoneNumber(address.phoneNumber || '')
+        : (address.phoneNumber || '');
 
       setValue(fieldMappings.fullName, address.name || '');
       setValue(fieldMappings.phoneNumber, formattedPhone);
       setValue(fieldMappings.addressLine1, address.addressLine1 || '');
       setValue(fieldMappings.addressLine2, address.addressLine2 || '');
       setValue(fieldMappings.city, address.city || '');
-      setValue(fieldMappings.postalCode, address.postalCode || '');
+
+      if (!setValue(fieldMappings.postalCode, address.postalCode || '') && form.postalCodeSplit) {
+        this.setSplitPostalCode(address.postalCode || '', form.postalCodeSplit, setValue);
+      }
 
       const countrySelect = document.getElementById('address-ui-widgets-enterAddressFormContainer-country-dropdown-nativeId');
-      if (countrySelect && address.countryCode) {
-        countrySelect.value = address.countryCode;
+      const countryCode = address.countryCode || form.countryCode;
+      if (countrySelect && countryCode) {
+        countrySelect.value = countryCode;
         countrySelect.dispatchEvent(new Event('change', { bubbles: true }));
       }
 
-      setTimeout(() => {
-        this.setStateDropdown(address.stateOrProvince);
-      }, 300);
+      // Germany and France have no state field; the UK and Spain type it in
+      if (form.region === 'text') {
+        setValue(fieldMappings.state, address.stateOrProvince || '');
+      } else if (form.region === 'select') {
+        setTimeout(() => {
+          this.setStateDropdown(address.stateOrProvince);
+        }, 300);
+      }
 
       UIManager.showNotification(`Importing address ${current} of ${total}...`, 'info');
 
@@ -2808,6 +3143,12 @@ class AddressImporter {
     }
   }
 
+  setSplitPostalCode(postalCode, [firstLength, secondLength], setValue) {
+    const digits = postalCode.replace(/\D/g, '');
+    setValue(['address-ui-widgets-enterAddressPostalCodeOne'], digits.slice(0, firstLength));
+    setValue(['address-ui-widgets-enterAddressPostalCodeTwo'], digits.slice(firstLength, firstLength + secondLength));
+  }
+
   setStateDropdown(stateValue) {
     if (!stateValue) return;
 
@@ -2870,7 +3211,7 @@ class AddressImporter {
       if (element) {
         if (element.tagName === 'SPAN') {
           const text = element.textContent.trim().toLowerCase();
-          if (text.includes('add address') || text.includes('submit')) {
+          if (Marketplaces.strings().addAddressButton.some(label => text.includes(label))) {
             const input = element.closest('.a-button-primary')?.querySelector('input[type="submit"]');
             if (input) {
               submitBtn = input;
@@ -3793,6 +4134,189 @@ class AddressDeleter {
 
 
 
+// ========================================
+// FULFILLMENTASSISTANT MODULE
+// ========================================
+
+/**
+ * Fulfillment Assistant
+ * Walks an Amazon purchase started from the popup's Fulfill button (OrderFulfillment): sets the
+ * quantity on the product page, picks the eBay buyer's imported address at checkout and records
+ * the Amazon order number from the thank-you page. Nothing is ordered without you placing it.
+ */
+class FulfillmentAssistant {
+  constructor() {
+    this.session = null;
+    this.banner = null;
+  }
+
+  async init() {
+    this.session = await OrderFulfillment.getActive();
+    if (!this.session) return;
+
+    // Thank-you pages live under /gp/buy/ too, so they're checked first. Only a purchase that went
+    // through the order's product and address counts - any other order placed meanwhile isn't it
+    if (DOMHelpers.isOrderConfirmationPage()) {
+      if (this.session.productSeen && this.session.addressSelected) {
+        await this.recordOrderNumber();
+      } else if (this.session.productSeen) {
+        this.showBanner(`eBay order ${this.session.orderId}: if this was its purchase, enter the Amazon order number from the popup`, 'warning');
+      }
+    } else if (DOMHelpers.isCheckoutPage()) {
+      // Only steer checkouts that follow a visit to the order's product
+      if (this.session.productSeen) await this.selectAddress();
+    } else if (DOMHelpers.isProductPage() && DOMHelpers.extractASIN() === this.session.asin) {
+      await this.setQuantity();
+    }
+  }
+
+  // ===== Product page =====
+
+  async setQuantity() {
+    const { orderId, quantity } = this.session;
+    this.session = await OrderFulfillment.updateActive({ productSeen: true });
+
+    const select = SelectorPacks.first(document, 'amazon', 'productQuantity')?.element;
+    if (!select) {
+      this.showBanner(`eBay order ${orderId}: buy ${quantity} - this page has no quantity selector`, 'warning');
+      return;
+    }
+
+    const available = Math.max(0, ...[...select.options].map(option => parseInt(option.value, 10) || 0));
+    if (quantity > available) {
+      this.showBanner(`eBay order ${orderId}: needs ${quantity}, but only ${available} can be added to the cart`, 'warning');
+      return;
+    }
+
+    select.value = String(quantity);
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    this.showBanner(`eBay order ${orderId}: quantity set to ${quantity} - add to cart and check out`);
+  }
+
+  // ===== Checkout =====
+
+  async selectAddress() {
+    const { orderId, address } = this.session;
+    if (!address?.name) {
+      this.showBanner(`eBay order ${orderId} has no ship-to address - choose it yourself`, 'warning');
+      return;
+    }
+    const label = `${address.name}, ${address.postalCode || ''}`.replace(/, $/, '');
+
+    if (this.session.addressSelected) {
+      this.showBanner(`eBay order ${orderId}: shipping to ${label} - place your order`);
+      return;
+    }
+
+    // Checkout renders the address section after load
+    const found = await this.waitFor(() =>
+      SelectorPacks.first(document, 'amazon', 'checkoutAddressOption') ||
+      SelectorPacks.first(document, 'amazon', 'checkoutCurrentAddress'));
+    if (!found) {
+      this.showBanner(`eBay order ${orderId}: ship to ${label}`, 'warning');
+      return;
+    }
+
+    const options = [...document.querySelectorAll(SelectorPacks.selector('amazon', 'checkoutAddressOption'))];
+    const match = options.find(option => OrderFulfillment.matchesAddress(option.innerText, address));
+    if (match) {
+      (match.querySelector('input[type="radio"]') || match).click();
+      await DOMHelpers.sleep(500);
+      // Saved before the click, which leaves the page
+      this.session = await OrderFulfillment.updateActive({ addressSelected: true });
+      SelectorPacks.first(document, 'amazon', 'checkoutUseAddress')?.element.click();
+      this.showBanner(`eBay order ${orderId}: selected ${label} - place your order`, 'success');
+      return;
+    }
+
+    const current = SelectorPacks.first(document, 'amazon', 'checkoutCurrentAddress')?.element;
+    if (current && OrderFulfillment.matchesAddress(current.innerText, address)) {
+      this.session = await OrderFulfillment.updateActive({ addressSelected: true });
+      this.showBanner(`eBay order ${orderId}: shipping to ${label} - place your order`, 'success');
+    } else if (options.length > 0) {
+      this.showBanner(`eBay order ${orderId}: ${label} isn't in your address book - import it on the Addresses page`, 'error');
+    } else {
+      this.showBanner(`eBay order ${orderId}: click Change and choose ${label}`, 'warning');
+    }
+  }
+
+  async waitFor(find, timeout = 8000) {
+    for (let waited = 0; waited <= timeout; waited += 500) {
+      const found = find();
+      if (found) return found;
+      await DOMHelpers.sleep(500);
+    }
+    return null;
+  }
+
+  // ===== Order confirmation =====
+
+  async recordOrderNumber() {
+    const { orderId } = this.session;
+    const section = SelectorPacks.first(document, 'amazon', 'orderConfirmation')?.element || document.body;
+    const orderNumber = OrderFulfillment.findOrderNumber(section.innerText);
+    if (!orderNumber) {
+      this.showBanner(`eBay order ${orderId}: couldn't read the Amazon order number - enter it from the popup`, 'error');
+      return;
+    }
+
+    try {
+      await OrderFulfillment.setStatus(orderId, 'purchased', { supplierOrderNumber: orderNumber });
+      await OrderFulfillment.clearActive();
+      UIManager.showNotification(`✅ eBay order ${orderId} marked purchased - Amazon order ${orderNumber}`, 'success');
+    } catch (error) {
+      this.showBanner(`eBay order ${orderId}: ${error.message}`, 'error');
+    }
+  }
+
+  // ===== Banner =====
+
+  showBanner(message, type = 'info') {
+    this.banner?.remove();
+
+    this.banner = document.createElement('div');
+    this.banner.id = 'fulfillment-assistant-banner';
+    this.banner.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      z-index: 10000;
+      max-width: 380px;
+      padding: 12px 16px;
+      background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : '#3b82f6'};
+      color: white;
+      border-radius: 8px;
+      font-size: 14px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+    `;
+
+    const text = document.createElement('div');
+    text.textContent = `📦 ${message}`;
+
+    const stop = document.createElement('button');
+    stop.textContent = 'Stop assisting';
+    stop.style.cssText = `
+      margin-top: 8px;
+      padding: 4px 10px;
+      background: rgba(255, 255, 255, 0.2);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.6);
+      border-radius: 6px;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    stop.addEventListener('click', async () => {
+      await OrderFulfillment.clearActive();
+      this.banner.remove();
+    });
+
+    this.banner.append(text, stop);
+    document.body.appendChild(this.banner);
+  }
+}
+
+
+
 // ========================================
 // MAIN APPLICATION
 // ========================================
@@ -3803,10 +4327,17 @@ class AmazonScraperApp {
     this.bulkScraper = null;
     this.addressImporter = null;
     this.addressDeleter = null;
-    this.init();
+    this.fulfillmentAssistant = null;
+    this.init().catch(error => console.error('Error initializing Amazon scraper:', error));
   }
 
   async init() {
+    // Products saved while the extension was being reloaded are stuck in this site's localStorage
+    CatalogClient.recoverFallback();
+
+    // The extractors read their selectors from the selector packs
+    await SelectorPacks.load();
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.initializeFeatures());
     } else {
@@ -3833,8 +4364,59 @@ class AmazonScraperApp {
       this.addressDeleter = new AddressDeleter();
       this.addressDeleter.init();
     }
+
+    if (DOMHelpers.isOrderHistoryPage() || DOMHelpers.isOrderDetailsPage() || DOMHelpers.isPackageTrackingPage()) {
+      await this.captureSupplierOrders();
+    }
+
+    // Picks up an order fulfillment started from the popup, if there is one
+    this.fulfillmentAssistant = new FulfillmentAssistant();
+    await this.fulfillmentAssistant.init();
+  }
+
+  // Record the Amazon orders on this page and link them to the eBay orders they ship to. A page
+  // that can't be read mustn't keep the fulfillment assistant from running
+  async captureSupplierOrders() {
+    try {
+      const orders = AmazonOrderExtractor.extractOrdersFromDoc(document);
+      if (orders.length === 0) return;
+
+      const result = await SupplierOrders.capture(orders);
+      if (result.ambiguous > 0) {
+        UIManager.showNotification(`⚠️ ${result.ambiguous} Amazon order${result.ambiguous === 1 ? '' : 's'} fit more than one eBay order - enter the order number from the popup's Fulfill dialog`, 'warning');
+      } else if (result.unconfirmed > 0) {
+        UIManager.showNotification(`⚠️ ${result.unconfirmed} Amazon order${result.unconfirmed === 1 ? '' : 's'} matched an eBay buyer by name only - confirm the order in the popup's Fulfill dialog`, 'warning');
+      } else if (result.linked > 0) {
+        UIManager.showNotification(`📦 ${result.linked} Amazon order${result.linked === 1 ? '' : 's'} linked to eBay orders`, 'success');
+      }
+    } catch (error) {
+      console.error('Error capturing Amazon orders:', error);
+    }
   }
 }
 
 // Initialize the application
 new AmazonScraperApp();
+
+// Message listener for programmatic scraping (used by the background scrape job queue)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'PROCESS_SCRAPE_JOB_ITEM') {
+    SelectorPacks.load()
+      .then(() => new BulkScraper().processJobItem(message.options))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('Error scraping product in tab:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.action === 'READ_PRODUCT_SNAPSHOT') {
+    // Scheduled re-check: report the live page's price and stock without saving anything
+    SelectorPacks.load()
+      .then(() => sendResponse({ success: true, snapshot: ProductSnapshot.fromDocument(document, 'amazon', DataExtractor) }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+});
@@ -18,6 +18,12 @@ class CostcoScraperApp {
   async init() {
     console.log('Costco scraper initialized');
 
+    // Products saved while the extension was being reloaded are stuck in this site's localStorage
+    CatalogClient.recoverFallback();
+
+    // The extractors read their selectors from the selector packs
+    await SelectorPacks.load();
+
     // Wait for DOM to be ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
@@ -66,28 +72,27 @@ class CostcoScraperApp {
   }
 }
 
-// Message listener for programmatic scraping (used by bulk scraper with background tabs)
+// Message listener for programmatic scraping (used by the background scrape job queue)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'SCRAPE_PRODUCT_IN_TAB') {
-    // This is a product page opened by the bulk scraper
-    // Wait for page to fully load, then scrape and send data back
-    const scrapeAndRespond = async () => {
-      try {
-        // Wait a bit for lazy loading and JavaScript to complete
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Extract product data using the same method as single product scraping
-        const productData = CostcoDataExtractor.extractProductData();
-
-        // Send data back to the bulk scraper
-        sendResponse({ success: true, data: productData });
-      } catch (error) {
+  if (message.action === 'PROCESS_SCRAPE_JOB_ITEM') {
+    // This is a product page opened by the background scrape job queue
+    // Scrape, validate and save it, then report the outcome back to the queue
+    SelectorPacks.load()
+      .then(() => new CostcoBulkScraper().processJobItem(message.options))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
         console.error('Error scraping product in tab:', error);
         sendResponse({ success: false, error: error.message });
-      }
-    };
+      });
+
+    return true; // Keep message channel open for async response
+  }
 
-    scrapeAndRespond();
+  if (message.action === 'READ_PRODUCT_SNAPSHOT') {
+    // Scheduled re-check: report the live page's price and stock without saving anything
+    SelectorPacks.load()
+      .then(() => sendResponse({ success: true, snapshot: ProductSnapshot.fromDocument(document, 'costco', CostcoDataExtractor) }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
   }
 });
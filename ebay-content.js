@@ -14,6 +14,7 @@
     constructor() {
       this.scraper = null;
       this.bookmarks = null;
+      this.trackingUploader = null;
       this.OrderScraper = null;
       this.BulkOrderScraper = null;
       this.init();
@@ -34,17 +35,25 @@
         const bulkOrderScraperModule = await import(chrome.runtime.getURL('src/scrapers/BulkOrderScraper.js'));
         const saleScannerModule = await import(chrome.runtime.getURL('src/scrapers/EbaySaleScanner.js'));
         const sellerBookmarksModule = await import(chrome.runtime.getURL('src/scrapers/EbaySellerBookmarks.js'));
+        const orderStorageModule = await import(chrome.runtime.getURL('src/storage/OrderStorageManager.js'));
+        const trackingUploaderModule = await import(chrome.runtime.getURL('src/fulfillment/TrackingUploader.js'));
+        await SelectorPacks.load();
 
         this.OrderScraper = orderScraperModule.OrderScraper;
         this.BulkOrderScraper = bulkOrderScraperModule.BulkOrderScraper;
         this.EbaySaleScanner = saleScannerModule.EbaySaleScanner;
         this.EbaySellerBookmarks = sellerBookmarksModule.EbaySellerBookmarks;
+        this.OrderStorageManager = orderStorageModule.OrderStorageManager;
+        this.TrackingUploader = trackingUploaderModule.TrackingUploader;
         console.log('✓ Scraper modules loaded successfully');
       } catch (error) {
         console.error('❌ Failed to load scraper modules:', error);
         return;
       }
 
+      // Orders saved while the extension was being reloaded are stuck in eBay's localStorage
+      this.OrderStorageManager.recoverFromLocalStorage();
+
       // Wait for page to be ready
       if (document.readyState === 'loading') {
         console.log('Waiting for DOMContentLoaded...');
@@ -104,6 +113,13 @@
             break;
         }
 
+        // Supplier tracking goes back to eBay from the orders list or an order's own page
+        if ((pageType === 'order-details' || pageType === 'seller-hub') && !this.trackingUploader) {
+          this.trackingUploader = new this.TrackingUploader();
+          await this.trackingUploader.init(pageType === 'order-details');
+          console.log('✓ TrackingUploader initialized');
+        }
+
         // Always inject Seller Bookmarks widget on every eBay page
         if (!this.bookmarks && this.EbaySellerBookmarks) {
           this.bookmarks = new this.EbaySellerBookmarks();
@@ -210,6 +226,10 @@
         this.scraper.cleanup();
         this.scraper = null;
       }
+      if (this.trackingUploader) {
+        this.trackingUploader.cleanup();
+        this.trackingUploader = null;
+      }
       if (this.bookmarks) {
         this.bookmarks.cleanup();
         this.bookmarks = null;
@@ -229,6 +249,48 @@
     console.error('❌ ERROR: Failed to create EbayOrderScraperApp:', error);
   }
 
+  // Scheduled seller re-checks open a bookmarked store in a background tab and ask for a scan;
+  // retried bulk order runs and tracking uploads open each order page the same way
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'SCAN_SELLER_IN_TAB') {
+      Promise.all([import(chrome.runtime.getURL('src/scrapers/EbaySaleScanner.js')), SelectorPacks.load()])
+        .then(([{ EbaySaleScanner }]) => new EbaySaleScanner().scanInBackground(message.maxItems))
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => {
+          console.error('❌ Scheduled seller scan failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true; // Keep message channel open for async response
+    }
+
+    if (message.action === 'PROCESS_SCRAPE_JOB_ITEM') {
+      // "Retry Failed" on a bulk order run: this is one of its order pages, opened by the job queue
+      Promise.all([import(chrome.runtime.getURL('src/scrapers/BulkOrderScraper.js')), SelectorPacks.load()])
+        .then(([{ BulkOrderScraper }]) => new BulkOrderScraper().processJobItem(message.options))
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => {
+          console.error('❌ Error scraping order in tab:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true; // Keep message channel open for async response
+    }
+
+    if (message.action === 'UPLOAD_TRACKING_IN_TAB') {
+      // One order of a tracking upload run started on another eBay page (TrackingUploader)
+      Promise.all([import(chrome.runtime.getURL('src/fulfillment/TrackingUploader.js')), SelectorPacks.load()])
+        .then(([{ TrackingUploader }]) => new TrackingUploader().uploadInPage(message.upload))
+        .then(result => sendResponse(result))
+        .catch(error => {
+          console.error('❌ Tracking upload failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true; // Keep message channel open for async response
+    }
+  });
+
   // Handle dynamic page navigation (if eBay uses SPA navigation)
   if (ebayScraperApp) {
     let lastUrl = window.location.href;
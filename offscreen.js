@@ -0,0 +1,41 @@
+/**
+ * Offscreen document script
+ * Fetches a saved product's supplier page and reads its current price and availability
+ * with the same extract*FromDoc functions the bulk scrapers were built on
+ */
+import { DataExtractor } from './src/extractors/DataExtractor.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.action === 'EXTRACT_PRODUCT_SNAPSHOT') {
+    fetchProductSnapshot(message.url, message.source)
+      .then(snapshot => sendResponse({ success: true, snapshot }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep message channel open for async response
+  }
+});
+
+/**
+ * Fetch a product page and extract a price/stock snapshot
+ * @param {string} url - Supplier product URL
+ * @param {string} source - 'amazon' | 'yami' | 'costco'
+ * @returns {Promise<Object>} { title, price, deliveryFee, isPrime, available }
+ */
+async function fetchProductSnapshot(url, source) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  await SelectorPacks.load();
+
+  const extractor = source === 'yami' ? YamiDataExtractor
+    : source === 'costco' ? CostcoDataExtractor
+    : DataExtractor;
+
+  return ProductSnapshot.fromDocument(doc, source, extractor, Marketplaces.fromHost(new URL(url).hostname));
+}
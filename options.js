@@ -0,0 +1,163 @@
+/**
+ * Options page - View and override the selector packs (SelectorPacks)
+ * Per-field overrides are saved as soon as they're applied and reach open tabs without a reload;
+ * whole packs can be imported from and exported to JSON files.
+ */
+
+let currentSite = SelectorPacks.SITES[0];
+
+// ── Load data ─────────────────────────────────────────────────────────────────
+const siteSelect = document.getElementById('siteSelect');
+siteSelect.innerHTML = SelectorPacks.SITES
+  .map(site => `<option value="${site}">${esc(SelectorPacks.SITE_LABELS[site])}</option>`)
+  .join('');
+siteSelect.addEventListener('change', () => {
+  currentSite = siteSelect.value;
+  showNotice(null);
+  render();
+});
+
+SelectorPacks.load().then(render);
+
+// Another options tab (or an import) changed the packs
+chrome.storage.onChanged.addListener((changes, ns) => {
+  if (ns === 'local' && (changes[SelectorPacks.IMPORTED_KEY] || changes[SelectorPacks.OVERRIDES_KEY])) {
+    render();
+  }
+});
+
+// ── Render ────────────────────────────────────────────────────────────────────
+function render() {
+  const pack = SelectorPacks.pack(currentSite);
+  const list = document.getElementById('fieldList');
+  if (!pack) {
+    document.getElementById('packInfo').textContent = '';
+    list.innerHTML = '<div class="notice notice-error">The built-in pack for this site could not be loaded</div>';
+    return;
+  }
+
+  const builtin = SelectorPacks.builtin[currentSite];
+  const imported = SelectorPacks.imported[currentSite];
+  const overridden = Object.keys(SelectorPacks.overrides[currentSite] || {}).length;
+  const missing = imported ? SelectorPacks.missingFields(imported) : [];
+  document.getElementById('packInfo').textContent = [
+    pack === builtin ? `Built-in pack v${pack.version}` : `Imported pack v${pack.version} (built-in v${builtin?.version ?? '?'})`,
+    `updated ${pack.updated || 'unknown'}`,
+    imported && pack !== imported
+      ? `imported v${imported.version} ignored - ${missing.length ? `no selectors for ${missing.join(', ')}` : 'older than the built-in pack'}`
+      : null,
+    overridden ? `${overridden} field${overridden === 1 ? '' : 's'} overridden` : null
+  ].filter(Boolean).join(' · ');
+  document.getElementById('removeImportedBtn').disabled = !imported;
+
+  list.innerHTML = Object.entries(pack.fields).map(([field, entry]) => {
+    const source = SelectorPacks.source(currentSite, field);
+    const label = source === 'override' ? 'Override'
+      : source === 'imported' ? `Imported v${pack.version}`
+      : `Built-in v${pack.version}`;
+    return `
+      <div class="field-card" data-field="${esc(field)}">
+        <div class="field-head">
+          <span class="field-name">${esc(field)}</span>
+          <span class="badge badge-${source}">${label}</span>
+        </div>
+        <div class="field-note">${esc(entry.note)}</div>
+        <textarea spellcheck="false">${esc(SelectorPacks.get(currentSite, field).join('\n'))}</textarea>
+        <div class="field-actions">
+          <button class="btn btn-blue btn-small" data-action="save">Save</button>
+          <button class="btn btn-gray btn-small" data-action="reset" ${source === 'override' ? '' : 'disabled'}>Reset</button>
+          <span class="field-error"></span>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// ── Field overrides ───────────────────────────────────────────────────────────
+document.getElementById('fieldList').addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const card = button.closest('.field-card');
+  const field = card.dataset.field;
+  const errorEl = card.querySelector('.field-error');
+
+  try {
+    if (button.dataset.action === 'save') {
+      const selectors = card.querySelector('textarea').value
+        .split('\n').map(line => line.trim()).filter(Boolean);
+      if (selectors.length === 0) {
+        errorEl.textContent = 'Enter at least one selector, or use Reset';
+        return;
+      }
+      // Saving the pack's own list again isn't an override
+      const packSelectors = SelectorPacks.pack(currentSite).fields[field].selectors;
+      const same = selectors.length === packSelectors.length && selectors.every((s, i) => s === packSelectors[i]);
+      await SelectorPacks.saveOverride(currentSite, field, same ? null : selectors);
+    } else {
+      await SelectorPacks.saveOverride(currentSite, field, null);
+    }
+    render();
+  } catch (error) {
+    errorEl.textContent = error.message;
+  }
+});
+
+// ── Import ────────────────────────────────────────────────────────────────────
+document.getElementById('importBtn').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+    await SelectorPacks.importPack(pack);
+    currentSite = pack.site;
+    siteSelect.value = pack.site;
+    render();
+    const overridden = Object.keys(SelectorPacks.overrides[pack.site] || {}).length;
+    showNotice(`Imported ${SelectorPacks.SITE_LABELS[pack.site]} pack v${pack.version}` +
+      (overridden ? ` - ${overridden} field override${overridden === 1 ? '' : 's'} still apply on top of it` : ''));
+  } catch (error) {
+    showNotice(`Import failed:\n${error.message}`, true);
+  }
+});
+
+document.getElementById('removeImportedBtn').addEventListener('click', async () => {
+  if (!confirm(`Remove the imported ${SelectorPacks.SITE_LABELS[currentSite]} pack and go back to the built-in one?`)) return;
+  await SelectorPacks.removeImported(currentSite);
+  render();
+  showNotice(`Using the built-in ${SelectorPacks.SITE_LABELS[currentSite]} pack`);
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+document.getElementById('exportBtn').addEventListener('click', () => {
+  const pack = SelectorPacks.exportPack(currentSite);
+  const blob = new Blob([JSON.stringify(pack, null, 2) + '\n'], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  chrome.downloads.download({ url, filename: `selector-pack-${currentSite}-v${pack.version}-${pack.updated}.json`, saveAs: true }, () => {
+    URL.revokeObjectURL(url);
+  });
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('notice');
+  notice.innerHTML = message
+    ? `<div class="notice ${isError ? 'notice-error' : 'notice-ok'}">${esc(message)}</div>`
+    : '';
+}
+
+function esc(str) {
+  const d = document.createElement('div');
+  d.textContent = String(str || '');
+  return d.innerHTML;
+}
@@ -2,17 +2,34 @@
 
 class PopupManager {
   constructor() {
-    this.products = [];
+    this.products = [];     // Current page of the catalog
+    this.productTotal = 0;  // Products matching the filter, across all pages
+    this.catalogCount = 0;  // Products in the catalog
+    this.productPage = 0;
+    this.productSort = 'newest';
     this.orders = [];
+    this.ProfitLedger = null; // ES module, imported on first use
+    this.ledger = {};
     this.scannedItems = [];
+    this.jobs = [];
+    this.productFilter = 'all';
+    this.orderStatusFilter = 'all';
+    this.pageSize = 20;
+    this.recheckRunning = false;
+    this.pricingRules = PricingEngine.normalizeRules(null);
     this.currentTab = 'products';
     this.init();
   }
 
   init() {
+    this.loadPricingRules();
+    this.loadRecheckStatus();
     this.loadProducts();
     this.loadOrders();
     this.loadScannedItems();
+    this.loadJobs();
+    this.loadSelectorHealth();
+    this.loadRecoveryNotice();
     this.setupEventListeners();
     this.setupTabListeners();
     this.setupStorageListener();
@@ -20,12 +37,43 @@ class PopupManager {
 
   setupEventListeners() {
     document.getElementById('exportBtn').addEventListener('click', () => this.exportProducts());
+    document.getElementById('exportEbayCsvBtn').addEventListener('click', () => this.showEbayCsvExportModal());
+    document.getElementById('pricingRulesBtn').addEventListener('click', () => this.showPricingRulesModal());
+    document.getElementById('validationProfilesBtn').addEventListener('click', () => this.showValidationProfilesModal());
+    document.getElementById('screeningBtn').addEventListener('click', () => this.showScreeningModal());
+    document.getElementById('recheckBtn').addEventListener('click', () => this.toggleRecheck());
+    document.getElementById('scheduleBtn').addEventListener('click', () => this.showScheduleModal());
+    document.getElementById('productFilter').addEventListener('change', (e) => {
+      this.productFilter = e.target.value;
+      this.productPage = 0;
+      this.loadProducts();
+    });
+    document.getElementById('productSort').addEventListener('change', (e) => {
+      this.productSort = e.target.value;
+      this.productPage = 0;
+      this.loadProducts();
+    });
+    document.getElementById('prevPageBtn').addEventListener('click', () => this.goToProductPage(this.productPage - 1));
+    document.getElementById('nextPageBtn').addEventListener('click', () => this.goToProductPage(this.productPage + 1));
     document.getElementById('clearBtn').addEventListener('click', () => this.clearProducts());
+    document.getElementById('orderStatusFilter').addEventListener('change', (e) => {
+      this.orderStatusFilter = e.target.value;
+      this.renderOrders();
+    });
     document.getElementById('exportOrdersBtn').addEventListener('click', () => this.exportOrders());
     document.getElementById('clearOrdersBtn').addEventListener('click', () => this.clearOrders());
+    document.getElementById('exportPnlBtn').addEventListener('click', () => this.exportMonthlyPnl());
+    document.getElementById('pnlTaxRate').addEventListener('change', (e) => {
+      this.ProfitLedger?.saveSettings({ taxRatePercent: e.target.value });
+    });
     document.getElementById('exportScannedBtn').addEventListener('click', () => this.exportScannedItems());
     document.getElementById('clearScannedBtn').addEventListener('click', () => this.clearScannedItems());
     document.getElementById('enlargedViewBtn').addEventListener('click', () => this.showEnlargedView());
+    document.getElementById('clearFinishedJobsBtn').addEventListener('click', () => this.clearFinishedJobs());
+    document.getElementById('selectorHealthBtn').addEventListener('click', () => this.showSelectorHealth());
+    document.getElementById('selectorPacksBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('captureFixtureBtn').addEventListener('click', () => this.captureFixture());
+    document.getElementById('dismissRecoveryBtn').addEventListener('click', () => StorageRecovery.dismissNotice());
   }
 
   setupTabListeners() {
@@ -42,21 +90,47 @@ class PopupManager {
     // Listen for storage changes to auto-update the popup
     chrome.storage.onChanged.addListener((changes, namespace) => {
       if (namespace === 'local') {
-        if (changes.scrapedProducts) {
-          this.products = changes.scrapedProducts.newValue || [];
-          this.renderProducts();
-          this.updateStats();
+        if (changes[ProductCatalog.CHANGE_KEY]) {
+          this.loadProducts();
         }
         if (changes.scrapedOrders) {
           this.orders = changes.scrapedOrders.newValue || [];
           this.renderOrders();
           this.updateOrderStats();
+          this.syncLedger();
+        }
+        if (this.ProfitLedger && changes[this.ProfitLedger.LEDGER_KEY]) {
+          this.ledger = changes[this.ProfitLedger.LEDGER_KEY].newValue || {};
+          this.renderOrders();
+          this.renderProfitDashboard();
         }
         if (changes.scannedItems) {
           this.scannedItems = changes.scannedItems.newValue || [];
           this.renderScannedItems();
           this.updateScannedStats();
         }
+        if (changes.recheckStatus) {
+          this.renderRecheckStatus(changes.recheckStatus.newValue);
+        }
+        if (changes[RecheckScheduler.LOG_KEY]) {
+          this.renderScheduleLog(changes[RecheckScheduler.LOG_KEY].newValue || []);
+        }
+        if (changes[SelectorHealth.STORAGE_KEY]) {
+          this.renderSelectorHealthButton(changes[SelectorHealth.STORAGE_KEY].newValue || {});
+        }
+        if (changes.scrapeJobs) {
+          this.jobs = changes.scrapeJobs.newValue || [];
+          this.renderJobs();
+          this.updateJobStats();
+        }
+        if (changes[StorageRecovery.NOTICE_KEY]) {
+          this.renderRecoveryNotice(changes[StorageRecovery.NOTICE_KEY].newValue);
+        }
+        if (changes[PricingEngine.RULES_KEY]) {
+          this.pricingRules = PricingEngine.normalizeRules(changes[PricingEngine.RULES_KEY].newValue);
+          // Ledger amounts are converted with these rates
+          if (this.ProfitLedger) this.syncLedger();
+        }
       }
     });
   }
@@ -84,25 +158,89 @@ class PopupManager {
   }
 
   async loadProducts() {
-    chrome.storage.local.get(['scrapedProducts'], (result) => {
-      this.products = result.scrapedProducts || [];
-      this.renderProducts();
-      this.updateStats();
+    const sorts = {
+      newest: { sortBy: 'scrapedAt', direction: 'desc' },
+      oldest: { sortBy: 'scrapedAt', direction: 'asc' },
+      'price-desc': { sortBy: 'price', direction: 'desc' },
+      'price-asc': { sortBy: 'price', direction: 'asc' }
+    };
+
+    const filters = {
+      changed: (product) => product.recheck?.changed,
+      flagged: (product) => product.screening?.status === 'flagged'
+    };
+
+    const { items, total } = await ProductCatalog.query({
+      ...sorts[this.productSort],
+      offset: this.productPage * this.pageSize,
+      limit: this.pageSize,
+      filter: filters[this.productFilter] || null
     });
+
+    // A delete or clear can leave us past the last page
+    if (items.length === 0 && this.productPage > 0) {
+      this.productPage = Math.max(0, Math.ceil(total / this.pageSize) - 1);
+      return this.loadProducts();
+    }
+
+    this.products = items;
+    this.productTotal = total;
+    this.renderProducts();
+    this.renderProductPager();
+    await this.updateStats();
+  }
+
+  goToProductPage(page) {
+    const lastPage = Math.max(0, Math.ceil(this.productTotal / this.pageSize) - 1);
+    this.productPage = Math.min(lastPage, Math.max(0, page));
+    this.loadProducts();
   }
 
-  updateStats() {
-    const totalProducts = this.products.length;
-    const totalImages = this.products.reduce((sum, p) => sum + (p.images?.length || 0), 0);
+  renderProductPager() {
+    const pageCount = Math.ceil(this.productTotal / this.pageSize);
+    document.getElementById('productPager').style.display = pageCount > 1 ? 'flex' : 'none';
+    document.getElementById('pageInfo').textContent = `Page ${this.productPage + 1} of ${pageCount} · ${this.productTotal} products`;
+    document.getElementById('prevPageBtn').disabled = this.productPage === 0;
+    document.getElementById('nextPageBtn').disabled = this.productPage >= pageCount - 1;
+  }
 
-    document.getElementById('totalProducts').textContent = totalProducts;
-    document.getElementById('totalImages').textContent = totalImages;
+  async loadRecoveryNotice() {
+    this.renderRecoveryNotice(await StorageRecovery.getNotice());
+  }
+
+  // Records a content script had to leave in a site's localStorage and has since handed back
+  renderRecoveryNotice(notice) {
+    const banner = document.getElementById('recoveryNotice');
+    if (!notice) {
+      banner.classList.add('hidden');
+      return;
+    }
+
+    const parts = [];
+    if (notice.products) parts.push(`${notice.products} product${notice.products === 1 ? '' : 's'}`);
+    if (notice.orders) parts.push(`${notice.orders} order${notice.orders === 1 ? '' : 's'}`);
+
+    document.getElementById('recoveryNoticeText').textContent =
+      `Recovered ${parts.join(' and ')} saved while the extension was reloading (${notice.origins.join(', ')}).`;
+    banner.classList.remove('hidden');
+  }
+
+  async loadPricingRules() {
+    this.pricingRules = await PricingEngine.getRules();
+  }
+
+  async updateStats() {
+    const { count, images } = await ProductCatalog.getStats();
+    this.catalogCount = count;
+
+    document.getElementById('totalProducts').textContent = count;
+    document.getElementById('totalImages').textContent = images;
   }
 
   renderProducts() {
     const container = document.getElementById('productsContainer');
 
-    if (this.products.length === 0) {
+    if (this.products.length === 0 && this.productFilter === 'all') {
       container.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">🛍️</div>
@@ -114,6 +252,16 @@ class PopupManager {
 
     container.innerHTML = '';
 
+    if (this.products.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">✅</div>
+          <div class="empty-state-text">${this.productFilter === 'flagged' ? 'No products flagged by screening.' : 'No price or stock changes since the last check.'}</div>
+        </div>
+      `;
+      return;
+    }
+
     this.products.forEach((product, index) => {
       const card = this.createProductCard(product, index);
       container.appendChild(card);
@@ -128,9 +276,30 @@ class PopupManager {
       ? product.images[0]
       : 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="60" height="60"%3E%3Crect fill="%23f3f4f6" width="60" height="60"/%3E%3C/svg%3E';
 
-    const customPriceTag = product.customizedFinalPrice != null
-      ? `<span class="custom-price-badge">Custom: $${product.customizedFinalPrice}</span>`
-      : '';
+    // Final prices and the breakdown are in the pricing base currency
+    const pricing = product.pricing;
+    const baseCurrency = pricing?.currency || this.pricingRules.exchangeRates.baseCurrency;
+    const money = (n) => Marketplaces.formatMoney(n, baseCurrency);
+
+    let customPriceTag = '';
+    if (product.customizedFinalPrice != null) {
+      const finalPrice = money(PricingEngine.toNumber(product.customizedFinalPrice));
+      customPriceTag = product.manualPrice || !product.pricing
+        ? `<span class="custom-price-badge">Custom: ${finalPrice}</span>`
+        : `<span class="custom-price-badge auto-price-badge">eBay: ${finalPrice}</span>`;
+    }
+
+    const pricingBreakdown = pricing
+      ? `<div class="product-pricing">
+          Cost ${money(pricing.itemCost)}${pricing.shipping ? ` + ship ${money(pricing.shipping)}` : ''}
+          ${pricing.exchangeRate !== 1 ? `<span class="pricing-floor-note">${pricing.sourceCurrency} × ${pricing.exchangeRate}</span>` : ''}
+          · fees ${money(pricing.ebayFee + pricing.paymentFee)}
+          · profit <span class="${pricing.profit >= 0 ? 'profit-positive' : 'profit-negative'}">${money(pricing.profit)}</span> (${pricing.marginPercent}%)
+          ${pricing.floorApplied ? '<span class="pricing-floor-note">min profit</span>' : ''}
+        </div>`
+      : this.needsExchangeRate(product)
+        ? `<div class="product-pricing">No ${product.currency} → ${this.pricingRules.exchangeRates.baseCurrency} exchange rate; set one under Pricing Rules</div>`
+        : '';
 
     card.innerHTML = `
       <div class="product-header">
@@ -138,7 +307,10 @@ class PopupManager {
         <div class="product-info">
           <div class="product-title">${product.title || 'No title'}</div>
           <div class="product-price">${product.price || 'No price'} ${customPriceTag}</div>
-          <div class="product-asin">${product.source ? product.source.toUpperCase() + ' · ' : ''}${product.asin || 'N/A'}</div>
+          <div class="product-asin">${product.source ? product.source.toUpperCase() + ' · ' : ''}${product.marketplace && product.marketplace !== Marketplaces.DEFAULT_CODE ? `${product.marketplace} · ` : ''}${product.asin || 'N/A'}</div>
+          ${pricingBreakdown}
+          ${this.buildScreeningRow(product)}
+          ${this.buildRecheckRow(product)}
         </div>
       </div>
       <div class="product-actions">
@@ -153,13 +325,271 @@ class PopupManager {
     return card;
   }
 
+  needsExchangeRate(product) {
+    return this.pricingRules.enabled && !!product.price && !!product.currency &&
+      PricingEngine.getRate(product.currency, this.pricingRules.exchangeRates.baseCurrency, this.pricingRules) === null;
+  }
+
+  buildScreeningRow(product) {
+    if (product.screening?.status !== 'flagged') return '';
+
+    return `<div class="screening-row"><span class="recheck-flag">flagged</span> ${this.escapeHtml(product.screening.summary)}</div>`;
+  }
+
+  buildRecheckRow(product) {
+    const recheck = product.recheck;
+    if (!recheck) return '';
+
+    const flagLabels = {
+      price_up: () => `▲ ${recheck.changePercent}%`,
+      price_down: () => `▼ ${Math.abs(recheck.changePercent)}%`,
+      unavailable: () => 'Unavailable',
+      back_in_stock: () => 'Back in stock',
+      lost_prime: () => 'Lost Prime'
+    };
+    const goodFlags = ['price_down', 'back_in_stock'];
+
+    const flags = (recheck.flags || []).map(flag =>
+      `<span class="recheck-flag ${goodFlags.includes(flag) ? 'recheck-flag-good' : ''}">${flagLabels[flag] ? flagLabels[flag]() : flag}</span>`
+    ).join('');
+
+    const checked = recheck.status === 'error'
+      ? `<span class="recheck-checked" title="${String(recheck.error || '').replace(/"/g, '&quot;')}">check failed</span>`
+      : `<span class="recheck-checked">checked ${new Date(recheck.lastCheckedAt).toLocaleDateString()}</span>`;
+
+    return `<div class="recheck-row">${this.buildSparkline(product.priceHistory, product.currency)}${flags}${checked}</div>`;
+  }
+
+  buildSparkline(history, currency = 'USD', width = 80, height = 18) {
+    const prices = (history || []).map(h => h.price).filter(p => p != null);
+    if (prices.length < 2) return '';
+
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const range = max - min || 1;
+    const step = width / (prices.length - 1);
+
+    const points = prices.map((price, i) => {
+      const x = (i * step).toFixed(1);
+      const y = (height - 2 - ((price - min) / range) * (height - 4)).toFixed(1);
+      return `${x},${y}`;
+    }).join(' ');
+
+    const trendColor = prices[prices.length - 1] > prices[0] ? '#dc2626' : '#059669';
+
+    return `
+      <svg class="price-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <title>${Marketplaces.formatMoney(min, currency)} – ${Marketplaces.formatMoney(max, currency)} over ${prices.length} checks</title>
+        <polyline fill="none" stroke="${trendColor}" stroke-width="1.5" points="${points}"/>
+      </svg>`;
+  }
+
+  loadRecheckStatus() {
+    chrome.storage.local.get(['recheckStatus'], (result) => {
+      this.renderRecheckStatus(result.recheckStatus);
+    });
+  }
+
+  renderRecheckStatus(status) {
+    this.recheckRunning = !!status?.running;
+    const btn = document.getElementById('recheckBtn');
+
+    if (status?.running) {
+      btn.textContent = `⏹ Stop (${status.checked}/${status.total})`;
+    } else {
+      btn.textContent = 'Re-check Prices';
+      btn.title = status?.finishedAt
+        ? `Last run ${new Date(status.finishedAt).toLocaleString()}: ${status.checked} checked, ${status.changed} changed, ${status.failed} failed`
+        : '';
+    }
+  }
+
+  toggleRecheck() {
+    if (this.recheckRunning) {
+      chrome.runtime.sendMessage({ action: 'STOP_RECHECK' });
+      return;
+    }
+
+    if (this.catalogCount === 0) {
+      alert('No products to re-check');
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: 'RECHECK_PRODUCTS' }, (response) => {
+      if (!response?.success) {
+        alert('❌ ' + (response?.error || 'Could not start re-check'));
+      }
+    });
+  }
+
+  async showScheduleModal() {
+    const settings = await RecheckScheduler.getSettings();
+    const hourOptions = (selected) => Array.from({ length: 24 }, (_, h) =>
+      `<option value="${h}" ${h === selected ? 'selected' : ''}>${String(h).padStart(2, '0')}:00</option>`
+    ).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Scheduled Re-checks</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <label class="edit-checkbox">
+              <input type="checkbox" id="schedule-enabled" ${settings.enabled ? 'checked' : ''}>
+              Re-check automatically in the background
+            </label>
+            <div class="edit-label-note">Pages open in background tabs. The icon badge counts products that changed plus seller listings with new sales.</div>
+          </div>
+          <div class="edit-section">
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">Every (hours)</label>
+                <input class="edit-input" id="schedule-interval" type="number" min="1" max="168" value="${settings.intervalHours}">
+              </div>
+              <div class="edit-field">
+                <label class="edit-label">Tabs at once</label>
+                <input class="edit-input" id="schedule-concurrency" type="number" min="1" max="5" value="${settings.maxConcurrentTabs}">
+              </div>
+            </div>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-checkbox">
+                  <input type="checkbox" id="schedule-products" ${settings.checkProducts ? 'checked' : ''}>
+                  Saved products
+                </label>
+              </div>
+              <div class="edit-field">
+                <label class="edit-checkbox">
+                  <input type="checkbox" id="schedule-sellers" ${settings.checkSellers ? 'checked' : ''}>
+                  Bookmarked sellers
+                </label>
+              </div>
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">Listings per seller</label>
+              <input class="edit-input" id="schedule-seller-max" type="number" min="10" max="9999" value="${settings.sellerMaxItems}">
+            </div>
+          </div>
+          <div class="edit-section">
+            <label class="edit-checkbox">
+              <input type="checkbox" id="schedule-quiet-enabled" ${settings.quietHoursEnabled ? 'checked' : ''}>
+              Quiet hours (no runs)
+            </label>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">From</label>
+                <select class="edit-input" id="schedule-quiet-start">${hourOptions(settings.quietStart)}</select>
+              </div>
+              <div class="edit-field">
+                <label class="edit-label">Until</label>
+                <select class="edit-input" id="schedule-quiet-end">${hourOptions(settings.quietEnd)}</select>
+              </div>
+            </div>
+          </div>
+          <div class="edit-section">
+            <div class="edit-section-title">Run Log</div>
+            <div id="scheduleRunLog"></div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnSaveSchedule">Save</button>
+          <button class="btn-visit" id="btnRunScheduleNow">Run Now</button>
+          <button class="btn-modal-close" id="btnCancelSchedule">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.renderScheduleLog(await RecheckScheduler.getRunLog());
+
+    // Opening the log counts as seeing what needed attention
+    chrome.runtime.sendMessage({ action: 'CLEAR_SCHEDULE_BADGE' });
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#btnCancelSchedule').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    modal.querySelector('#btnRunScheduleNow').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'RUN_SCHEDULED_RECHECK' }, (response) => {
+        if (!response?.success) {
+          alert('❌ ' + (response?.error || 'Could not start re-check'));
+        }
+      });
+    });
+
+    modal.querySelector('#btnSaveSchedule').addEventListener('click', () => {
+      const value = (id) => modal.querySelector(`#${id}`).value;
+      const checked = (id) => modal.querySelector(`#${id}`).checked;
+
+      const updated = {
+        enabled: checked('schedule-enabled'),
+        intervalHours: value('schedule-interval'),
+        maxConcurrentTabs: value('schedule-concurrency'),
+        checkProducts: checked('schedule-products'),
+        checkSellers: checked('schedule-sellers'),
+        sellerMaxItems: value('schedule-seller-max'),
+        quietHoursEnabled: checked('schedule-quiet-enabled'),
+        quietStart: value('schedule-quiet-start'),
+        quietEnd: value('schedule-quiet-end')
+      };
+
+      // The background worker owns the alarm, so it saves and reschedules
+      chrome.runtime.sendMessage({ action: 'SAVE_SCHEDULE_SETTINGS', settings: updated }, (response) => {
+        if (!response?.success) {
+          alert('❌ ' + (response?.error || 'Could not save schedule'));
+          return;
+        }
+        closeModal();
+      });
+    });
+  }
+
+  renderScheduleLog(log) {
+    const container = document.getElementById('scheduleRunLog');
+    if (!container) return;
+
+
+    if (log.length === 0) {
+      container.innerHTML = '<div class="edit-label-note">No runs yet.</div>';
+      return;
+    }
+
+    container.innerHTML = log.map(entry => {
+      const parts = [];
+      if (entry.products) {
+        parts.push(`Products: ${entry.products.checked}/${entry.products.total} checked, ${entry.products.changed} changed, ${entry.products.failed} failed${entry.products.quietHoursReached ? ' (stopped for quiet hours)' : ''}`);
+      }
+      if (entry.sellers) {
+        parts.push(`Sellers: ${entry.sellers.checked}/${entry.sellers.total} scanned, ${entry.sellers.newListings} new, ${entry.sellers.soldIncreases} with new sales, ${entry.sellers.endedListings || 0} ended, ${entry.sellers.priceChanges || 0} price changes${entry.sellers.failed ? `, ${entry.sellers.failed} failed` : ''}${entry.sellers.quietHoursReached ? ' (stopped for quiet hours)' : ''}`);
+      }
+
+      return `
+        <div class="job-item-row">
+          <div class="schedule-run-status schedule-run-status-${entry.status}">${entry.status}</div>
+          <div class="job-item-info">
+            <div>
+              ${new Date(entry.startedAt).toLocaleString()} · ${entry.trigger}
+              ${entry.attention > 0 ? `<span class="schedule-run-attention">· ${entry.attention} need attention</span>` : ''}
+            </div>
+            ${parts.map(part => `<div class="job-item-error">${this.escapeHtml(part)}</div>`).join('')}
+            ${entry.error ? `<div class="job-item-error">${this.escapeHtml(entry.error)}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
   editProduct(index) {
     const product = this.products[index];
     this.showEditModal(product, index);
   }
 
   showEditModal(product, index) {
-    const escapeHtml = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 
     const bulletPointsText = Array.isArray(product.bulletPoints)
       ? product.bulletPoints.join('\n')
@@ -185,16 +615,16 @@ class PopupManager {
             <div class="edit-section-title">Basic Info</div>
             <div class="edit-field">
               <label class="edit-label">Title</label>
-              <input class="edit-input" id="edit-title" type="text" value="${escapeHtml(product.title)}">
+              <input class="edit-input" id="edit-title" type="text" value="${this.escapeHtml(product.title)}">
             </div>
             <div class="edit-row">
               <div class="edit-field">
                 <label class="edit-label">ID / ASIN</label>
-                <input class="edit-input" id="edit-asin" type="text" value="${escapeHtml(product.asin)}">
+                <input class="edit-input" id="edit-asin" type="text" value="${this.escapeHtml(product.asin)}">
               </div>
               <div class="edit-field">
                 <label class="edit-label">Source</label>
-                <input class="edit-input" id="edit-source" type="text" value="${escapeHtml(product.source)}" readonly style="background:#f3f4f6; color:#6b7280;">
+                <input class="edit-input" id="edit-source" type="text" value="${this.escapeHtml(product.source)}" readonly style="background:#f3f4f6; color:#6b7280;">
               </div>
             </div>
           </div>
@@ -204,18 +634,18 @@ class PopupManager {
             <div class="edit-row">
               <div class="edit-field">
                 <label class="edit-label">Price (scraped)</label>
-                <input class="edit-input" id="edit-price" type="text" value="${escapeHtml(product.price)}" placeholder="e.g. $12.99">
+                <input class="edit-input" id="edit-price" type="text" value="${this.escapeHtml(product.price)}" placeholder="e.g. $12.99">
               </div>
               <div class="edit-field">
                 <label class="edit-label">Delivery Fee</label>
-                <input class="edit-input" id="edit-deliveryFee" type="text" value="${escapeHtml(product.deliveryFee)}" placeholder="e.g. $5.99">
+                <input class="edit-input" id="edit-deliveryFee" type="text" value="${this.escapeHtml(product.deliveryFee)}" placeholder="e.g. $5.99">
               </div>
             </div>
             <div class="edit-field">
-              <label class="edit-label edit-label-highlight">Customized Final Price <span class="edit-label-note">(overrides multiplier in listing app)</span></label>
+              <label class="edit-label edit-label-highlight">Customized Final Price <span class="edit-label-note">(filled by pricing rules; enter a different value to override)</span></label>
               <input class="edit-input edit-input-highlight" id="edit-customizedFinalPrice" type="number" step="0.01" min="0"
                 value="${product.customizedFinalPrice != null ? product.customizedFinalPrice : ''}"
-                placeholder="Leave blank to use default pricing strategy">
+                placeholder="Leave blank to use pricing rules">
             </div>
           </div>
 
@@ -223,21 +653,21 @@ class PopupManager {
             <div class="edit-section-title">Description</div>
             <div class="edit-field">
               <label class="edit-label">Description</label>
-              <textarea class="edit-textarea" id="edit-description" rows="4">${escapeHtml(product.description)}</textarea>
+              <textarea class="edit-textarea" id="edit-description" rows="4">${this.escapeHtml(product.description)}</textarea>
             </div>
           </div>
 
           <div class="edit-section">
             <div class="edit-section-title">Bullet Points <span class="edit-label-note">(one per line)</span></div>
             <div class="edit-field">
-              <textarea class="edit-textarea" id="edit-bulletPoints" rows="5">${escapeHtml(bulletPointsText)}</textarea>
+              <textarea class="edit-textarea" id="edit-bulletPoints" rows="5">${this.escapeHtml(bulletPointsText)}</textarea>
             </div>
           </div>
 
           <div class="edit-section">
             <div class="edit-section-title">Specifications <span class="edit-label-note">(key: value, one per line)</span></div>
             <div class="edit-field">
-              <textarea class="edit-textarea" id="edit-specifications" rows="5">${escapeHtml(specsText)}</textarea>
+              <textarea class="edit-textarea" id="edit-specifications" rows="5">${this.escapeHtml(specsText)}</textarea>
             </div>
           </div>
 
@@ -246,7 +676,7 @@ class PopupManager {
               Raw JSON <span class="json-toggle-arrow">▶</span>
             </div>
             <div class="json-preview-wrap" id="jsonPreviewWrap" style="display:none;">
-              <pre class="json-display" id="jsonPreview">${escapeHtml(JSON.stringify(product, null, 2))}</pre>
+              <pre class="json-display" id="jsonPreview">${this.escapeHtml(JSON.stringify(product, null, 2))}</pre>
             </div>
           </div>
 
@@ -287,14 +717,14 @@ class PopupManager {
     });
 
     // Save
-    modal.querySelector('#btnSaveEdit').addEventListener('click', () => {
+    modal.querySelector('#btnSaveEdit').addEventListener('click', async () => {
       const updated = this._buildUpdatedProduct(modal, product);
-      this.products[index] = updated;
-      chrome.storage.local.set({ scrapedProducts: this.products }, () => {
-        this.renderProducts();
-        this.updateStats();
-        closeModal();
-      });
+      // The ID is the catalog key, so an edited ID replaces the old record
+      if (updated.asin !== product.asin) {
+        await ProductCatalog.delete(product.asin);
+      }
+      await ProductCatalog.putMany([updated]);
+      closeModal();
     });
   }
 
@@ -330,17 +760,24 @@ class PopupManager {
     const cfpRaw = get('edit-customizedFinalPrice').trim();
     const customizedFinalPrice = cfpRaw !== '' ? parseFloat(cfpRaw) : null;
 
-    return {
+    // Any price other than the one the rules produced counts as a manual override
+    const isRulePrice = !!original.pricing && !original.manualPrice && customizedFinalPrice === original.customizedFinalPrice;
+    const manualPrice = customizedFinalPrice != null && !isRulePrice;
+
+    const updated = {
       ...original,
       title: get('edit-title') || original.title,
       asin: get('edit-asin') || original.asin,
       price: get('edit-price') || original.price,
       deliveryFee: get('edit-deliveryFee') !== undefined ? get('edit-deliveryFee') : original.deliveryFee,
       customizedFinalPrice,
+      manualPrice,
       description: get('edit-description') || original.description,
       bulletPoints,
       specifications,
     };
+
+    return PricingEngine.applyToProduct(updated, this.pricingRules);
   }
 
   _refreshJsonPreview(modal, original, index) {
@@ -349,26 +786,23 @@ class PopupManager {
     if (pre) pre.textContent = JSON.stringify(current, null, 2);
   }
 
-  deleteProduct(index) {
+  async deleteProduct(index) {
     if (confirm('Are you sure you want to delete this product?')) {
-      this.products.splice(index, 1);
-      chrome.storage.local.set({ scrapedProducts: this.products }, () => {
-        this.renderProducts();
-        this.updateStats();
-      });
+      await ProductCatalog.delete(this.products[index].asin);
     }
   }
 
-  exportProducts() {
-    if (this.products.length === 0) {
+  async exportProducts() {
+    const products = await ProductCatalog.getAll();
+    if (products.length === 0) {
       alert('No products to export');
       return;
     }
 
     const exportData = {
       exportedAt: new Date().toISOString(),
-      totalProducts: this.products.length,
-      products: this.products
+      totalProducts: products.length,
+      products
     };
 
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
@@ -377,36 +811,560 @@ class PopupManager {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
     const filename = `amazon-products-${timestamp}.json`;
 
-    const productCount = this.products.length;
+    const productCount = products.length;
 
     chrome.downloads.download({
       url: url,
       filename: filename,
       saveAs: true
-    }, (downloadId) => {
+    }, async (downloadId) => {
       URL.revokeObjectURL(url);
 
       // Auto-clear products after successful export
-      this.products = [];
-      chrome.storage.local.set({ scrapedProducts: [] }, () => {
-        this.renderProducts();
-        this.updateStats();
-        alert(`✅ Exported ${productCount} products to ${filename}\n\nProducts have been cleared from the list.`);
-      });
+      await ProductCatalog.clear();
+      alert(`✅ Exported ${productCount} products to ${filename}\n\nProducts have been cleared from the list.`);
     });
   }
 
-  clearProducts() {
-    if (this.products.length === 0) {
+  async showEbayCsvExportModal() {
+    if (this.catalogCount === 0) {
+      alert('No products to export');
       return;
     }
 
-    if (confirm(`Are you sure you want to clear all ${this.products.length} products?`)) {
-      this.products = [];
-      chrome.storage.local.set({ scrapedProducts: [] }, () => {
-        this.renderProducts();
-        this.updateStats();
+    const settings = await EbayListingExporter.getSettings();
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>eBay Bulk Listing CSV</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <div class="edit-section-title">Listing Defaults</div>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">Category ID</label>
+                <input class="edit-input" id="csv-categoryId" type="text" value="${this.escapeHtml(settings.categoryId)}" placeholder="e.g. 20625">
+              </div>
+              <div class="edit-field">
+                <label class="edit-label">Condition ID</label>
+                <input class="edit-input" id="csv-conditionId" type="text" value="${this.escapeHtml(settings.conditionId)}" placeholder="1000 = New">
+              </div>
+            </div>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">Quantity</label>
+                <input class="edit-input" id="csv-quantity" type="number" min="1" value="${this.escapeHtml(settings.quantity)}">
+              </div>
+              <div class="edit-field">
+                <label class="edit-label">Handling Days</label>
+                <input class="edit-input" id="csv-dispatchTimeMax" type="number" min="0" value="${this.escapeHtml(settings.dispatchTimeMax)}">
+              </div>
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">Item Location</label>
+              <input class="edit-input" id="csv-location" type="text" value="${this.escapeHtml(settings.location)}" placeholder="ZIP code or City, State">
+            </div>
+          </div>
+          <div class="edit-section">
+            <div class="edit-section-title">Business Policies <span class="edit-label-note">(profile names from Seller Hub)</span></div>
+            <div class="edit-field">
+              <label class="edit-label">Shipping Profile</label>
+              <input class="edit-input" id="csv-shippingProfile" type="text" value="${this.escapeHtml(settings.shippingProfile)}">
+            </div>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">Return Profile</label>
+                <input class="edit-input" id="csv-returnProfile" type="text" value="${this.escapeHtml(settings.returnProfile)}">
+              </div>
+              <div class="edit-field">
+                <label class="edit-label">Payment Profile</label>
+                <input class="edit-input" id="csv-paymentProfile" type="text" value="${this.escapeHtml(settings.paymentProfile)}">
+              </div>
+            </div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnDownloadCsv">Download CSV</button>
+          <button class="btn-modal-close" id="btnCancelCsv">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#btnCancelCsv').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    modal.querySelector('#btnDownloadCsv').addEventListener('click', async () => {
+      const get = (id) => modal.querySelector(`#csv-${id}`).value.trim();
+      const updated = {
+        ...settings,
+        categoryId: get('categoryId'),
+        conditionId: get('conditionId') || EbayListingExporter.DEFAULT_SETTINGS.conditionId,
+        quantity: parseInt(get('quantity')) || 1,
+        dispatchTimeMax: parseInt(get('dispatchTimeMax')) || 0,
+        location: get('location'),
+        shippingProfile: get('shippingProfile'),
+        returnProfile: get('returnProfile'),
+        paymentProfile: get('paymentProfile')
+      };
+
+      const products = await ProductCatalog.getAll();
+      if (!updated.categoryId && products.some(p => !p.ebayCategoryId)) {
+        if (!confirm('No Category ID set. eBay will reject rows without a category. Export anyway?')) return;
+      }
+
+      // Amazon UK/CA prices are converted with the exchange rates from the pricing rules
+      const { exchangeRates } = await PricingEngine.getRules();
+      const exportSettings = { ...updated, exchangeRates };
+      const unconverted = products.filter(p => p.price && EbayListingExporter.getListingPrice(p, exportSettings) === null);
+      if (unconverted.length > 0) {
+        if (!confirm(`${unconverted.length} product(s) have no exchange rate to ${updated.currency}, so their price will be blank. Set rates under Pricing Rules. Export anyway?`)) return;
+      }
+
+      await EbayListingExporter.saveSettings(updated);
+      this.exportEbayCsv(exportSettings, products);
+      closeModal();
+    });
+  }
+
+  async showPricingRulesModal() {
+    const rules = await PricingEngine.getRules();
+    const sourceLabels = { amazon: 'Amazon', yami: 'Yami', costco: 'Costco' };
+    const { baseCurrency, rates } = rules.exchangeRates;
+
+    const sourceSection = (source) => {
+      const r = rules.sources[source];
+      const field = (name, label, step = '0.01') => `
+        <div class="edit-field">
+          <label class="edit-label">${label}</label>
+          <input class="edit-input" data-source="${source}" data-rule="${name}" type="number" step="${step}" min="0" value="${r[name]}">
+        </div>`;
+
+      return `
+        <div class="edit-section">
+          <div class="edit-section-title">${sourceLabels[source]}</div>
+          <div class="edit-row">
+            ${field('markupPercent', 'Markup %', '0.1')}
+            ${field('fixedAddOn', `Fixed Add-on (${baseCurrency})`)}
+          </div>
+          <div class="edit-row">
+            ${field('ebayFeePercent', 'eBay Final Value Fee %')}
+            ${field('paymentFeePercent', 'Payment Fee %')}
+          </div>
+          <div class="edit-row">
+            ${field('perOrderFee', `Per-order Fee (${baseCurrency})`)}
+            ${field('minProfit', `Minimum Profit (${baseCurrency})`)}
+          </div>
+          <div class="edit-row">
+            <div class="edit-field">
+              <label class="edit-label">Rounding</label>
+              <select class="edit-input" data-source="${source}" data-rule="rounding">
+                ${PricingEngine.ROUNDING_OPTIONS.map(opt => `<option value="${opt}" ${r.rounding === opt ? 'selected' : ''}>${opt === 'none' ? 'None' : `Up to x${opt}`}</option>`).join('')}
+              </select>
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">Delivery Fee</label>
+              <label class="edit-checkbox">
+                <input type="checkbox" data-source="${source}" data-rule="includeDeliveryFee" ${r.includeDeliveryFee ? 'checked' : ''}>
+                Add to cost
+              </label>
+            </div>
+          </div>
+        </div>`;
+    };
+
+    const rateField = (currency) => `
+      <div class="edit-field" data-rate-field="${currency}" ${currency === baseCurrency ? 'style="display: none;"' : ''}>
+        <label class="edit-label">1 ${currency} =</label>
+        <input class="edit-input" data-rate="${currency}" type="number" step="0.0001" min="0" value="${rates[currency] ?? ''}" placeholder="No rate">
+      </div>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Pricing Rules</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <label class="edit-checkbox">
+              <input type="checkbox" id="pricing-enabled" ${rules.enabled ? 'checked' : ''}>
+              Fill Customized Final Price automatically
+            </label>
+            <div class="edit-label-note">Price = (cost × markup + add-on + per-order fee) ÷ (1 − fee %), raised to the minimum profit, then rounded up. Products with a manual price keep it.</div>
+          </div>
+          <div class="edit-section">
+            <div class="edit-section-title">Exchange Rates</div>
+            <div class="edit-row">
+              <div class="edit-field">
+                <label class="edit-label">Base Currency</label>
+                <select class="edit-input" id="pricing-baseCurrency">
+                  ${Marketplaces.CURRENCY_CODES.map(code => `<option value="${code}" ${code === baseCurrency ? 'selected' : ''}>${code}</option>`).join('')}
+                </select>
+              </div>
+            </div>
+            <div class="edit-row pricing-rates">
+              ${Marketplaces.CURRENCY_CODES.map(rateField).join('')}
+            </div>
+            <div class="edit-label-note">Costs from Amazon sites outside the base currency (UK, Canada, Europe, Japan, Australia) are converted into the base currency (in units of the base currency per 1 unit shown) before pricing. Products in a currency with no rate are left unpriced.</div>
+          </div>
+          ${Object.keys(sourceLabels).map(sourceSection).join('')}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnSavePricing">Save &amp; Reprice ${this.catalogCount} Products</button>
+          <button class="btn-modal-close" id="btnCancelPricing">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#btnCancelPricing').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    // The base currency needs no rate of its own
+    modal.querySelector('#pricing-baseCurrency').addEventListener('change', (e) => {
+      modal.querySelectorAll('[data-rate-field]').forEach(field => {
+        field.style.display = field.dataset.rateField === e.target.value ? 'none' : '';
       });
+    });
+
+    modal.querySelector('#btnSavePricing').addEventListener('click', async () => {
+      const updated = {
+        enabled: modal.querySelector('#pricing-enabled').checked,
+        exchangeRates: { baseCurrency: modal.querySelector('#pricing-baseCurrency').value, rates: {} },
+        sources: {}
+      };
+
+      modal.querySelectorAll('[data-rate]').forEach(input => {
+        const rate = parseFloat(input.value);
+        if (input.dataset.rate !== updated.exchangeRates.baseCurrency && rate > 0) {
+          updated.exchangeRates.rates[input.dataset.rate] = rate;
+        }
+      });
+
+      modal.querySelectorAll('[data-rule]').forEach(input => {
+        const { source, rule } = input.dataset;
+        updated.sources[source] = updated.sources[source] || {};
+        if (input.type === 'checkbox') {
+          updated.sources[source][rule] = input.checked;
+        } else if (rule === 'rounding') {
+          updated.sources[source][rule] = input.value;
+        } else {
+          updated.sources[source][rule] = parseFloat(input.value) || 0;
+        }
+      });
+
+      await PricingEngine.saveRules(updated);
+      this.pricingRules = PricingEngine.normalizeRules(updated);
+
+      const products = await ProductCatalog.getAll();
+      PricingEngine.applyToCatalog(products, this.pricingRules);
+      await ProductCatalog.putMany(products);
+      closeModal();
+    });
+  }
+
+  async showValidationProfilesModal() {
+    const [profiles, selection] = await Promise.all([ValidationProfiles.getProfiles(), ValidationProfiles.getSelection()]);
+    const sourceLabels = { amazon: 'Amazon', yami: 'Yami', costco: 'Costco' };
+
+    const profileSection = (profile) => {
+      const field = (name, label, step = '1') => `
+        <div class="edit-field">
+          <label class="edit-label">${label}</label>
+          <input class="edit-input" data-rule="${name}" type="number" step="${step}" min="0" value="${profile[name] ?? ''}" placeholder="Any">
+        </div>`;
+
+      return `
+        <div class="edit-section" data-profile-id="${this.escapeHtml(profile.id)}">
+          <div class="edit-row">
+            <div class="edit-field">
+              <label class="edit-label">Profile Name</label>
+              <input class="edit-input" data-rule="name" type="text" value="${this.escapeHtml(profile.name)}">
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">&nbsp;</label>
+              <button class="btn-small btn-delete" data-delete-profile>Delete Profile</button>
+            </div>
+          </div>
+          <div class="edit-row">
+            ${field('maxDeliveryDays', 'Max Delivery Days')}
+            ${field('maxBulkDeliveryDays', 'Max Delivery Days (bulk)')}
+          </div>
+          <div class="edit-row">
+            ${field('minRating', 'Min Rating (0-5)', '0.1')}
+          </div>
+          <div class="edit-row">
+            ${field('minPrice', 'Min Price (product currency)', '0.01')}
+            ${field('maxPrice', 'Max Price (product currency)', '0.01')}
+          </div>
+          <div class="edit-row">
+            ${field('minImages', 'Min Images')}
+            ${field('minBullets', 'Min Bullet Points')}
+          </div>
+          <div class="edit-field">
+            <label class="edit-label">Banned Keywords <span class="edit-label-note">(comma separated, matched in title and bullets)</span></label>
+            <input class="edit-input" data-rule="bannedKeywords" type="text" value="${this.escapeHtml(profile.bannedKeywords.join(', '))}">
+          </div>
+          <label class="edit-checkbox">
+            <input type="checkbox" data-rule="requirePrime" ${profile.requirePrime ? 'checked' : ''}>
+            Require Prime (Amazon)
+          </label>
+        </div>`;
+    };
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Validation Profiles</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <div class="edit-section-title">Single-product scrapes use</div>
+            <div class="edit-row">
+              ${Object.entries(sourceLabels).map(([source, label]) => `
+                <div class="edit-field">
+                  <label class="edit-label">${label}</label>
+                  <select class="edit-input" data-selection="${source}"></select>
+                </div>`).join('')}
+            </div>
+            <div class="edit-label-note">Bulk scrapes pick a profile in their settings dialog. Leave a number blank to turn that rule off.</div>
+          </div>
+          <div id="validationProfileList">${profiles.map(profileSection).join('')}</div>
+          <button class="btn-job" id="btnAddProfile">+ Add Profile</button>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnSaveProfiles">Save Profiles</button>
+          <button class="btn-modal-close" id="btnCancelProfiles">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const list = modal.querySelector('#validationProfileList');
+
+    // Selection dropdowns follow renames, additions and deletions before saving
+    const refreshSelects = () => {
+      const sections = [...list.querySelectorAll('[data-profile-id]')];
+      modal.querySelectorAll('[data-selection]').forEach(select => {
+        const current = select.value || selection[select.dataset.selection];
+        select.innerHTML = '';
+        sections.forEach(section => {
+          const id = section.dataset.profileId;
+          select.add(new Option(section.querySelector('[data-rule="name"]').value || id, id, false, id === current));
+        });
+      });
+    };
+
+    const bindSection = (section) => {
+      section.querySelector('[data-rule="name"]').addEventListener('input', refreshSelects);
+      section.querySelector('[data-delete-profile]').addEventListener('click', () => {
+        if (list.querySelectorAll('[data-profile-id]').length === 1) {
+          alert('Keep at least one profile');
+          return;
+        }
+        section.remove();
+        refreshSelects();
+      });
+    };
+
+    list.querySelectorAll('[data-profile-id]').forEach(bindSection);
+    refreshSelects();
+
+    modal.querySelector('#btnAddProfile').addEventListener('click', () => {
+      const profile = ValidationProfiles.normalizeProfile({ id: `profile_${Date.now()}`, name: 'New profile' });
+      list.insertAdjacentHTML('beforeend', profileSection(profile));
+      bindSection(list.lastElementChild);
+      refreshSelects();
+    });
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#btnCancelProfiles').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    modal.querySelector('#btnSaveProfiles').addEventListener('click', async () => {
+      const updated = [...list.querySelectorAll('[data-profile-id]')].map(section => {
+        const profile = { id: section.dataset.profileId };
+        section.querySelectorAll('[data-rule]').forEach(input => {
+          profile[input.dataset.rule] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return profile;
+      });
+
+      await ValidationProfiles.saveProfiles(updated);
+      for (const select of modal.querySelectorAll('[data-selection]')) {
+        await ValidationProfiles.setSelectedProfile(select.dataset.selection, select.value);
+      }
+      closeModal();
+    });
+  }
+
+  async showScreeningModal() {
+    const lists = await ProductScreener.getLists();
+
+    const entryRow = (list, entry) => `
+      <tr data-list="${list}">
+        <td><input class="edit-input" data-field="term" type="text" value="${this.escapeHtml(entry.term)}"></td>
+        <td><input type="checkbox" data-field="regex" ${entry.regex ? 'checked' : ''}></td>
+        <td>
+          <select class="edit-input" data-field="action">
+            ${ProductScreener.ACTIONS.map(action => `<option value="${action}" ${entry.action === action ? 'selected' : ''}>${action}</option>`).join('')}
+          </select>
+        </td>
+        <td><input class="edit-input" data-field="categories" type="text" value="${this.escapeHtml(entry.categories.join('; '))}" placeholder="All"></td>
+        <td><button class="btn-small btn-delete" data-remove-entry>&times;</button></td>
+      </tr>`;
+
+    const listTable = (list, title, entries) => `
+      <div class="edit-section">
+        <div class="edit-section-title">${title}</div>
+        <table class="screening-table">
+          <thead><tr><th>Term</th><th>Regex</th><th>Action</th><th>Categories</th><th></th></tr></thead>
+          <tbody data-list-body="${list}">${entries.map(entry => entryRow(list, entry)).join('')}</tbody>
+        </table>
+        <button class="btn-job" data-add-entry="${list}">+ Add</button>
+      </div>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Brand &amp; Keyword Screening</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-label-note">
+            Every scraped product is checked before it is saved. <b>block</b> keeps it out of the catalog, <b>flag</b> saves it with a warning.
+            Plain terms match whole words in any case. Categories (separated by ;) limit an entry to products whose category path contains one of them.
+            A brand found only in the title is flagged, not blocked.
+          </div>
+          <div id="screeningLists">
+            ${listTable('brand', 'Restricted Brands (VeRO)', lists.brands)}
+            ${listTable('keyword', 'Banned Keywords', lists.keywords)}
+          </div>
+          <div class="edit-section">
+            <div class="edit-section-title">Import / Export</div>
+            <textarea class="edit-input edit-textarea" id="screeningCsv" rows="4" placeholder="Paste CSV with columns list,term,regex,action,categories,note"></textarea>
+            <div class="edit-row">
+              <button class="btn-job" id="btnImportScreening">Replace Lists with CSV</button>
+              <button class="btn-job" id="btnExportScreening">Download CSV</button>
+            </div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnSaveScreening">Save Lists</button>
+          <button class="btn-modal-close" id="btnCancelScreening">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const container = modal.querySelector('#screeningLists');
+
+    const readEditor = () => {
+      const read = (list) => [...container.querySelectorAll(`tr[data-list="${list}"]`)].map(row => ({
+        term: row.querySelector('[data-field="term"]').value,
+        regex: row.querySelector('[data-field="regex"]').checked,
+        action: row.querySelector('[data-field="action"]').value,
+        categories: row.querySelector('[data-field="categories"]').value
+      }));
+      return ProductScreener.normalizeLists({ brands: read('brand'), keywords: read('keyword') });
+    };
+
+    const renderEditor = (updated) => {
+      container.innerHTML = `
+        ${listTable('brand', 'Restricted Brands (VeRO)', updated.brands)}
+        ${listTable('keyword', 'Banned Keywords', updated.keywords)}
+      `;
+    };
+
+    container.addEventListener('click', (e) => {
+      if (e.target.matches('[data-remove-entry]')) {
+        e.target.closest('tr').remove();
+      } else if (e.target.matches('[data-add-entry]')) {
+        const list = e.target.dataset.addEntry;
+        container.querySelector(`[data-list-body="${list}"]`)
+          .insertAdjacentHTML('beforeend', entryRow(list, ProductScreener.normalizeEntry({ term: '' })));
+      }
+    });
+
+    modal.querySelector('#btnImportScreening').addEventListener('click', () => {
+      try {
+        renderEditor(ProductScreener.fromCSV(modal.querySelector('#screeningCsv').value));
+      } catch (error) {
+        alert('❌ ' + error.message);
+      }
+    });
+
+    modal.querySelector('#btnExportScreening').addEventListener('click', () => {
+      const blob = new Blob([ProductScreener.toCSV(readEditor())], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      chrome.downloads.download({ url, filename: 'screening-lists.csv', saveAs: true }, () => URL.revokeObjectURL(url));
+    });
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#btnCancelScreening').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    modal.querySelector('#btnSaveScreening').addEventListener('click', async () => {
+      const updated = readEditor();
+      const invalid = [...updated.brands, ...updated.keywords].find(entry => entry.regex && !ProductScreener.toPattern(entry));
+      if (invalid) {
+        alert(`❌ Invalid regular expression: ${invalid.term}`);
+        return;
+      }
+
+      await ProductScreener.saveLists(updated);
+      closeModal();
+    });
+  }
+
+  exportEbayCsv(settings, products) {
+    const csvContent = EbayListingExporter.toCSV(products, settings);
+
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `ebay-listings-${timestamp}.csv`;
+
+    chrome.downloads.download({
+      url: url,
+      filename: filename,
+      saveAs: true
+    }, () => {
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  async clearProducts() {
+    if (this.catalogCount === 0) {
+      return;
+    }
+
+    if (confirm(`Are you sure you want to clear all ${this.catalogCount} products?`)) {
+      await ProductCatalog.clear();
     }
   }
 
@@ -417,6 +1375,94 @@ class PopupManager {
       this.orders = result.scrapedOrders || [];
       this.renderOrders();
       this.updateOrderStats();
+      this.syncLedger();
+    });
+  }
+
+  // Link new order items to supplier products and refresh the profit figures
+  async syncLedger() {
+    if (!this.ProfitLedger) {
+      ({ ProfitLedger: this.ProfitLedger } = await import('./src/ledger/ProfitLedger.js'));
+    }
+
+    const [ledger, settings, products, rules] = await Promise.all([
+      this.ProfitLedger.getLedger(),
+      this.ProfitLedger.getSettings(),
+      ProductCatalog.getAll(),
+      PricingEngine.getRules()
+    ]);
+    this.pricingRules = rules;
+    const result = this.ProfitLedger.sync(ledger, this.orders, products, settings, rules);
+
+    this.ledger = result.ledger;
+    document.getElementById('pnlTaxRate').value = settings.taxRatePercent;
+    if (result.changed) {
+      await this.ProfitLedger.saveLedger(this.ledger);
+    }
+
+    this.renderOrders();
+    this.renderProfitDashboard();
+  }
+
+  renderProfitDashboard() {
+    const months = this.ProfitLedger.summarizeByMonth(this.ledger);
+    const products = this.ProfitLedger.summarizeByProduct(this.ledger).slice(0, 5);
+
+    const now = new Date();
+    const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const thisMonth = months.find(m => m.month === currentMonth);
+    document.getElementById('monthProfit').textContent = this.formatBaseMoney(thisMonth?.netProfit || 0);
+
+    const monthSelect = document.getElementById('pnlMonth');
+    const selected = monthSelect.value;
+    monthSelect.innerHTML = months.map(m => `<option value="${m.month}">${m.month}</option>`).join('');
+    if (months.some(m => m.month === selected)) monthSelect.value = selected;
+
+    const container = document.getElementById('pnlSummary');
+    if (months.length === 0) {
+      container.innerHTML = '<div class="edit-label-note">Profit appears here once orders are scraped.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="pnl-table">
+        <tr><th>Month</th><th>Orders</th><th>Payout</th><th>Supplier</th><th>Net</th></tr>
+        ${months.slice(0, 6).map(m => `
+          <tr>
+            <td>${m.month}</td>
+            <td>${m.orders}${m.incomplete ? ` <span class="pnl-incomplete" title="Orders missing a supplier cost or an exchange rate">(${m.incomplete} ⚠)</span>` : ''}</td>
+            <td>${this.formatBaseMoney(m.payout)}</td>
+            <td>${this.formatBaseMoney(m.supplierCost + m.supplierTax + m.supplierShipping)}</td>
+            <td class="${m.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatBaseMoney(m.netProfit)}</td>
+          </tr>`).join('')}
+      </table>
+      ${products.length > 0 ? `
+        <div class="pnl-section-title">Top products</div>
+        ${products.map(p => `
+          <div class="pnl-product-row">
+            <span title="${this.escapeHtml(p.title)}">${this.escapeHtml(p.asin)} · ${this.escapeHtml(p.title)}</span>
+            <span>${p.units} sold · <span class="${p.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatBaseMoney(p.netProfit)}</span></span>
+          </div>`).join('')}` : ''}
+    `;
+  }
+
+  exportMonthlyPnl() {
+    const month = document.getElementById('pnlMonth').value;
+    if (!this.ProfitLedger || !month) {
+      alert('No orders in the profit ledger yet');
+      return;
+    }
+
+    const csvContent = this.ProfitLedger.toMonthlyCSV(this.ledger, month);
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    chrome.downloads.download({
+      url: url,
+      filename: `profit-and-loss-${month}.csv`,
+      saveAs: true
+    }, () => {
+      URL.revokeObjectURL(url);
     });
   }
 
@@ -438,11 +1484,26 @@ class PopupManager {
   renderOrders() {
     const container = document.getElementById('ordersContainer');
 
-    if (this.orders.length === 0) {
+    if (this.orders.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📦</div>
+          <div class="empty-state-text">No orders scraped yet.<br>Visit an eBay order page and click "Scrape Order for Export"</div>
+        </div>
+      `;
+      return;
+    }
+
+    // Cards keep their index in this.orders, which the card buttons act on
+    const shown = this.orders
+      .map((order, index) => ({ order, index }))
+      .filter(({ order }) => this.orderStatusFilter === 'all' || OrderTimeline.stateOf(order) === this.orderStatusFilter);
+
+    if (shown.length === 0) {
       container.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">📦</div>
-          <div class="empty-state-text">No orders scraped yet.<br>Visit an eBay order page and click "Scrape Order for Export"</div>
+          <div class="empty-state-text">No ${OrderTimeline.STATE_LABELS[this.orderStatusFilter].toLowerCase()} orders.</div>
         </div>
       `;
       return;
@@ -450,7 +1511,7 @@ class PopupManager {
 
     container.innerHTML = '';
 
-    this.orders.forEach((order, index) => {
+    shown.forEach(({ order, index }) => {
       const card = this.createOrderCard(order, index);
       container.appendChild(card);
     });
@@ -463,23 +1524,56 @@ class PopupManager {
     const firstItem = order.items?.[0] || {};
     const itemCount = order.items?.length || 0;
 
+    const entry = this.ledger[order.orderId];
+    let profitLine = '';
+    if (entry && this.ProfitLedger) {
+      const result = this.ProfitLedger.computeOrder(entry);
+      profitLine = result.complete
+        ? `<div class="product-pricing">Net profit <span class="${result.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatBaseMoney(result.netProfit)}</span>${result.marginPercent != null ? ` (${result.marginPercent}%)` : ''}</div>`
+        : `<div class="product-pricing pnl-incomplete">${this.escapeHtml(this.ledgerGap(result))}</div>`;
+    }
+
+    const status = OrderFulfillment.getStatus(order);
+    const fulfillmentLine = status
+      ? `<div class="product-asin">Fulfillment: <span class="fulfillment-status fulfillment-${status}">${OrderFulfillment.STATUS_LABELS[status]}</span>${order.fulfillment.supplierOrderNumber ? ` · supplier order ${this.escapeHtml(order.fulfillment.supplierOrderNumber)}` : ''}</div>`
+      : '';
+
+    // The latest event's date next to the state, when eBay showed one
+    const state = OrderTimeline.stateOf(order);
+    const lastEvent = (order.statusHistory || []).filter(event => event.status === state).at(-1);
+    const statusLabel = `${OrderTimeline.STATE_LABELS[state]}${lastEvent?.at ? ` ${lastEvent.at.slice(0, 10)}` : ''}`;
+
+    const tracking = order.tracking || {};
+    const trackingLine = tracking.trackingNumber
+      ? `<div class="product-asin">Tracking: ${tracking.trackingUrl
+          ? `<a href="${this.escapeHtml(tracking.trackingUrl)}" target="_blank">${this.escapeHtml(tracking.carrier)} ${this.escapeHtml(tracking.trackingNumber)}</a>`
+          : this.escapeHtml(tracking.trackingNumber)}${tracking.valid === false ? ` <span class="pnl-incomplete" title="${this.escapeHtml(tracking.problem)}">⚠ looks invalid</span>` : ''}</div>`
+      : '';
+
     card.innerHTML = `
       <div class="product-header">
         <div class="product-info" style="width: 100%;">
           <div class="product-title">Order #${order.orderId}</div>
           <div class="product-price">${order.financials?.yourEarnings || 'N/A'}</div>
-          <div class="product-asin">${itemCount} item(s) • ${order.orderDate || 'No date'}</div>
+          <div class="product-asin">${itemCount} item(s) • ${order.orderDate || 'No date'} • ${statusLabel}</div>
           ${firstItem.title ? `<div class="product-asin" style="margin-top: 4px; font-style: italic;">${firstItem.title.substring(0, 50)}...</div>` : ''}
+          ${profitLine}
+          ${fulfillmentLine}
+          ${trackingLine}
         </div>
       </div>
       <div class="product-actions">
         <button class="btn-small btn-view" data-index="${index}">View Details</button>
+        <button class="btn-small btn-fulfill" data-index="${index}">Fulfill</button>
+        <button class="btn-small btn-edit" data-index="${index}">Costs</button>
         <button class="btn-small btn-delete" data-index="${index}">Delete</button>
       </div>
     `;
 
     // Add event listeners
     card.querySelector('.btn-view').addEventListener('click', () => this.viewOrder(index));
+    card.querySelector('.btn-fulfill').addEventListener('click', () => this.showFulfillmentModal(order.orderId));
+    card.querySelector('.btn-edit').addEventListener('click', () => this.showOrderCostsModal(order.orderId));
     card.querySelector('.btn-delete').addEventListener('click', () => this.deleteOrder(index));
 
     return card;
@@ -536,9 +1630,273 @@ class PopupManager {
     }
   }
 
-  deleteOrder(index) {
+  async showOrderCostsModal(orderId) {
+    const entry = this.ledger[orderId];
+    if (!entry) return;
+
+    const [products, settings] = await Promise.all([ProductCatalog.getAll(), this.ProfitLedger.getSettings()]);
+    const currencySymbol = this.escapeHtml(Marketplaces.symbol(this.pricingRules.exchangeRates.baseCurrency));
+    const linkLabels = { sku: 'linked by SKU', title: 'linked by title', manual: 'set by hand' };
+
+    const itemSection = (item, i) => {
+      const candidates = this.ProfitLedger.findCandidates(item, products);
+      const amount = (field) => item[field] != null ? item[field] : '';
+      return `
+        <div class="edit-section" data-item="${i}">
+          <div class="edit-label">${item.quantity || 1}x ${this.escapeHtml(item.title)} · sold ${this.formatBaseMoney(item.soldPrice || 0)}</div>
+          <div class="edit-label-note">${item.linkType ? linkLabels[item.linkType] : 'not linked'}</div>
+          <div class="edit-field">
+            <label class="edit-label">Supplier product ID</label>
+            <input class="edit-input" data-field="asin" list="ledger-candidates-${i}" value="${this.escapeHtml(item.asin || '')}" placeholder="Product ID">
+            <datalist id="ledger-candidates-${i}">
+              ${candidates.map(c => `<option value="${this.escapeHtml(c.product.asin)}">${Math.round(c.score * 100)}% · ${this.escapeHtml(c.product.title)}</option>`).join('')}
+            </datalist>
+          </div>
+          <div class="edit-row">
+            <div class="edit-field">
+              <label class="edit-label">Cost (${currencySymbol})</label>
+              <input class="edit-input" data-field="supplierCost" type="number" step="0.01" min="0" value="${amount('supplierCost')}">
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">Tax (${currencySymbol})</label>
+              <input class="edit-input" data-field="supplierTax" type="number" step="0.01" min="0" value="${amount('supplierTax')}">
+            </div>
+            <div class="edit-field">
+              <label class="edit-label">Shipping (${currencySymbol})</label>
+              <input class="edit-input" data-field="supplierShipping" type="number" step="0.01" min="0" value="${amount('supplierShipping')}">
+            </div>
+          </div>
+        </div>`;
+    };
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Order #${this.escapeHtml(orderId)} Costs</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <div class="edit-label-note">
+              Sale ${this.formatBaseMoney(entry.sales)} · eBay fees ${this.formatBaseMoney(entry.fees)} · payout ${this.formatBaseMoney(entry.payout)}
+            </div>
+            <div class="edit-label" id="ledgerNetProfit"></div>
+          </div>
+          ${entry.items.map(itemSection).join('')}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-save-edit" id="btnSaveCosts">Save</button>
+          <button class="btn-modal-close">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.btn-modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Items as currently entered; anything the user touched counts as a manual link
+    const readItems = () => entry.items.map((item, i) => {
+      const section = modal.querySelector(`[data-item="${i}"]`);
+      const get = (field) => section.querySelector(`[data-field="${field}"]`).value.trim();
+      const amount = (field) => get(field) === '' ? null : PricingEngine.toNumber(get(field));
+
+      const edited = {
+        ...item,
+        asin: get('asin') || null,
+        supplierCost: amount('supplierCost'),
+        supplierTax: amount('supplierTax'),
+        supplierShipping: amount('supplierShipping')
+      };
+      const touched = ['asin', 'supplierCost', 'supplierTax', 'supplierShipping'].some(f => edited[f] !== item[f]);
+      // Costs entered by hand are in the base currency
+      return touched ? { ...edited, linkType: 'manual', rateMissing: null } : item;
+    });
+
+    const updateNetProfit = () => {
+      const result = this.ProfitLedger.computeOrder({ ...entry, items: readItems() });
+      modal.querySelector('#ledgerNetProfit').innerHTML = result.complete
+        ? `Net profit <span class="${result.netProfit >= 0 ? 'profit-positive' : 'profit-negative'}">${this.formatBaseMoney(result.netProfit)}</span>`
+        : `<span class="pnl-incomplete">${this.escapeHtml(result.missingRates.length > 0 ? this.ledgerGap(result) : 'Enter a supplier cost for every item')}</span>`;
+    };
+    updateNetProfit();
+    modal.querySelectorAll('.edit-input').forEach(input => input.addEventListener('input', updateNetProfit));
+
+    // Picking a product fills in its current supplier price
+    entry.items.forEach((item, i) => {
+      const section = modal.querySelector(`[data-item="${i}"]`);
+      section.querySelector('[data-field="asin"]').addEventListener('change', (e) => {
+        const product = products.find(p => p.asin === e.target.value.trim());
+        if (!product) return;
+
+        const linked = this.ProfitLedger.linkProduct(item, product, 'manual', settings, this.pricingRules);
+        ['supplierCost', 'supplierTax', 'supplierShipping'].forEach(field => {
+          section.querySelector(`[data-field="${field}"]`).value = linked[field] ?? '';
+        });
+        updateNetProfit();
+      });
+    });
+
+    modal.querySelector('#btnSaveCosts').addEventListener('click', async () => {
+      this.ledger[orderId] = { ...entry, items: readItems(), updatedAt: new Date().toISOString() };
+      await this.ProfitLedger.saveLedger(this.ledger);
+      closeModal();
+    });
+  }
+
+  async showFulfillmentModal(orderId) {
+    const order = this.orders.find(o => o.orderId === orderId);
+    if (!order) return;
+
+    const linked = OrderFulfillment.resolveProduct(order, this.ledger[orderId], await ProductCatalog.getAll());
+    const fulfillment = order.fulfillment || { status: null, history: [] };
+    const current = OrderFulfillment.STATUSES.indexOf(fulfillment.status);
+    const assisting = (await OrderFulfillment.getActive())?.orderId === orderId;
+    // Starting sets pending; by hand an order goes straight to purchased
+    const next = OrderFulfillment.STATUSES[Math.max(current, 0) + 1] || null;
+
+    const steps = OrderFulfillment.STATUSES.map((status, i) => {
+      const reached = fulfillment.history.find(h => h.status === status);
+      return `<div class="fulfillment-step ${i <= current ? 'done' : ''}">
+        ${OrderFulfillment.STATUS_LABELS[status]}
+        ${reached ? `<div class="edit-label-note">${new Date(reached.at).toLocaleDateString()}</div>` : ''}
+      </div>`;
+    }).join('');
+
+    const address = order.shippingAddress || {};
+    const shipTo = [address.name, address.addressLine1, address.addressLine2, address.city, address.stateOrProvince, address.postalCode]
+      .filter(Boolean).join(', ');
+
+    const productSection = linked
+      ? `<div class="edit-label">${linked.item.quantity || 1}x ${this.escapeHtml(linked.product.title)}</div>
+         <div class="edit-label-note">${this.escapeHtml(linked.product.source || 'amazon')} · ${this.escapeHtml(linked.product.asin)}${
+           (linked.product.source || 'amazon') === 'amazon' ? '' : ' · only the page is opened - set the quantity and address yourself'}</div>`
+      : '<div class="edit-label-note pnl-incomplete">No supplier product linked - click Costs to link one</div>';
+
+    const supplierTracking = TrackingNumbers.parse(fulfillment.trackingNumber);
+
+    // Amazon orders to this buyer's name that weren't linked without the user's say-so
+    const candidates = fulfillment.supplierOrderNumber ? [] : await SupplierOrders.candidatesFor(orderId);
+    const candidateList = candidates.map(record => `
+      <div class="edit-label-note">
+        ${this.escapeHtml(record.supplierOrderNumber)} · ${this.escapeHtml(record.orderDate || 'No date')} · to ${this.escapeHtml(record.shipTo?.name || '')}
+        <button class="btn-small" data-supplier-order="${this.escapeHtml(record.supplierOrderNumber)}">Use</button>
+      </div>`).join('');
+
+    // Last attempt to enter the tracking on eBay, while it's still for the current number
+    const upload = fulfillment.trackingUpload;
+    const uploadNote = upload?.trackingNumber !== fulfillment.trackingNumber ? 'Not uploaded to eBay yet'
+      : upload.status === 'uploaded' ? `Uploaded to eBay ${new Date(upload.at).toLocaleDateString()}`
+      : `eBay upload failed: ${this.escapeHtml(upload.error)}`;
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content edit-modal-content">
+        <div class="modal-header">
+          <h2>Fulfill Order #${this.escapeHtml(orderId)}</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body edit-modal-body">
+          <div class="edit-section">
+            <div class="fulfillment-steps">${steps}</div>
+          </div>
+          <div class="edit-section">
+            <label class="edit-label">Supplier product</label>
+            ${productSection}
+          </div>
+          <div class="edit-section">
+            <label class="edit-label">Ship to</label>
+            <div class="edit-label-note">${this.escapeHtml(shipTo) || 'No address on this order'}</div>
+          </div>
+          <div class="edit-section">
+            <label class="edit-label">Supplier order #</label>
+            <input class="edit-input" id="fulfillmentOrderNumber" value="${this.escapeHtml(fulfillment.supplierOrderNumber || '')}" placeholder="Filled in from the Amazon thank-you page">
+            <div class="edit-label-note pnl-incomplete" id="fulfillmentError"></div>
+            ${candidateList ? `<div class="edit-label-note">Amazon orders to the same name - confirm one if it's for this order:</div>${candidateList}` : ''}
+          </div>
+          ${fulfillment.trackingNumber ? `
+          <div class="edit-section">
+            <label class="edit-label">Supplier tracking</label>
+            <div class="edit-label-note">${this.escapeHtml(supplierTracking?.carrier || fulfillment.carrier || 'Unknown carrier')} · ${supplierTracking
+              ? `<a href="${this.escapeHtml(supplierTracking.trackingUrl)}" target="_blank">${this.escapeHtml(fulfillment.trackingNumber)}</a>`
+              : this.escapeHtml(fulfillment.trackingNumber)}</div>
+            ${supplierTracking && !supplierTracking.valid ? `<div class="edit-label-note pnl-incomplete">⚠ ${this.escapeHtml(supplierTracking.problem)}</div>` : ''}
+            ${uploadNote ? `<div class="edit-label-note">${uploadNote}</div>` : ''}
+          </div>` : ''}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-visit" id="btnStartFulfillment" ${linked && current < 1 ? '' : 'disabled'}>Open Supplier Page</button>
+          ${assisting ? '<button class="btn-visit" id="btnStopFulfillment">Stop Assisting</button>' : ''}
+          <button class="btn-save-edit" id="btnAdvanceFulfillment">${next ? `Mark ${OrderFulfillment.STATUS_LABELS[next]}` : 'Save'}</button>
+          <button class="btn-modal-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.btn-modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+    const showError = (error) => {
+      modal.querySelector('#fulfillmentError').textContent = error.message;
+    };
+
+    modal.querySelectorAll('[data-supplier-order]').forEach(button => {
+      button.addEventListener('click', () => {
+        modal.querySelector('#fulfillmentOrderNumber').value = button.dataset.supplierOrder;
+      });
+    });
+
+    modal.querySelector('#btnStartFulfillment').addEventListener('click', async () => {
+      try {
+        await OrderFulfillment.start(order, linked.item, linked.product);
+        chrome.tabs.create({ url: linked.product.url });
+        closeModal();
+      } catch (error) {
+        showError(error);
+      }
+    });
+
+    // Cancelled - the Amazon pages stop acting for this order
+    modal.querySelector('#btnStopFulfillment')?.addEventListener('click', async () => {
+      await OrderFulfillment.clearActive();
+      closeModal();
+    });
+
+    modal.querySelector('#btnAdvanceFulfillment').addEventListener('click', async () => {
+      try {
+        const supplierOrderNumber = modal.querySelector('#fulfillmentOrderNumber').value.trim() || null;
+        await OrderFulfillment.setStatus(orderId, next || fulfillment.status, { supplierOrderNumber });
+        // Bought by hand - the Amazon assistant has nothing left to do for this order
+        if ((await OrderFulfillment.getActive())?.orderId === orderId) {
+          await OrderFulfillment.clearActive();
+        }
+        closeModal();
+      } catch (error) {
+        showError(error);
+      }
+    });
+  }
+
+  async deleteOrder(index) {
     if (confirm('Are you sure you want to delete this order?')) {
-      this.orders.splice(index, 1);
+      const [removed] = this.orders.splice(index, 1);
+      if (this.ProfitLedger && this.ledger[removed.orderId]) {
+        delete this.ledger[removed.orderId];
+        await this.ProfitLedger.saveLedger(this.ledger);
+      }
       chrome.storage.local.set({ scrapedOrders: this.orders }, () => {
         this.renderOrders();
         this.updateOrderStats();
@@ -834,6 +2192,328 @@ class PopupManager {
   showEnlargedView() {
     chrome.tabs.create({ url: chrome.runtime.getURL('scanned-view.html') });
   }
+
+  // ── Bulk Scrape Jobs ──────────────────────────────────────────────────────────
+
+  loadJobs() {
+    chrome.storage.local.get(['scrapeJobs'], (result) => {
+      this.jobs = result.scrapeJobs || [];
+      this.renderJobs();
+      this.updateJobStats();
+    });
+  }
+
+  updateJobStats() {
+    const activeJobs = this.jobs.filter(j => ['queued', 'running', 'paused'].includes(j.state));
+    const remaining = activeJobs.reduce((sum, j) => sum + (j.counts?.pending || 0), 0);
+
+    document.getElementById('activeJobs').textContent = activeJobs.length;
+    document.getElementById('remainingJobUrls').textContent = remaining;
+  }
+
+  renderJobs() {
+    const container = document.getElementById('jobsContainer');
+
+    if (this.jobs.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">⏳</div>
+          <div class="empty-state-text">No bulk scrape jobs yet.<br>Start one from an Amazon, Yami or Costco category page, or an eBay orders page.</div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = '';
+
+    this.jobs.forEach(job => {
+      container.appendChild(this.createJobCard(job));
+    });
+  }
+
+  createJobCard(job) {
+    const card = document.createElement('div');
+    card.className = 'product-card';
+
+    const counts = job.counts || { total: 0, pending: 0, saved: 0, skipped: 0, failed: 0 };
+    const done = counts.total - counts.pending;
+    const percent = counts.total > 0 ? Math.round((done / counts.total) * 100) : 0;
+    const isActive = ['queued', 'running'].includes(job.state);
+    const isFinished = ['completed', 'cancelled'].includes(job.state);
+
+    const buttons = [];
+    if (isActive) buttons.push('<button class="btn-small btn-job" data-job-action="PAUSE_SCRAPE_JOB">Pause</button>');
+    if (job.state === 'paused') buttons.push('<button class="btn-small btn-edit" data-job-action="RESUME_SCRAPE_JOB">Resume</button>');
+    if (counts.failed > 0 && !isActive) buttons.push('<button class="btn-small btn-edit" data-job-action="RETRY_FAILED_SCRAPE_JOB">Retry Failed</button>');
+    buttons.push('<button class="btn-small btn-job btn-job-details">Report</button>');
+    if (!isFinished) buttons.push('<button class="btn-small btn-delete" data-job-action="CANCEL_SCRAPE_JOB">Cancel</button>');
+    if (isFinished) buttons.push('<button class="btn-small btn-delete" data-job-action="DELETE_SCRAPE_JOB">Delete</button>');
+
+    card.innerHTML = `
+      <div class="product-header">
+        <div class="product-info" style="width: 100%;">
+          <div class="product-title">${this.escapeHtml(job.label || job.originUrl || job.id)}</div>
+          <div class="product-asin">
+            ${this.escapeHtml((job.source || '').toUpperCase())} · ${new Date(job.createdAt).toLocaleString()}
+            <span class="job-state-badge job-state-${job.state}">${job.state}</span>
+          </div>
+          <div class="product-asin">
+            ${done} / ${counts.total} · ✅ ${counts.saved} saved · ⚠️ ${counts.skipped} skipped · ❌ ${counts.failed} failed
+          </div>
+          <div class="job-progress-bar"><div class="job-progress-fill" style="width: ${percent}%;"></div></div>
+        </div>
+      </div>
+      <div class="product-actions">${buttons.join('')}</div>
+    `;
+
+    card.querySelectorAll('[data-job-action]').forEach(btn => {
+      btn.addEventListener('click', () => this.sendJobAction(btn.dataset.jobAction, job.id));
+    });
+    card.querySelector('.btn-job-details').addEventListener('click', () => this.showJobDetails(job));
+
+    return card;
+  }
+
+  sendJobAction(action, jobId) {
+    if (action === 'CANCEL_SCRAPE_JOB' && !confirm('Cancel this job? URLs not scraped yet will be dropped.')) {
+      return;
+    }
+
+    // The background worker owns the job list; the popup re-renders from storage changes
+    chrome.runtime.sendMessage({ action, jobId }, (response) => {
+      if (!response?.success) {
+        alert('❌ ' + (response?.error || chrome.runtime.lastError?.message || 'Job action failed'));
+      }
+    });
+  }
+
+  showJobDetails(job) {
+    const report = RunReport.fromJob(job);
+    const canRetry = report.counts.failed > 0 && !['queued', 'running'].includes(job.state);
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Run Report</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="run-report-summary">
+            <div>${this.escapeHtml(report.label || report.originUrl || report.jobId)}</div>
+            <div class="job-item-error">
+              ${this.escapeHtml(report.source.toUpperCase())} · ${report.state}
+              ${report.startedAt ? ` · started ${new Date(report.startedAt).toLocaleString()}` : ''}
+              ${report.durationMs !== null ? ` · ${RunReport.formatDuration(report.durationMs)}` : ''}
+            </div>
+            <div>✅ ${report.counts.saved} saved · ⚠️ ${report.counts.skipped} skipped · ❌ ${report.counts.failed} failed${report.counts.pending ? ` · ${report.counts.pending} pending` : ''}</div>
+            ${report.reasons.map(r => `
+              <div class="job-item-error"><span class="job-item-status-${r.outcome}">${r.count} ${r.outcome}</span> · ${this.escapeHtml(r.reason)}</div>
+            `).join('')}
+          </div>
+          ${report.rows.map(row => `
+            <div class="job-item-row">
+              <div class="job-item-status job-item-status-${row.outcome}">${row.outcome}</div>
+              <div class="job-item-info">
+                <div>
+                  <a href="${this.escapeHtml(row.url)}" target="_blank" title="${this.escapeHtml(row.url)}">${this.escapeHtml(row.id || row.url)}</a>
+                  <span class="job-item-error">${row.durationMs !== null ? RunReport.formatDuration(row.durationMs) : ''}${row.attempts > 1 ? ` · ${row.attempts} attempts` : ''}</span>
+                </div>
+                ${row.messages.map((message, i) => `<div class="job-item-error">${i === 0 && row.rule ? `<strong>${this.escapeHtml(ValidationProfiles.RULE_LABELS[row.rule] || row.rule)}:</strong> ` : ''}${this.escapeHtml(message)}</div>`).join('')}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="modal-footer">
+          ${canRetry ? `<button class="btn-save-edit" id="btnRetryFailedRun">Retry ${report.counts.failed} Failed</button>` : ''}
+          <button class="btn-visit" id="btnReportCsv">CSV</button>
+          <button class="btn-visit" id="btnReportJson">JSON</button>
+          ${job.originUrl ? '<button class="btn-visit" id="btnOpenSourcePage">Open Source Page</button>' : ''}
+          <button class="btn-modal-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.btn-modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    const download = (content, type, extension) => {
+      const blob = new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+      chrome.downloads.download({ url, filename: RunReport.filename(report, extension), saveAs: true }, () => URL.revokeObjectURL(url));
+    };
+    modal.querySelector('#btnReportCsv').addEventListener('click', () => download(RunReport.toCSV(report), 'text/csv', 'csv'));
+    modal.querySelector('#btnReportJson').addEventListener('click', () => download(RunReport.toJSON(report), 'application/json', 'json'));
+
+    if (canRetry) {
+      modal.querySelector('#btnRetryFailedRun').addEventListener('click', () => {
+        this.sendJobAction('RETRY_FAILED_SCRAPE_JOB', job.id);
+        closeModal();
+      });
+    }
+
+    if (job.originUrl) {
+      modal.querySelector('#btnOpenSourcePage').addEventListener('click', () => {
+        chrome.tabs.create({ url: job.originUrl });
+      });
+    }
+  }
+
+  async clearFinishedJobs() {
+    const finished = this.jobs.filter(j => ['completed', 'cancelled'].includes(j.state));
+    if (finished.length === 0) return;
+
+    for (const job of finished) {
+      await chrome.runtime.sendMessage({ action: 'DELETE_SCRAPE_JOB', jobId: job.id });
+    }
+  }
+
+  // ── Selector Health ───────────────────────────────────────────────────────────
+
+  async loadSelectorHealth() {
+    this.renderSelectorHealthButton(await SelectorHealth.getHistory());
+  }
+
+  renderSelectorHealthButton(history) {
+    const warnings = SelectorHealth.evaluate(history).reduce((sum, row) => sum + row.warnings.length, 0);
+    const button = document.getElementById('selectorHealthBtn');
+    button.textContent = warnings > 0 ? `⚠️ Selector Health (${warnings})` : 'Selector Health';
+  }
+
+  /**
+   * Per-site, per-field selector health over the last 30 days (see src/health/SelectorHealth.js)
+   */
+  async showSelectorHealth() {
+    const percent = (total) => total.rate === null ? '–' : `${Math.round(total.rate * 100)}%`;
+    const rows = SelectorHealth.evaluate(await SelectorHealth.getHistory());
+    const hasData = rows.some(row => row.recent.attempts + row.baseline.attempts > 0);
+
+    const renderDays = (days) => days.map(day => {
+      if (day.attempts === 0) return `<div class="health-day empty" title="${day.day}: no pages"></div>`;
+      const rate = day.hits / day.attempts;
+      const fallback = day.hits > 0 && day.fallbackHits === day.hits ? ' fallback' : '';
+      return `<div class="health-day${fallback}" style="height: ${Math.max(5, Math.round(rate * 100))}%;" title="${day.day}: ${day.hits}/${day.attempts} found${day.fallbackHits ? `, ${day.fallbackHits} by a fallback` : ''}"></div>`;
+    }).join('');
+
+    const sites = Object.keys(SelectorHealth.SITE_FIELDS).map(site => {
+      const siteRows = rows.filter(row => row.site === site);
+      if (!siteRows.some(row => row.recent.attempts + row.baseline.attempts > 0)) return '';
+
+      return `
+        <div class="health-site">
+          <h3>${SelectorHealth.SITE_LABELS[site]}</h3>
+          ${siteRows.map(row => `
+            <div class="health-row">
+              <div class="health-field">${SelectorHealth.FIELD_LABELS[row.field]}</div>
+              <div class="health-days">${renderDays(row.days)}</div>
+              <div class="health-rates" title="Last ${SelectorHealth.RECENT_DAYS} days vs the ${SelectorHealth.HISTORY_DAYS - SelectorHealth.RECENT_DAYS} days before">
+                ${percent(row.recent)} <span>(${row.recent.attempts})</span> · was ${percent(row.baseline)}
+              </div>
+              <div class="health-strategy">${this.escapeHtml(row.topStrategy || '')}</div>
+            </div>
+            ${row.warnings.map(w => `<div class="health-warning">⚠️ ${this.escapeHtml(w.message)}</div>`).join('')}
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'product-details-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Selector Health</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="run-report-summary">
+            How often each field was found on scraped and re-checked product pages, and which selector found it most.
+            <div class="job-item-error">Green bars: found by the first-choice selector; amber: only fallbacks matched that day.</div>
+          </div>
+          ${hasData ? sites : `
+            <div class="empty-state">
+              <div class="empty-state-text">No product pages scraped or re-checked yet.</div>
+            </div>
+          `}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-delete" id="btnClearSelectorHealth">Clear History</button>
+          <button class="btn-modal-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.btn-modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+
+    modal.querySelector('#btnClearSelectorHealth').addEventListener('click', async () => {
+      if (!confirm('Clear the selector health history?')) return;
+      await SelectorHealth.clear();
+      closeModal();
+    });
+  }
+
+  // ── Test Fixtures ─────────────────────────────────────────────────────────────
+
+  /**
+   * Save the active tab's page as an extractor test fixture (see src/dev/FixtureCapture.js)
+   */
+  async captureFixture() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { action: 'CAPTURE_FIXTURE' });
+    } catch (error) {
+      alert('Open an Amazon, Yami or Costco product page, or an eBay item or order page, first.');
+      return;
+    }
+    if (!response?.success) {
+      alert(`Could not capture this page: ${response?.error || 'no response'}`);
+      return;
+    }
+
+    const { kind, filename, html } = response.fixture;
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+
+    chrome.downloads.download({
+      url: url,
+      filename: `fixtures/${kind}/${filename}`,
+      saveAs: true
+    }, () => {
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  // ── Helpers ───────────────────────────────────────────────────────────────────
+
+  // For values placed in innerHTML, text or attributes
+  escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // Profit and loss amounts are in the pricing base currency
+  formatBaseMoney(amount) {
+    return Marketplaces.formatMoney(amount, this.pricingRules.exchangeRates.baseCurrency);
+  }
+
+  // Why an order's profit can't be worked out yet (ProfitLedger.computeOrder result)
+  ledgerGap(result) {
+    return result.missingRates.length > 0
+      ? `No ${result.missingRates.join(', ')} → ${this.pricingRules.exchangeRates.baseCurrency} exchange rate; set one under Pricing Rules`
+      : 'Supplier cost missing - click Costs to link the product';
+  }
 }
 
 // Initialize popup manager
@@ -1,22 +1,62 @@
+import { SellerScanHistory } from './src/storage/SellerScanHistory.js';
+import { ProductMatcher } from './src/matching/ProductMatcher.js';
+
 let allItems = [];
+let scanHistory = {}; // { [seller]: snapshots } from SellerScanHistory
+let products = [];    // ProductCatalog, the supplier side of a match
+let matches = {};     // { [itemId]: { asin, score, confirmedAt } } from ProductMatcher
+let pricingRules = null;
 
 // ── Load data ─────────────────────────────────────────────────────────────────
-chrome.storage.local.get(['scannedItems'], (result) => {
+chrome.storage.local.get([
+  'scannedItems', SellerScanHistory.STORAGE_KEY, ProductMatcher.MATCHES_KEY, PricingEngine.RULES_KEY
+], async (result) => {
   allItems = result.scannedItems || [];
+  scanHistory = result[SellerScanHistory.STORAGE_KEY] || {};
+  products = await ProductCatalog.getAll();
+  matches = result[ProductMatcher.MATCHES_KEY] || {};
+  pricingRules = PricingEngine.normalizeRules(result[PricingEngine.RULES_KEY]);
   buildSellerFilter();
   applyAndRender();
   document.getElementById('headerSubtitle').textContent =
     `${allItems.length} items from ${new Set(allItems.map(i => i.seller).filter(Boolean)).size} sellers`;
 });
 
-chrome.storage.onChanged.addListener((changes, ns) => {
+chrome.storage.onChanged.addListener(async (changes, ns) => {
   if (ns === 'local' && changes.scannedItems) {
     allItems = changes.scannedItems.newValue || [];
     buildSellerFilter();
     applyAndRender();
   }
+  if (ns === 'local' && changes[SellerScanHistory.STORAGE_KEY]) {
+    scanHistory = changes[SellerScanHistory.STORAGE_KEY].newValue || {};
+    applyAndRender();
+  }
+  if (ns === 'local' && (changes[ProductCatalog.CHANGE_KEY] || changes[ProductMatcher.MATCHES_KEY] || changes[PricingEngine.RULES_KEY])) {
+    if (changes[ProductCatalog.CHANGE_KEY]) products = await ProductCatalog.getAll();
+    if (changes[ProductMatcher.MATCHES_KEY]) matches = changes[ProductMatcher.MATCHES_KEY].newValue || {};
+    if (changes[PricingEngine.RULES_KEY]) pricingRules = PricingEngine.normalizeRules(changes[PricingEngine.RULES_KEY].newValue);
+    applyAndRender();
+  }
 });
 
+// Confirmed supplier product and estimated margin at the competitor's price
+function getMatch(item) {
+  const match = matches[item.itemId];
+  if (!match) return null;
+  const product = products.find(p => p.asin === match.asin);
+  return {
+    ...match,
+    product: product || null,
+    margin: product ? ProductMatcher.estimateMargin(item, product, pricingRules) : null
+  };
+}
+
+// Velocity, new/ended and price change for an item, from its seller's scan snapshots
+function getTrend(item) {
+  return SellerScanHistory.getItemTrend(scanHistory[item.seller], item.itemId);
+}
+
 // ── Seller filter dropdown ─────────────────────────────────────────────────────
 function buildSellerFilter() {
   const sel = document.getElementById('sellerFilter');
@@ -45,8 +85,15 @@ function applyAndRender() {
     (!seller || item.seller === seller)
   );
 
+  // Trending needs the velocity of every row, so work it out once per render
+  const trends = new Map(filtered.map(item => [item, getTrend(item)]));
+  const itemMatches = new Map(filtered.map(item => [item, getMatch(item)]));
+  const profitOf = item => itemMatches.get(item)?.margin?.profit ?? -Infinity;
+
   filtered.sort((a, b) => {
     switch (sort) {
+      case 'trending-desc': return (trends.get(b).soldPerDay ?? -1) - (trends.get(a).soldPerDay ?? -1);
+      case 'margin-desc':   return profitOf(b) === profitOf(a) ? 0 : profitOf(b) > profitOf(a) ? 1 : -1;
       case 'sold-desc':     return b.soldCount - a.soldCount;
       case 'sold-asc':      return a.soldCount - b.soldCount;
       case 'watching-desc': return b.watchingCount - a.watchingCount;
@@ -59,7 +106,7 @@ function applyAndRender() {
     }
   });
 
-  renderTable(filtered);
+  renderTable(filtered, trends, itemMatches);
 
   document.getElementById('countDisplay').textContent =
     `Showing ${filtered.length} of ${allItems.length}`;
@@ -72,23 +119,72 @@ function parsePrice(text) {
   return m ? parseFloat(m[0].replace(/,/g, '')) : 0;
 }
 
-function renderTable(items) {
+function renderTable(items, trends, itemMatches) {
   const tbody = document.getElementById('resultsBody');
   tbody.innerHTML = '';
 
   if (items.length === 0) {
     const tr = document.createElement('tr');
-    tr.innerHTML = '<td colspan="10" class="empty-state">No items match the current filters.</td>';
+    tr.innerHTML = '<td colspan="12" class="empty-state">No items match the current filters.</td>';
     tbody.appendChild(tr);
     return;
   }
 
   for (const item of items) {
-    tbody.appendChild(buildRow(item));
+    tbody.appendChild(buildRow(item, trends.get(item), itemMatches.get(item)));
+  }
+}
+
+function buildVelocityCell(trend) {
+  if (trend.soldPerDay == null) {
+    return '<span class="velocity-none" title="Needs two scans of this seller">—</span>';
   }
+  const cls = trend.soldPerDay > 0 ? 'velocity-up' : 'velocity-flat';
+  const days = trend.days < 1 ? `${Math.round(trend.days * 24)}h` : `${trend.days.toFixed(1)}d`;
+  return `<span class="${cls}" title="+${trend.soldDelta} sold in ${days}">${trend.soldPerDay.toFixed(2)}/day</span>`;
+}
+
+function buildStatusTags(trend) {
+  const tags = [];
+  if (trend.isNew) tags.push('<span class="status-tag status-new">New</span>');
+  if (trend.isEnded) tags.push('<span class="status-tag status-ended">Ended</span>');
+  return tags.join('');
 }
 
-function buildRow(item) {
+function buildPriceChange(trend) {
+  if (trend.previousPrice == null || trend.currentPrice == null || trend.previousPrice === trend.currentPrice) {
+    return '';
+  }
+  const up = trend.currentPrice > trend.previousPrice;
+  return `<div class="price-change ${up ? 'price-up' : 'price-down'}">${up ? '▲' : '▼'} was $${trend.previousPrice.toFixed(2)}</div>`;
+}
+
+function buildMatchCell(match) {
+  if (!match) {
+    return '<button class="link-btn match-btn">Find Match</button>';
+  }
+  if (!match.product) {
+    return `<div class="match-missing">Supplier product removed</div>
+      <button class="link-btn match-btn">Re-match</button>`;
+  }
+
+  const { product, margin } = match;
+  const marginHtml = margin
+    ? `<div class="${margin.profit >= 0 ? 'margin-pos' : 'margin-neg'}"
+           title="Sale $${margin.salePrice.toFixed(2)} − cost $${margin.totalCost.toFixed(2)} − fees $${margin.fees.toFixed(2)}">
+         ${margin.profit < 0 ? '−' : ''}$${Math.abs(margin.profit).toFixed(2)} (${margin.marginPercent}%)
+       </div>`
+    : '<div class="match-missing">No price to compare</div>';
+
+  return `
+    <div class="match-product" title="${esc(product.title)}">
+      <span class="source-tag">${esc(product.source || 'amazon')}</span> ${esc(product.price || '—')}
+    </div>
+    ${marginHtml}
+    <button class="link-btn match-btn">Change</button>`;
+}
+
+function buildRow(item, trend, match) {
   const tr = document.createElement('tr');
 
   const thumb = item.image
@@ -107,15 +203,18 @@ function buildRow(item) {
     <td>
       <a class="item-title" href="${esc(item.url)}" target="_blank" rel="noopener"
          title="${esc(item.title || '')}">${esc(item.title || '—')}</a>
-      <div class="item-id">#${esc(item.itemId)}</div>
+      <div class="item-id">#${esc(item.itemId)} ${buildStatusTags(trend)}</div>
     </td>
     <td><span class="seller-tag">${esc(item.seller || '—')}</span></td>
-    <td style="font-weight:600;color:#222;">${esc(item.priceText || '—')}</td>
+    <td style="font-weight:600;color:#222;">${esc(item.priceText || '—')}${buildPriceChange(trend)}</td>
     <td style="text-align:center;"><span class="badge ${soldClass}">${item.soldCount}</span></td>
+    <td style="text-align:center;">${buildVelocityCell(trend)}</td>
+    <td style="text-align:center;">${buildMatchCell(match)}</td>
     <td style="text-align:center;"><span class="badge ${watchClass}">${item.watchingCount}</span></td>
     <td class="date-cell" style="text-align:center;">${scannedDate}</td>
     <td style="text-align:center;">
       <a class="link-btn" href="${esc(item.revisionUrl)}" target="_blank" rel="noopener">History</a>
+      <button class="link-btn chart-btn" ${trend.points.length < 2 ? 'disabled title="Needs two scans of this seller"' : ''}>Chart</button>
     </td>
     <td style="text-align:center;">
       <a class="link-btn" href="https://www.amazon.com/s?k=${encodeURIComponent((item.title || '').slice(0, 120))}"
@@ -128,9 +227,165 @@ function buildRow(item) {
   `;
 
   tr.querySelector('.del-btn').addEventListener('click', () => deleteItem(item.itemId));
+  tr.querySelector('.chart-btn').addEventListener('click', () => showHistoryChart(item, trend));
+  tr.querySelector('.match-btn').addEventListener('click', () => showMatchCandidates(item));
   return tr;
 }
 
+// ── Supplier matching ─────────────────────────────────────────────────────────
+function showMatchCandidates(item) {
+  const current = matches[item.itemId];
+  const candidates = ProductMatcher.findCandidates(item, products);
+
+  const rows = candidates.map((c, i) => {
+    const margin = ProductMatcher.estimateMargin(item, c.product, pricingRules);
+    const isCurrent = current?.asin === c.product.asin;
+    return `
+      <tr>
+        <td style="text-align:center;"><span class="badge ${c.score >= 0.6 ? 'badge-sold' : 'badge-zero'}">${Math.round(c.score * 100)}%</span></td>
+        <td>
+          <div class="candidate-title" title="${esc(c.product.title)}">${esc(c.product.title)}</div>
+          <div class="item-id"><span class="source-tag">${esc(c.product.source || 'amazon')}</span> ${esc(c.product.asin)}</div>
+        </td>
+        <td style="font-weight:600;">$${c.supplierCost.toFixed(2)}</td>
+        <td>${c.priceSpread != null ? `<span class="${c.priceSpread >= 0 ? 'margin-pos' : 'margin-neg'}">${c.priceSpread >= 0 ? '+' : '−'}$${Math.abs(c.priceSpread).toFixed(2)}</span>` : '—'}</td>
+        <td>${margin ? `<span class="${margin.profit >= 0 ? 'margin-pos' : 'margin-neg'}">$${margin.profit.toFixed(2)} (${margin.marginPercent}%)</span>` : '—'}</td>
+        <td style="text-align:center;">
+          ${isCurrent
+            ? '<span class="status-tag status-new">Confirmed</span>'
+            : `<button class="btn btn-green confirm-btn" data-index="${i}">Confirm</button>`}
+        </td>
+      </tr>`;
+  }).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.innerHTML = `
+    <div class="modal-box match-modal">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title">${esc(item.title || item.itemId)}</div>
+          <div class="modal-subtitle">Competitor price ${esc(item.priceText || '—')} · ${candidates.length} of ${products.length} supplier products look similar</div>
+        </div>
+        <button class="btn btn-gray modal-close">Close</button>
+      </div>
+      ${candidates.length === 0
+        ? '<div class="empty-state" style="padding:40px 0;">No similar supplier products. Scrape the product from Amazon, Yami or Costco first.</div>'
+        : `<table class="candidates-table">
+            <thead>
+              <tr><th>Score</th><th>Supplier Product</th><th>Cost</th><th>Spread</th><th>Est. Profit</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>`}
+      ${current ? '<button class="btn btn-red unmatch-btn" style="margin-top:12px;">Remove Match</button>' : ''}
+    </div>
+  `;
+
+  const close = () => overlay.remove();
+  overlay.querySelector('.modal-close').addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  overlay.querySelectorAll('.confirm-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const candidate = candidates[parseInt(btn.dataset.index, 10)];
+      await ProductMatcher.confirmMatch(item.itemId, candidate.product.asin, candidate.score);
+      close();
+    });
+  });
+
+  overlay.querySelector('.unmatch-btn')?.addEventListener('click', async () => {
+    await ProductMatcher.removeMatch(item.itemId);
+    close();
+  });
+
+  document.body.appendChild(overlay);
+}
+
+// ── History chart ─────────────────────────────────────────────────────────────
+// Sold count (green, left axis) and price (blue, right axis) for every scan of the item
+function showHistoryChart(item, trend) {
+  const points = trend.points;
+  if (points.length < 2) return;
+
+  const width = 640, height = 260, pad = { top: 20, right: 56, bottom: 36, left: 48 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  const times = points.map(p => new Date(p.scannedAt).getTime());
+  const tMin = times[0], tMax = times[times.length - 1];
+  const x = t => pad.left + (tMax > tMin ? ((t - tMin) / (tMax - tMin)) * plotW : plotW / 2);
+
+  // null when the series has no values to plot
+  const scaleFor = (values) => {
+    const known = values.filter(v => v != null);
+    if (known.length === 0) return null;
+    const min = Math.min(...known), max = Math.max(...known);
+    const range = max - min || 1;
+    return { min, max, y: v => pad.top + plotH - ((v - min) / range) * plotH };
+  };
+
+  const line = (values, scale, color) => {
+    const pts = values
+      .map((v, i) => v == null ? null : `${x(times[i]).toFixed(1)},${scale.y(v).toFixed(1)}`)
+      .filter(Boolean);
+    const dots = pts.map(p => {
+      const [cx, cy] = p.split(',');
+      return `<circle cx="${cx}" cy="${cy}" r="3" fill="${color}"/>`;
+    }).join('');
+    return `<polyline fill="none" stroke="${color}" stroke-width="2" points="${pts.join(' ')}"/>${dots}`;
+  };
+
+  const sold = points.map(p => p.soldCount);
+  const prices = points.map(p => p.price);
+  const soldScale = scaleFor(sold);
+  const priceScale = scaleFor(prices);
+  const hasSold = soldScale != null;
+  const hasPrices = priceScale != null;
+
+  const fmtDate = t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  const svg = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="history-chart">
+      <line x1="${pad.left}" y1="${pad.top + plotH}" x2="${pad.left + plotW}" y2="${pad.top + plotH}" stroke="#e0e0e0"/>
+      ${hasSold ? `
+        <text x="${pad.left - 8}" y="${pad.top + 4}" text-anchor="end" fill="#2e7d32">${soldScale.max}</text>
+        <text x="${pad.left - 8}" y="${pad.top + plotH}" text-anchor="end" fill="#2e7d32">${soldScale.min}</text>
+      ` : ''}
+      ${hasPrices ? `
+        <text x="${pad.left + plotW + 8}" y="${pad.top + 4}" fill="#1565c0">$${priceScale.max.toFixed(2)}</text>
+        <text x="${pad.left + plotW + 8}" y="${pad.top + plotH}" fill="#1565c0">$${priceScale.min.toFixed(2)}</text>
+      ` : ''}
+      <text x="${pad.left}" y="${height - 12}" fill="#888">${fmtDate(tMin)}</text>
+      <text x="${pad.left + plotW}" y="${height - 12}" text-anchor="end" fill="#888">${fmtDate(tMax)}</text>
+      ${hasPrices ? line(prices, priceScale, '#1565c0') : ''}
+      ${hasSold ? line(sold, soldScale, '#2e7d32') : ''}
+    </svg>`;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.innerHTML = `
+    <div class="modal-box">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title">${esc(item.title || item.itemId)}</div>
+          <div class="modal-subtitle">
+            <span style="color:#2e7d32;">● Sold</span> &nbsp;
+            <span style="color:#1565c0;">● Price</span> &nbsp;
+            ${points.length} scans
+          </div>
+        </div>
+        <button class="btn btn-gray modal-close">Close</button>
+      </div>
+      ${svg}
+    </div>
+  `;
+
+  const close = () => overlay.remove();
+  overlay.querySelector('.modal-close').addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  document.body.appendChild(overlay);
+}
+
 function esc(str) {
   const d = document.createElement('div');
   d.textContent = String(str || '');
@@ -188,18 +443,25 @@ document.getElementById('exportJsonBtn').addEventListener('click', () => {
 document.getElementById('exportCsvBtn').addEventListener('click', () => {
   if (allItems.length === 0) { alert('Nothing to export'); return; }
 
-  const headers = ['Item ID', 'Title', 'Seller', 'Price', 'Sold', 'Watching', 'Scanned At', 'Item URL', 'Revision URL'];
-  const rows = allItems.map(item => [
-    item.itemId,
-    item.title,
-    item.seller,
-    item.priceText,
-    item.soldCount,
-    item.watchingCount,
-    item.scannedAt,
-    item.url,
-    item.revisionUrl,
-  ].map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','));
+  const headers = ['Item ID', 'Title', 'Seller', 'Price', 'Sold', 'Sold/Day', 'Supplier ID', 'Supplier Cost', 'Est. Profit', 'Watching', 'Scanned At', 'Item URL', 'Revision URL'];
+  const rows = allItems.map(item => {
+    const match = getMatch(item);
+    return [
+      item.itemId,
+      item.title,
+      item.seller,
+      item.priceText,
+      item.soldCount,
+      getTrend(item).soldPerDay?.toFixed(2) ?? '',
+      match?.product?.asin ?? '',
+      match?.margin?.totalCost ?? '',
+      match?.margin?.profit ?? '',
+      item.watchingCount,
+      item.scannedAt,
+      item.url,
+      item.revisionUrl,
+    ].map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(',');
+  });
 
   const csv  = [headers.join(','), ...rows].join('\n');
   const blob = new Blob([csv], { type: 'text/csv' });
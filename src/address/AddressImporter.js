@@ -1,6 +1,7 @@
 /**
  * Address Importer
  * Handles importing eBay order addresses into Amazon
+ * Works on every marketplace's address form; per-country differences come from Marketplaces
  */
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 import { UIManager } from '../ui/UIManager.js';
@@ -267,7 +268,7 @@ export class AddressImporter {
     UIManager.showNotification(`Starting import of ${addresses.length} addresses...`, 'info');
 
     setTimeout(() => {
-      window.location.href = 'https://www.amazon.com/a/addresses/add?ref=ebay_import';
+      window.location.href = `${location.origin}/a/addresses/add?ref=ebay_import`;
     }, 1000);
   }
 
@@ -288,7 +289,7 @@ export class AddressImporter {
 
     UIManager.showNotification(`Address saved! Loading next address...`, 'success');
     setTimeout(() => {
-      window.location.href = 'https://www.amazon.com/a/addresses/add?ref=ebay_import';
+      window.location.href = `${location.origin}/a/addresses/add?ref=ebay_import`;
     }, 1000);
   }
 
@@ -306,7 +307,7 @@ export class AddressImporter {
       UIManager.showNotification('✅ All addresses imported successfully!', 'success');
 
       setTimeout(() => {
-        window.location.href = 'https://www.amazon.com/a/addresses';
+        window.location.href = `${location.origin}/a/addresses`;
       }, 2000);
       return;
     }
@@ -342,24 +343,38 @@ export class AddressImporter {
         return false;
       };
 
-      const formattedPhone = DOMHelpers.formatPhoneNumber(address.phoneNumber || '');
+      const form = Marketplaces.current().address;
+
+      // The +1 formatting only fits North American numbers; other forms take the number as given
+      const formattedPhone = form.phonePrefix === '+1'
+        ? DOMHelpers.formatPhoneNumber(address.phoneNumber || '')
+        : (address.phoneNumber || '');
 
       setValue(fieldMappings.fullName, address.name || '');
       setValue(fieldMappings.phoneNumber, formattedPhone);
       setValue(fieldMappings.addressLine1, address.addressLine1 || '');
       setValue(fieldMappings.addressLine2, address.addressLine2 || '');
       setValue(fieldMappings.city, address.city || '');
-      setValue(fieldMappings.postalCode, address.postalCode || '');
+
+      if (!setValue(fieldMappings.postalCode, address.postalCode || '') && form.postalCodeSplit) {
+        this.setSplitPostalCode(address.postalCode || '', form.postalCodeSplit, setValue);
+      }
 
       const countrySelect = document.getElementById('address-ui-widgets-enterAddressFormContainer-country-dropdown-nativeId');
-      if (countrySelect && address.countryCode) {
-        countrySelect.value = address.countryCode;
+      const countryCode = address.countryCode || form.countryCode;
+      if (countrySelect && countryCode) {
+        countrySelect.value = countryCode;
         countrySelect.dispatchEvent(new Event('change', { bubbles: true }));
       }
 
-      setTimeout(() => {
-        this.setStateDropdown(address.stateOrProvince);
-      }, 300);
+      // Germany and France have no state field; the UK and Spain type it in
+      if (form.region === 'text') {
+        setValue(fieldMappings.state, address.stateOrProvince || '');
+      } else if (form.region === 'select') {
+        setTimeout(() => {
+          this.setStateDropdown(address.stateOrProvince);
+        }, 300);
+      }
 
       UIManager.showNotification(`Importing address ${current} of ${total}...`, 'info');
 
@@ -373,6 +388,12 @@ export class AddressImporter {
     }
   }
 
+  setSplitPostalCode(postalCode, [firstLength, secondLength], setValue) {
+    const digits = postalCode.replace(/\D/g, '');
+    setValue(['address-ui-widgets-enterAddressPostalCodeOne'], digits.slice(0, firstLength));
+    setValue(['address-ui-widgets-enterAddressPostalCodeTwo'], digits.slice(firstLength, firstLength + secondLength));
+  }
+
   setStateDropdown(stateValue) {
     if (!stateValue) return;
 
@@ -435,7 +456,7 @@ export class AddressImporter {
       if (element) {
         if (element.tagName === 'SPAN') {
           const text = element.textContent.trim().toLowerCase();
-          if (text.includes('add address') || text.includes('submit')) {
+          if (Marketplaces.strings().addAddressButton.some(label => text.includes(label))) {
             const input = element.closest('.a-button-primary')?.querySelector('input[type="submit"]');
             if (input) {
               submitBtn = input;
@@ -0,0 +1,73 @@
+/**
+ * FixtureCapture - Saves the open page as an HTML fixture for the offline extractor tests
+ * The popup's "Save Test Fixture" button asks the tab for CAPTURE_FIXTURE; the page is
+ * re-fetched so the fixture is the server HTML the *FromDoc extractors parse (bulk scrapes,
+ * re-checks), not the live DOM after our own buttons and Amazon's scripts have changed it.
+ * Loaded as a classic script ahead of each site's content script in manifest.json
+ *
+ * Drop the downloaded file into tests/fixtures/<kind>/ and run `npm run test:update`.
+ */
+
+class FixtureCapture {
+  // Fixture folders in tests/fixtures, matched in order against the page URL
+  static KINDS = [
+    { kind: 'amazon-order', test: url => /(^|\.)amazon\.[a-z.]+$/.test(url.hostname) && /order-history|order-details|your-orders|progress-tracker|ship-track|\/gp\/css\//.test(url.pathname), id: url => url.searchParams.get('orderID') || url.searchParams.get('orderId') || 'order-history' },
+    { kind: 'amazon', test: url => /(^|\.)amazon\.[a-z.]+$/.test(url.hostname), id: url => url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/)?.[1] },
+    { kind: 'yami', test: url => /(^|\.)yami(buy)?\.com$/.test(url.hostname), id: url => url.pathname.match(/\/p\/[^/]+\/(\d+)/)?.[1] },
+    { kind: 'costco', test: url => /(^|\.)costco\.com$/.test(url.hostname), id: url => url.pathname.match(/\/p\/(?:-\/)?[^/]+\/(\d+)|\.product\.(\d+)\.html/)?.slice(1).find(Boolean) },
+    { kind: 'ebay-order', test: url => /(^|\.)ebay\./.test(url.hostname) && (url.searchParams.has('orderid') || url.pathname.includes('/ord/details')), id: url => url.searchParams.get('orderid') },
+    { kind: 'ebay-item', test: url => /(^|\.)ebay\./.test(url.hostname) && url.pathname.startsWith('/itm/'), id: url => url.pathname.match(/\/itm\/(?:[^/]+\/)?(\d+)/)?.[1] }
+  ];
+
+  /**
+   * Fixture folder and file name for a page
+   * @param {string} href - Page URL
+   * @returns {Object|null} { kind, filename } or null when no extractor test covers the page
+   */
+  static describe(href) {
+    const url = new URL(href);
+    const match = this.KINDS.find(entry => entry.test(url));
+    if (!match) return null;
+
+    const id = match.id(url) || url.pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').slice(0, 60) || 'page';
+    const date = new Date().toISOString().slice(0, 10);
+    return { kind: match.kind, filename: `${id}-${date}.html` };
+  }
+
+  /**
+   * Capture the open page
+   * @returns {Promise<Object>} { kind, filename, html }
+   */
+  static async capture() {
+    const target = this.describe(location.href);
+    if (!target) throw new Error('No extractor test covers this page');
+
+    let html;
+    try {
+      const response = await fetch(location.href, { credentials: 'include' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      html = await response.text();
+    } catch (error) {
+      // Pages that can't be re-fetched (POST results, expired links) fall back to the live DOM
+      console.warn('[FixtureCapture] Re-fetch failed, saving the live DOM instead:', error);
+      html = '<!doctype html>\n' + document.documentElement.outerHTML;
+    }
+
+    // The harness loads the fixture at this URL (marketplace, relative links, product ID)
+    return { ...target, html: `<!-- fixture-url: ${location.href} -->\n${html}` };
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'CAPTURE_FIXTURE') return false;
+
+  FixtureCapture.capture()
+    .then(fixture => sendResponse({ success: true, fixture }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true; // Keep message channel open for async response
+});
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FixtureCapture;
+}
@@ -0,0 +1,489 @@
+/**
+ * EbayListingExporter - Converts scraped products into an eBay bulk-listing CSV
+ * Produces the File Exchange template that Seller Hub Reports also accepts
+ * Works for Amazon, Yami and Costco records (all share the DataExtractor format)
+ * Prices are converted into the listing currency with the pricing rules' exchange-rate table
+ */
+
+class EbayListingExporter {
+  static SETTINGS_KEY = 'ebayExportSettings';
+
+  static DEFAULT_SETTINGS = {
+    siteId: 'US',
+    currency: 'USD',
+    categoryId: '',
+    conditionId: '1000', // 1000 = New
+    format: 'FixedPrice',
+    duration: 'GTC',
+    quantity: 1,
+    location: '',
+    dispatchTimeMax: 3,
+    shippingProfile: '',
+    returnProfile: '',
+    paymentProfile: ''
+  };
+
+  // eBay limits: title 80 chars, 24 pictures, item specific name/value 65 chars
+  static MAX_TITLE_LENGTH = 80;
+  static MAX_PICTURES = 24;
+  static MAX_SPECIFIC_LENGTH = 65;
+
+  // Specification rows that are supplier metadata rather than item specifics
+  static IGNORED_SPECIFICS = [
+    'asin',
+    'customer reviews',
+    'best sellers rank',
+    'date first available',
+    'item model number',
+    'is discontinued by manufacturer',
+    'manufacturer'
+  ];
+
+  /**
+   * Load export settings from storage, filling in defaults
+   * @returns {Promise<Object>} Export settings
+   */
+  static async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.SETTINGS_KEY], (result) => {
+        resolve({ ...this.DEFAULT_SETTINGS, ...(result[this.SETTINGS_KEY] || {}) });
+      });
+    });
+  }
+
+  /**
+   * Persist export settings
+   * @param {Object} settings - Export settings
+   * @returns {Promise<void>}
+   */
+  static async saveSettings(settings) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.SETTINGS_KEY]: settings }, () => resolve());
+    });
+  }
+
+  /**
+   * Build the full CSV document for a list of products
+   * @param {Array} products - Scraped product records
+   * @param {Object} settings - Export settings (see DEFAULT_SETTINGS), plus exchangeRates from the pricing rules
+   * @returns {string} CSV content
+   */
+  static toCSV(products, settings = {}) {
+    const opts = { ...this.DEFAULT_SETTINGS, ...settings };
+    const specificNames = this.collectSpecificNames(products);
+    const headers = this.buildHeaders(opts, specificNames);
+
+    const rows = [];
+    for (const product of products) {
+      rows.push(...this.buildProductRows(product, opts, specificNames));
+    }
+
+    return [
+      headers.map(h => this.escapeCsv(h)).join(','),
+      ...rows.map(row => headers.map((_, i) => this.escapeCsv(row[i])).join(','))
+    ].join('\n');
+  }
+
+  /**
+   * Build the header row
+   * @param {Object} opts - Export settings
+   * @param {string[]} specificNames - Item specific names (without the C: prefix)
+   * @returns {string[]} Header cells
+   */
+  static buildHeaders(opts, specificNames) {
+    return [
+      `*Action(SiteID=${opts.siteId}|Country=${opts.siteId}|Currency=${opts.currency}|Version=1193|CC=UTF-8)`,
+      'CustomLabel',
+      '*Category',
+      '*Title',
+      '*ConditionID',
+      'PicURL',
+      '*Description',
+      '*Format',
+      '*Duration',
+      '*StartPrice',
+      '*Quantity',
+      'Relationship',
+      'RelationshipDetails',
+      '*Location',
+      'DispatchTimeMax',
+      'ShippingProfileName',
+      'ReturnProfileName',
+      'PaymentProfileName',
+      'C:Brand',
+      ...specificNames.map(name => `C:${name}`)
+    ];
+  }
+
+  /**
+   * Build the CSV rows for one product: a single row, or a parent row plus one
+   * child row per variation combination
+   * @param {Object} product - Scraped product record
+   * @param {Object} opts - Export settings
+   * @param {string[]} specificNames - Item specific column names
+   * @returns {Array<Array>} Rows as arrays of cell values
+   */
+  static buildProductRows(product, opts, specificNames) {
+    const sku = product.asin || '';
+    const price = this.getListingPrice(product, opts);
+    const variations = product.variations;
+    const hasVariations = !!(variations && variations.hasVariations && variations.validCombinations?.length);
+
+    const base = {
+      action: 'Add',
+      customLabel: sku,
+      category: product.ebayCategoryId || opts.categoryId,
+      title: this.truncateTitle(product.title),
+      conditionId: opts.conditionId,
+      picUrl: this.getPictureUrls(product).join('|'),
+      description: this.buildDescription(product),
+      format: opts.format,
+      duration: opts.duration,
+      startPrice: hasVariations ? '' : this.formatPrice(price),
+      quantity: hasVariations ? '' : opts.quantity,
+      relationship: '',
+      relationshipDetails: hasVariations ? this.buildParentRelationshipDetails(variations) : '',
+      location: opts.location,
+      dispatchTimeMax: opts.dispatchTimeMax,
+      shippingProfile: opts.shippingProfile,
+      returnProfile: opts.returnProfile,
+      paymentProfile: opts.paymentProfile,
+      brand: this.getBrand(product),
+      specifics: this.getItemSpecifics(product, specificNames)
+    };
+
+    const rows = [this.toRow(base)];
+
+    if (hasVariations) {
+      for (const child of this.buildVariationChildren(product, price)) {
+        rows.push(this.toRow({
+          customLabel: child.sku,
+          picUrl: child.image || '',
+          startPrice: this.formatPrice(child.price),
+          quantity: opts.quantity,
+          relationship: 'Variation',
+          relationshipDetails: child.details
+        }));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Flatten a row object into header order
+   * @param {Object} row - Row values keyed by field
+   * @returns {Array} Cell values
+   */
+  static toRow(row) {
+    return [
+      row.action || '',
+      row.customLabel || '',
+      row.category || '',
+      row.title || '',
+      row.conditionId || '',
+      row.picUrl || '',
+      row.description || '',
+      row.format || '',
+      row.duration || '',
+      row.startPrice ?? '',
+      row.quantity ?? '',
+      row.relationship || '',
+      row.relationshipDetails || '',
+      row.location || '',
+      row.dispatchTimeMax ?? '',
+      row.shippingProfile || '',
+      row.returnProfile || '',
+      row.paymentProfile || '',
+      row.brand || '',
+      ...(row.specifics || [])
+    ];
+  }
+
+  // ===== Variations =====
+
+  /**
+   * Build "Color=Red;Blue|Size=S;M" for the parent row
+   * @param {Object} variations - Output of DataExtractor.extractVariations()
+   * @returns {string} RelationshipDetails value
+   */
+  static buildParentRelationshipDetails(variations) {
+    const valuesByDim = new Map();
+
+    for (const combo of variations.validCombinations) {
+      for (const [dim, value] of Object.entries(combo)) {
+        if (!valuesByDim.has(dim)) valuesByDim.set(dim, new Set());
+        valuesByDim.get(dim).add(this.cleanRelationshipValue(value));
+      }
+    }
+
+    return [...valuesByDim.entries()]
+      .map(([dim, values]) => `${this.formatDimensionName(dim)}=${[...values].join(';')}`)
+      .join('|');
+  }
+
+  /**
+   * Build one child entry per valid combination
+   * Expanded variations (VariationExpander) carry each child ASIN's own price and images
+   * @param {Object} product - Scraped product record
+   * @param {number|null} basePrice - Listing price of the parent
+   * @returns {Array<Object>} Children with sku, details, price and image
+   */
+  static buildVariationChildren(product, basePrice) {
+    const { validCombinations, dimensions = [], colorImages = {}, children } = product.variations;
+    const costPrice = this.parsePrice(product.price);
+    // Keep the parent's markup when a child has its own supplier price
+    const markup = basePrice && costPrice ? basePrice / costPrice : 1;
+
+    if (children?.length) {
+      return children.map(child => {
+        const entries = Object.entries(child.combination);
+        const childCost = this.parsePrice(child.price);
+        const colorValue = child.combination.color;
+
+        return {
+          sku: child.asin,
+          price: childCost ? Math.round(childCost * markup * 100) / 100 : basePrice,
+          image: child.images?.[0] || (colorValue && colorImages[colorValue] ? colorImages[colorValue][0] : null),
+          details: entries
+            .map(([dim, value]) => `${this.formatDimensionName(dim)}=${this.cleanRelationshipValue(value)}`)
+            .join('|')
+        };
+      });
+    }
+
+    return validCombinations.map((combo, index) => {
+      const entries = Object.entries(combo);
+      const swatches = entries
+        .map(([dim, value]) => dimensions.find(d => d.name === dim)?.values.find(v => v.value === value))
+        .filter(Boolean);
+
+      const pricedSwatch = swatches.find(s => s.price);
+      const price = pricedSwatch
+        ? Math.round(this.parsePrice(pricedSwatch.price) * markup * 100) / 100
+        : basePrice;
+
+      // A single-dimension swatch maps directly onto a child ASIN
+      const sku = entries.length === 1 && swatches[0]?.asin
+        ? swatches[0].asin
+        : `${product.asin || 'SKU'}-${index + 1}`;
+
+      const colorValue = combo.color;
+      const image = colorValue && colorImages[colorValue] ? colorImages[colorValue][0] : null;
+
+      return {
+        sku,
+        price,
+        image,
+        details: entries
+          .map(([dim, value]) => `${this.formatDimensionName(dim)}=${this.cleanRelationshipValue(value)}`)
+          .join('|')
+      };
+    });
+  }
+
+  /**
+   * Turn an extractor dimension key into an eBay variation name
+   * @param {string} dim - e.g. "color", "size", "item_package_quantity"
+   * @returns {string} e.g. "Color", "Size", "Item Package Quantity"
+   */
+  static formatDimensionName(dim) {
+    return String(dim)
+      .replace(/_/g, ' ')
+      .replace(/\b\w/g, c => c.toUpperCase())
+      .trim();
+  }
+
+  /**
+   * Strip the characters File Exchange uses as RelationshipDetails delimiters
+   * @param {string} value - Variation value
+   * @returns {string} Safe value
+   */
+  static cleanRelationshipValue(value) {
+    return String(value || '').replace(/[|;=]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // ===== Field helpers =====
+
+  /**
+   * Price to list at: the customized final price when set, otherwise the scraped price,
+   * converted into the listing currency
+   * @param {Object} product - Scraped product record
+   * @param {Object} [opts] - Export settings
+   * @returns {number|null} Listing price, null when there's no price or no exchange rate for it
+   */
+  static getListingPrice(product, opts = this.DEFAULT_SETTINGS) {
+    const rules = { exchangeRates: opts.exchangeRates };
+
+    if (product.customizedFinalPrice != null && product.customizedFinalPrice !== '') {
+      const custom = parseFloat(product.customizedFinalPrice);
+      // Final prices are in the base currency the pricing rules worked in
+      const from = product.pricing?.currency || PricingEngine.normalizeRules(rules).exchangeRates.baseCurrency;
+      if (!isNaN(custom)) return PricingEngine.convert(custom, from, opts.currency, rules);
+    }
+
+    const scraped = this.parsePrice(product.price);
+    return scraped === null ? null : PricingEngine.convert(scraped, product.currency || opts.currency, opts.currency, rules);
+  }
+
+  /**
+   * Product images minus the [IMAGE]: entries embedded in bullet points
+   * @param {Object} product - Scraped product record
+   * @returns {string[]} Picture URLs
+   */
+  static getPictureUrls(product) {
+    return (product.images || [])
+      .filter(url => typeof url === 'string' && /^https?:\/\//.test(url))
+      .slice(0, this.MAX_PICTURES);
+  }
+
+  /**
+   * Build an HTML description from description text and bullet points
+   * @param {Object} product - Scraped product record
+   * @returns {string} Single-line HTML description
+   */
+  static buildDescription(product) {
+    const parts = [];
+
+    if (product.description) {
+      parts.push(`<p>${this.escapeHtml(product.description)}</p>`);
+    }
+
+    const bullets = (product.bulletPoints || []).filter(b => b && !b.startsWith('[IMAGE]:'));
+    if (bullets.length > 0) {
+      parts.push(`<ul>${bullets.map(b => `<li>${this.escapeHtml(b)}</li>`).join('')}</ul>`);
+    }
+
+    if (parts.length === 0 && product.title) {
+      parts.push(`<p>${this.escapeHtml(product.title)}</p>`);
+    }
+
+    // File Exchange tolerates quoted newlines poorly; keep the description on one line
+    return parts.join('').replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * Brand from specifications, or "Unbranded"
+   * @param {Object} product - Scraped product record
+   * @returns {string} Brand
+   */
+  static getBrand(product) {
+    const specs = product.specifications || {};
+    const key = Object.keys(specs).find(k => k.trim().toLowerCase() === 'brand');
+    const brand = key ? String(specs[key]).trim() : '';
+    return brand ? brand.slice(0, this.MAX_SPECIFIC_LENGTH) : 'Unbranded';
+  }
+
+  /**
+   * Union of usable specification names across all products, in first-seen order
+   * @param {Array} products - Scraped product records
+   * @returns {string[]} Item specific names
+   */
+  static collectSpecificNames(products) {
+    const names = new Map();
+
+    for (const product of products) {
+      const specs = product.specifications;
+      if (!specs || typeof specs !== 'object' || Array.isArray(specs)) continue;
+
+      for (const rawKey of Object.keys(specs)) {
+        const name = this.cleanSpecificName(rawKey);
+        if (!name) continue;
+        const lower = name.toLowerCase();
+        if (lower === 'brand' || this.IGNORED_SPECIFICS.includes(lower)) continue;
+        if (!names.has(lower)) names.set(lower, name);
+      }
+    }
+
+    return [...names.values()];
+  }
+
+  /**
+   * Item specific values for one product, aligned to specificNames
+   * @param {Object} product - Scraped product record
+   * @param {string[]} specificNames - Item specific names
+   * @returns {string[]} Values
+   */
+  static getItemSpecifics(product, specificNames) {
+    const specs = product.specifications || {};
+    const byName = new Map();
+
+    for (const [rawKey, value] of Object.entries(specs)) {
+      const name = this.cleanSpecificName(rawKey);
+      if (name) byName.set(name.toLowerCase(), String(value ?? '').trim());
+    }
+
+    // eBay rejects an item specific that duplicates a variation name
+    if (product.variations?.hasVariations) {
+      for (const dim of product.variations.dimensions || []) {
+        byName.delete(this.formatDimensionName(dim.name).toLowerCase());
+      }
+    }
+
+    return specificNames.map(name => (byName.get(name.toLowerCase()) || '').slice(0, this.MAX_SPECIFIC_LENGTH));
+  }
+
+  /**
+   * Normalize a specification key into an item specific name
+   * @param {string} key - Raw specification key
+   * @returns {string|null} Clean name, or null when unusable
+   */
+  static cleanSpecificName(key) {
+    const name = String(key || '')
+      .replace(/[\u200e\u200f]/g, '')
+      .replace(/[:|]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!name || name.length > this.MAX_SPECIFIC_LENGTH) return null;
+    return name;
+  }
+
+  /**
+   * Cut a title to eBay's limit on a word boundary
+   * @param {string} title - Product title
+   * @returns {string} Title of at most 80 characters
+   */
+  static truncateTitle(title) {
+    const clean = String(title || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= this.MAX_TITLE_LENGTH) return clean;
+
+    const cut = clean.slice(0, this.MAX_TITLE_LENGTH + 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > 40 ? cut.slice(0, lastSpace) : cut.slice(0, this.MAX_TITLE_LENGTH)).trim();
+  }
+
+  /**
+   * Parse a price string like "$12.99" or "£1.299,00" into a number
+   * @param {string|number} priceText - Price
+   * @returns {number|null} Price, or null when missing
+   */
+  static parsePrice(priceText) {
+    return Marketplaces.parsePrice(priceText);
+  }
+
+  /**
+   * Format a price for the StartPrice column
+   * @param {number|null} price - Price
+   * @returns {string} e.g. "12.99", or empty when unknown
+   */
+  static formatPrice(price) {
+    return price == null || isNaN(price) ? '' : Number(price).toFixed(2);
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  static escapeCsv(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EbayListingExporter;
+}
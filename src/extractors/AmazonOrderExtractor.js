@@ -0,0 +1,221 @@
+/**
+ * Amazon Order Extractor
+ * Reads the orders you placed on Amazon to fulfil eBay orders: the Your Orders list, order details
+ * and package tracking pages (live DOM and parsed HTML documents)
+ * Labels before the tracking number and carrier come from the marketplace's strings in Marketplaces
+ * Page selectors come from the amazon selector pack (SelectorPacks)
+ *
+ * Supplier order: { supplierOrderNumber, orderDate, shipTo: { name, addressLine1, fullAddress },
+ *   items: [{ title, asin, quantity, price }], total, charges: [{ label, amount }], carrier,
+ *   trackingNumber, marketplace, currency, url, scrapedAt }
+ * Each page fills in what it shows and leaves the rest null; SupplierOrders merges them.
+ */
+import { DOMHelpers } from '../utils/DOMHelpers.js';
+
+export class AmazonOrderExtractor {
+  // Amazon order numbers on every marketplace: 111-1234567-1234567
+  static ORDER_NUMBER_PATTERN = /\b(\d{3}-\d{7}-\d{7})\b/;
+
+  /**
+   * Every supplier order on the current page
+   * @param {Document} doc
+   * @returns {Array} Supplier orders; empty on pages that aren't order pages
+   */
+  static extractOrdersFromDoc(doc) {
+    if (DOMHelpers.isOrderHistoryPage()) return this.extractOrderHistoryFromDoc(doc);
+    if (DOMHelpers.isOrderDetailsPage()) return [this.extractOrderDetailsFromDoc(doc)].filter(Boolean);
+    if (DOMHelpers.isPackageTrackingPage()) return [this.extractPackageTrackingFromDoc(doc)].filter(Boolean);
+    return [];
+  }
+
+  // ===== Page Extraction =====
+
+  /**
+   * Order cards on Your Orders; the ship-to address is the recipient popover's, or just the name
+   * @param {Document} doc
+   * @returns {Array}
+   */
+  static extractOrderHistoryFromDoc(doc) {
+    const cards = doc.querySelectorAll(SelectorPacks.selector('amazon', 'orderCard'));
+
+    return [...cards].map(card => {
+      const supplierOrderNumber = this.findOrderNumber(card.textContent);
+      if (!supplierOrderNumber) return null;
+
+      return this.createOrder({
+        supplierOrderNumber,
+        orderDate: this.readText(card, 'orderDate'),
+        shipTo: this.extractShipTo(card),
+        items: this.extractItems(card),
+        total: Marketplaces.parsePrice(this.readText(card, 'orderTotal')),
+        ...this.extractTracking(card)
+      });
+    }).filter(Boolean);
+  }
+
+  /**
+   * @param {Document} doc
+   * @returns {Object|null}
+   */
+  static extractOrderDetailsFromDoc(doc) {
+    const supplierOrderNumber = this.findOrderNumber(window.location.search) || this.findOrderNumber(doc.body.textContent);
+    if (!supplierOrderNumber) return null;
+
+    const charges = this.extractCharges(doc);
+    return this.createOrder({
+      supplierOrderNumber,
+      orderDate: this.readText(doc, 'orderDate'),
+      shipTo: this.extractShipTo(doc),
+      items: this.extractItems(doc),
+      total: charges.length > 0 ? charges[charges.length - 1].amount : null,
+      charges,
+      ...this.extractTracking(doc)
+    });
+  }
+
+  /**
+   * The package tracking page only knows its order from the URL
+   * @param {Document} doc
+   * @returns {Object|null}
+   */
+  static extractPackageTrackingFromDoc(doc) {
+    const supplierOrderNumber = this.findOrderNumber(window.location.search);
+    if (!supplierOrderNumber) return null;
+
+    return this.createOrder({ supplierOrderNumber, ...this.extractTracking(doc) });
+  }
+
+  // ===== Fields =====
+
+  static createOrder(fields) {
+    const marketplace = Marketplaces.current();
+    return {
+      supplierOrderNumber: null,
+      orderDate: null,
+      shipTo: null,
+      items: [],
+      total: null,
+      charges: [],
+      carrier: null,
+      trackingNumber: null,
+      ...fields,
+      marketplace: marketplace.code,
+      currency: marketplace.currency,
+      url: window.location.href,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  static findOrderNumber(text) {
+    return String(text || '').match(this.ORDER_NUMBER_PATTERN)?.[1] || null;
+  }
+
+  static readText(root, field) {
+    return SelectorPacks.first(root, 'amazon', field)?.element.textContent.replace(/\s+/g, ' ').trim() || null;
+  }
+
+  /**
+   * Ship-to address as lines: the name, then the street, then the rest
+   * @param {ParentNode} root - Order card or document
+   * @returns {Object|null} { name, addressLine1, fullAddress }
+   */
+  static extractShipTo(root) {
+    const element = SelectorPacks.first(root, 'amazon', 'orderShipTo')?.element;
+    if (!element) return null;
+
+    // Address blocks put each part in its own element (the popover is hidden, so innerText has
+    // no line breaks); the popover trigger is the name alone
+    const blocks = 'li, .a-row, div';
+    const leaves = [...element.querySelectorAll(blocks)].filter(block => !block.querySelector(blocks));
+    const parts = leaves.length > 0 ? leaves.map(part => part.textContent) : [element.textContent];
+    const lines = [...new Set(parts.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+    if (lines.length === 0) return null;
+
+    return {
+      name: lines[0],
+      addressLine1: lines[1] || null,
+      fullAddress: lines.join(', ')
+    };
+  }
+
+  /**
+   * @param {ParentNode} root - Order card or document
+   * @returns {Array} [{ title, asin, quantity, price }]
+   */
+  static extractItems(root) {
+    const items = [];
+    const seen = new Set();
+
+    for (const row of root.querySelectorAll(SelectorPacks.selector('amazon', 'orderItem'))) {
+      const links = [...row.querySelectorAll(SelectorPacks.selector('amazon', 'orderItemLink'))];
+      const titleLink = links.find(link => link.textContent.trim()) || links[0];
+      if (!titleLink) continue;
+
+      const asin = titleLink.getAttribute('href').match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/)?.[1] || null;
+      const title = titleLink.textContent.replace(/\s+/g, ' ').trim() || null;
+      // Grids nest, so the same item can sit in more than one matching row
+      const key = asin || title;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const priceText = [...row.querySelectorAll('.a-color-price, .a-price .a-offscreen')]
+        .map(element => element.textContent.trim())
+        .find(text => Marketplaces.isPriceText(text));
+
+      items.push({
+        title,
+        asin,
+        quantity: parseInt(this.readText(row, 'orderItemQuantity'), 10) || 1,
+        price: priceText ? Marketplaces.parsePrice(priceText) : null
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Charge lines of the cost breakdown, in page order (the last one is the grand total)
+   * @param {Document} doc
+   * @returns {Array} [{ label, amount }]
+   */
+  static extractCharges(doc) {
+    const section = SelectorPacks.first(doc, 'amazon', 'orderSubtotals')?.element;
+    if (!section) return [];
+
+    const charges = [];
+    for (const row of section.querySelectorAll('.a-row, li')) {
+      if (row.querySelector('.a-row, li')) continue; // Only the innermost rows hold one charge
+      const text = row.textContent.replace(/\s+/g, ' ').trim();
+      const amountText = text.match(Marketplaces.pricePattern())?.[0];
+      const amount = amountText ? Marketplaces.parsePrice(amountText) : null;
+      if (amount == null) continue;
+
+      charges.push({ label: text.replace(amountText, '').replace(/[:：]\s*$/, '').trim(), amount });
+    }
+    return charges;
+  }
+
+  /**
+   * Carrier and tracking number, read after the marketplace's labels ("Shipped with UPS",
+   * "Tracking ID: 1Z...")
+   * @param {ParentNode} root - Order card or document
+   * @returns {Object} { carrier, trackingNumber }
+   */
+  static extractTracking(root) {
+    // Order cards only count their own tracking section; pages fall back to their whole text
+    const section = SelectorPacks.first(root, 'amazon', 'packageTracking')?.element || root.body;
+    if (!section) return { carrier: null, trackingNumber: null };
+
+    const text = section.innerText ?? section.textContent;
+    const strings = Marketplaces.strings();
+    const labels = (list) => list.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const after = (list, value) => text.match(new RegExp(`(?:${labels(list)})\\s*[:：]?\\s*(${value})`, 'i'))?.[1];
+
+    // "Shipped with UPS Tracking ID: 1Z..." on one line: the carrier stops at the tracking label
+    const carrier = after(strings.carrierLabels, '[^\\n:：]{2,40}')
+      ?.split(new RegExp(labels(strings.trackingLabels), 'i'))[0].trim();
+    return {
+      carrier: carrier || null,
+      trackingNumber: after(strings.trackingLabels, '(?=[A-Z]*\\d)[A-Z0-9]{8,34}')?.toUpperCase() || null
+    };
+  }
+}
@@ -2,9 +2,12 @@
  * CostcoDataExtractor - Data extraction logic for Costco.com
  * MUST MATCH Amazon/Yami DataExtractor.js format exactly
  * Extracts product data using multiple fallback strategies
+ * Each field notes the strategy that found it with SelectorHealth (rank 0 = first choice)
+ * Page selectors come from the costco selector pack (SelectorPacks)
  *
  * NOTE: Selectors are best-guesses based on common e-commerce patterns.
- * Run the debug scripts on actual Costco pages and update selectors as needed.
+ * Run the debug scripts on actual Costco pages and update the pack (or override fields
+ * on the options page) as needed.
  */
 
 class CostcoDataExtractor {
@@ -16,9 +19,10 @@ class CostcoDataExtractor {
    * @returns {Object} Product data object
    */
   static extractProductData() {
+    SelectorHealth.begin();
     const productID = CostcoDOMHelpers.extractProductID();
 
-    return {
+    const productData = {
       asin: productID, // Use "asin" for eBay backend compatibility
       title: this.getTitle(),
       price: this.getPrice(),
@@ -27,11 +31,18 @@ class CostcoDataExtractor {
       description: this.getDescription(),
       bulletPoints: this.getBulletPoints(),
       specifications: this.getSpecifications(),
+      rating: this.getRating(),
+      category: this.getCategory(),
       url: window.location.href,
       scrapedAt: new Date().toISOString(),
       source: 'costco',
+      marketplace: 'US', // Costco and Yami only sell in USD
+      currency: 'USD',
       customizedFinalPrice: null
     };
+
+    SelectorHealth.report('costco', productData);
+    return productData;
   }
 
   /**
@@ -42,45 +53,30 @@ class CostcoDataExtractor {
     // Strategy 1: JSON-LD structured data (most reliable)
     const jsonld = CostcoDOMHelpers.extractJSONLD(document);
     if (jsonld && jsonld.name) {
-      return jsonld.name;
+      return SelectorHealth.found('title', 0, 'JSON-LD name', jsonld.name);
     }
 
-    // Strategy 2: H1 tag (usually product name)
-    const h1 = document.querySelector('h1');
-    if (h1) {
-      return h1.textContent.trim();
-    }
-
-    // Strategy 3: Product title specific selectors
-    const titleSelectors = [
-      '[data-testid="product-title"]',
-      '[class*="product-title"]',
-      '[class*="ProductTitle"]',
-      '[class*="product-name"]',
-      '[class*="ProductName"]',
-      '.product-h1-container h1',
-      '#product-title'
-    ];
-
-    for (const selector of titleSelectors) {
+    // Strategy 2: H1 tag (usually product name), then product title specific selectors
+    const titleSelectors = SelectorPacks.get('costco', 'title');
+    for (const [index, selector] of titleSelectors.entries()) {
       const element = document.querySelector(selector);
       if (element) {
-        return element.textContent.trim();
+        return SelectorHealth.found('title', 1 + index, selector, element.textContent.trim());
       }
     }
 
-    // Strategy 4: Meta tags
+    // Strategy 3: Meta tags
     const ogTitle = document.querySelector('meta[property="og:title"]');
     if (ogTitle) {
-      return ogTitle.getAttribute('content');
+      return SelectorHealth.found('title', 1 + titleSelectors.length, 'og:title', ogTitle.getAttribute('content'));
     }
 
-    // Strategy 5: Title tag (less reliable)
+    // Strategy 4: Title tag (less reliable)
     const titleTag = document.querySelector('title');
     if (titleTag) {
       const title = titleTag.textContent.trim();
       // Remove site suffix like " | Costco"
-      return title.replace(/\s*[|–-]\s*Costco.*$/i, '').trim();
+      return SelectorHealth.found('title', 2 + titleSelectors.length, 'title tag', title.replace(/\s*[|–-]\s*Costco.*$/i, '').trim());
     }
 
     return null;
@@ -94,16 +90,9 @@ class CostcoDataExtractor {
   static getPrice() {
     // Strategy 1: Costco-specific price selectors (get actual sale price first)
     // These selectors target the current displayed price, not the "was" price
-    const costcoPriceSelectors = [
-      // Current price container - most reliable for sale prices
-      '[data-testid="single-price-content"]',
-      // Price container that shows the actual price
-      '[data-testid="price"] [data-testid="single-price-content"]',
-      // Build price from whole and decimal parts
-      '[data-testid="Text_single-price-whole-value"]'
-    ];
-
-    for (const selector of costcoPriceSelectors) {
+    const costcoPriceSelectors = SelectorPacks.get('costco', 'price');
+
+    for (const [index, selector] of costcoPriceSelectors.entries()) {
       const element = document.querySelector(selector);
       if (element) {
         const priceText = element.textContent.trim();
@@ -112,21 +101,21 @@ class CostcoDataExtractor {
         if (priceMatch) {
           const price = CostcoDOMHelpers.parsePrice('$' + priceMatch[1]);
           if (price !== null && price > 0) {
-            return CostcoDOMHelpers.formatPrice(price);
+            return SelectorHealth.found('price', index, selector, CostcoDOMHelpers.formatPrice(price));
           }
         }
       }
     }
 
     // Strategy 2: Build price from whole and decimal value parts
-    const wholeValue = document.querySelector('[data-testid="Text_single-price-whole-value"]');
-    const decimalValue = document.querySelector('[data-testid="Text_single-price-decimal-value"]');
+    const wholeValue = document.querySelector(SelectorPacks.selector('costco', 'priceWhole'));
+    const decimalValue = document.querySelector(SelectorPacks.selector('costco', 'priceDecimal'));
     if (wholeValue) {
       const whole = wholeValue.textContent.trim();
       const decimal = decimalValue ? decimalValue.textContent.trim() : '99';
       const price = parseFloat(`${whole}.${decimal}`);
       if (!isNaN(price) && price > 0) {
-        return CostcoDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', costcoPriceSelectors.length, 'whole + decimal value', CostcoDOMHelpers.formatPrice(price));
       }
     }
 
@@ -136,20 +125,15 @@ class CostcoDataExtractor {
       const offers = Array.isArray(jsonld.offers) ? jsonld.offers[0] : jsonld.offers;
       const price = parseFloat(offers.price || offers.lowPrice);
       if (!isNaN(price)) {
-        return CostcoDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', costcoPriceSelectors.length + 1, 'JSON-LD offers.price', CostcoDOMHelpers.formatPrice(price));
       }
     }
 
     // Strategy 4: Generic price selectors
-    const genericPriceSelectors = [
-      '[data-testid="product-price"]',
-      '[class*="your-price"] [class*="value"]',
-      '.price-value',
-      '.product-price',
-      '[itemprop="price"]'
-    ];
-
-    for (const selector of genericPriceSelectors) {
+    const genericPriceSelectors = SelectorPacks.get('costco', 'genericPrice');
+
+    const genericRank = costcoPriceSelectors.length + 2;
+    for (const [index, selector] of genericPriceSelectors.entries()) {
       const elements = document.querySelectorAll(selector);
       for (const element of elements) {
         const priceText = element.textContent.trim();
@@ -157,7 +141,7 @@ class CostcoDataExtractor {
         if (priceMatch) {
           const price = CostcoDOMHelpers.parsePrice(priceMatch[0]);
           if (price !== null && price > 0) {
-            return CostcoDOMHelpers.formatPrice(price);
+            return SelectorHealth.found('price', genericRank + index, selector, CostcoDOMHelpers.formatPrice(price));
           }
         }
       }
@@ -168,7 +152,7 @@ class CostcoDataExtractor {
     if (ogPrice) {
       const price = parseFloat(ogPrice.getAttribute('content'));
       if (!isNaN(price)) {
-        return CostcoDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', genericRank + genericPriceSelectors.length, 'product:price:amount', CostcoDOMHelpers.formatPrice(price));
       }
     }
 
@@ -189,14 +173,7 @@ class CostcoDataExtractor {
     }
 
     // Look for specific shipping selectors
-    const shippingSelectors = [
-      '[class*="shipping"]',
-      '[class*="delivery"]',
-      '[data-testid*="shipping"]',
-      '[data-testid*="delivery"]'
-    ];
-
-    for (const selector of shippingSelectors) {
+    for (const selector of SelectorPacks.get('costco', 'shipping')) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
@@ -222,13 +199,15 @@ class CostcoDataExtractor {
    */
   static getImages() {
     const images = new Set();
+    const strategies = ['product-hero images', 'Product Preview alt text', 'JSON-LD image', 'og:image'];
+    let rank = 0;
 
     // Strategy 1: Costco-specific - images from product-hero container
     // Pattern: div[data-testid="product-hero"] contains multiple .mui-79elbk divs with lazy-loaded images
-    const productHero = document.querySelector('[data-testid="product-hero"]');
+    const productHero = document.querySelector(SelectorPacks.selector('costco', 'productHero'));
     if (productHero) {
       // Find all image containers within product-hero
-      const imageContainers = productHero.querySelectorAll('.mui-79elbk, [class*="media-container"]');
+      const imageContainers = productHero.querySelectorAll(SelectorPacks.selector('costco', 'heroImageContainers'));
       imageContainers.forEach(container => {
         const img = container.querySelector('img[loading="lazy"], img');
         if (img) {
@@ -255,7 +234,8 @@ class CostcoDataExtractor {
 
     // Strategy 2: Fallback - images with "Enlarge Product Preview" alt text
     if (images.size === 0) {
-      const previewImages = document.querySelectorAll('img[alt*="Enlarge Product Preview"], img[alt*="Product Preview"]');
+      rank = 1;
+      const previewImages = document.querySelectorAll(SelectorPacks.selector('costco', 'previewImages'));
       previewImages.forEach(img => {
         const src = img.src;
         if (src && !src.includes('Logo') && !src.includes('logo')) {
@@ -267,6 +247,7 @@ class CostcoDataExtractor {
 
     // Strategy 3: JSON-LD Product schema (good fallback)
     if (images.size === 0) {
+      rank = 2;
       const jsonld = CostcoDOMHelpers.extractJSONLD(document);
       if (jsonld && jsonld.image) {
         const imageUrls = Array.isArray(jsonld.image) ? jsonld.image : [jsonld.image];
@@ -282,6 +263,7 @@ class CostcoDataExtractor {
 
     // Strategy 4: Meta og:image
     if (images.size === 0) {
+      rank = 3;
       const ogImage = document.querySelector('meta[property="og:image"]');
       if (ogImage) {
         const content = ogImage.getAttribute('content');
@@ -293,7 +275,7 @@ class CostcoDataExtractor {
       }
     }
 
-    return Array.from(images).filter(url => url && url.length > 0).slice(0, 10);
+    return SelectorHealth.found('images', rank, strategies[rank], Array.from(images).filter(url => url && url.length > 0).slice(0, 10));
   }
 
   /**
@@ -304,24 +286,16 @@ class CostcoDataExtractor {
     // Strategy 1: JSON-LD description
     const jsonld = CostcoDOMHelpers.extractJSONLD(document);
     if (jsonld && jsonld.description) {
-      return jsonld.description;
+      return SelectorHealth.found('description', 0, 'JSON-LD description', jsonld.description);
     }
 
     // Strategy 2: Description-specific selectors
-    const descSelectors = [
-      '[data-testid="product-description"]',
-      '[class*="product-description"]',
-      '[class*="ProductDescription"]',
-      '[class*="product-details"]',
-      '[class*="ProductDetails"]',
-      '#product-description',
-      '.product-info-description'
-    ];
-
-    for (const selector of descSelectors) {
+    const descSelectors = SelectorPacks.get('costco', 'description');
+
+    for (const [index, selector] of descSelectors.entries()) {
       const element = document.querySelector(selector);
       if (element) {
-        return element.textContent.trim();
+        return SelectorHealth.found('description', 1 + index, selector, element.textContent.trim());
       }
     }
 
@@ -332,13 +306,13 @@ class CostcoDataExtractor {
       for (const [key, value] of Object.entries(specs)) {
         description += `${key}: ${value}\n`;
       }
-      return description.trim();
+      return SelectorHealth.found('description', 1 + descSelectors.length, 'specifications', description.trim());
     }
 
     // Strategy 4: Meta description
     const metaDesc = document.querySelector('meta[name="description"], meta[property="og:description"]');
     if (metaDesc) {
-      return metaDesc.getAttribute('content');
+      return SelectorHealth.found('description', 2 + descSelectors.length, 'meta description', metaDesc.getAttribute('content'));
     }
 
     return '';
@@ -350,9 +324,11 @@ class CostcoDataExtractor {
    */
   static getBulletPoints() {
     const bulletPoints = [];
+    const strategies = ['#product-details-summary', 'feature list', 'syndigo shadow DOM images', 'syndigo feature images'];
+    let rank = null; // First strategy that contributed
 
     // Strategy 1: Costco-specific #product-details-summary
-    const detailsSummary = document.querySelector('#product-details-summary');
+    const detailsSummary = document.querySelector(SelectorPacks.selector('costco', 'detailsSummary'));
     if (detailsSummary) {
       // Parse the content - it uses <strong> tags for section headers
       // and text content between <br> tags
@@ -397,17 +373,11 @@ class CostcoDataExtractor {
         });
       }
     }
+    if (bulletPoints.length > 0) rank = 0;
 
     // Strategy 2: Feature list selectors (fallback)
     if (bulletPoints.length === 0) {
-      const featureSelectors = [
-        '[class*="feature"] li',
-        '[class*="highlight"] li',
-        '[data-testid="features"] li',
-        '.product-features li'
-      ];
-
-      for (const selector of featureSelectors) {
+      for (const selector of SelectorPacks.get('costco', 'features')) {
         const items = document.querySelectorAll(selector);
         if (items.length > 0) {
           items.forEach(item => {
@@ -419,12 +389,13 @@ class CostcoDataExtractor {
           if (bulletPoints.length > 0) break;
         }
       }
+      if (bulletPoints.length > 0) rank = 1;
     }
 
     // Strategy 3: Extract images from Product Details syndigo section (shadow DOM)
     // These are marketing/feature images that should be included with bullet points
     // The syndigo content is inside a shadow root, so we need to access it properly
-    const syndigoPageElement = document.querySelector('syndigo-powerpage');
+    const syndigoPageElement = document.querySelector(SelectorPacks.selector('costco', 'syndigoPage'));
     if (syndigoPageElement && syndigoPageElement.shadowRoot) {
       const shadowRoot = syndigoPageElement.shadowRoot;
 
@@ -462,10 +433,11 @@ class CostcoDataExtractor {
         });
       }
     }
+    if (rank === null && bulletPoints.length > 0) rank = 2;
 
     // Strategy 4: Fallback - try direct query in case shadow DOM is not used
     if (bulletPoints.filter(bp => bp.startsWith('[IMAGE]:')).length === 0) {
-      const syndigoContainer = document.querySelector('.syndigo-featureset-layout.syndigo-feature-stacked');
+      const syndigoContainer = document.querySelector(SelectorPacks.selector('costco', 'syndigoFeatures'));
       if (syndigoContainer) {
         const syndigoImages = syndigoContainer.querySelectorAll('picture img, img');
         syndigoImages.forEach(img => {
@@ -477,8 +449,41 @@ class CostcoDataExtractor {
         });
       }
     }
+    if (rank === null && bulletPoints.length > 0) rank = 3;
 
-    return bulletPoints;
+    return rank === null ? bulletPoints : SelectorHealth.found('bulletPoints', rank, strategies[rank], bulletPoints);
+  }
+
+  /**
+   * Extract the category path from JSON-LD (Product category, else BreadcrumbList)
+   * @returns {string} e.g. "Snacks > Chips", or empty string
+   */
+  static getCategory() {
+    const jsonld = CostcoDOMHelpers.extractJSONLD(document);
+    if (jsonld?.category) return String(jsonld.category);
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data['@type'] === 'BreadcrumbList' && Array.isArray(data.itemListElement)) {
+          return data.itemListElement.map(item => item.name || item.item?.name).filter(Boolean).join(' > ');
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Extract average customer rating from JSON-LD aggregateRating
+   * @returns {number|null} Rating out of 5, or null when the product has none
+   */
+  static getRating() {
+    const jsonld = CostcoDOMHelpers.extractJSONLD(document);
+    const rating = parseFloat(jsonld?.aggregateRating?.ratingValue);
+    return isNaN(rating) ? null : rating;
   }
 
   /**
@@ -487,10 +492,12 @@ class CostcoDataExtractor {
    */
   static getSpecifications() {
     const specs = {};
+    const strategies = ['#ProductSpecifications', 'spec table rows', 'definition list', 'label/value pairs'];
+    let rank = 0;
 
     // Strategy 1: Costco-specific ProductSpecifications table
     // Pattern: <table data-testid="Table_ProductSpecifications" id="ProductSpecifications">
-    const costcoSpecTable = document.querySelector('[data-testid="Table_ProductSpecifications"], #ProductSpecifications');
+    const costcoSpecTable = document.querySelector(SelectorPacks.selector('costco', 'specTable'));
     if (costcoSpecTable) {
       const rows = costcoSpecTable.querySelectorAll('tr');
       rows.forEach(row => {
@@ -508,17 +515,8 @@ class CostcoDataExtractor {
 
     // Strategy 2: Generic specification table selectors (fallback)
     if (Object.keys(specs).length === 0) {
-      const specTableSelectors = [
-        '[class*="specification"] tr',
-        '[class*="Specification"] tr',
-        '[class*="spec-table"] tr',
-        '[class*="SpecTable"] tr',
-        '[data-testid="specifications"] tr',
-        '.product-specs tr',
-        '.product-info-specs tr'
-      ];
-
-      for (const selector of specTableSelectors) {
+      rank = 1;
+      for (const selector of SelectorPacks.get('costco', 'specRows')) {
         const rows = document.querySelectorAll(selector);
         if (rows.length > 0) {
           rows.forEach(row => {
@@ -538,6 +536,7 @@ class CostcoDataExtractor {
 
     // Strategy 3: Definition list format
     if (Object.keys(specs).length === 0) {
+      rank = 2;
       const dlElements = document.querySelectorAll('dl');
       dlElements.forEach(dl => {
         const terms = dl.querySelectorAll('dt');
@@ -556,6 +555,7 @@ class CostcoDataExtractor {
 
     // Strategy 4: Key-value pairs in specific containers
     if (Object.keys(specs).length === 0) {
+      rank = 3;
       const specContainers = document.querySelectorAll('[class*="spec"], [class*="detail"], [class*="attribute"]');
       specContainers.forEach(container => {
         const label = container.querySelector('[class*="label"], [class*="key"], [class*="name"]');
@@ -566,32 +566,29 @@ class CostcoDataExtractor {
       });
     }
 
-    return specs;
+    return SelectorHealth.found('specifications', rank, strategies[rank], specs);
   }
 
   // ===== Parsed Document Extraction (for bulk scraping) =====
 
   static extractTitleFromDoc(doc) {
     const jsonld = CostcoDOMHelpers.extractJSONLD(doc);
-    if (jsonld && jsonld.name) return jsonld.name;
+    if (jsonld && jsonld.name) return SelectorHealth.found('title', 0, 'JSON-LD name', jsonld.name);
 
-    const h1 = doc.querySelector('h1');
-    if (h1) return h1.textContent.trim();
+    const h1 = SelectorPacks.first(doc, 'costco', 'title');
+    if (h1) return SelectorHealth.found('title', 1 + h1.rank, h1.selector, h1.element.textContent.trim());
 
     const ogTitle = doc.querySelector('meta[property="og:title"]');
-    if (ogTitle) return ogTitle.getAttribute('content');
+    if (ogTitle) return SelectorHealth.found('title', 2, 'og:title', ogTitle.getAttribute('content'));
 
     return null;
   }
 
   static extractPriceFromDoc(doc) {
     // Strategy 1: Costco-specific price selectors (get actual sale price first)
-    const costcoPriceSelectors = [
-      '[data-testid="single-price-content"]',
-      '[data-testid="price"] [data-testid="single-price-content"]'
-    ];
+    const costcoPriceSelectors = SelectorPacks.get('costco', 'price');
 
-    for (const selector of costcoPriceSelectors) {
+    for (const [index, selector] of costcoPriceSelectors.entries()) {
       const element = doc.querySelector(selector);
       if (element) {
         const priceText = element.textContent.trim();
@@ -599,21 +596,21 @@ class CostcoDataExtractor {
         if (priceMatch) {
           const price = CostcoDOMHelpers.parsePrice('$' + priceMatch[1]);
           if (price !== null && price > 0) {
-            return CostcoDOMHelpers.formatPrice(price);
+            return SelectorHealth.found('price', index, selector, CostcoDOMHelpers.formatPrice(price));
           }
         }
       }
     }
 
     // Strategy 2: Build price from whole and decimal value parts
-    const wholeValue = doc.querySelector('[data-testid="Text_single-price-whole-value"]');
-    const decimalValue = doc.querySelector('[data-testid="Text_single-price-decimal-value"]');
+    const wholeValue = doc.querySelector(SelectorPacks.selector('costco', 'priceWhole'));
+    const decimalValue = doc.querySelector(SelectorPacks.selector('costco', 'priceDecimal'));
     if (wholeValue) {
       const whole = wholeValue.textContent.trim();
       const decimal = decimalValue ? decimalValue.textContent.trim() : '99';
       const price = parseFloat(`${whole}.${decimal}`);
       if (!isNaN(price) && price > 0) {
-        return CostcoDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', costcoPriceSelectors.length, 'whole + decimal value', CostcoDOMHelpers.formatPrice(price));
       }
     }
 
@@ -632,7 +629,7 @@ class CostcoDataExtractor {
           const offers = Array.isArray(productData.offers) ? productData.offers[0] : productData.offers;
           const price = parseFloat(offers.price || offers.lowPrice);
           if (!isNaN(price) && price > 0) {
-            return CostcoDOMHelpers.formatPrice(price);
+            return SelectorHealth.found('price', costcoPriceSelectors.length + 1, 'JSON-LD offers.price', CostcoDOMHelpers.formatPrice(price));
           }
         }
       } catch (e) {
@@ -641,14 +638,7 @@ class CostcoDataExtractor {
     }
 
     // Strategy 4: Generic price selectors
-    const priceSelectors = [
-      '[data-testid="product-price"]',
-      '.price-value',
-      '.product-price',
-      '[itemprop="price"]'
-    ];
-
-    for (const selector of priceSelectors) {
+    for (const [index, selector] of SelectorPacks.get('costco', 'genericPrice').entries()) {
       const element = doc.querySelector(selector);
       if (element) {
         const priceText = element.textContent.trim();
@@ -656,7 +646,7 @@ class CostcoDataExtractor {
         if (priceMatch) {
           const price = CostcoDOMHelpers.parsePrice(priceMatch[0]);
           if (price !== null && price > 0) {
-            return CostcoDOMHelpers.formatPrice(price);
+            return SelectorHealth.found('price', costcoPriceSelectors.length + 2 + index, selector, CostcoDOMHelpers.formatPrice(price));
           }
         }
       }
@@ -677,10 +667,10 @@ class CostcoDataExtractor {
     const images = new Set();
 
     // Strategy 1: Costco-specific - images from product-hero container
-    const productHero = doc.querySelector('[data-testid="product-hero"]');
+    const productHero = doc.querySelector(SelectorPacks.selector('costco', 'productHero'));
     if (productHero) {
       // Find all image containers within product-hero
-      const imageContainers = productHero.querySelectorAll('.mui-79elbk, [class*="media-container"]');
+      const imageContainers = productHero.querySelectorAll(SelectorPacks.selector('costco', 'heroImageContainers'));
       imageContainers.forEach(container => {
         const img = container.querySelector('img[loading="lazy"], img');
         if (img) {
@@ -707,7 +697,7 @@ class CostcoDataExtractor {
 
     // Strategy 2: Fallback - images with "Enlarge Product Preview" alt text
     if (images.size === 0) {
-      const previewImages = doc.querySelectorAll('img[alt*="Enlarge Product Preview"], img[alt*="Product Preview"]');
+      const previewImages = doc.querySelectorAll(SelectorPacks.selector('costco', 'previewImages'));
       previewImages.forEach(img => {
         const src = img.getAttribute('src');
         if (src && !src.includes('Logo') && !src.includes('logo')) {
@@ -778,7 +768,7 @@ class CostcoDataExtractor {
     const bulletPoints = [];
 
     // Strategy 1: Costco-specific #product-details-summary
-    const detailsSummary = doc.querySelector('#product-details-summary');
+    const detailsSummary = doc.querySelector(SelectorPacks.selector('costco', 'detailsSummary'));
     if (detailsSummary) {
       // Extract sections marked with <strong> tags
       const strongTags = detailsSummary.querySelectorAll('strong');
@@ -822,13 +812,7 @@ class CostcoDataExtractor {
 
     // Strategy 2: Feature list selectors (fallback)
     if (bulletPoints.length === 0) {
-      const featureSelectors = [
-        '[class*="feature"] li',
-        '[class*="highlight"] li',
-        '.product-features li'
-      ];
-
-      for (const selector of featureSelectors) {
+      for (const selector of SelectorPacks.get('costco', 'features')) {
         const items = doc.querySelectorAll(selector);
         if (items.length > 0) {
           items.forEach(item => {
@@ -845,7 +829,9 @@ class CostcoDataExtractor {
     // Strategy 3: Extract images from Product Details syndigo section
     // Note: Shadow DOM content won't be available in fetched documents since JS doesn't execute
     // Try to find any syndigo-related images that might be in the static HTML
-    const syndigoContainer = doc.querySelector('.syndigo-featureset-layout.syndigo-feature-stacked, syndigo-powerpage, [class*="syndigo"]');
+    const syndigoContainer = doc.querySelector(
+      [SelectorPacks.selector('costco', 'syndigoFeatures'), SelectorPacks.selector('costco', 'syndigoPage'), '[class*="syndigo"]'].join(', ')
+    );
     if (syndigoContainer) {
       // Use <img> src directly from <picture> elements (full image, not zoomed srcset crops)
       const pictureElements = syndigoContainer.querySelectorAll('picture');
@@ -888,7 +874,7 @@ class CostcoDataExtractor {
     const specs = {};
 
     // Strategy 1: Costco-specific ProductSpecifications table
-    const costcoSpecTable = doc.querySelector('[data-testid="Table_ProductSpecifications"], #ProductSpecifications');
+    const costcoSpecTable = doc.querySelector(SelectorPacks.selector('costco', 'specTable'));
     if (costcoSpecTable) {
       const rows = costcoSpecTable.querySelectorAll('tr');
       rows.forEach(row => {
@@ -906,13 +892,7 @@ class CostcoDataExtractor {
 
     // Strategy 2: Generic specification table selectors (fallback)
     if (Object.keys(specs).length === 0) {
-      const specTableSelectors = [
-        '[class*="specification"] tr',
-        '[class*="spec-table"] tr',
-        '.product-specs tr'
-      ];
-
-      for (const selector of specTableSelectors) {
+      for (const selector of SelectorPacks.get('costco', 'specRows')) {
         const rows = doc.querySelectorAll(selector);
         if (rows.length > 0) {
           rows.forEach(row => {
@@ -935,15 +915,16 @@ class CostcoDataExtractor {
 
   /**
    * Extract product links from category/search page
+   * @param {Document} [doc] - A fetched category page (PageCrawler); defaults to the open page
    * @returns {Array<Object>} Array of product link objects
    */
-  static extractProductLinksFromPage() {
+  static extractProductLinksFromPage(doc = document) {
     const productLinks = [];
     const seenIDs = new Set();
 
     // Strategy 1: Costco-specific ProductTile elements (from debug output)
     // Pattern: data-testid="ProductTile_XXXXXX" where XXXXXX is the product ID
-    const productTiles = document.querySelectorAll('[data-testid^="ProductTile_"]');
+    const productTiles = doc.querySelectorAll(SelectorPacks.selector('costco', 'productTiles'));
 
     if (productTiles.length > 0) {
       productTiles.forEach(tile => {
@@ -976,7 +957,7 @@ class CostcoDataExtractor {
 
     // Strategy 2: Grid items with product links (fallback)
     if (productLinks.length === 0) {
-      const gridItems = document.querySelectorAll('.MuiGrid2-grid-xs-3');
+      const gridItems = doc.querySelectorAll(SelectorPacks.selector('costco', 'gridItems'));
 
       gridItems.forEach(item => {
         const link = item.querySelector('a[href*=".product."]') || item.querySelector('a[href*="/p/"]');
@@ -1003,7 +984,7 @@ class CostcoDataExtractor {
 
     // Strategy 3: Find all product links and work backwards
     if (productLinks.length === 0) {
-      const allProductLinks = document.querySelectorAll('a[href*="/p/"], a[href*=".product."]');
+      const allProductLinks = doc.querySelectorAll('a[href*="/p/"], a[href*=".product."]');
 
       allProductLinks.forEach(link => {
         const href = link.getAttribute('href');
@@ -1036,6 +1017,17 @@ class CostcoDataExtractor {
     return productLinks;
   }
 
+  /**
+   * Next category/search page: the legacy .paging list or the MUI pagination's next link
+   * @param {Document} doc - Category page
+   * @param {string} pageUrl - URL the page was loaded from
+   * @returns {string|null} Absolute URL of the next page
+   */
+  static getNextPageUrl(doc, pageUrl) {
+    const next = doc.querySelector(SelectorPacks.selector('costco', 'nextPage'));
+    return next ? PageCrawler.resolveUrl(next.getAttribute('href'), pageUrl) : null;
+  }
+
   /**
    * Extract data from a specific document (for fetched pages in bulk scraping)
    * MUST MATCH Amazon/Yami format exactly
@@ -1056,7 +1048,9 @@ class CostcoDataExtractor {
       description: this.extractDescriptionFromDoc(doc),
       bulletPoints: this.extractBulletPointsFromDoc(doc),
       specifications: this.extractSpecificationsFromDoc(doc),
-      source: 'costco'
+      source: 'costco',
+      marketplace: 'US',
+      currency: 'USD'
     };
   }
 }
@@ -1,6 +1,9 @@
 /**
  * Data Extractor
  * Extracts product information from Amazon product pages (live DOM and parsed HTML documents)
+ * Prices, delivery text and unit prices are read with the marketplace's strings from Marketplaces
+ * Each field notes the selector or strategy that found it with SelectorHealth (rank 0 = first choice)
+ * Page selectors come from the amazon selector pack (SelectorPacks)
  */
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 
@@ -8,6 +11,7 @@ export class DataExtractor {
   // ===== Current Page Extraction =====
 
   static extractProductData() {
+    SelectorHealth.begin();
     const variations = this.extractVariations();
     let images = this.getImages();
 
@@ -24,12 +28,17 @@ export class DataExtractor {
       images = [...images, variations.sizeChart.url];
     }
 
-    return {
+    const marketplace = Marketplaces.current();
+    const price = this.getPrice();
+
+    const productData = {
       asin: DOMHelpers.extractASIN(),
       title: this.getTitle(),
-      price: this.getPrice(),
+      price,
       deliveryFee: this.getDeliveryFee(),
       isPrime: this.isPrimeEligible(),
+      rating: this.getRating(),
+      category: this.getCategory(),
       images,
       description: this.getDescription(),
       bulletPoints: this.getBulletPoints(),
@@ -38,8 +47,13 @@ export class DataExtractor {
       url: window.location.href,
       scrapedAt: new Date().toISOString(),
       source: 'amazon',
+      marketplace: marketplace.code,
+      currency: Marketplaces.detectCurrency(price, marketplace.currency),
       customizedFinalPrice: null
     };
+
+    SelectorHealth.report('amazon', productData);
+    return productData;
   }
 
   // ===== Variation Extraction =====
@@ -211,11 +225,7 @@ export class DataExtractor {
 
   static extractSizeChart() {
     // Size chart is pre-rendered inside .a-popover-preload in #sizeChartV2Data_feature_div
-    const wrapper = document.querySelector(
-      '#sizeChartV2Data_feature_div .fit-sizechartv2-tables-wrapper, ' +
-      '#a-popover-sizeGuide .fit-sizechartv2-tables-wrapper, ' +
-      '.fit-sizechartv2-tables-wrapper'
-    );
+    const wrapper = SelectorPacks.first(document, 'amazon', 'sizeChart')?.element;
 
     if (wrapper) {
       const charts = this._parseSizeChartTables(wrapper);
@@ -225,10 +235,7 @@ export class DataExtractor {
     }
 
     // Fallback: some size charts are images directly
-    const chartImg = document.querySelector(
-      '#sizeChartV2Data_feature_div img[src*="media-amazon"], ' +
-      '[id^="a-popover-content"] img[src*="media-amazon"]'
-    );
+    const chartImg = document.querySelector(SelectorPacks.selector('amazon', 'sizeChartImage'));
     if (chartImg) {
       return { type: 'image', url: chartImg.src };
     }
@@ -266,28 +273,24 @@ export class DataExtractor {
   }
 
   static getTitle() {
-    const selectors = ['#productTitle', '#title', 'h1.a-size-large'];
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) return element.textContent.trim();
-    }
-    return null;
+    const match = SelectorPacks.first(document, 'amazon', 'title');
+    return match ? SelectorHealth.found('title', match.rank, match.selector, match.element.textContent.trim()) : null;
   }
 
   static getPrice() {
     // CRITICAL: Only look for prices within the core price display container
     // This prevents picking up incorrect prices from other parts of the page
     // Use querySelector to get the FIRST occurrence (in case of duplicates)
-    const corePriceDisplay = document.querySelector('#corePriceDisplay_desktop_feature_div');
+    const corePriceDisplay = SelectorPacks.first(document, 'amazon', 'priceContainer')?.element;
 
     if (corePriceDisplay) {
       // Strategy 0: Look for .aok-offscreen (Amazon's accessibility class for screen readers)
       const aokOffscreen = corePriceDisplay.querySelector('.aok-offscreen');
       if (aokOffscreen) {
         const priceText = aokOffscreen.textContent.trim();
-        // Validate it's a proper price format
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Validate it's a proper price format in the marketplace's currency
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 0, '.aok-offscreen', priceText);
         }
       }
 
@@ -298,7 +301,7 @@ export class DataExtractor {
         const fractionPart = corePriceDisplay.querySelector('.priceToPay .a-price-fraction');
         if (wholePart) {
           const fraction = fractionPart ? fractionPart.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 1, '.priceToPay .a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
 
@@ -306,8 +309,8 @@ export class DataExtractor {
       const priceToPay = corePriceDisplay.querySelector('.priceToPay .a-offscreen');
       if (priceToPay && priceToPay.textContent.trim()) {
         const priceText = priceToPay.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 2, '.priceToPay .a-offscreen', priceText);
         }
       }
 
@@ -315,8 +318,8 @@ export class DataExtractor {
       const basisPrice = corePriceDisplay.querySelector('.basisPrice .a-offscreen');
       if (basisPrice && basisPrice.textContent.trim()) {
         const priceText = basisPrice.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 3, '.basisPrice .a-offscreen', priceText);
         }
       }
 
@@ -324,9 +327,9 @@ export class DataExtractor {
       const offscreenPrices = corePriceDisplay.querySelectorAll('.a-offscreen');
       for (const offscreen of offscreenPrices) {
         const priceText = offscreen.textContent.trim();
-        // Match valid price format like $10.49 or $1,234.56
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Match valid price format like $10.49, £1,234.56 or 12,99 €
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 4, '.a-offscreen', priceText);
         }
       }
 
@@ -337,17 +340,16 @@ export class DataExtractor {
         const fractionElement = priceWhole.parentElement?.querySelector('.a-price-fraction');
         if (wholePart) {
           const fraction = fractionElement ? fractionElement.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 5, '.a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
     }
 
     // Fallback: Legacy selectors (only if core price display not found)
-    const legacySelectors = ['#priceblock_ourprice', '#priceblock_dealprice', '#price_inside_buybox'];
-    for (const selector of legacySelectors) {
+    for (const [index, selector] of SelectorPacks.get('amazon', 'legacyPrice').entries()) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim()) {
-        return element.textContent.trim();
+        return SelectorHealth.found('price', 6 + index, selector, element.textContent.trim());
       }
     }
 
@@ -355,12 +357,7 @@ export class DataExtractor {
   }
 
   static isUnitPriceText(priceText, element) {
-    const unitPricePatterns = [
-      /\$[\d.,]+\s*(per|\/)\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.,]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i
-    ];
-
-    if (unitPricePatterns.some(pattern => pattern.test(priceText))) {
+    if (Marketplaces.isUnitPriceText(priceText)) {
       return true;
     }
 
@@ -375,7 +372,7 @@ export class DataExtractor {
       ];
 
       for (const context of contextTexts) {
-        if (/per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i.test(context)) {
+        if (Marketplaces.isUnitPriceText(context)) {
           if (context.includes(priceText)) {
             return true;
           }
@@ -389,13 +386,7 @@ export class DataExtractor {
   static isUnitPriceContainer(priceContainer) {
     const containerText = priceContainer.textContent || '';
     const parentText = priceContainer.parentElement?.textContent || '';
-    const unitPatterns = [
-      /\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i,
-      /per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i
-    ];
-    const textToCheck = containerText + ' ' + parentText;
-    return unitPatterns.some(pattern => pattern.test(textToCheck));
+    return Marketplaces.isUnitPriceText(containerText + ' ' + parentText);
   }
 
   static isPrimeEligible() {
@@ -405,24 +396,14 @@ export class DataExtractor {
       const boxText = box.textContent || '';
       if (boxText.match(/prime/i)) {
         // Verify it's near price information
-        const hasPriceInfo = boxText.match(/\$[\d,]+\.?\d*/);
+        const hasPriceInfo = Marketplaces.pricePattern().test(boxText);
         if (hasPriceInfo) {
           return true;
         }
       }
     }
 
-    const primeSelectors = [
-      '#priceBadging_feature_div [aria-label*="Prime"]',
-      '.prime-logo',
-      'i.a-icon-prime',
-      '[data-testid*="prime"]',
-      'span:contains("Prime")',
-      '#deliveryMessageMirId [aria-label*="Prime"]',
-      '#mir-layout-DELIVERY_BLOCK [aria-label*="Prime"]'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'prime')) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent || element.getAttribute('aria-label') || '';
@@ -432,12 +413,7 @@ export class DataExtractor {
       }
     }
 
-    const deliverySelectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE'
-    ];
-
-    for (const selector of deliverySelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'primeDelivery')) {
       const element = document.querySelector(selector);
       if (element && element.textContent.match(/prime/i)) {
         return true;
@@ -450,16 +426,7 @@ export class DataExtractor {
   static checkPrimeEligibilityFromElement(element) {
     if (!element) return false;
 
-    const primeSelectors = [
-      'i.a-icon-prime',
-      '.a-icon-prime',
-      '[aria-label*="Prime"]',
-      '.s-prime',
-      'i[aria-label*="Prime"]',
-      'span.a-icon-prime-logo'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'resultPrime')) {
       const primeElement = element.querySelector(selector);
       if (primeElement) {
         const text = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
@@ -470,8 +437,9 @@ export class DataExtractor {
     }
 
     const deliveryText = element.textContent || '';
-    if (deliveryText.match(/FREE.*delivery/i) || deliveryText.match(/FREE.*shipping/i)) {
-      if (!deliveryText.match(/FREE.*returns/i) || deliveryText.match(/Prime/i)) {
+    const strings = Marketplaces.strings();
+    if (strings.freeDelivery.test(deliveryText)) {
+      if (!strings.freeReturns.test(deliveryText) || deliveryText.match(/Prime/i)) {
         return true;
       }
     }
@@ -480,40 +448,26 @@ export class DataExtractor {
   }
 
   static getDeliveryFee() {
-    const selectors = [
-      '#deliveryMessageMirId span[data-csa-c-delivery-price]',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE .a-color-success',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#ourprice_shippingmessage',
-      '#price-shipping-message',
-      '#price_shipping_message',
-      '#delivery-message',
-      '#ddmDeliveryMessage',
-      '#fulfillerInfoFeature_feature_div .a-color-success',
-      '#deliveryBlockMessage',
-      '[data-feature-name="delivery"] .a-color-price',
-      '#buybox-see-all-buying-choices span.a-color-secondary'
-    ];
-
-    for (const selector of selectors) {
+    const selectors = SelectorPacks.get('amazon', 'deliveryFee');
+    for (const [index, selector] of selectors.entries()) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
-        if (text.match(/free\s+(delivery|shipping)/i)) {
-          return 'FREE';
+        if (Marketplaces.strings().freeDelivery.test(text)) {
+          return SelectorHealth.found('deliveryFee', index, selector, 'FREE');
         }
-        const priceMatch = text.match(/[\+]?\s*\$[\d.]+/);
+        const priceMatch = text.match(Marketplaces.pricePattern());
         if (priceMatch) {
-          return priceMatch[0].trim();
+          return SelectorHealth.found('deliveryFee', index, selector, priceMatch[0].trim());
         }
       }
     }
 
-    const primeElement = document.querySelector('#priceBadging_feature_div, .prime-logo, [aria-label*="Prime"]');
+    const primeElement = document.querySelector(SelectorPacks.selector('amazon', 'primeBadge'));
     if (primeElement) {
       const primeText = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
       if (primeText.match(/prime/i)) {
-        return 'FREE (Prime)';
+        return SelectorHealth.found('deliveryFee', selectors.length, 'Prime badge', 'FREE (Prime)');
       }
     }
 
@@ -521,21 +475,12 @@ export class DataExtractor {
   }
 
   static getDeliveryDate() {
-    const selectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#delivery-message',
-      '#ddmDeliveryMessage'
-    ];
-
-    for (const selector of selectors) {
+    for (const selector of SelectorPacks.get('amazon', 'deliveryDate')) {
       const element = document.querySelector(selector);
       if (element) {
-        const text = element.textContent.trim();
-        const dateMatch = text.match(/(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)?,?\s*(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2}/i);
-        if (dateMatch) {
-          return dateMatch[0];
+        const dateText = Marketplaces.findDeliveryDate(element.textContent.trim());
+        if (dateText) {
+          return dateText;
         }
       }
     }
@@ -543,19 +488,40 @@ export class DataExtractor {
     return null;
   }
 
+  // Average star rating, e.g. 4.5 from "4.5 out of 5 stars"
+  static getRating() {
+    for (const selector of SelectorPacks.get('amazon', 'rating')) {
+      const element = document.querySelector(selector);
+      const text = element?.getAttribute('title') || element?.textContent || '';
+      const match = text.match(/(\d(?:[.,]\d)?)\s*out of\s*5/i);
+      if (match) {
+        return parseFloat(match[1].replace(',', '.'));
+      }
+    }
+
+    return null;
+  }
+
+  // Breadcrumb path, e.g. "Toys & Games > Building Toys"
+  static getCategory() {
+    const links = document.querySelectorAll(SelectorPacks.selector('amazon', 'category'));
+    return [...links].map(a => a.textContent.trim()).filter(Boolean).join(' > ');
+  }
+
   static _isValidImageUrl(url) {
     return url && !/(PKmb|play-button-overlay|overlay-thumb)/i.test(url);
   }
 
   static getImages() {
     const images = [];
-    const mainImage = document.querySelector('#landingImage, #imgBlkFront');
+    const mainImage = document.querySelector(SelectorPacks.selector('amazon', 'mainImage'));
     if (mainImage) {
       const src = mainImage.getAttribute('data-old-hires') || mainImage.getAttribute('src');
       if (src && this._isValidImageUrl(src)) images.push(src);
     }
+    const hasMainImage = images.length > 0;
 
-    const thumbnails = document.querySelectorAll('#altImages img, .imageThumbnail img');
+    const thumbnails = document.querySelectorAll(SelectorPacks.selector('amazon', 'thumbnails'));
     thumbnails.forEach(img => {
       const src = img.getAttribute('src');
       if (src && !images.includes(src)) {
@@ -564,61 +530,50 @@ export class DataExtractor {
       }
     });
 
-    return images.slice(0, 10);
+    return SelectorHealth.found('images', hasMainImage ? 0 : 1, hasMainImage ? '#landingImage' : '#altImages img', images.slice(0, 10));
   }
 
   static getDescription() {
-    // Collect all paragraph text from the product description section
-    const descDiv = document.querySelector('#productDescription');
-    if (descDiv) {
-      const paragraphs = [...descDiv.querySelectorAll('p')]
-        .map(p => p.textContent.trim())
-        .filter(Boolean);
-      if (paragraphs.length) return paragraphs.join('\n\n');
-      const text = descDiv.textContent.trim();
-      if (text) return text;
-    }
-    // Fallback: #feature-bullets
-    const featureBullets = document.querySelector('#feature-bullets');
-    if (featureBullets) return featureBullets.textContent.trim();
-    // Fallback: .a-section.a-spacing-medium — skip Rufus AI widget and other non-description widgets
-    for (const el of document.querySelectorAll('.a-section.a-spacing-medium')) {
-      if (el.closest('#nile-inline-btf_feature_div') || el.id === 'nile-inline-btf_feature_div') continue;
-      const text = el.textContent.trim();
-      if (text) return text;
+    const match = this._findDescription(document);
+    return match ? SelectorHealth.found('description', match.rank, match.selector, match.text) : '';
+  }
+
+  /**
+   * Description text from the first block in the pack's chain that has any
+   * (#productDescription, then #feature-bullets, then generic sections)
+   * @param {Document} root
+   * @returns {Object|null} { text, rank, selector }
+   */
+  static _findDescription(root) {
+    for (const [rank, selector] of SelectorPacks.get('amazon', 'description').entries()) {
+      for (const el of root.querySelectorAll(selector)) {
+        // Skip the Rufus AI widget and other non-description widgets
+        if (el.closest('#nile-inline-btf_feature_div')) continue;
+        // Keep paragraphs apart
+        const paragraphs = [...el.querySelectorAll('p')]
+          .map(p => p.textContent.trim())
+          .filter(Boolean);
+        const text = paragraphs.length ? paragraphs.join('\n\n') : el.textContent.trim();
+        if (text) return { text, rank, selector };
+      }
     }
-    return '';
+    return null;
   }
 
   static getBulletPoints() {
     const bullets = [];
 
-    // Strategy 1: standard feature-bullets section (most products)
-    let items = document.querySelectorAll(
-      '#feature-bullets ul li span.a-list-item, ' +
-      '#featurebullets_feature_div ul li span.a-list-item'
-    );
-
-    // Strategy 2: softlines/fashion products — standalone ul with a-spacing-small
-    if (!items.length) {
-      items = document.querySelectorAll(
-        'ul.a-unordered-list.a-vertical.a-spacing-small li span.a-list-item.a-size-base'
-      );
-    }
-
-    // Strategy 3: broad fallback
-    if (!items.length) {
-      items = document.querySelectorAll('#feature-bullets li, #featurebullets_feature_div li');
-    }
-
+    // Text bullets: standard feature-bullets section, then softlines/fashion lists, then a broad fallback
+    const { items, rank: textRank, selector } = this._findBulletItems(document);
     items.forEach(el => {
       const text = el.textContent.trim();
       if (text && !bullets.includes(text)) bullets.push(text);
     });
+    const [rank, strategy] = bullets.length ? [textRank, selector] : [SelectorPacks.get('amazon', 'bulletPoints').length, 'A+ images'];
 
     // Extract A+ content images (enhanced brand content below description)
     const seenUrls = new Set();
-    document.querySelectorAll('.aplus-v2 img, #aplus img').forEach(img => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'aplusImages')).forEach(img => {
       if (img.closest('.premium-aplus-module-5')) return;
       let src = (img.getAttribute('data-src') || img.getAttribute('src') || '').trim();
       if (!src || src.startsWith('data:')) return;
@@ -634,16 +589,28 @@ export class DataExtractor {
       }
     });
 
-    return bullets;
+    return SelectorHealth.found('bulletPoints', rank, strategy, bullets);
+  }
+
+  /**
+   * Bullet elements from the first selector in the pack's chain that matches any
+   * @param {Document} root
+   * @returns {Object} { items, rank, selector }
+   */
+  static _findBulletItems(root) {
+    const selectors = SelectorPacks.get('amazon', 'bulletPoints');
+    for (const [rank, selector] of selectors.entries()) {
+      const items = root.querySelectorAll(selector);
+      if (items.length) return { items, rank, selector };
+    }
+    return { items: [], rank: selectors.length, selector: null };
   }
 
   static getSpecifications() {
     const specs = {};
 
     // Strategy 1: product details table (most products)
-    document.querySelectorAll(
-      '#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr'
-    ).forEach(row => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'specifications')).forEach(row => {
       const th = row.querySelector('th');
       const td = row.querySelector('td');
       if (th && td) {
@@ -652,9 +619,10 @@ export class DataExtractor {
         if (key && val) specs[key] = val;
       }
     });
+    const fromDetailsTable = Object.keys(specs).length > 0;
 
     // Strategy 2: detail bullets list (softlines/fashion products)
-    document.querySelectorAll('#detailBullets_feature_div ul li').forEach(li => {
+    document.querySelectorAll(SelectorPacks.selector('amazon', 'detailBullets')).forEach(li => {
       const listItem = li.querySelector('span.a-list-item');
       if (!listItem) return;
       const bold = listItem.querySelector('span.a-text-bold, strong');
@@ -666,35 +634,31 @@ export class DataExtractor {
       const val = clone.textContent.trim();
       if (key && val) specs[key] = val;
     });
-
-    return specs;
+    return SelectorHealth.found('specifications', fromDetailsTable ? 0 : 1,
+      fromDetailsTable ? 'specifications' : 'detailBullets', specs);
   }
 
   // ===== Parsed Document Extraction =====
 
   static extractTitleFromDoc(doc) {
-    const selectors = ['#productTitle', '#title', 'h1.a-size-large'];
-    for (const selector of selectors) {
-      const element = doc.querySelector(selector);
-      if (element) return element.textContent.trim();
-    }
-    return null;
+    const match = SelectorPacks.first(doc, 'amazon', 'title');
+    return match ? SelectorHealth.found('title', match.rank, match.selector, match.element.textContent.trim()) : null;
   }
 
   static extractPriceFromDoc(doc) {
     // CRITICAL: Only look for prices within the core price display container
     // This prevents picking up incorrect prices from other parts of the page
     // Use querySelector to get the FIRST occurrence (in case of duplicates)
-    const corePriceDisplay = doc.querySelector('#corePriceDisplay_desktop_feature_div');
+    const corePriceDisplay = SelectorPacks.first(doc, 'amazon', 'priceContainer')?.element;
 
     if (corePriceDisplay) {
       // Strategy 0: Look for .aok-offscreen (Amazon's accessibility class for screen readers)
       const aokOffscreen = corePriceDisplay.querySelector('.aok-offscreen');
       if (aokOffscreen) {
         const priceText = aokOffscreen.textContent.trim();
-        // Validate it's a proper price format
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Validate it's a proper price format in the marketplace's currency
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 0, '.aok-offscreen', priceText);
         }
       }
 
@@ -705,7 +669,7 @@ export class DataExtractor {
         const fractionPart = corePriceDisplay.querySelector('.priceToPay .a-price-fraction');
         if (wholePart) {
           const fraction = fractionPart ? fractionPart.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 1, '.priceToPay .a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
 
@@ -713,8 +677,8 @@ export class DataExtractor {
       const priceToPay = corePriceDisplay.querySelector('.priceToPay .a-offscreen');
       if (priceToPay && priceToPay.textContent.trim()) {
         const priceText = priceToPay.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 2, '.priceToPay .a-offscreen', priceText);
         }
       }
 
@@ -722,8 +686,8 @@ export class DataExtractor {
       const basisPrice = corePriceDisplay.querySelector('.basisPrice .a-offscreen');
       if (basisPrice && basisPrice.textContent.trim()) {
         const priceText = basisPrice.textContent.trim();
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 3, '.basisPrice .a-offscreen', priceText);
         }
       }
 
@@ -731,9 +695,9 @@ export class DataExtractor {
       const offscreenPrices = corePriceDisplay.querySelectorAll('.a-offscreen');
       for (const offscreen of offscreenPrices) {
         const priceText = offscreen.textContent.trim();
-        // Match valid price format like $10.49 or $1,234.56
-        if (priceText && /^\$\d+(\,\d{3})*\.\d{2}$/.test(priceText)) {
-          return priceText;
+        // Match valid price format like $10.49, £1,234.56 or 12,99 €
+        if (priceText && Marketplaces.isPriceText(priceText)) {
+          return SelectorHealth.found('price', 4, '.a-offscreen', priceText);
         }
       }
 
@@ -744,17 +708,16 @@ export class DataExtractor {
         const fractionElement = priceWhole.parentElement?.querySelector('.a-price-fraction');
         if (wholePart) {
           const fraction = fractionElement ? fractionElement.textContent.trim() : '00';
-          return `$${wholePart}.${fraction}`;
+          return SelectorHealth.found('price', 5, '.a-price-whole', Marketplaces.formatPriceParts(wholePart, fraction));
         }
       }
     }
 
     // Fallback: Legacy selectors (only if core price display not found)
-    const legacySelectors = ['#priceblock_ourprice', '#priceblock_dealprice', '#price_inside_buybox'];
-    for (const selector of legacySelectors) {
+    for (const [index, selector] of SelectorPacks.get('amazon', 'legacyPrice').entries()) {
       const element = doc.querySelector(selector);
       if (element && element.textContent.trim()) {
-        return element.textContent.trim();
+        return SelectorHealth.found('price', 6 + index, selector, element.textContent.trim());
       }
     }
 
@@ -764,50 +727,30 @@ export class DataExtractor {
   static isUnitPriceContainerFromDoc(priceContainer) {
     const containerText = priceContainer.textContent || '';
     const parentText = priceContainer.parentElement?.textContent || '';
-    const unitPatterns = [
-      /\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i,
-      /\(\$[\d.]+\s*\/\s*(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)\)/i,
-      /per\s+(fl\.?\s*oz|fluid\s*ounce|ounce|oz|count|each|lb|pound|kg|gram|item|piece)/i
-    ];
-    const textToCheck = containerText + ' ' + parentText;
-    return unitPatterns.some(pattern => pattern.test(textToCheck));
+    return Marketplaces.isUnitPriceText(containerText + ' ' + parentText);
   }
 
   static extractDeliveryFeeFromDoc(doc) {
-    const selectors = [
-      '#deliveryMessageMirId span[data-csa-c-delivery-price]',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE .a-color-success',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#ourprice_shippingmessage',
-      '#price-shipping-message',
-      '#price_shipping_message',
-      '#delivery-message',
-      '#ddmDeliveryMessage',
-      '#fulfillerInfoFeature_feature_div .a-color-success',
-      '#deliveryBlockMessage',
-      '[data-feature-name="delivery"] .a-color-price',
-      '#buybox-see-all-buying-choices span.a-color-secondary'
-    ];
-
-    for (const selector of selectors) {
+    const selectors = SelectorPacks.get('amazon', 'deliveryFee');
+    for (const [index, selector] of selectors.entries()) {
       const element = doc.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
-        if (text.match(/free\s+(delivery|shipping)/i)) {
-          return 'FREE';
+        if (Marketplaces.strings().freeDelivery.test(text)) {
+          return SelectorHealth.found('deliveryFee', index, selector, 'FREE');
         }
-        const priceMatch = text.match(/[\+]?\s*\$[\d.]+/);
+        const priceMatch = text.match(Marketplaces.pricePattern());
         if (priceMatch) {
-          return priceMatch[0].trim();
+          return SelectorHealth.found('deliveryFee', index, selector, priceMatch[0].trim());
         }
       }
     }
 
-    const primeElement = doc.querySelector('#priceBadging_feature_div, .prime-logo, [aria-label*="Prime"]');
+    const primeElement = doc.querySelector(SelectorPacks.selector('amazon', 'primeBadge'));
     if (primeElement) {
       const primeText = primeElement.textContent || primeElement.getAttribute('aria-label') || '';
       if (primeText.match(/prime/i)) {
-        return 'FREE (Prime)';
+        return SelectorHealth.found('deliveryFee', selectors.length, 'Prime badge', 'FREE (Prime)');
       }
     }
 
@@ -821,23 +764,14 @@ export class DataExtractor {
       const boxText = box.textContent || '';
       if (boxText.match(/prime/i)) {
         // Verify it's near price information
-        const hasPriceInfo = boxText.match(/\$[\d,]+\.?\d*/);
+        const hasPriceInfo = Marketplaces.pricePattern().test(boxText);
         if (hasPriceInfo) {
           return true;
         }
       }
     }
 
-    const primeSelectors = [
-      '#priceBadging_feature_div [aria-label*="Prime"]',
-      '.prime-logo',
-      'i.a-icon-prime',
-      '[data-testid*="prime"]',
-      '#deliveryMessageMirId [aria-label*="Prime"]',
-      '#mir-layout-DELIVERY_BLOCK [aria-label*="Prime"]'
-    ];
-
-    for (const selector of primeSelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'prime')) {
       const element = doc.querySelector(selector);
       if (element) {
         const text = element.textContent || element.getAttribute('aria-label') || '';
@@ -847,12 +781,7 @@ export class DataExtractor {
       }
     }
 
-    const deliverySelectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE'
-    ];
-
-    for (const selector of deliverySelectors) {
+    for (const selector of SelectorPacks.get('amazon', 'primeDelivery')) {
       const element = doc.querySelector(selector);
       if (element && element.textContent.match(/prime/i)) {
         return true;
@@ -864,13 +793,13 @@ export class DataExtractor {
 
   static extractImagesFromDoc(doc) {
     const images = [];
-    const mainImage = doc.querySelector('#landingImage, #imgBlkFront');
+    const mainImage = doc.querySelector(SelectorPacks.selector('amazon', 'mainImage'));
     if (mainImage) {
       const src = mainImage.getAttribute('data-old-hires') || mainImage.getAttribute('src');
       if (src && this._isValidImageUrl(src)) images.push(src);
     }
 
-    const thumbnails = doc.querySelectorAll('#altImages img, .imageThumbnail img');
+    const thumbnails = doc.querySelectorAll(SelectorPacks.selector('amazon', 'thumbnails'));
     thumbnails.forEach(img => {
       const src = img.getAttribute('src');
       if (src && !images.includes(src)) {
@@ -883,19 +812,11 @@ export class DataExtractor {
   }
 
   static extractDeliveryDateFromDoc(doc) {
-    const selectors = [
-      '#deliveryMessageMirId',
-      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
-      '#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE',
-      '#delivery-message',
-      '#ddmDeliveryMessage'
-    ];
-    for (const selector of selectors) {
+    for (const selector of SelectorPacks.get('amazon', 'deliveryDate')) {
       const element = doc.querySelector(selector);
       if (element) {
-        const text = element.textContent.trim();
-        const dateMatch = text.match(/(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)?,?\s*(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2}/i);
-        if (dateMatch) return dateMatch[0];
+        const dateText = Marketplaces.findDeliveryDate(element.textContent.trim());
+        if (dateText) return dateText;
       }
     }
     return null;
@@ -1048,59 +969,25 @@ export class DataExtractor {
   }
 
   static extractSizeChartFromDoc(doc) {
-    const wrapper = doc.querySelector(
-      '#sizeChartV2Data_feature_div .fit-sizechartv2-tables-wrapper, ' +
-      '#a-popover-sizeGuide .fit-sizechartv2-tables-wrapper, ' +
-      '.fit-sizechartv2-tables-wrapper'
-    );
+    const wrapper = SelectorPacks.first(doc, 'amazon', 'sizeChart')?.element;
     if (wrapper) {
       const charts = this._parseSizeChartTables(wrapper);
       if (charts.length) return { type: 'table', data: charts };
     }
-    const chartImg = doc.querySelector(
-      '#sizeChartV2Data_feature_div img[src*="media-amazon"], ' +
-      '[id^="a-popover-content"] img[src*="media-amazon"]'
-    );
+    const chartImg = doc.querySelector(SelectorPacks.selector('amazon', 'sizeChartImage'));
     if (chartImg) return { type: 'image', url: chartImg.src };
     return null;
   }
 
   static extractDescriptionFromDoc(doc) {
-    const descDiv = doc.querySelector('#productDescription');
-    if (descDiv) {
-      const paragraphs = [...descDiv.querySelectorAll('p')]
-        .map(p => p.textContent.trim())
-        .filter(Boolean);
-      if (paragraphs.length) return paragraphs.join('\n\n');
-      const text = descDiv.textContent.trim();
-      if (text) return text;
-    }
-    const featureBullets = doc.querySelector('#feature-bullets');
-    if (featureBullets) return featureBullets.textContent.trim();
-    for (const el of doc.querySelectorAll('.a-section.a-spacing-medium')) {
-      if (el.closest('#nile-inline-btf_feature_div') || el.id === 'nile-inline-btf_feature_div') continue;
-      const text = el.textContent.trim();
-      if (text) return text;
-    }
-    return '';
+    return this._findDescription(doc)?.text || '';
   }
 
   static extractBulletPointsFromDoc(doc) {
     const bullets = [];
 
     // Text bullets — try multiple selectors
-    let items = doc.querySelectorAll(
-      '#feature-bullets ul li span.a-list-item, ' +
-      '#featurebullets_feature_div ul li span.a-list-item'
-    );
-    if (!items.length) {
-      items = doc.querySelectorAll(
-        'ul.a-unordered-list.a-vertical.a-spacing-small li span.a-list-item.a-size-base'
-      );
-    }
-    if (!items.length) {
-      items = doc.querySelectorAll('#feature-bullets li, #featurebullets_feature_div li');
-    }
+    const { items } = this._findBulletItems(doc);
     items.forEach(el => {
       const text = el.textContent.trim();
       if (text && !bullets.includes(text)) bullets.push(text);
@@ -1109,7 +996,7 @@ export class DataExtractor {
     // A+ content images — reconstruct full CDN URL from path to fix truncated domains
     const aplusPath = '/images/S/aplus-media-library-service-media/';
     const seenUrls = new Set();
-    doc.querySelectorAll('.aplus-v2 img, #aplus img').forEach(img => {
+    doc.querySelectorAll(SelectorPacks.selector('amazon', 'aplusImages')).forEach(img => {
       if (img.closest('.premium-aplus-module-5')) return;
       let src = (img.getAttribute('data-src') || img.getAttribute('src') || '').trim();
       if (!src || src.startsWith('data:')) return;
@@ -1127,7 +1014,7 @@ export class DataExtractor {
 
   static extractSpecificationsFromDoc(doc) {
     const specs = {};
-    const specTables = doc.querySelectorAll('#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr');
+    const specTables = doc.querySelectorAll(SelectorPacks.selector('amazon', 'specifications'));
     specTables.forEach(row => {
       const th = row.querySelector('th');
       const td = row.querySelector('td');
@@ -1138,20 +1025,17 @@ export class DataExtractor {
     return specs;
   }
 
-  static extractProductLinksFromPage() {
+  /**
+   * Product links on a search, bestseller or category page
+   * @param {Document} [doc] - A fetched results page (PageCrawler); defaults to the open page
+   * @returns {Array<Object>} [{ asin, url, element }]
+   */
+  static extractProductLinksFromPage(doc = document) {
     const productLinks = [];
     const seenAsins = new Set();
 
-    const selectors = [
-      '[data-asin]:not([data-asin=""]) h2 a',
-      '[data-asin]:not([data-asin=""]) .a-link-normal[href*="/dp/"]',
-      '.zg-grid-general-faceout a[href*="/dp/"]',
-      '.zg-item-immersion a[href*="/dp/"]',
-      'a[href*="/dp/"]'
-    ];
-
-    selectors.forEach(selector => {
-      const links = document.querySelectorAll(selector);
+    SelectorPacks.get('amazon', 'productLinks').forEach(selector => {
+      const links = doc.querySelectorAll(selector);
       links.forEach(link => {
         const href = link.getAttribute('href');
         if (!href) return;
@@ -1163,7 +1047,7 @@ export class DataExtractor {
 
           productLinks.push({
             asin: asinMatch[1],
-            url: href.startsWith('http') ? href : `https://www.amazon.com${href}`,
+            url: new URL(href, location.origin).href,
             element: listingElement
           });
         }
@@ -1172,4 +1056,16 @@ export class DataExtractor {
 
     return productLinks;
   }
+
+  /**
+   * Next results page: search results use .s-pagination-next, Best Sellers and
+   * New Releases use the older .a-pagination list
+   * @param {Document} doc - Results page
+   * @param {string} pageUrl - URL the page was loaded from
+   * @returns {string|null} Absolute URL of the next page
+   */
+  static getNextPageUrl(doc, pageUrl) {
+    const next = doc.querySelector(SelectorPacks.selector('amazon', 'nextPage'));
+    return next ? PageCrawler.resolveUrl(next.getAttribute('href'), pageUrl) : null;
+  }
 }
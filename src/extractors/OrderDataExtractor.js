@@ -1,6 +1,8 @@
 /**
  * OrderDataExtractor - Extracts order data from eBay order detail pages
  * Uses robust fallback patterns and text extraction for maximum compatibility
+ * Page selectors come from the ebay selector pack (SelectorPacks, loaded ahead of this module);
+ * tracking numbers are recognized by TrackingNumbers and status events read by OrderTimeline, also loaded ahead
  */
 export class OrderDataExtractor {
   /**
@@ -10,6 +12,7 @@ export class OrderDataExtractor {
   static extractOrderData() {
     console.log('Starting order data extraction...');
 
+    const statusHistory = OrderTimeline.extractFromDoc(document);
     const orderData = {
       orderId: this.getOrderId(),
       orderDate: this.getOrderDate(),
@@ -18,7 +21,8 @@ export class OrderDataExtractor {
       items: this.getOrderItems(),
       financials: this.getFinancials(),
       tracking: this.getTrackingInfo(),
-      orderStatus: this.getOrderStatus(),
+      orderStatus: OrderTimeline.currentState(statusHistory),
+      statusHistory,
       url: window.location.href,
       scrapedAt: new Date().toISOString()
     };
@@ -115,7 +119,7 @@ export class OrderDataExtractor {
    */
   static getShippingAddress() {
     // Target the specific shipping-info div
-    const shippingDiv = document.querySelector('div.shipping-info');
+    const shippingDiv = document.querySelector(SelectorPacks.selector('ebay', 'orderShippingInfo'));
 
     if (!shippingDiv) {
       console.warn('Could not find div.shipping-info');
@@ -133,7 +137,7 @@ export class OrderDataExtractor {
     console.log('Found shipping-info div:', shippingDiv);
 
     // Extract address components from the nested structure
-    const addressDiv = shippingDiv.querySelector('div.shipping-address div.address');
+    const addressDiv = shippingDiv.querySelector(SelectorPacks.selector('ebay', 'orderAddress'));
 
     let address = {
       name: null,
@@ -151,7 +155,7 @@ export class OrderDataExtractor {
     }
 
     // Get all the clickable buttons (they contain the address parts)
-    const addressButtons = addressDiv.querySelectorAll('button.tooltip__host');
+    const addressButtons = addressDiv.querySelectorAll(SelectorPacks.selector('ebay', 'orderAddressParts'));
 
     if (addressButtons.length >= 4) {
       // addressButtons[0] = Name (e.g., "Lynn Applegate")
@@ -181,7 +185,7 @@ export class OrderDataExtractor {
     }
 
     // Extract phone number from the phone dl element
-    const phoneDl = shippingDiv.querySelector('dl.phone dd.info-value button');
+    const phoneDl = shippingDiv.querySelector(SelectorPacks.selector('ebay', 'orderPhone'));
     if (phoneDl) {
       address.phoneNumber = phoneDl.innerText.trim();
       console.log('Extracted phone:', address.phoneNumber);
@@ -207,13 +211,9 @@ export class OrderDataExtractor {
   static getOrderItems() {
     const items = [];
 
-    // Target the specific item-info div (note: ID is "itemInfo" not "iteminfo")
-    let itemDiv = document.querySelector('div.item-info#itemInfo');
-
-    // Fallback to just class if ID doesn't match
-    if (!itemDiv) {
-      itemDiv = document.querySelector('div.item-info');
-    }
+    // Target the specific item-info div (note: ID is "itemInfo" not "iteminfo"),
+    // falling back to just the class if the ID doesn't match
+    const itemDiv = SelectorPacks.first(document, 'ebay', 'orderItem')?.element;
 
     if (!itemDiv) {
       console.warn('Could not find div.item-info');
@@ -223,7 +223,7 @@ export class OrderDataExtractor {
     console.log('Found item-info div:', itemDiv);
 
     // Extract item title from the link (based on HTML: <a href="...">Blissal Exfoliating Shower Towel...</a>)
-    const titleLink = itemDiv.querySelector('a[href*="/itm/"]');
+    const titleLink = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemLink'));
     const title = titleLink ? titleLink.innerText.trim() : null;
 
     // Extract item ID from the link
@@ -236,7 +236,7 @@ export class OrderDataExtractor {
     // Extract SKU from lineItemCardInfo__sku div
     // HTML: <div class="lineItemCardInfo__sku spaceTop"><span class="sh-secondary">Custom label (SKU): </span><span class="sh-secondary">B0FZ9QB19R</span></div>
     let sku = null;
-    const skuDiv = itemDiv.querySelector('div.lineItemCardInfo__sku');
+    const skuDiv = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemSku'));
     if (skuDiv) {
       const skuSpans = skuDiv.querySelectorAll('span.sh-secondary');
       if (skuSpans.length >= 2) {
@@ -245,7 +245,7 @@ export class OrderDataExtractor {
     }
 
     // Extract item ID again from lineItemCardInfo__itemId div (more reliable)
-    const itemIdDiv = itemDiv.querySelector('div.lineItemCardInfo__itemId');
+    const itemIdDiv = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemId'));
     if (itemIdDiv && !itemId) {
       const itemIdSpans = itemIdDiv.querySelectorAll('span.sh-secondary');
       if (itemIdSpans.length >= 2) {
@@ -256,7 +256,7 @@ export class OrderDataExtractor {
     // Extract quantity from quantity-and-price section
     // HTML: <div class="quantity__value"><span class="sh-bold">1</span>(9 available)</div>
     let quantity = 1;
-    const quantityValue = itemDiv.querySelector('div.quantity__value span.sh-bold');
+    const quantityValue = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemQuantity'));
     if (quantityValue) {
       const qtyText = quantityValue.innerText.trim();
       const qtyMatch = qtyText.match(/(\d+)/);
@@ -266,13 +266,13 @@ export class OrderDataExtractor {
     // Extract sold price from soldPrice section
     // HTML: <div class="soldPrice__value">$22.55</div>
     let soldPrice = null;
-    const priceDiv = itemDiv.querySelector('div.soldPrice__value');
+    const priceDiv = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemPrice'));
     if (priceDiv) {
       soldPrice = priceDiv.innerText.trim();
     }
 
     // Extract image URL
-    const imageElement = itemDiv.querySelector('img.orders-image-control__image');
+    const imageElement = itemDiv.querySelector(SelectorPacks.selector('ebay', 'orderItemImage'));
     const imageUrl = imageElement ? imageElement.src : null;
 
     const item = {
@@ -325,7 +325,7 @@ export class OrderDataExtractor {
    */
   static getFinancials() {
     // Target the specific payment-info div
-    const paymentDiv = document.querySelector('div.payment-info');
+    const paymentDiv = document.querySelector(SelectorPacks.selector('ebay', 'orderPayment'));
 
     if (!paymentDiv) {
       console.warn('Could not find div.payment-info');
@@ -343,9 +343,9 @@ export class OrderDataExtractor {
     // Extract "Order total" from the "What your buyer paid" section
     // HTML: <dl class="total"><dt class="label">...<dd class="amount"><div class="value"><span class="sh-bold">$24.32</span></div></dd></dl>
     let orderTotal = null;
-    const buyerPaidSection = paymentDiv.querySelector('div.buyer-paid');
+    const buyerPaidSection = paymentDiv.querySelector(SelectorPacks.selector('ebay', 'orderBuyerPaid'));
     if (buyerPaidSection) {
-      const orderTotalDl = buyerPaidSection.querySelector('dl.total dd.amount div.value span.sh-bold');
+      const orderTotalDl = buyerPaidSection.querySelector(SelectorPacks.selector('ebay', 'orderTotal'));
       if (orderTotalDl) {
         orderTotal = orderTotalDl.innerText.trim();
         console.log('Extracted order total (buyer paid):', orderTotal);
@@ -355,9 +355,9 @@ export class OrderDataExtractor {
     // Extract "Order earnings" from the "What you earned" section
     // This is in div.earnings > dl.total
     let yourEarnings = null;
-    const earningsSection = paymentDiv.querySelector('div.earnings');
+    const earningsSection = paymentDiv.querySelector(SelectorPacks.selector('ebay', 'orderEarnings'));
     if (earningsSection) {
-      const earningsTotalDl = earningsSection.querySelector('dl.total dd.amount div.value span.sh-bold');
+      const earningsTotalDl = earningsSection.querySelector(SelectorPacks.selector('ebay', 'orderTotal'));
       if (earningsTotalDl) {
         yourEarnings = earningsTotalDl.innerText.trim();
         console.log('Extracted order earnings (what you earned):', yourEarnings);
@@ -367,7 +367,7 @@ export class OrderDataExtractor {
     // Extract sales tax
     let salesTax = null;
     if (buyerPaidSection) {
-      const salesTaxItem = Array.from(buyerPaidSection.querySelectorAll('div.data-item')).find(item => {
+      const salesTaxItem = Array.from(buyerPaidSection.querySelectorAll(SelectorPacks.selector('ebay', 'orderPaymentLine'))).find(item => {
         const label = item.querySelector('dt.label');
         return label && label.innerText.includes('Sales tax');
       });
@@ -380,7 +380,7 @@ export class OrderDataExtractor {
     // Extract eBay fees (Transaction fees)
     let ebayFees = null;
     if (earningsSection) {
-      const feesItem = Array.from(earningsSection.querySelectorAll('div.data-item')).find(item => {
+      const feesItem = Array.from(earningsSection.querySelectorAll(SelectorPacks.selector('ebay', 'orderPaymentLine'))).find(item => {
         const label = item.querySelector('dt.label');
         return label && label.innerText.includes('Transaction fees');
       });
@@ -393,7 +393,7 @@ export class OrderDataExtractor {
     // Extract shipping cost
     let shippingCost = null;
     if (buyerPaidSection) {
-      const shippingItem = Array.from(buyerPaidSection.querySelectorAll('div.data-item')).find(item => {
+      const shippingItem = Array.from(buyerPaidSection.querySelectorAll(SelectorPacks.selector('ebay', 'orderPaymentLine'))).find(item => {
         const label = item.querySelector('dt.label');
         return label && label.innerText.includes('Shipping');
       });
@@ -446,72 +446,28 @@ export class OrderDataExtractor {
    * @returns {Object} Tracking info object
    */
   static getTrackingInfo() {
-    const bodyText = document.body.innerText;
-
-    return {
-      trackingNumber: this.extractTrackingNumber(bodyText),
-      carrier: this.extractCarrier(bodyText),
-      trackingUrl: null
-    };
+    return this.parseTracking(document.body.innerText);
   }
 
   /**
-   * Extract tracking number from text
+   * Tracking number, carrier and tracking link from order page text; the carrier comes from the
+   * number's format (TrackingNumbers), not from carrier names elsewhere on the page
    * @param {string} text - Page text
-   * @returns {string} Tracking number
+   * @returns {Object} { trackingNumber, carrier, trackingUrl, valid, problem } - valid is null without a number
    */
-  static extractTrackingNumber(text) {
-    const patterns = [
-      /Tracking[:\s]+([A-Z0-9]{10,})/i,
-      /(?:USPS|UPS|FedEx)[:\s]+([A-Z0-9]{10,})/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match) {
-        console.log('Found tracking number:', match[1]);
-        return match[1];
-      }
+  static parseTracking(text) {
+    const found = TrackingNumbers.findInText(text);
+    if (found && !found.valid) {
+      console.warn(`Tracking number ${found.trackingNumber} looks invalid: ${found.problem}`);
     }
 
-    return null;
-  }
-
-  /**
-   * Extract carrier from text
-   * @param {string} text - Page text
-   * @returns {string} Carrier name
-   */
-  static extractCarrier(text) {
-    const carriers = ['USPS', 'UPS', 'FedEx', 'DHL'];
-
-    for (const carrier of carriers) {
-      if (text.includes(carrier)) {
-        console.log('Found carrier:', carrier);
-        return carrier;
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Extract order status from text
-   * @returns {string} Order status
-   */
-  static getOrderStatus() {
-    const bodyText = document.body.innerText;
-
-    const statuses = ['Completed', 'Shipped', 'Processing', 'Pending', 'Delivered', 'Cancelled'];
-
-    for (const status of statuses) {
-      if (bodyText.includes(status)) {
-        console.log('Found order status:', status);
-        return status;
-      }
-    }
-
-    return 'Unknown';
+    return {
+      trackingNumber: found?.trackingNumber || null,
+      carrier: found?.carrier || null,
+      trackingUrl: found?.trackingUrl || null,
+      valid: found ? found.valid : null,
+      problem: found?.problem || null
+    };
   }
 
   /**
@@ -523,6 +479,7 @@ export class OrderDataExtractor {
   static extractOrderDataFromDoc(doc, url) {
     // Similar extraction but from parsed document
     const bodyText = doc.body.innerText;
+    const statusHistory = OrderTimeline.extractFromDoc(doc);
 
     return {
       orderId: url.match(/orderid=([^&]+)/i)?.[1] || 'Unknown',
@@ -536,8 +493,9 @@ export class OrderDataExtractor {
         ebayFees: null,
         shippingCost: null
       },
-      tracking: { trackingNumber: null, carrier: null },
-      orderStatus: 'Unknown',
+      tracking: this.parseTracking(bodyText),
+      orderStatus: OrderTimeline.currentState(statusHistory),
+      statusHistory,
       url: url,
       scrapedAt: new Date().toISOString()
     };
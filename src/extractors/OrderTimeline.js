@@ -0,0 +1,171 @@
+/**
+ * OrderTimeline - An eBay order's status events and the state they put it in
+ * Reads the status section of a seller order details page (live DOM or parsed HTML) one line at a
+ * time for paid, shipped, delivered, cancel-requested, cancelled, return-opened and refunded
+ * events with their dates. Only that section is read, so a "Cancelled" elsewhere on the page doesn't count.
+ *
+ * Event: { status, at } - at is the date eBay shows, as YYYY-MM-DD or YYYY-MM-DDTHH:MM (eBay's
+ * time zone, no offset), or null when the line has no date
+ * order.statusHistory keeps every event seen across scrapes; order.orderStatus is the state it
+ * adds up to (one of STATES, or 'unknown').
+ * Page selectors come from the ebay selector pack (SelectorPacks).
+ * Loaded as a classic script by the eBay content script, the background service worker and the popup.
+ */
+
+class OrderTimeline {
+  // In lifecycle order; when dates can't settle it, the later state wins
+  static STATES = ['paid', 'shipped', 'delivered', 'cancel_requested', 'cancelled', 'return_opened', 'refunded'];
+
+  static STATE_LABELS = {
+    paid: 'Paid',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancel_requested: 'Cancel requested',
+    cancelled: 'Cancelled',
+    return_opened: 'Return opened',
+    refunded: 'Refunded',
+    unknown: 'Unknown'
+  };
+
+  // Tried in order on each line; the most specific come first ("Refund issued after return")
+  static EVENT_PATTERNS = [
+    ['refunded', /\brefund(?:ed|\s+(?:issued|sent|completed))\b/i],
+    ['return_opened', /\breturn\s+(?:opened|requested|started)\b|\bopened\s+a\s+return\b/i],
+    ['cancel_requested', /\bcancel(?:l?ation)?\s+request(?:ed)?\b|\brequested\s+(?:to\s+)?cancel/i],
+    ['cancelled', /\bcancell?ed\b|\bcancell?ation\s+(?:completed|approved)\b/i],
+    ['delivered', /\bdelivered\b/i],
+    ['shipped', /\bshipped\b|\bin\s+transit\b/i],
+    ['paid', /\bpaid\b|\bpayment\s+(?:received|completed)\b/i]
+  ];
+
+  // Lines about what hasn't happened yet ("Not yet shipped", "Awaiting payment")
+  static PENDING_PATTERN = /\bnot\s+yet\b|\bawaiting\b|\bestimated\b/i;
+
+  // Status words OrderDataExtractor stored before timelines, as states
+  static LEGACY_STATES = {
+    pending: 'paid',
+    processing: 'paid',
+    paid: 'paid',
+    shipped: 'shipped',
+    delivered: 'delivered',
+    completed: 'delivered',
+    cancelled: 'cancelled'
+  };
+
+  static MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  /**
+   * Status events in an order page's status section
+   * @param {Document|Element} root
+   * @returns {Array} [{ status, at }], oldest first; empty when the page has no status section
+   */
+  static extractFromDoc(root) {
+    const section = SelectorPacks.first(root, 'ebay', 'orderTimeline')?.element;
+    if (!section) return [];
+
+    const rows = [...section.querySelectorAll(SelectorPacks.selector('ebay', 'orderTimelineEvent'))];
+    const lines = rows.length > 0
+      ? rows.map(row => row.textContent)
+      : (section.innerText ?? section.textContent).split('\n');
+
+    const events = [];
+    for (const line of lines.map(text => text.replace(/\s+/g, ' ').trim())) {
+      if (!line || this.PENDING_PATTERN.test(line)) continue;
+      const status = this.EVENT_PATTERNS.find(([, pattern]) => pattern.test(line))?.[0];
+      if (status) events.push({ status, at: this.parseDate(line) });
+    }
+    return this.merge([], events);
+  }
+
+  /**
+   * A stored history with newly seen events added (the same status on the same date counts once)
+   * @param {Array} [existing]
+   * @param {Array} [incoming]
+   * @returns {Array} Oldest first; undated events sit in lifecycle order after the dated ones
+   */
+  static merge(existing, incoming) {
+    const byKey = new Map();
+    for (const event of [...(existing || []), ...(incoming || [])]) {
+      const key = `${event.status}|${event.at || ''}`;
+      // An undated event is the same one a dated line showed
+      if (!event.at && [...byKey.values()].some(known => known.status === event.status)) continue;
+      if (event.at) byKey.delete(`${event.status}|`);
+      byKey.set(key, { status: event.status, at: event.at || null });
+    }
+
+    const rank = (event) => this.STATES.indexOf(event.status);
+    return [...byKey.values()].sort((a, b) => {
+      if (a.at && b.at && a.at !== b.at) return a.at < b.at ? -1 : 1;
+      if (!a.at !== !b.at) return a.at ? -1 : 1;
+      return rank(a) - rank(b);
+    });
+  }
+
+  /**
+   * The state an order's events add up to: the latest event when every event is dated, otherwise
+   * the furthest along in STATES
+   * @param {Array} events
+   * @returns {string} One of STATES, or 'unknown'
+   */
+  static currentState(events) {
+    if (!events || events.length === 0) return 'unknown';
+    if (events.every(event => event.at)) return this.merge([], events).at(-1).status;
+    return events.reduce((furthest, event) =>
+      this.STATES.indexOf(event.status) > this.STATES.indexOf(furthest) ? event.status : furthest, events[0].status);
+  }
+
+  /**
+   * Normalized state of a stored order; orders scraped before timelines map their old status word
+   * @param {Object} order
+   * @returns {string} One of STATES, or 'unknown'
+   */
+  static stateOf(order) {
+    if (order?.statusHistory?.length) return this.currentState(order.statusHistory);
+    const legacy = String(order?.orderStatus || '').toLowerCase();
+    return this.LEGACY_STATES[legacy] || (this.STATES.includes(legacy) ? legacy : 'unknown');
+  }
+
+  /**
+   * A re-scraped order with the stored order's earlier events kept and its state recomputed
+   * @param {Object} order - Incoming order
+   * @param {Object} [existing] - Stored order with the same ID
+   * @returns {Object}
+   */
+  static keepHistory(order, existing) {
+    if (!existing?.statusHistory?.length) return order;
+    const statusHistory = this.merge(existing.statusHistory, order.statusHistory);
+    return { ...order, statusHistory, orderStatus: this.currentState(statusHistory) };
+  }
+
+  /**
+   * First date on a line: "Mar 5, 2025 at 10:32 AM", "5 Mar 2025 10:32", "2025-03-05"
+   * @param {string} text
+   * @returns {string|null} YYYY-MM-DD or YYYY-MM-DDTHH:MM
+   */
+  static parseDate(text) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const monthOf = (name) => this.MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+    let year, month, day;
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    const monthFirst = text.match(/\b([A-Z][a-z]{2,8})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+    const dayFirst = text.match(/\b(\d{1,2})\s+([A-Z][a-z]{2,8})\.?,?\s+(\d{4})\b/);
+    if (iso) [, year, month, day] = iso.map(Number);
+    else if (monthFirst && monthOf(monthFirst[1])) [year, month, day] = [monthFirst[3], monthOf(monthFirst[1]), monthFirst[2]];
+    else if (dayFirst && monthOf(dayFirst[2])) [year, month, day] = [dayFirst[3], monthOf(dayFirst[2]), dayFirst[1]];
+    else return null;
+
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    const time = text.match(/\b(\d{1,2}):(\d{2})\s*([AP]M)?\b/i);
+    if (!time) return date;
+
+    let hours = Number(time[1]) % (time[3] ? 12 : 24);
+    if (time[3]?.toUpperCase() === 'PM') hours += 12;
+    return `${date}T${pad(hours)}:${time[2]}`;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderTimeline;
+}
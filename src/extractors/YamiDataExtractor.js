@@ -2,6 +2,8 @@
  * YamiDataExtractor - Data extraction logic for Yami.com
  * MUST MATCH Amazon DataExtractor.js format exactly
  * Extracts product data using multiple fallback strategies
+ * Each field notes the strategy that found it with SelectorHealth (rank 0 = first choice)
+ * Page selectors come from the yami selector pack (SelectorPacks)
  */
 
 class YamiDataExtractor {
@@ -13,9 +15,10 @@ class YamiDataExtractor {
    * @returns {Object} Product data object
    */
   static extractProductData() {
+    SelectorHealth.begin();
     const productID = YamiDOMHelpers.extractProductID();
 
-    return {
+    const productData = {
       asin: productID, // Use "asin" for eBay backend compatibility (same as Amazon)
       title: this.getTitle(),
       price: this.getPrice(),
@@ -24,12 +27,19 @@ class YamiDataExtractor {
       description: this.getDescription(),
       bulletPoints: this.getBulletPoints(),
       specifications: this.getSpecifications(),
+      rating: this.getRating(),
+      category: this.getCategory(),
       countryOfOrigin: this.getCountryOfOrigin(), // Add country of origin field
       url: window.location.href,
       scrapedAt: new Date().toISOString(),
       source: 'yami', // Add source field
+      marketplace: 'US', // Costco and Yami only sell in USD
+      currency: 'USD',
       customizedFinalPrice: null
     };
+
+    SelectorHealth.report('yami', productData);
+    return productData;
   }
 
   /**
@@ -40,19 +50,19 @@ class YamiDataExtractor {
     // Strategy 1: JSON-LD structured data
     const jsonld = YamiDOMHelpers.extractJSONLD(document);
     if (jsonld && jsonld.name) {
-      return jsonld.name;
+      return SelectorHealth.found('title', 0, 'JSON-LD name', jsonld.name);
     }
 
     // Strategy 2: H1 tag
-    const h1 = document.querySelector('h1');
+    const h1 = SelectorPacks.first(document, 'yami', 'title');
     if (h1) {
-      return h1.textContent.trim();
+      return SelectorHealth.found('title', 1 + h1.rank, h1.selector, h1.element.textContent.trim());
     }
 
     // Strategy 3: Meta tags
     const ogTitle = document.querySelector('meta[property="og:title"]');
     if (ogTitle) {
-      return ogTitle.getAttribute('content');
+      return SelectorHealth.found('title', 2, 'og:title', ogTitle.getAttribute('content'));
     }
 
     // Strategy 4: Title tag (less reliable)
@@ -60,7 +70,7 @@ class YamiDataExtractor {
     if (titleTag) {
       const title = titleTag.textContent.trim();
       // Remove site suffix like " - Yami.com"
-      return title.replace(/\s*[-–|]\s*Yami\.com.*$/i, '').trim();
+      return SelectorHealth.found('title', 3, 'title tag', title.replace(/\s*[-–|]\s*Yami\.com.*$/i, '').trim());
     }
 
     return null;
@@ -77,45 +87,29 @@ class YamiDataExtractor {
     if (jsonld && jsonld.offers && jsonld.offers.price) {
       const price = parseFloat(jsonld.offers.price);
       if (!isNaN(price)) {
-        return YamiDOMHelpers.formatPrice(price);
-      }
-    }
-
-    // Strategy 2: .price-shop.word-bold (verified correct selector from debug)
-    const priceShop = document.querySelector('.price-shop.word-bold');
-    if (priceShop) {
-      const priceText = priceShop.textContent.trim();
-      const price = YamiDOMHelpers.parsePrice(priceText);
-      if (price !== null && price > 0) {
-        return YamiDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', 0, 'JSON-LD offers.price', YamiDOMHelpers.formatPrice(price));
       }
     }
 
-    // Strategy 3: Other price selectors (fallback)
-    const priceSelectors = [
-      '.price-shop',
-      '.word-bold-price.red-price',
-      '[itemprop="price"]',
-      '.item-price__valid'
-    ];
-
-    for (const selector of priceSelectors) {
+    // Strategy 2: Price elements, starting with .price-shop.word-bold (verified correct selector from debug)
+    const priceSelectors = SelectorPacks.get('yami', 'price');
+    for (const [index, selector] of priceSelectors.entries()) {
       const priceElement = document.querySelector(selector);
       if (priceElement) {
         const priceText = priceElement.textContent.trim();
         const price = YamiDOMHelpers.parsePrice(priceText);
         if (price !== null && price > 0) {
-          return YamiDOMHelpers.formatPrice(price);
+          return SelectorHealth.found('price', 1 + index, selector, YamiDOMHelpers.formatPrice(price));
         }
       }
     }
 
-    // Strategy 4: Meta tags
+    // Strategy 3: Meta tags
     const ogPrice = document.querySelector('meta[property="product:price:amount"]');
     if (ogPrice) {
       const price = parseFloat(ogPrice.getAttribute('content'));
       if (!isNaN(price)) {
-        return YamiDOMHelpers.formatPrice(price);
+        return SelectorHealth.found('price', 1 + priceSelectors.length, 'product:price:amount', YamiDOMHelpers.formatPrice(price));
       }
     }
 
@@ -137,14 +131,7 @@ class YamiDataExtractor {
     }
 
     // Look for specific shipping cost
-    const shippingSelectors = [
-      '[data-qa="shipping-info"]',
-      '.shipping-info',
-      '.delivery-info',
-      '.item-shipping'
-    ];
-
-    for (const selector of shippingSelectors) {
+    for (const selector of SelectorPacks.get('yami', 'shipping')) {
       const shippingElement = document.querySelector(selector);
       if (shippingElement) {
         const shippingText = shippingElement.textContent.trim();
@@ -185,14 +172,7 @@ class YamiDataExtractor {
     }
 
     // Check for specific badge elements
-    const badgeSelectors = [
-      '.bff-item__badge',
-      '[data-qa="fulfillment-badge"]',
-      '.fulfillment-info',
-      '.seller-info'
-    ];
-
-    for (const selector of badgeSelectors) {
+    for (const selector of SelectorPacks.get('yami', 'fulfillmentBadge')) {
       const badge = document.querySelector(selector);
       if (badge) {
         const badgeText = badge.textContent.toLowerCase();
@@ -211,6 +191,8 @@ class YamiDataExtractor {
    */
   static getImages() {
     const images = new Set(); // Use Set to avoid duplicates
+    const strategies = ['JSON-LD image', 'goods_image gallery', '.item-preview__list', 'JSON-LD image (main only)', 'og:image'];
+    let rank = 1;
 
     // Strategy 1: JSON-LD Product schema (FASTEST - already in page, no lazy loading needed)
     const scripts = document.querySelectorAll('script');
@@ -238,7 +220,7 @@ class YamiDataExtractor {
             // If we only got 3 or fewer images, they're likely just variations, so continue to DOM extraction
             // to get all actual product images from the gallery
             if (images.size > 3) {
-              return Array.from(images).slice(0, 10);
+              return SelectorHealth.found('images', 0, strategies[0], Array.from(images).slice(0, 10));
             } else {
               images.clear(); // Clear the aspect ratio variations
             }
@@ -252,7 +234,7 @@ class YamiDataExtractor {
 
     // Strategy 2: Product image gallery container - [data-observetrack="goods_image"]
     // Query imgs directly from the container (inner list element may vary across site versions)
-    const galleryContainer = document.querySelector('[data-observetrack="goods_image"]');
+    const galleryContainer = document.querySelector(SelectorPacks.selector('yami', 'gallery'));
     if (galleryContainer) {
       const imgs = galleryContainer.querySelectorAll('img');
       imgs.forEach(img => {
@@ -273,7 +255,8 @@ class YamiDataExtractor {
 
     // Strategy 3: Fallback - any remaining legacy wrapper selectors
     if (images.size === 0) {
-      const previewList = document.querySelector('.item-preview__wrapper .item-preview__list, .item-preview__list');
+      rank = 2;
+      const previewList = SelectorPacks.first(document, 'yami', 'previewList')?.element;
       if (previewList) {
         previewList.querySelectorAll('img').forEach(img => {
           const src = img.getAttribute('data-src') ||
@@ -294,6 +277,7 @@ class YamiDataExtractor {
 
     // Strategy 3: JSON-LD images (fallback)
     if (images.size === 0) {
+      rank = 3;
       const jsonld = YamiDOMHelpers.extractJSONLD(document);
       if (jsonld && jsonld.image) {
         if (Array.isArray(jsonld.image)) {
@@ -316,6 +300,7 @@ class YamiDataExtractor {
 
     // Strategy 4: Meta tags (last resort)
     if (images.size === 0) {
+      rank = 4;
       const ogImage = document.querySelector('meta[property="og:image"]');
       if (ogImage) {
         const content = ogImage.getAttribute('content');
@@ -328,7 +313,7 @@ class YamiDataExtractor {
     }
 
     // Convert Set to Array and limit to 10 images
-    return Array.from(images).filter(url => url && url.length > 0).slice(0, 10);
+    return SelectorHealth.found('images', rank, strategies[rank], Array.from(images).filter(url => url && url.length > 0).slice(0, 10));
   }
 
   /**
@@ -344,19 +329,19 @@ class YamiDataExtractor {
       for (const [key, value] of Object.entries(specs)) {
         description += `${key}: ${value}\n`;
       }
-      return description.trim();
+      return SelectorHealth.found('description', 0, 'specifications', description.trim());
     }
 
     // Strategy 2: JSON-LD description (fallback)
     const jsonld = YamiDOMHelpers.extractJSONLD(document);
     if (jsonld && jsonld.description) {
-      return jsonld.description;
+      return SelectorHealth.found('description', 1, 'JSON-LD description', jsonld.description);
     }
 
     // Strategy 3: Meta description (last resort)
     const metaDesc = document.querySelector('meta[name="description"], meta[property="og:description"]');
     if (metaDesc) {
-      return metaDesc.getAttribute('content');
+      return SelectorHealth.found('description', 2, 'meta description', metaDesc.getAttribute('content'));
     }
 
     return '';
@@ -369,9 +354,11 @@ class YamiDataExtractor {
    */
   static getBulletPoints() {
     const bulletPoints = [];
+    const strategies = ['Product Highlights list', 'ul.item-desc__list', 'Product Highlights heading', 'description lines'];
+    let rank = 0;
 
     // Strategy 1: Look within .item-desc__content for H2 "Product Highlights" (verified from debug)
-    const itemDescContent = document.querySelector('.item-desc__content');
+    const itemDescContent = document.querySelector(SelectorPacks.selector('yami', 'descriptionContent'));
     if (itemDescContent) {
       const h2Headings = itemDescContent.querySelectorAll('h2.item-desc__title');
       for (const h2 of h2Headings) {
@@ -393,6 +380,7 @@ class YamiDataExtractor {
 
     // Strategy 2: Fallback - first UL.item-desc__list in .item-desc__content
     if (bulletPoints.length === 0 && itemDescContent) {
+      rank = 1;
       const ul = itemDescContent.querySelector('ul.item-desc__list');
       if (ul) {
         const bullets = ul.querySelectorAll('li');
@@ -407,6 +395,7 @@ class YamiDataExtractor {
 
     // Strategy 3: Global search for "Product Highlights" heading
     if (bulletPoints.length === 0) {
+      rank = 2;
       const allHeadings = document.querySelectorAll('h2, h3, h4');
       for (const heading of allHeadings) {
         const headingText = heading.textContent.trim().toLowerCase();
@@ -435,11 +424,11 @@ class YamiDataExtractor {
       const description = this.getDescription();
       if (description) {
         const lines = description.split('\n').filter(line => line.trim().length > 20);
-        return lines.slice(0, 5); // Max 5 lines as bullet points
+        return SelectorHealth.found('bulletPoints', 3, strategies[3], lines.slice(0, 5)); // Max 5 lines as bullet points
       }
     }
 
-    return bulletPoints;
+    return SelectorHealth.found('bulletPoints', rank, strategies[rank], bulletPoints);
   }
 
   /**
@@ -449,6 +438,8 @@ class YamiDataExtractor {
    */
   static getSpecifications() {
     const specs = {};
+    const strategies = ['Specifications table', 'table.specification', 'Specifications/Details heading', 'generic spec rows'];
+    let rank = 0;
 
     // Strategy 1: Look for H3 "Specifications" heading → TABLE.specification (verified from debug)
     const allH3Headings = document.querySelectorAll('h3.item-desc__title');
@@ -474,7 +465,8 @@ class YamiDataExtractor {
 
     // Strategy 2: Fallback - direct TABLE.specification selector
     if (Object.keys(specs).length === 0) {
-      const table = document.querySelector('table.specification');
+      rank = 1;
+      const table = document.querySelector(SelectorPacks.selector('yami', 'specTable'));
       if (table) {
         const rows = table.querySelectorAll('tr');
         rows.forEach(row => {
@@ -492,6 +484,7 @@ class YamiDataExtractor {
 
     // Strategy 3: Global search for "Specifications" or "Details" heading
     if (Object.keys(specs).length === 0) {
+      rank = 2;
       const allHeadings = document.querySelectorAll('h3, h4');
       for (const heading of allHeadings) {
         const headingText = heading.textContent.trim().toLowerCase();
@@ -537,15 +530,8 @@ class YamiDataExtractor {
 
     // Strategy 4: Generic table/list selectors
     if (Object.keys(specs).length === 0) {
-      const specSelectors = [
-        '.product-specs tr',
-        '.specifications tr',
-        '.product-attributes tr',
-        '[data-qa="specs"] tr',
-        '.details-table tr'
-      ];
-
-      for (const selector of specSelectors) {
+      rank = 3;
+      for (const selector of SelectorPacks.get('yami', 'specRows')) {
         const rows = document.querySelectorAll(selector);
         if (rows.length > 0) {
           rows.forEach(row => {
@@ -563,7 +549,39 @@ class YamiDataExtractor {
       }
     }
 
-    return specs;
+    return SelectorHealth.found('specifications', rank, strategies[rank], specs);
+  }
+
+  /**
+   * Extract the category path from JSON-LD (Product category, else BreadcrumbList)
+   * @returns {string} e.g. "Snacks > Chips", or empty string
+   */
+  static getCategory() {
+    const jsonld = YamiDOMHelpers.extractJSONLD(document);
+    if (jsonld?.category) return String(jsonld.category);
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data['@type'] === 'BreadcrumbList' && Array.isArray(data.itemListElement)) {
+          return data.itemListElement.map(item => item.name || item.item?.name).filter(Boolean).join(' > ');
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Extract average customer rating from JSON-LD aggregateRating
+   * @returns {number|null} Rating out of 5, or null when the product has none
+   */
+  static getRating() {
+    const jsonld = YamiDOMHelpers.extractJSONLD(document);
+    const rating = parseFloat(jsonld?.aggregateRating?.ratingValue);
+    return isNaN(rating) ? null : rating;
   }
 
   /**
@@ -579,13 +597,13 @@ class YamiDataExtractor {
 
   static extractTitleFromDoc(doc) {
     const jsonld = YamiDOMHelpers.extractJSONLD(doc);
-    if (jsonld && jsonld.name) return jsonld.name;
+    if (jsonld && jsonld.name) return SelectorHealth.found('title', 0, 'JSON-LD name', jsonld.name);
 
-    const h1 = doc.querySelector('h1');
-    if (h1) return h1.textContent.trim();
+    const h1 = SelectorPacks.first(doc, 'yami', 'title');
+    if (h1) return SelectorHealth.found('title', 1 + h1.rank, h1.selector, h1.element.textContent.trim());
 
     const ogTitle = doc.querySelector('meta[property="og:title"]');
-    if (ogTitle) return ogTitle.getAttribute('content');
+    if (ogTitle) return SelectorHealth.found('title', 2, 'og:title', ogTitle.getAttribute('content'));
 
     return null;
   }
@@ -607,7 +625,7 @@ class YamiDataExtractor {
           if (jsonld.offers) {
             const price = parseFloat(jsonld.offers.price || jsonld.offers.lowPrice || jsonld.offers.highPrice);
             if (!isNaN(price) && price > 0) {
-              return YamiDOMHelpers.formatPrice(price);
+              return SelectorHealth.found('price', 0, 'JSON-LD offers.price', YamiDOMHelpers.formatPrice(price));
             }
           }
         } catch (e) {
@@ -618,20 +636,13 @@ class YamiDataExtractor {
     }
 
     // Strategy 2: Try DOM selectors (fallback)
-    const priceSelectors = [
-      '.item-price__valid',
-      '.bff-item__price--valid',
-      '.red-price',
-      '[data-qa="item-price"]'
-    ];
-
-    for (const selector of priceSelectors) {
+    for (const [index, selector] of SelectorPacks.get('yami', 'price').entries()) {
       const priceElement = doc.querySelector(selector);
       if (priceElement) {
         const priceText = priceElement.textContent.trim();
         const price = YamiDOMHelpers.parsePrice(priceText);
         if (price !== null && price > 0) {
-          return YamiDOMHelpers.formatPrice(price);
+          return SelectorHealth.found('price', 1 + index, selector, YamiDOMHelpers.formatPrice(price));
         }
       }
     }
@@ -697,7 +708,7 @@ class YamiDataExtractor {
     }
 
     // Strategy 2: Product image gallery - div[data-observetrack="goods_image"] .item-preview__list li img
-    const itemPreviewList = doc.querySelector('[data-observetrack="goods_image"] .item-preview__list');
+    const itemPreviewList = doc.querySelector(SelectorPacks.selector('yami', 'gallery'))?.querySelector('.item-preview__list');
     if (itemPreviewList) {
       const listItems = itemPreviewList.querySelectorAll('li');
       listItems.forEach((li, liIndex) => {
@@ -724,7 +735,7 @@ class YamiDataExtractor {
 
     // Strategy 3: Fallback - .item-preview__wrapper .item-preview__list li img
     if (images.size === 0) {
-      const previewList = doc.querySelector('.item-preview__wrapper .item-preview__list');
+      const previewList = SelectorPacks.first(doc, 'yami', 'previewList')?.element;
       if (previewList) {
         const listItems = previewList.querySelectorAll('li');
         listItems.forEach(li => {
@@ -805,7 +816,7 @@ class YamiDataExtractor {
     const bulletPoints = [];
 
     // Strategy 1: Look within .item-desc__content for H2 "Product Highlights"
-    const itemDescContent = doc.querySelector('.item-desc__content');
+    const itemDescContent = doc.querySelector(SelectorPacks.selector('yami', 'descriptionContent'));
     if (itemDescContent) {
       const h2Headings = itemDescContent.querySelectorAll('h2.item-desc__title');
       for (const h2 of h2Headings) {
@@ -894,7 +905,7 @@ class YamiDataExtractor {
 
     // Strategy 2: Fallback - direct TABLE.specification selector
     if (Object.keys(specs).length === 0) {
-      const table = doc.querySelector('table.specification');
+      const table = doc.querySelector(SelectorPacks.selector('yami', 'specTable'));
       if (table) {
         const rows = table.querySelectorAll('tr');
         rows.forEach(row => {
@@ -945,14 +956,15 @@ class YamiDataExtractor {
 
   /**
    * Extract product links from category/search page
+   * @param {Document} [doc] - A fetched category page (PageCrawler); defaults to the open page
    * @returns {Array<Object>} Array of product link objects
    */
-  static extractProductLinksFromPage() {
+  static extractProductLinksFromPage(doc = document) {
     const productLinks = [];
     const seenIDs = new Set();
 
     // Primary selector: legacy category items with data-goods_id attribute
-    const categoryCards = document.querySelectorAll('.category-items div[data-goods_id]');
+    const categoryCards = doc.querySelectorAll(SelectorPacks.selector('yami', 'productCards'));
 
     if (categoryCards.length > 0) {
       categoryCards.forEach(card => {
@@ -976,7 +988,7 @@ class YamiDataExtractor {
     // which only runs on category/search pages (never on product detail pages).
     // Yami now uses Next.js CSS Modules so stable class names are not reliable.
     if (productLinks.length === 0) {
-      const allLinks = document.querySelectorAll('a[href*="/p/"]');
+      const allLinks = doc.querySelectorAll('a[href*="/p/"]');
 
       allLinks.forEach(link => {
         const href = link.getAttribute('href');
@@ -1004,6 +1016,18 @@ class YamiDataExtractor {
     return productLinks;
   }
 
+  /**
+   * Next category/search page; Yami's hashed class names rule out a pagination class,
+   * so this relies on rel=next and PageCrawler's numbered-link fallback
+   * @param {Document} doc - Category page
+   * @param {string} pageUrl - URL the page was loaded from
+   * @returns {string|null} Absolute URL of the next page
+   */
+  static getNextPageUrl(doc, pageUrl) {
+    const next = doc.querySelector(SelectorPacks.selector('yami', 'nextPage'));
+    return next ? PageCrawler.resolveUrl(next.getAttribute('href'), pageUrl) : null;
+  }
+
   /**
    * Extract data from a specific document (for fetched pages in bulk scraping)
    * MUST MATCH Amazon format exactly
@@ -1028,7 +1052,9 @@ class YamiDataExtractor {
       bulletPoints: this.extractBulletPointsFromDoc(doc),
       specifications: specs,
       countryOfOrigin: countryOfOrigin,
-      source: 'yami' // Add source field
+      source: 'yami', // Add source field
+      marketplace: 'US',
+      currency: 'USD'
     };
   }
 }
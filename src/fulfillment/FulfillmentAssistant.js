@@ -0,0 +1,179 @@
+/**
+ * Fulfillment Assistant
+ * Walks an Amazon purchase started from the popup's Fulfill button (OrderFulfillment): sets the
+ * quantity on the product page, picks the eBay buyer's imported address at checkout and records
+ * the Amazon order number from the thank-you page. Nothing is ordered without you placing it.
+ */
+import { DOMHelpers } from '../utils/DOMHelpers.js';
+import { UIManager } from '../ui/UIManager.js';
+
+export class FulfillmentAssistant {
+  constructor() {
+    this.session = null;
+    this.banner = null;
+  }
+
+  async init() {
+    this.session = await OrderFulfillment.getActive();
+    if (!this.session) return;
+
+    // Thank-you pages live under /gp/buy/ too, so they're checked first. Only a purchase that went
+    // through the order's product and address counts - any other order placed meanwhile isn't it
+    if (DOMHelpers.isOrderConfirmationPage()) {
+      if (this.session.productSeen && this.session.addressSelected) {
+        await this.recordOrderNumber();
+      } else if (this.session.productSeen) {
+        this.showBanner(`eBay order ${this.session.orderId}: if this was its purchase, enter the Amazon order number from the popup`, 'warning');
+      }
+    } else if (DOMHelpers.isCheckoutPage()) {
+      // Only steer checkouts that follow a visit to the order's product
+      if (this.session.productSeen) await this.selectAddress();
+    } else if (DOMHelpers.isProductPage() && DOMHelpers.extractASIN() === this.session.asin) {
+      await this.setQuantity();
+    }
+  }
+
+  // ===== Product page =====
+
+  async setQuantity() {
+    const { orderId, quantity } = this.session;
+    this.session = await OrderFulfillment.updateActive({ productSeen: true });
+
+    const select = SelectorPacks.first(document, 'amazon', 'productQuantity')?.element;
+    if (!select) {
+      this.showBanner(`eBay order ${orderId}: buy ${quantity} - this page has no quantity selector`, 'warning');
+      return;
+    }
+
+    const available = Math.max(0, ...[...select.options].map(option => parseInt(option.value, 10) || 0));
+    if (quantity > available) {
+      this.showBanner(`eBay order ${orderId}: needs ${quantity}, but only ${available} can be added to the cart`, 'warning');
+      return;
+    }
+
+    select.value = String(quantity);
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    this.showBanner(`eBay order ${orderId}: quantity set to ${quantity} - add to cart and check out`);
+  }
+
+  // ===== Checkout =====
+
+  async selectAddress() {
+    const { orderId, address } = this.session;
+    if (!address?.name) {
+      this.showBanner(`eBay order ${orderId} has no ship-to address - choose it yourself`, 'warning');
+      return;
+    }
+    const label = `${address.name}, ${address.postalCode || ''}`.replace(/, $/, '');
+
+    if (this.session.addressSelected) {
+      this.showBanner(`eBay order ${orderId}: shipping to ${label} - place your order`);
+      return;
+    }
+
+    // Checkout renders the address section after load
+    const found = await this.waitFor(() =>
+      SelectorPacks.first(document, 'amazon', 'checkoutAddressOption') ||
+      SelectorPacks.first(document, 'amazon', 'checkoutCurrentAddress'));
+    if (!found) {
+      this.showBanner(`eBay order ${orderId}: ship to ${label}`, 'warning');
+      return;
+    }
+
+    const options = [...document.querySelectorAll(SelectorPacks.selector('amazon', 'checkoutAddressOption'))];
+    const match = options.find(option => OrderFulfillment.matchesAddress(option.innerText, address));
+    if (match) {
+      (match.querySelector('input[type="radio"]') || match).click();
+      await DOMHelpers.sleep(500);
+      // Saved before the click, which leaves the page
+      this.session = await OrderFulfillment.updateActive({ addressSelected: true });
+      SelectorPacks.first(document, 'amazon', 'checkoutUseAddress')?.element.click();
+      this.showBanner(`eBay order ${orderId}: selected ${label} - place your order`, 'success');
+      return;
+    }
+
+    const current = SelectorPacks.first(document, 'amazon', 'checkoutCurrentAddress')?.element;
+    if (current && OrderFulfillment.matchesAddress(current.innerText, address)) {
+      this.session = await OrderFulfillment.updateActive({ addressSelected: true });
+      this.showBanner(`eBay order ${orderId}: shipping to ${label} - place your order`, 'success');
+    } else if (options.length > 0) {
+      this.showBanner(`eBay order ${orderId}: ${label} isn't in your address book - import it on the Addresses page`, 'error');
+    } else {
+      this.showBanner(`eBay order ${orderId}: click Change and choose ${label}`, 'warning');
+    }
+  }
+
+  async waitFor(find, timeout = 8000) {
+    for (let waited = 0; waited <= timeout; waited += 500) {
+      const found = find();
+      if (found) return found;
+      await DOMHelpers.sleep(500);
+    }
+    return null;
+  }
+
+  // ===== Order confirmation =====
+
+  async recordOrderNumber() {
+    const { orderId } = this.session;
+    const section = SelectorPacks.first(document, 'amazon', 'orderConfirmation')?.element || document.body;
+    const orderNumber = OrderFulfillment.findOrderNumber(section.innerText);
+    if (!orderNumber) {
+      this.showBanner(`eBay order ${orderId}: couldn't read the Amazon order number - enter it from the popup`, 'error');
+      return;
+    }
+
+    try {
+      await OrderFulfillment.setStatus(orderId, 'purchased', { supplierOrderNumber: orderNumber });
+      await OrderFulfillment.clearActive();
+      UIManager.showNotification(`✅ eBay order ${orderId} marked purchased - Amazon order ${orderNumber}`, 'success');
+    } catch (error) {
+      this.showBanner(`eBay order ${orderId}: ${error.message}`, 'error');
+    }
+  }
+
+  // ===== Banner =====
+
+  showBanner(message, type = 'info') {
+    this.banner?.remove();
+
+    this.banner = document.createElement('div');
+    this.banner.id = 'fulfillment-assistant-banner';
+    this.banner.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      z-index: 10000;
+      max-width: 380px;
+      padding: 12px 16px;
+      background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : '#3b82f6'};
+      color: white;
+      border-radius: 8px;
+      font-size: 14px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+    `;
+
+    const text = document.createElement('div');
+    text.textContent = `📦 ${message}`;
+
+    const stop = document.createElement('button');
+    stop.textContent = 'Stop assisting';
+    stop.style.cssText = `
+      margin-top: 8px;
+      padding: 4px 10px;
+      background: rgba(255, 255, 255, 0.2);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.6);
+      border-radius: 6px;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    stop.addEventListener('click', async () => {
+      await OrderFulfillment.clearActive();
+      this.banner.remove();
+    });
+
+    this.banner.append(text, stop);
+    document.body.appendChild(this.banner);
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * OrderFulfillment - Buying the supplier product for a scraped eBay order
+ * An order's fulfillment state lives on its record in scrapedOrders and only moves forward:
+ *   pending -> purchased -> shipped -> delivered
+ * Starting fulfillment opens the linked supplier product page and leaves an active session in
+ * storage; the Amazon content script (FulfillmentAssistant) picks the session up to pre-set the
+ * quantity, select the buyer's imported address at checkout and capture the Amazon order number.
+ *
+ * order.fulfillment: { status, asin, source, supplierUrl, quantity, supplierOrderNumber, carrier, trackingNumber,
+ *   trackingUpload, history: [{ status, at }], updatedAt } - carrier and tracking come from Amazon's order
+ *   pages (SupplierOrders); trackingUpload { trackingNumber, status: 'uploaded'|'failed', error, at } is the
+ *   last attempt to enter them on eBay (TrackingUploader)
+ * Session (activeFulfillment): { orderId, asin, source, url, quantity, address, productSeen, addressSelected, startedAt }
+ * Loaded as a classic script by the popup and the Amazon and eBay content scripts.
+ */
+
+class OrderFulfillment {
+  static ORDERS_KEY = 'scrapedOrders';
+  static ACTIVE_KEY = 'activeFulfillment';
+  static SESSION_HOURS = 24; // An unfinished session stops steering checkout after this
+
+  static STATUSES = ['pending', 'purchased', 'shipped', 'delivered'];
+
+  static STATUS_LABELS = {
+    pending: 'Pending',
+    purchased: 'Purchased',
+    shipped: 'Shipped',
+    delivered: 'Delivered'
+  };
+
+  // Amazon order numbers on every marketplace: 111-1234567-1234567
+  static ORDER_NUMBER_PATTERN = /\b(\d{3}-\d{7}-\d{7})\b/;
+
+  // ===== Order state =====
+
+  /**
+   * @param {Object} order - Scraped order
+   * @returns {string|null} Fulfillment status, or null before fulfillment starts
+   */
+  static getStatus(order) {
+    return order?.fulfillment?.status || null;
+  }
+
+  /**
+   * Whether an order can move to a status; states only move forward, and setting the
+   * current status again just updates its fields (e.g. a corrected order number)
+   * @param {string|null} current
+   * @param {string} next
+   * @returns {boolean}
+   */
+  static canMove(current, next) {
+    const to = this.STATUSES.indexOf(next);
+    return to >= 0 && to >= this.STATUSES.indexOf(current);
+  }
+
+  /**
+   * Move an order to a status
+   * @param {string} orderId
+   * @param {string} status - One of STATUSES
+   * @param {Object} [fields] - Other fulfillment fields to set (supplierOrderNumber, asin, ...)
+   * @returns {Promise<Object>} The updated order
+   */
+  static async setStatus(orderId, status, fields = {}) {
+    return this.updateOrder(orderId, (order) => this.applyStatus(order, status, fields));
+  }
+
+  /**
+   * An order moved to a status (not saved)
+   * @param {Object} order - Scraped order
+   * @param {string} status - One of STATUSES
+   * @param {Object} [fields] - Other fulfillment fields to set
+   * @returns {Object} The updated order
+   */
+  static applyStatus(order, status, fields = {}) {
+    const previous = order.fulfillment || { status: null, history: [] };
+    if (!this.canMove(previous.status, status)) {
+      throw new Error(`Order ${order.orderId} is already ${this.STATUS_LABELS[previous.status].toLowerCase()}`);
+    }
+
+    const now = new Date().toISOString();
+    const history = previous.status === status ? previous.history : [...previous.history, { status, at: now }];
+    return { ...order, fulfillment: { ...previous, ...fields, status, history, updatedAt: now } };
+  }
+
+  /**
+   * Like applyStatus, for updates that arrive out of order: an order already past the status
+   * keeps its own and only takes the fields
+   * @param {Object} order - Scraped order
+   * @param {string} status - One of STATUSES
+   * @param {Object} [fields] - Other fulfillment fields to set
+   * @returns {Object} The updated order
+   */
+  static advance(order, status, fields = {}) {
+    const current = this.getStatus(order);
+    return this.applyStatus(order, this.canMove(current, status) ? status : current, fields);
+  }
+
+  /**
+   * Note the outcome of entering an order's tracking number on eBay (TrackingUploader)
+   * @param {string} orderId
+   * @param {string} trackingNumber - The number that was entered
+   * @param {string|null} [error] - Why eBay didn't take it; null when it did
+   * @returns {Promise<Object>} The updated order
+   */
+  static async recordTrackingUpload(orderId, trackingNumber, error = null) {
+    const trackingUpload = { trackingNumber, status: error ? 'failed' : 'uploaded', error, at: new Date().toISOString() };
+    return this.updateOrder(orderId, (order) => ({ ...order, fulfillment: { ...order.fulfillment, trackingUpload } }));
+  }
+
+  static async updateOrder(orderId, update) {
+    const orders = await new Promise(resolve => {
+      chrome.storage.local.get([this.ORDERS_KEY], (result) => resolve(result[this.ORDERS_KEY] || []));
+    });
+
+    const index = orders.findIndex(order => order.orderId === orderId);
+    if (index < 0) throw new Error(`Order ${orderId} is no longer in the scraped orders`);
+
+    orders[index] = update(orders[index]);
+    await new Promise(resolve => chrome.storage.local.set({ [this.ORDERS_KEY]: orders }, resolve));
+    return orders[index];
+  }
+
+  // ===== Supplier product =====
+
+  /**
+   * The supplier product to buy for an order: the first item linked in the profit ledger,
+   * or whose SKU (Custom label) is a product ID in the catalog
+   * @param {Object} order - Scraped order
+   * @param {Object|null} ledgerEntry - The order's ProfitLedger entry
+   * @param {Array} products - Supplier products from ProductCatalog
+   * @returns {Object|null} { item, product }
+   */
+  static resolveProduct(order, ledgerEntry, products) {
+    const byAsin = new Map((products || []).map(product => [product.asin, product]));
+
+    for (const [index, item] of (order.items || []).entries()) {
+      const line = ledgerEntry?.items?.[index];
+      const product = byAsin.get(line?.asin) || byAsin.get(item.sku);
+      if (product?.url) return { item, product };
+    }
+    return null;
+  }
+
+  // ===== Assistant session =====
+
+  /**
+   * Start fulfilling an order: mark it pending and, for Amazon products, leave a session for
+   * the assistant (Yami and Costco pages are only opened - quantity and address are up to you)
+   * @param {Object} order - Scraped order
+   * @param {Object} item - Order item being bought
+   * @param {Object} product - Supplier product
+   * @returns {Promise<Object>} The session; open session.url to continue
+   */
+  static async start(order, item, product) {
+    const session = {
+      orderId: order.orderId,
+      asin: product.asin,
+      source: product.source || 'amazon',
+      url: product.url,
+      quantity: Math.max(1, parseInt(item.quantity, 10) || 1),
+      address: order.shippingAddress || null,
+      productSeen: false,
+      addressSelected: false,
+      startedAt: new Date().toISOString()
+    };
+
+    // A session left from another order must not act on this purchase's pages
+    await this.clearActive();
+    if (!this.getStatus(order)) {
+      await this.setStatus(order.orderId, 'pending', {
+        asin: session.asin,
+        source: session.source,
+        supplierUrl: session.url,
+        quantity: session.quantity,
+        supplierOrderNumber: null
+      });
+    }
+    if (session.source === 'amazon') {
+      await new Promise(resolve => chrome.storage.local.set({ [this.ACTIVE_KEY]: session }, resolve));
+    }
+    return session;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The active session, unless it has gone stale
+   */
+  static async getActive() {
+    const session = await new Promise(resolve => {
+      chrome.storage.local.get([this.ACTIVE_KEY], (result) => resolve(result[this.ACTIVE_KEY] || null));
+    });
+    if (!session) return null;
+
+    const ageHours = (Date.now() - new Date(session.startedAt).getTime()) / 3600000;
+    return ageHours < this.SESSION_HOURS ? session : null;
+  }
+
+  static async updateActive(fields) {
+    const session = await this.getActive();
+    if (!session) return null;
+
+    const updated = { ...session, ...fields };
+    await new Promise(resolve => chrome.storage.local.set({ [this.ACTIVE_KEY]: updated }, resolve));
+    return updated;
+  }
+
+  static async clearActive() {
+    return new Promise(resolve => chrome.storage.local.remove(this.ACTIVE_KEY, resolve));
+  }
+
+  // ===== Page matching =====
+
+  /**
+   * Whether an address shown at checkout is the order's ship-to address: same name, street and
+   * postal code, compared without case, spaces or punctuation (the address book holds the
+   * address exactly as AddressImporter entered it)
+   * @param {string} text - Address text from the page
+   * @param {Object} address - Order shippingAddress
+   * @returns {boolean}
+   */
+  static matchesAddress(text, address) {
+    const haystack = this.squash(text);
+    const name = this.squash(address?.name);
+    const street = this.squash(address?.addressLine1);
+    const postalCode = this.squash(address?.postalCode).slice(0, 5); // ZIP without the +4
+
+    if (!name || !haystack.includes(name)) return false;
+    return [street, postalCode].every(part => !part || haystack.includes(part));
+  }
+
+  /**
+   * Address text reduced for comparing: lower case, letters and digits only
+   * @param {string} value
+   * @returns {string}
+   */
+  static squash(value) {
+    return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  /**
+   * @param {string} text - Order confirmation page text
+   * @returns {string|null} Amazon order number
+   */
+  static findOrderNumber(text) {
+    return String(text || '').match(this.ORDER_NUMBER_PATTERN)?.[1] || null;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderFulfillment;
+}
@@ -0,0 +1,206 @@
+/**
+ * SupplierOrders - The Amazon orders placed to fulfil eBay orders
+ * AmazonOrderExtractor reads them whenever Your Orders, an order's details or its package tracking
+ * page is open. They're kept in supplierOrders by Amazon order number, each page adding what it shows.
+ *
+ * Each Amazon order is matched to the scraped eBay order it ships to, and that order's fulfillment
+ * (OrderFulfillment) gets the Amazon order number, carrier and tracking number. Matching, most
+ * certain first:
+ *   1. the eBay order already holds this Amazon order number (from the thank-you page or the popup)
+ *   2. the same ship-to name, with the street and postal code agreeing
+ * eBay orders placed after the Amazon order are never candidates. When several eBay orders to the
+ * same buyer fit equally well, the one for the same product wins; if that doesn't settle it, none
+ * is picked. A name alone (Your Orders often shows nothing else) is never linked automatically -
+ * a repeat buyer's other orders share it - so those candidates wait for the user to confirm one
+ * in the popup's Fulfill dialog.
+ *
+ * Record: supplier order fields + { ebayOrderId, matchedBy: 'orderNumber' | 'address' | null,
+ *   candidates: [eBay order ID] to confirm }
+ * Loaded as a classic script by the Amazon content script and the popup.
+ */
+
+class SupplierOrders {
+  static STORAGE_KEY = 'supplierOrders';
+
+  /**
+   * @returns {Promise<Object>} Amazon order number -> record
+   */
+  static async getAll() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => resolve(result[this.STORAGE_KEY] || {}));
+    });
+  }
+
+  /**
+   * Amazon orders that matched an eBay order by ship-to name only, waiting for the user to confirm
+   * @param {string} ebayOrderId
+   * @returns {Promise<Array>} Supplier order records
+   */
+  static async candidatesFor(ebayOrderId) {
+    const records = await this.getAll();
+    return Object.values(records).filter(record => !record.ebayOrderId && record.candidates?.includes(ebayOrderId));
+  }
+
+  /**
+   * Save orders read from an Amazon page and link them to the eBay orders they fulfil
+   * @param {Array} captured - Supplier orders from AmazonOrderExtractor
+   * @returns {Promise<Object>} { captured, matched, linked (matched for the first time), unconfirmed
+   *   (name-only candidates to confirm), ambiguous, unmatched }
+   */
+  static async capture(captured) {
+    const stored = await new Promise(resolve => {
+      chrome.storage.local.get([this.STORAGE_KEY, OrderFulfillment.ORDERS_KEY], resolve);
+    });
+    const records = stored[this.STORAGE_KEY] || {};
+    const ebayOrders = stored[OrderFulfillment.ORDERS_KEY] || [];
+    const result = { captured: captured.length, matched: 0, linked: 0, unconfirmed: 0, ambiguous: 0, unmatched: 0 };
+    let ebayChanged = false;
+
+    for (const incoming of captured) {
+      const record = this.merge(records[incoming.supplierOrderNumber], incoming);
+      const match = this.match(record, ebayOrders);
+      record.candidates = match.candidates || [];
+
+      if (match.order) {
+        if (!record.ebayOrderId) result.linked++;
+        record.ebayOrderId = match.order.orderId;
+        record.matchedBy = match.matchedBy;
+        const index = ebayOrders.indexOf(match.order);
+        const linked = this.linkOrder(match.order, record);
+        if (linked !== match.order) {
+          ebayOrders[index] = linked;
+          ebayChanged = true;
+        }
+        result.matched++;
+      } else if (match.candidates) {
+        result.unconfirmed++;
+      } else {
+        result[match.ambiguous ? 'ambiguous' : 'unmatched']++;
+      }
+      records[record.supplierOrderNumber] = record;
+    }
+
+    await new Promise(resolve => chrome.storage.local.set({
+      [this.STORAGE_KEY]: records,
+      ...(ebayChanged ? { [OrderFulfillment.ORDERS_KEY]: ebayOrders } : {})
+    }, resolve));
+    return result;
+  }
+
+  /**
+   * A stored order updated with what another page showed; empty values don't erase known ones,
+   * and a recipient name alone doesn't replace a full address
+   * @param {Object} [existing]
+   * @param {Object} incoming
+   * @returns {Object}
+   */
+  static merge(existing, incoming) {
+    const merged = { ebayOrderId: null, matchedBy: null, candidates: [], ...existing };
+    for (const [key, value] of Object.entries(incoming)) {
+      if (value == null || (Array.isArray(value) && value.length === 0)) continue;
+      merged[key] = value;
+    }
+    if ((existing?.shipTo?.fullAddress || '').length > (incoming.shipTo?.fullAddress || '').length) {
+      merged.shipTo = existing.shipTo;
+    }
+    return merged;
+  }
+
+  // ===== Matching =====
+
+  /**
+   * The eBay order an Amazon order fulfils
+   * @param {Object} record - Supplier order
+   * @param {Array} ebayOrders - Scraped eBay orders
+   * @returns {Object} { order, matchedBy }, { candidates: [eBay order ID] } for name-only matches,
+   *   { ambiguous: true } or {}
+   */
+  static match(record, ebayOrders) {
+    const byNumber = ebayOrders.find(order => order.orderId === record.ebayOrderId) ||
+      ebayOrders.find(order => order.fulfillment?.supplierOrderNumber === record.supplierOrderNumber);
+    if (byNumber) return { order: byNumber, matchedBy: record.matchedBy || 'orderNumber' };
+    if (!record.shipTo?.name) return {};
+
+    // Orders already bought with another Amazon order, or placed after this one, are out
+    const placed = this.parseDate(record.orderDate);
+    const scored = ebayOrders
+      .filter(order => !order.fulfillment?.supplierOrderNumber)
+      .filter(order => !placed || !(this.parseDate(order.orderDate) > placed))
+      .map(order => ({ order, score: this.addressScore(record.shipTo, order.shippingAddress) }))
+      .filter(candidate => candidate.score > 0);
+    if (scored.length === 0) return {};
+
+    const best = Math.max(...scored.map(candidate => candidate.score));
+    let top = scored.filter(candidate => candidate.score === best);
+    if (top.length > 1) {
+      const asins = new Set(record.items.map(item => item.asin).filter(Boolean));
+      top = top.filter(({ order }) =>
+        asins.has(order.fulfillment?.asin) || (order.items || []).some(item => asins.has(item.sku)));
+    }
+
+    if (best === 1) return { candidates: (top.length > 0 ? top : scored).map(({ order }) => order.orderId) };
+    if (top.length !== 1) return { ambiguous: true };
+    return { order: top[0].order, matchedBy: 'address' };
+  }
+
+  /**
+   * Day an order was placed, from Amazon's "Ordered on October 3, 2026" or eBay's "Mar 5, 2025"
+   * @param {string} text
+   * @returns {number|null} Midnight UTC timestamp; null when there's no English date
+   */
+  static parseDate(text) {
+    const match = String(text || '').match(/([A-Z][a-z]{2,8})\.?\s+(\d{1,2}),?\s+(\d{4})/) ||
+      String(text || '').match(/(\d{1,2})\.?\s+([A-Z][a-z]{2,8})\.?,?\s+(\d{4})/);
+    if (!match) return null;
+    const [month, day] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const time = Date.parse(`${month.slice(0, 3)} ${day}, ${match[3]} UTC`);
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * How well an Amazon ship-to fits an eBay address: 0 no match, 1 the name alone (Your Orders
+   * often shows only the name), higher for each of street and postal code that agrees
+   * @param {Object} shipTo - { name, fullAddress } from AmazonOrderExtractor
+   * @param {Object} address - eBay shippingAddress (OrderDataExtractor.getShippingAddress)
+   * @returns {number}
+   */
+  static addressScore(shipTo, address) {
+    const name = OrderFulfillment.squash(shipTo.name);
+    if (!name || name !== OrderFulfillment.squash(address?.name)) return 0;
+
+    const full = OrderFulfillment.squash(shipTo.fullAddress);
+    if (full.length <= name.length) return 1;
+
+    const parts = [
+      OrderFulfillment.squash(address.addressLine1),
+      OrderFulfillment.squash(address.postalCode).slice(0, 5) // ZIP without the +4
+    ].filter(Boolean);
+    return parts.every(part => full.includes(part)) ? 1 + parts.length : 0;
+  }
+
+  /**
+   * An eBay order with the Amazon order's number and tracking; purchased, or shipped once
+   * there's a tracking number. Returns the same object when nothing changes.
+   * @param {Object} order - Scraped eBay order
+   * @param {Object} record - Supplier order
+   * @returns {Object}
+   */
+  static linkOrder(order, record) {
+    const fields = { supplierOrderNumber: record.supplierOrderNumber, source: 'amazon' };
+    if (record.trackingNumber) {
+      fields.carrier = record.carrier;
+      fields.trackingNumber = record.trackingNumber;
+    }
+    const status = record.trackingNumber ? 'shipped' : 'purchased';
+
+    const current = order.fulfillment || {};
+    const unchanged = Object.entries(fields).every(([key, value]) => current[key] === value) &&
+      OrderFulfillment.STATUSES.indexOf(current.status) >= OrderFulfillment.STATUSES.indexOf(status);
+    return unchanged ? order : OrderFulfillment.advance(order, status, fields);
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SupplierOrders;
+}
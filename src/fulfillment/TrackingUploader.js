@@ -0,0 +1,407 @@
+/**
+ * Tracking Uploader
+ * Enters the carrier and tracking number captured from Amazon (order.fulfillment, see SupplierOrders)
+ * into eBay's "Add tracking" form, one order at a time. The Seller Hub orders list uploads every
+ * order that has tracking; an order details page uploads just its own order.
+ *
+ * Nothing is submitted before a dry-run preview lists what each order will get and which are skipped.
+ * Orders other than the open one are entered on their details page in a background tab
+ * (UPLOAD_TRACKING in background.js, UPLOAD_TRACKING_IN_TAB in ebay-content.js).
+ * Each outcome is kept on the order as fulfillment.trackingUpload (OrderFulfillment.recordTrackingUpload).
+ * The carrier comes from the tracking number's format (TrackingNumbers) when it's recognized.
+ * Form selectors come from the ebay selector pack (SelectorPacks).
+ */
+import { OrderDataExtractor } from '../extractors/OrderDataExtractor.js';
+import { OrderStorageManager } from '../storage/OrderStorageManager.js';
+import { UIManager } from '../ui/UIManager.js';
+
+export class TrackingUploader {
+  // Carrier names as eBay lists them, for the names Amazon shows
+  static EBAY_CARRIERS = [
+    [/\bups\b/i, 'UPS'],
+    [/\busps\b|postal service/i, 'USPS'],
+    [/fedex/i, 'FedEx'],
+    [/\bdhl\b/i, 'DHL'],
+    [/ontrac/i, 'OnTrac'],
+    [/amazon|amzl/i, 'Amazon Logistics']
+  ];
+
+  constructor() {
+    this.orderId = null;
+    this.uploadButton = null;
+    this.isUploading = false;
+    this.shouldStop = false;
+  }
+
+  /**
+   * Show the upload button when an order on this page has tracking to upload
+   * @param {boolean} [onOrderPage] - An order details page, which only uploads its own order
+   */
+  async init(onOrderPage = false) {
+    this.orderId = onOrderPage ? OrderDataExtractor.getOrderId() : null;
+    const plan = await this.loadPlan();
+    if (!plan.some(entry => entry.action === 'upload')) return;
+
+    UIManager.injectStyles();
+    this.injectUploadButton(plan.filter(entry => entry.action === 'upload').length);
+  }
+
+  async loadPlan() {
+    const orders = await OrderStorageManager.getScrapedOrders();
+    return TrackingUploader.buildPlan(orders, this.orderId);
+  }
+
+  // ===== Plan =====
+
+  /**
+   * What an upload run would do with each order that has a supplier tracking number
+   * @param {Array} orders - Scraped orders
+   * @param {string|null} [onlyOrderId] - Limit the plan to one order
+   * @returns {Array} [{ orderId, buyer, url, carrier, trackingNumber, action: 'upload'|'skip', reason }]
+   */
+  static buildPlan(orders, onlyOrderId = null) {
+    return orders
+      .filter(order => order.fulfillment?.trackingNumber && (!onlyOrderId || order.orderId === onlyOrderId))
+      .map(order => {
+        const { trackingNumber, trackingUpload } = order.fulfillment;
+        // The number's own format names the carrier more reliably than Amazon's "Shipped with"
+        const detected = TrackingNumbers.parse(trackingNumber);
+        const carrier = this.ebayCarrier(detected?.carrier || order.fulfillment.carrier);
+        const entry = {
+          orderId: order.orderId,
+          buyer: order.shippingAddress?.name || order.buyerInfo?.username || null,
+          url: order.url || null,
+          carrier,
+          trackingNumber,
+          action: 'upload',
+          reason: null
+        };
+
+        const skip = (reason) => ({ ...entry, action: 'skip', reason });
+        if (trackingUpload?.status === 'uploaded' && trackingUpload.trackingNumber === trackingNumber) {
+          return skip('Already uploaded');
+        }
+        if (this.sameNumber(order.tracking?.trackingNumber, trackingNumber)) {
+          return skip('eBay already shows this tracking number');
+        }
+        if (detected && !detected.valid) return skip(`Tracking number looks invalid - ${detected.problem}`);
+        if (!carrier) return skip('Carrier unknown');
+        if (!entry.url && order.orderId !== onlyOrderId) return skip('No order page link - scrape the order again');
+        return entry;
+      });
+  }
+
+  /**
+   * @param {string|null} carrier - Carrier as Amazon shows it
+   * @returns {string|null} eBay's name for it, or the name as given when eBay's isn't known
+   */
+  static ebayCarrier(carrier) {
+    if (!carrier) return null;
+    return this.EBAY_CARRIERS.find(([pattern]) => pattern.test(carrier))?.[1] || carrier.trim();
+  }
+
+  static sameNumber(a, b) {
+    const squash = (value) => String(value || '').replace(/[^A-Z0-9]/gi, '').toUpperCase();
+    return !!squash(a) && squash(a) === squash(b);
+  }
+
+  // ===== Upload run =====
+
+  /**
+   * Enter every planned order's tracking, one at a time, and report each outcome
+   * @param {Array} plan - From buildPlan
+   * @returns {Promise<Array>} [{ orderId, trackingNumber, success, error }]
+   */
+  async uploadAll(plan) {
+    const uploads = plan.filter(entry => entry.action === 'upload');
+    this.isUploading = true;
+    this.shouldStop = false;
+
+    const progressUI = UIManager.createProgressIndicator(uploads.length);
+    const stopButton = progressUI.querySelector('#stop-scraping-btn');
+    stopButton.textContent = '⏸ Stop Uploading';
+    stopButton.addEventListener('click', () => {
+      this.shouldStop = true;
+      UIManager.showNotification('Stopping after this order...', 'info');
+    });
+    document.body.appendChild(progressUI);
+
+    const results = [];
+    for (const [index, entry] of uploads.entries()) {
+      if (this.shouldStop) break;
+
+      let error = null;
+      try {
+        const response = entry.orderId === this.orderId
+          ? await this.uploadInPage(entry)
+          : await chrome.runtime.sendMessage({ action: 'UPLOAD_TRACKING', url: entry.url, upload: entry });
+        if (!response?.success) error = response?.error || 'No response from the order page';
+      } catch (uploadError) {
+        error = uploadError.message;
+      }
+
+      await OrderFulfillment.recordTrackingUpload(entry.orderId, entry.trackingNumber, error)
+        .catch(recordError => console.error(`Could not record tracking upload for ${entry.orderId}:`, recordError));
+      results.push({ orderId: entry.orderId, trackingNumber: entry.trackingNumber, success: !error, error });
+
+      const failed = results.filter(result => !result.success).length;
+      UIManager.updateProgressIndicator(progressUI, index + 1, uploads.length, results.length - failed, failed);
+      progressUI.querySelector('#current-item').textContent = `Order ${entry.orderId}`;
+    }
+
+    progressUI.remove();
+    this.isUploading = false;
+    return results;
+  }
+
+  /**
+   * Fill in and save the Add tracking form on the open order details page
+   * @param {Object} upload - Plan entry { orderId, carrier, trackingNumber }
+   * @returns {Promise<Object>} { success: true }
+   * @throws {Error} When this isn't the order's page, the form can't be found or eBay rejects it
+   */
+  async uploadInPage(upload) {
+    const pageOrderId = OrderDataExtractor.getOrderId();
+    if (pageOrderId !== upload.orderId) {
+      throw new Error(`Opened page shows order ${pageOrderId}, not ${upload.orderId} - are you signed in to eBay?`);
+    }
+
+    let numberInput = SelectorPacks.first(document, 'ebay', 'trackingNumberInput')?.element;
+    if (!numberInput) {
+      const addButton = SelectorPacks.first(document, 'ebay', 'orderAddTracking')?.element;
+      if (!addButton) throw new Error('No "Add tracking" button on the order page');
+      addButton.click();
+      numberInput = (await this.waitFor(() => SelectorPacks.first(document, 'ebay', 'trackingNumberInput')))?.element;
+      if (!numberInput) throw new Error('The Add tracking form did not open');
+    }
+
+    this.setValue(numberInput, upload.trackingNumber);
+    this.setCarrier(upload.carrier);
+
+    const saveButton = SelectorPacks.first(document, 'ebay', 'trackingSave')?.element;
+    if (!saveButton) throw new Error('No Save button on the Add tracking form');
+    saveButton.click();
+
+    // The form closes once eBay has the number; an inline error keeps it open
+    const outcome = await this.waitFor(() => {
+      const error = SelectorPacks.first(document, 'ebay', 'trackingError')?.element;
+      if (error?.textContent.trim()) return { error: error.textContent.replace(/\s+/g, ' ').trim() };
+      return numberInput.isConnected ? null : { saved: true };
+    }, 15000);
+
+    if (!outcome) throw new Error('eBay did not confirm the tracking number');
+    if (outcome.error) throw new Error(outcome.error);
+    return { success: true };
+  }
+
+  /**
+   * Carrier is a dropdown on some forms and a text box with suggestions on others
+   * @param {string} carrier - eBay carrier name
+   */
+  setCarrier(carrier) {
+    const field = SelectorPacks.first(document, 'ebay', 'trackingCarrier')?.element;
+    if (!field) throw new Error('No carrier field on the Add tracking form');
+
+    if (field.tagName !== 'SELECT') {
+      this.setValue(field, carrier);
+      return;
+    }
+
+    const wanted = carrier.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const option = [...field.options].find(candidate =>
+      candidate.textContent.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted) ||
+      [...field.options].find(candidate =>
+        candidate.textContent.toLowerCase().replace(/[^a-z0-9]/g, '').startsWith(wanted));
+    if (!option) throw new Error(`eBay doesn't list the carrier "${carrier}"`);
+    this.setValue(field, option.value);
+  }
+
+  setValue(field, value) {
+    // eBay's forms track values through the native setter
+    const prototype = field.tagName === 'SELECT' ? window.HTMLSelectElement.prototype : window.HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  async waitFor(find, timeout = 8000) {
+    for (let waited = 0; waited <= timeout; waited += 500) {
+      const found = find();
+      if (found) return found;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return null;
+  }
+
+  // ===== UI =====
+
+  injectUploadButton(count) {
+    if (document.getElementById('ebay-tracking-upload-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'ebay-tracking-upload-btn';
+    button.textContent = `Upload Tracking (${count})`;
+    // Sits above the scrape button
+    button.style.cssText = `
+      position: fixed;
+      bottom: 76px;
+      right: 20px;
+      z-index: 10000;
+      padding: 12px 24px;
+      background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1), 0 1px 3px rgba(0, 0, 0, 0.08);
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    `;
+
+    button.addEventListener('click', async () => {
+      if (this.isUploading) return;
+      const plan = await this.loadPlan();
+      this.showPreview(plan);
+    });
+
+    document.body.appendChild(button);
+    this.uploadButton = button;
+  }
+
+  /**
+   * Dry run: what each order will get, and which are skipped and why
+   * @param {Array} plan - From buildPlan
+   */
+  showPreview(plan) {
+    const uploads = plan.filter(entry => entry.action === 'upload');
+    const rows = plan.map(entry => `
+      <tr style="border-top: 1px solid #e2e8f0;">
+        <td style="padding: 6px 8px;">${this.escapeHtml(entry.orderId)}<br><small style="color: #718096;">${this.escapeHtml(entry.buyer || '')}</small></td>
+        <td style="padding: 6px 8px;">${this.escapeHtml(entry.carrier || '—')}</td>
+        <td style="padding: 6px 8px; font-family: monospace;">${this.escapeHtml(entry.trackingNumber)}</td>
+        <td style="padding: 6px 8px; color: ${entry.action === 'upload' ? '#059669' : '#a0aec0'};">
+          ${entry.action === 'upload' ? 'Will add' : `Skip: ${this.escapeHtml(entry.reason)}`}
+        </td>
+      </tr>
+    `).join('');
+
+    const modal = this.createModal(`
+      <h2 style="margin: 0 0 8px 0; color: #1a202c; font-size: 22px;">Upload Tracking - Dry Run</h2>
+      <p style="margin: 0 0 16px 0; color: #4a5568; font-size: 14px;">
+        Nothing has been sent to eBay yet. ${uploads.length} of ${plan.length} orders will get tracking.
+      </p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #2d3748;">
+        <thead><tr style="text-align: left; color: #718096;">
+          <th style="padding: 6px 8px;">Order</th><th style="padding: 6px 8px;">Carrier</th>
+          <th style="padding: 6px 8px;">Tracking</th><th style="padding: 6px 8px;"></th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
+        <button id="tracking-upload-cancel-btn" style="padding: 10px 20px; background: #e2e8f0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Cancel</button>
+        <button id="tracking-upload-submit-btn" ${uploads.length === 0 ? 'disabled' : ''} style="padding: 10px 20px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Submit ${uploads.length} to eBay</button>
+      </div>
+    `);
+
+    modal.querySelector('#tracking-upload-cancel-btn').addEventListener('click', () => modal.remove());
+    modal.querySelector('#tracking-upload-submit-btn').addEventListener('click', async () => {
+      modal.remove();
+      const results = await this.uploadAll(plan);
+      this.showReport(results);
+    });
+  }
+
+  /**
+   * @param {Array} results - From uploadAll
+   */
+  showReport(results) {
+    const failed = results.filter(result => !result.success);
+    const rows = results.map(result => `
+      <tr style="border-top: 1px solid #e2e8f0;">
+        <td style="padding: 6px 8px;">${this.escapeHtml(result.orderId)}</td>
+        <td style="padding: 6px 8px; font-family: monospace;">${this.escapeHtml(result.trackingNumber)}</td>
+        <td style="padding: 6px 8px; color: ${result.success ? '#059669' : '#dc2626'};">
+          ${result.success ? '✅ Uploaded' : `❌ ${this.escapeHtml(result.error)}`}
+        </td>
+      </tr>
+    `).join('');
+
+    const modal = this.createModal(`
+      <h2 style="margin: 0 0 8px 0; color: #1a202c; font-size: 22px;">Tracking Upload Report</h2>
+      <p style="margin: 0 0 16px 0; color: #4a5568; font-size: 14px;">
+        ${results.length - failed.length} uploaded, ${failed.length} failed${this.shouldStop ? ' - stopped early' : ''}.
+        ${failed.length > 0 ? 'Failed orders are offered again next time.' : ''}
+      </p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #2d3748;">
+        <tbody>${rows}</tbody>
+      </table>
+      <div style="display: flex; justify-content: flex-end; margin-top: 24px;">
+        <button id="tracking-report-close-btn" style="padding: 10px 20px; background: #e2e8f0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Close</button>
+      </div>
+    `);
+    modal.querySelector('#tracking-report-close-btn').addEventListener('click', () => modal.remove());
+
+    // The button counts what's left to upload
+    if (this.uploadButton) {
+      this.loadPlan().then(plan => {
+        const count = plan.filter(entry => entry.action === 'upload').length;
+        if (count > 0) this.uploadButton.textContent = `Upload Tracking (${count})`;
+        else this.uploadButton.remove();
+      });
+    }
+  }
+
+  createModal(html) {
+    document.getElementById('tracking-upload-modal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'tracking-upload-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10003;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background: white;
+      padding: 24px;
+      border-radius: 12px;
+      max-width: 680px;
+      width: 90%;
+      max-height: 80vh;
+      overflow-y: auto;
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+    `;
+    content.innerHTML = html;
+
+    modal.appendChild(content);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = String(str || '');
+    return div.innerHTML;
+  }
+
+  cleanup() {
+    this.uploadButton?.remove();
+    this.uploadButton = null;
+    document.getElementById('tracking-upload-modal')?.remove();
+    this.shouldStop = true;
+  }
+}
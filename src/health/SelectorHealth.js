@@ -0,0 +1,238 @@
+/**
+ * SelectorHealth - Tracks which selector or strategy produced each extracted field
+ * The extractors name the strategy that found a field (found()), and after each scrape or
+ * re-check the per-field results go to the background service worker, which keeps daily
+ * counts per site and field. evaluate() turns that history into warnings when a field's
+ * success rate drops, or when only a fallback strategy is still finding it - the usual
+ * first sign of a supplier redesign, long before exports come out empty.
+ *
+ * Storage (selectorHealth), one bucket per day for the last HISTORY_DAYS days:
+ *   { [site]: { [field]: { [YYYY-MM-DD]: { attempts, hits, fallbackHits, strategies: { [name]: count } } } } }
+ * Rank 0 is the first strategy in a field's chain; anything later is a fallback.
+ * Loaded as a classic script by the supplier content scripts, the offscreen document,
+ * the background service worker and the popup.
+ */
+
+class SelectorHealth {
+  static STORAGE_KEY = 'selectorHealth';
+  static HISTORY_DAYS = 30;
+  static RECENT_DAYS = 3;          // Compared against the rest of the history
+  static MIN_SAMPLES = 5;          // Extractions needed in both windows before warning
+  static DROP_THRESHOLD = 0.2;     // Success-rate drop (0-1) that counts as a regression
+
+  // Fields each site's extractors report on (Yami and Costco delivery fees are fixed, not scraped)
+  static SITE_FIELDS = {
+    amazon: ['title', 'price', 'deliveryFee', 'images', 'description', 'bulletPoints', 'specifications'],
+    yami: ['title', 'price', 'images', 'description', 'bulletPoints', 'specifications'],
+    costco: ['title', 'price', 'images', 'description', 'bulletPoints', 'specifications']
+  };
+
+  static FIELD_LABELS = {
+    title: 'Title',
+    price: 'Price',
+    deliveryFee: 'Delivery fee',
+    images: 'Images',
+    description: 'Description',
+    bulletPoints: 'Bullet points',
+    specifications: 'Specifications'
+  };
+
+  static SITE_LABELS = { amazon: 'Amazon', yami: 'Yami', costco: 'Costco' };
+
+  static pending = {};
+  static writing = Promise.resolve();
+
+  // ===== Recording (content scripts, offscreen document) =====
+
+  /**
+   * Start a new extraction; strategies noted before this are dropped
+   */
+  static begin() {
+    this.pending = {};
+  }
+
+  /**
+   * Note the strategy that produced a field and pass its value through
+   * @param {string} field - Product field, e.g. 'price'
+   * @param {number} rank - Position in the field's fallback chain (0 = primary)
+   * @param {string} strategy - Selector or short strategy name
+   * @param {*} value - Extracted value
+   * @returns {*} value
+   */
+  static found(field, rank, strategy, value) {
+    this.pending[field] = { rank, strategy };
+    return value;
+  }
+
+  /**
+   * Send one extraction's field results to the background
+   * @param {string} site - 'amazon' | 'yami' | 'costco'
+   * @param {Object} data - Extracted fields (a product or a re-check snapshot)
+   * @param {Array<string>} [fields] - Fields to report; defaults to every field the site tracks
+   * @returns {Object} { [field]: { hit, rank, strategy } }
+   */
+  static report(site, data, fields = this.SITE_FIELDS[site] || []) {
+    const results = {};
+    for (const field of fields) {
+      const note = this.pending[field];
+      results[field] = this.isEmpty(data?.[field])
+        ? { hit: false }
+        : { hit: true, rank: note?.rank ?? 0, strategy: note?.strategy || 'unknown' };
+    }
+    this.pending = {};
+
+    // Outside the extension (fixture tests) there is no background to record into
+    if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
+      chrome.runtime.sendMessage({ action: 'RECORD_SELECTOR_HEALTH', site, results }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Selector health not recorded:', chrome.runtime.lastError.message);
+        }
+      });
+    }
+
+    return results;
+  }
+
+  static isEmpty(value) {
+    if (value == null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  // ===== Storage (background service worker) =====
+
+  static async getHistory() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => resolve(result[this.STORAGE_KEY] || {}));
+    });
+  }
+
+  /**
+   * Add one extraction's results to today's counts
+   * Writes are chained so results arriving together from parallel job tabs aren't lost
+   * @param {string} site - 'amazon' | 'yami' | 'costco'
+   * @param {Object} results - Output of report()
+   * @returns {Promise<void>}
+   */
+  static record(site, results) {
+    this.writing = this.writing.then(async () => {
+      const history = await this.getHistory();
+      const day = this.dayKey(new Date());
+      const siteHistory = history[site] || (history[site] = {});
+
+      for (const [field, result] of Object.entries(results || {})) {
+        const fieldHistory = siteHistory[field] || (siteHistory[field] = {});
+        const bucket = fieldHistory[day] || (fieldHistory[day] = { attempts: 0, hits: 0, fallbackHits: 0, strategies: {} });
+
+        bucket.attempts++;
+        if (result.hit) {
+          bucket.hits++;
+          if (result.rank > 0) bucket.fallbackHits++;
+          bucket.strategies[result.strategy] = (bucket.strategies[result.strategy] || 0) + 1;
+        }
+      }
+
+      this.prune(history, new Date());
+      await new Promise(resolve => chrome.storage.local.set({ [this.STORAGE_KEY]: history }, resolve));
+    }).catch(error => console.error('Failed to record selector health:', error));
+
+    return this.writing;
+  }
+
+  static prune(history, now) {
+    const oldest = this.dayKey(new Date(now.getTime() - (this.HISTORY_DAYS - 1) * 86400000));
+    for (const siteHistory of Object.values(history)) {
+      for (const fieldHistory of Object.values(siteHistory)) {
+        for (const day of Object.keys(fieldHistory)) {
+          if (day < oldest) delete fieldHistory[day];
+        }
+      }
+    }
+  }
+
+  static async clear() {
+    return new Promise(resolve => chrome.storage.local.remove(this.STORAGE_KEY, resolve));
+  }
+
+  // ===== Analysis (popup) =====
+
+  /**
+   * Per-site, per-field health with warnings
+   * @param {Object} history - Stored selectorHealth
+   * @param {Date} [now]
+   * @returns {Array<Object>} [{ site, field, days, recent, baseline, topStrategy, warnings }]
+   */
+  static evaluate(history, now = new Date()) {
+    const days = [];
+    for (let i = this.HISTORY_DAYS - 1; i >= 0; i--) {
+      days.push(this.dayKey(new Date(now.getTime() - i * 86400000)));
+    }
+    const recentDays = days.slice(-this.RECENT_DAYS);
+
+    const rows = [];
+    for (const [site, fields] of Object.entries(this.SITE_FIELDS)) {
+      for (const field of fields) {
+        const fieldHistory = history?.[site]?.[field] || {};
+        const buckets = days.map(day => ({ day, ...(fieldHistory[day] || { attempts: 0, hits: 0, fallbackHits: 0, strategies: {} }) }));
+
+        const recent = this.sum(buckets.filter(b => recentDays.includes(b.day)));
+        const baseline = this.sum(buckets.filter(b => !recentDays.includes(b.day)));
+        const strategies = recent.hits > 0 ? recent.strategies : baseline.strategies;
+        const topStrategy = Object.entries(strategies).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+        const row = { site, field, days: buckets, recent, baseline, topStrategy, warnings: [] };
+        row.warnings = this.warningsFor(row);
+        rows.push(row);
+      }
+    }
+
+    return rows;
+  }
+
+  static sum(buckets) {
+    const total = { attempts: 0, hits: 0, fallbackHits: 0, strategies: {} };
+    for (const bucket of buckets) {
+      total.attempts += bucket.attempts;
+      total.hits += bucket.hits;
+      total.fallbackHits += bucket.fallbackHits;
+      for (const [name, count] of Object.entries(bucket.strategies)) {
+        total.strategies[name] = (total.strategies[name] || 0) + count;
+      }
+    }
+    total.rate = total.attempts > 0 ? total.hits / total.attempts : null;
+    return total;
+  }
+
+  static warningsFor({ site, field, recent, baseline, topStrategy }) {
+    const warnings = [];
+    const label = `${this.SITE_LABELS[site] || site} ${(this.FIELD_LABELS[field] || field).toLowerCase()}`;
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+    if (recent.attempts >= this.MIN_SAMPLES && baseline.attempts >= this.MIN_SAMPLES &&
+        baseline.rate - recent.rate >= this.DROP_THRESHOLD) {
+      warnings.push({
+        type: 'dropped',
+        message: `${label} found on ${percent(recent.rate)} of pages in the last ${this.RECENT_DAYS} days, down from ${percent(baseline.rate)}`
+      });
+    }
+
+    if (recent.hits >= this.MIN_SAMPLES && recent.fallbackHits === recent.hits) {
+      warnings.push({
+        type: 'fallback-only',
+        message: `${label} is only being found by fallback "${topStrategy}" - its primary selector stopped matching`
+      });
+    }
+
+    return warnings;
+  }
+
+  static dayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorHealth;
+}
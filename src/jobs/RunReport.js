@@ -0,0 +1,115 @@
+/**
+ * RunReport - Per-URL report of a bulk scrape job (Amazon, Yami, Costco, eBay orders)
+ * Built from a ScrapeJobQueue job: every URL with its outcome, the validation errors
+ * or exception behind a skip or failure, and how long it took.
+ * Loaded as a classic script in the popup
+ */
+
+class RunReport {
+  static CSV_HEADERS = ['url', 'id', 'outcome', 'rule', 'message', 'attempts', 'durationSeconds', 'finishedAt'];
+
+  // Problems first, then the rest in queue order
+  static OUTCOME_ORDER = { failed: 0, skipped: 1, running: 2, pending: 3, saved: 4 };
+
+  /**
+   * @param {Object} job - ScrapeJobQueue job
+   * @returns {Object} { jobId, source, label, originUrl, state, startedAt, finishedAt, durationMs, counts, reasons, rows }
+   */
+  static fromJob(job) {
+    const rows = job.items.map((item, index) => ({
+      index,
+      url: item.url,
+      id: item.id || '',
+      outcome: item.status,
+      rule: item.rule || '',
+      // Validation errors are joined with " | " by the content scripts
+      messages: item.error ? String(item.error).split(' | ') : [],
+      attempts: item.attempts || 0,
+      durationMs: item.durationMs ?? null,
+      finishedAt: item.updatedAt || ''
+    })).sort((a, b) => (this.OUTCOME_ORDER[a.outcome] - this.OUTCOME_ORDER[b.outcome]) || (a.index - b.index));
+
+    const end = job.finishedAt ? new Date(job.finishedAt) : new Date(job.updatedAt);
+
+    return {
+      jobId: job.id,
+      source: job.source,
+      label: job.label || '',
+      originUrl: job.originUrl || '',
+      state: job.state,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: job.startedAt ? end - new Date(job.startedAt) : null,
+      counts: job.counts,
+      reasons: this.countReasons(rows),
+      rows
+    };
+  }
+
+  /**
+   * How many skips and failures each rule (or error) accounts for, most common first
+   * @param {Array} rows - Report rows
+   * @returns {Array} [{ outcome, reason, count }]
+   */
+  static countReasons(rows) {
+    const counts = new Map();
+
+    rows.filter(row => row.outcome === 'skipped' || row.outcome === 'failed').forEach(row => {
+      const reason = row.rule
+        ? (ValidationProfiles.RULE_LABELS[row.rule] || row.rule)
+        : (row.messages[0] || 'Unknown');
+      const key = `${row.outcome}\n${reason}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .map(([key, count]) => {
+        const [outcome, reason] = key.split('\n');
+        return { outcome, reason, count };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  static formatDuration(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.round((ms % 60000) / 1000);
+    return `${minutes}m ${seconds}s`;
+  }
+
+  static toCSV(report) {
+    const rows = report.rows.map(row => [
+      row.url,
+      row.id,
+      row.outcome,
+      row.rule,
+      row.messages.join('; '),
+      row.attempts,
+      row.durationMs === null ? '' : (row.durationMs / 1000).toFixed(1),
+      row.finishedAt
+    ]);
+
+    return [this.CSV_HEADERS, ...rows]
+      .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  static toJSON(report) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      ...report,
+      rows: report.rows.map(({ index, ...row }) => row)
+    }, null, 2);
+  }
+
+  static filename(report, extension) {
+    const stamp = (report.startedAt || new Date().toISOString()).replace(/[:.]/g, '-').slice(0, 19);
+    return `${report.source}-run-report-${stamp}.${extension}`;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RunReport;
+}
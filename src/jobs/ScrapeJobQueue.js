@@ -0,0 +1,383 @@
+/**
+ * ScrapeJobQueue - Persistent bulk-scrape job queue owned by the background service worker
+ * Jobs are kept in chrome.storage so a run survives closing the originating tab
+ * and service worker restarts. One job runs at a time, a few URLs in parallel.
+ *
+ * Job states: queued → running → completed, or paused / cancelled by the user
+ * Item states: pending → running → saved | skipped | failed
+ * Each item keeps its outcome, error or skip reason and how long its last attempt took,
+ * which the popup turns into a run report (RunReport).
+ *
+ * Runs the eBay order scraper does in-page are recorded here as finished jobs (recordRun),
+ * so they share the report view, and their failures are retried through the queue.
+ */
+
+class ScrapeJobQueue {
+  static STORAGE_KEY = 'scrapeJobs';
+  static BATCH_SIZE = 3;              // Same parallelism as the old in-page bulk scrapers
+  static MAX_ATTEMPTS = 2;            // A failed URL is retried once automatically
+  static ITEM_TIMEOUT_MS = 90000;
+  static MAX_FINISHED_JOBS = 20;      // Older completed/cancelled jobs are dropped
+
+  static FINISHED_STATES = ['completed', 'cancelled'];
+
+  static jobs = [];
+  static loaded = null;
+  static running = false;
+  static processItem = null;
+  static onComplete = null;
+
+  /**
+   * Load saved jobs and continue any run that was interrupted
+   * @param {Object} handlers
+   * @param {Function} handlers.processItem - (job, item) => Promise<{success, status, asin, reason, error}>
+   * @param {Function} [handlers.onComplete] - Called with a job once all its items are done
+   * @returns {Promise<void>}
+   */
+  static init({ processItem, onComplete = null }) {
+    this.processItem = processItem;
+    this.onComplete = onComplete;
+
+    this.loaded = this.load().then(async () => {
+      // Items that were in flight when the worker stopped go back to the queue
+      let recovered = false;
+      this.jobs.forEach(job => {
+        job.items.forEach(item => {
+          if (item.status === 'running') {
+            item.status = 'pending';
+            recovered = true;
+          }
+        });
+      });
+
+      if (recovered) {
+        await this.persist();
+      }
+    });
+
+    this.loaded.then(() => this.run());
+    return this.loaded;
+  }
+
+  static async load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        this.jobs = result[this.STORAGE_KEY] || [];
+        resolve();
+      });
+    });
+  }
+
+  static async persist() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: this.jobs }, () => resolve());
+    });
+  }
+
+  /**
+   * Queue a new job
+   * @param {Object} params
+   * @param {string} params.source - 'amazon' | 'yami' | 'costco' | 'ebay-orders'
+   * @param {Array} params.items - [{ id, url }]
+   * @param {string} [params.label] - Human-readable name (page title)
+   * @param {string} [params.originUrl] - Category/search page the job came from
+   * @param {Object} [params.options] - Passed through to the content script (primeOnly, autoExport, expandVariations, validationProfile)
+   * @returns {Promise<Object>} The created job
+   */
+  static async createJob({ source, items, label = '', originUrl = '', options = {} }) {
+    await this.loaded;
+
+    const job = this.buildJob({ source, items, label, originUrl, options });
+
+    this.jobs.unshift(job);
+    this.pruneFinishedJobs();
+    await this.persist();
+
+    this.run();
+    return job;
+  }
+
+  /**
+   * Store a run that already happened outside the queue (the in-page eBay order scraper)
+   * @param {Object} params - Same as createJob, plus startedAt
+   * @param {Array} params.items - [{ id, url, status: 'saved'|'skipped'|'failed', error, durationMs }]
+   * @returns {Promise<Object>} The recorded job
+   */
+  static async recordRun({ source, items, label = '', originUrl = '', options = {}, startedAt = null }) {
+    await this.loaded;
+
+    const job = this.buildJob({ source, items, label, originUrl, options });
+    const outcomes = new Map((items || []).map(item => [item.url, item]));
+    const now = new Date().toISOString();
+
+    job.items.forEach(item => {
+      const outcome = outcomes.get(item.url);
+      item.status = ['saved', 'skipped', 'failed'].includes(outcome.status) ? outcome.status : 'failed';
+      item.attempts = 1;
+      item.error = outcome.error || null;
+      item.durationMs = outcome.durationMs ?? null;
+      item.updatedAt = now;
+    });
+
+    job.state = 'completed';
+    job.startedAt = startedAt || job.createdAt;
+    job.finishedAt = now;
+    this.updateCounts(job);
+
+    this.jobs.unshift(job);
+    this.pruneFinishedJobs();
+    await this.persist();
+    return job;
+  }
+
+  static buildJob({ source, items, label, originUrl, options }) {
+    const seenUrls = new Set();
+    const jobItems = (items || [])
+      .filter(item => item.url && !seenUrls.has(item.url) && seenUrls.add(item.url))
+      .map(item => ({
+        id: item.id || null,
+        url: item.url,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        rule: null,
+        durationMs: null,
+        updatedAt: null
+      }));
+
+    if (jobItems.length === 0) {
+      throw new Error('No product URLs to scrape');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      source,
+      label,
+      originUrl,
+      options,
+      state: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      items: jobItems,
+      counts: null
+    };
+
+    this.updateCounts(job);
+    return job;
+  }
+
+  static async pauseJob(jobId) {
+    await this.setJobState(jobId, ['queued', 'running'], 'paused');
+  }
+
+  static async resumeJob(jobId) {
+    await this.setJobState(jobId, ['paused'], 'queued');
+    this.run();
+  }
+
+  static async cancelJob(jobId) {
+    await this.setJobState(jobId, ['queued', 'running', 'paused'], 'cancelled');
+  }
+
+  /**
+   * Put every failed URL of a job back in the queue
+   * @param {string} jobId - Job ID
+   */
+  static async retryFailed(jobId) {
+    await this.loaded;
+    const job = this.getJob(jobId);
+
+    const failedItems = job.items.filter(item => item.status === 'failed');
+    if (failedItems.length === 0) return;
+
+    failedItems.forEach(item => {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.error = null;
+      item.durationMs = null;
+    });
+
+    job.state = 'queued';
+    job.finishedAt = null;
+    this.touch(job);
+    await this.persist();
+
+    this.run();
+  }
+
+  static async deleteJob(jobId) {
+    await this.loaded;
+    this.jobs = this.jobs.filter(job => job.id !== jobId);
+    await this.persist();
+  }
+
+  static async setJobState(jobId, fromStates, state) {
+    await this.loaded;
+    const job = this.getJob(jobId);
+
+    if (!fromStates.includes(job.state)) {
+      throw new Error(`Cannot change a ${job.state} job to ${state}`);
+    }
+
+    job.state = state;
+    if (this.FINISHED_STATES.includes(state)) {
+      job.finishedAt = new Date().toISOString();
+    }
+
+    this.touch(job);
+    await this.persist();
+  }
+
+  static getJob(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Work through queued jobs until none are left
+   * Safe to call repeatedly; only one loop runs at a time
+   */
+  static async run() {
+    await this.loaded;
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = this.nextJob())) {
+        await this.runBatch(job);
+      }
+    } catch (error) {
+      console.error('Scrape job queue error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static nextJob() {
+    // A job already running goes first, then the oldest queued one
+    return this.jobs.find(job => job.state === 'running') ||
+      [...this.jobs].reverse().find(job => job.state === 'queued');
+  }
+
+  static async runBatch(job) {
+    if (job.state === 'queued') {
+      job.state = 'running';
+      job.startedAt = job.startedAt || new Date().toISOString();
+    }
+
+    // Fresh URLs before retries, so a flaky URL doesn't hold up the rest
+    const batch = job.items
+      .filter(item => item.status === 'pending')
+      .sort((a, b) => a.attempts - b.attempts)
+      .slice(0, this.BATCH_SIZE);
+
+    if (batch.length === 0) {
+      await this.finishJob(job);
+      return;
+    }
+
+    batch.forEach(item => {
+      item.status = 'running';
+      item.attempts++;
+    });
+    this.touch(job);
+    await this.persist();
+
+    const results = await Promise.allSettled(batch.map(async (item) => {
+      const started = Date.now();
+      try {
+        return await this.runItem(job, item);
+      } finally {
+        item.durationMs = Date.now() - started;
+      }
+    }));
+
+    results.forEach((result, i) => {
+      const item = batch[i];
+      const response = result.status === 'fulfilled' ? result.value : null;
+
+      if (response?.success) {
+        item.status = response.status === 'skipped' ? 'skipped' : 'saved';
+        item.id = response.asin || item.id;
+        item.error = response.reason || null;
+        item.rule = response.rule || null; // Validation profile rule that skipped it
+      } else {
+        item.status = item.attempts < this.MAX_ATTEMPTS ? 'pending' : 'failed';
+        item.error = response?.error || result.reason?.message || 'Unknown error';
+      }
+
+      item.updatedAt = new Date().toISOString();
+    });
+
+    this.touch(job);
+    await this.persist();
+  }
+
+  static async runItem(job, item) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('Timed out waiting for product page')), this.ITEM_TIMEOUT_MS);
+    });
+
+    try {
+      return await Promise.race([this.processItem(job, item), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  static async finishJob(job) {
+    job.state = 'completed';
+    job.finishedAt = new Date().toISOString();
+    this.touch(job);
+    this.pruneFinishedJobs();
+    await this.persist();
+
+    if (this.onComplete) {
+      try {
+        await this.onComplete(job);
+      } catch (error) {
+        console.error('Scrape job completion handler failed:', error);
+      }
+    }
+  }
+
+  static touch(job) {
+    job.updatedAt = new Date().toISOString();
+    this.updateCounts(job);
+  }
+
+  static updateCounts(job) {
+    const count = (...statuses) => job.items.filter(item => statuses.includes(item.status)).length;
+
+    job.counts = {
+      total: job.items.length,
+      pending: count('pending', 'running'),
+      saved: count('saved'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    };
+  }
+
+  static pruneFinishedJobs() {
+    // this.jobs is newest first, so everything past the limit is the oldest
+    let finishedSeen = 0;
+    this.jobs = this.jobs.filter(job => {
+      if (!this.FINISHED_STATES.includes(job.state)) return true;
+      finishedSeen++;
+      return finishedSeen <= this.MAX_FINISHED_JOBS;
+    });
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScrapeJobQueue;
+}
@@ -0,0 +1,406 @@
+import { ProductMatcher } from '../matching/ProductMatcher.js';
+
+/**
+ * ProfitLedger - Profit and loss for scraped eBay orders
+ * Every order item is linked to the supplier product it was bought from - by SKU (our
+ * listings use the product ID as Custom label), by title, or by hand - together with what
+ * the supplier charged. Entries keep their own copy of the order's money fields, so the
+ * P&L outlives orders being exported and cleared.
+ *
+ * Storage (orderLedger):
+ *   { [orderId]: { orderId, orderDate, month, currency, exchangeRate, sales, fees, salesTax, payout, items, updatedAt } }
+ * Item: { key, title, itemId, sku, quantity, soldPrice, asin, linkType, supplierCost, supplierTax, supplierShipping, rateMissing }
+ *   linkType: 'sku' | 'title' | 'manual' (set in the popup, with or without a product) | null (not linked yet)
+ * Amounts are numbers in the pricing base currency: the order's side is converted from the eBay
+ * site's currency, the supplier's from the product's, both with the exchange-rate table
+ * (PricingEngine.getRate). Without a rate nothing is assumed - exchangeRate / the supplier fields
+ * stay null (rateMissing names the product's currency) and the entry counts as incomplete.
+ * Supplier fields are totals for the line, not per unit.
+ * PricingEngine and Marketplaces are loaded by the page as classic scripts.
+ */
+export class ProfitLedger {
+  static LEDGER_KEY = 'orderLedger';
+  static SETTINGS_KEY = 'ledgerSettings';
+  static AUTO_LINK_SCORE = 0.6; // Weaker title matches wait for a manual link
+
+  // Currency an order is paid in when its amounts don't name one ("$" on ebay.ca is CAD)
+  static SITE_CURRENCIES = {
+    'www.ebay.com': 'USD',
+    'www.ebay.co.uk': 'GBP',
+    'www.ebay.ca': 'CAD'
+  };
+
+  static DEFAULT_SETTINGS = {
+    taxRatePercent: 0 // Sales tax the supplier charges on top of the item price
+  };
+
+  static async getLedger() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.LEDGER_KEY], (result) => resolve(result[this.LEDGER_KEY] || {}));
+    });
+  }
+
+  static async saveLedger(ledger) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.LEDGER_KEY]: ledger }, resolve);
+    });
+  }
+
+  static async getSettings() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.SETTINGS_KEY], (result) => {
+        resolve({ ...this.DEFAULT_SETTINGS, ...(result[this.SETTINGS_KEY] || {}) });
+      });
+    });
+  }
+
+  static async saveSettings(settings) {
+    const taxRatePercent = Math.max(0, PricingEngine.toNumber(settings.taxRatePercent));
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.SETTINGS_KEY]: { taxRatePercent } }, resolve);
+    });
+  }
+
+  /**
+   * Bring ledger entries up to date with the scraped orders
+   * New order items are linked automatically; links and costs already in the ledger are kept
+   * @param {Object} ledger - Stored ledger (not modified)
+   * @param {Array} orders - scrapedOrders
+   * @param {Array} products - Supplier products from ProductCatalog
+   * @param {Object} settings - Ledger settings
+   * @param {Object} rules - Pricing rules, for the base currency and exchange rates
+   * @returns {Object} { ledger, changed }
+   */
+  static sync(ledger, orders, products, settings, rules) {
+    const updated = { ...ledger };
+    let changed = false;
+    const baseCurrency = PricingEngine.normalizeRules(rules).exchangeRates.baseCurrency;
+
+    for (const order of orders || []) {
+      if (!order?.orderId) continue;
+
+      const currency = this.getCurrency(order);
+      const exchangeRate = PricingEngine.getRate(currency, baseCurrency, rules);
+
+      const previous = updated[order.orderId];
+      const items = (order.items || []).map((item, index) => {
+        const line = {
+          key: item.itemId || item.sku || String(index),
+          title: item.title || '',
+          itemId: item.itemId || null,
+          sku: item.sku || null,
+          quantity: item.quantity || 1,
+          soldPrice: this.toBase(PricingEngine.parseAmount(item.soldPrice), exchangeRate)
+        };
+        // Lines never linked, or linked while the product's rate was missing, get another try,
+        // since the product may have been scraped or the rate set since
+        const existing = previous?.items.find(i => i.key === line.key);
+        return existing?.linkType && !existing.rateMissing
+          ? { ...existing, ...line }
+          : this.autoLink(line, products, settings, rules);
+      });
+
+      const entry = {
+        orderId: order.orderId,
+        orderDate: order.orderDate || order.scrapedAt || null,
+        month: this.getMonth(order),
+        currency,
+        exchangeRate,
+        ...this.readFinancials(order, exchangeRate),
+        items
+      };
+
+      const { updatedAt, ...comparable } = previous || {};
+      if (JSON.stringify(comparable) !== JSON.stringify(entry)) {
+        updated[order.orderId] = { ...entry, updatedAt: new Date().toISOString() };
+        changed = true;
+      }
+    }
+
+    return { ledger: updated, changed };
+  }
+
+  /**
+   * Money fields of a scraped order, in the base currency
+   * eBay's order earnings is already net of its fees; without it, work the payout out
+   * @param {Object} order - Scraped order
+   * @param {number|null} [exchangeRate] - Order currency to base currency; null leaves every field null
+   * @returns {Object} { sales, fees, salesTax, payout }
+   */
+  static readFinancials(order, exchangeRate = 1) {
+    const financials = order.financials || {};
+    const sales = PricingEngine.parseAmount(financials.totalSale);
+    const fees = PricingEngine.parseAmount(financials.ebayFees);
+    const salesTax = PricingEngine.parseAmount(financials.salesTax);
+    const earnings = PricingEngine.parseAmount(financials.yourEarnings);
+    const payout = earnings || Math.max(0, sales - fees - salesTax);
+
+    return {
+      sales: this.toBase(sales, exchangeRate),
+      fees: this.toBase(fees, exchangeRate),
+      salesTax: this.toBase(salesTax, exchangeRate),
+      payout: this.toBase(payout, exchangeRate)
+    };
+  }
+
+  /**
+   * Currency an order was paid in: the one its amounts are written in, else the eBay site's
+   * @param {Object} order - Scraped order
+   * @returns {string} ISO code
+   */
+  static getCurrency(order) {
+    let host = '';
+    try {
+      host = new URL(order.url).hostname;
+    } catch (e) {
+      // Orders without a page URL are from ebay.com
+    }
+    const siteCurrency = this.SITE_CURRENCIES[host] || this.SITE_CURRENCIES['www.ebay.com'];
+    const financials = order.financials || {};
+    return Marketplaces.detectCurrency(financials.totalSale || financials.yourEarnings || '', siteCurrency);
+  }
+
+  /**
+   * @param {number} amount
+   * @param {number|null} rate - From PricingEngine.getRate
+   * @returns {number|null} Amount in the base currency, null without a rate
+   */
+  static toBase(amount, rate) {
+    return rate === null ? null : PricingEngine.round2(amount * rate);
+  }
+
+  /**
+   * Calendar month an order belongs to
+   * @param {Object} order - Scraped order
+   * @returns {string} 'YYYY-MM', or 'unknown' when no date parses
+   */
+  static getMonth(order) {
+    for (const value of [order.orderDate, order.scrapedAt]) {
+      const date = value ? new Date(value) : null;
+      if (date && !isNaN(date)) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      }
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Link an order line to a supplier product by SKU, or by title if the match is strong
+   * @param {Object} line - Ledger item without link fields
+   * @param {Array} products - Supplier products
+   * @param {Object} settings - Ledger settings
+   * @param {Object} rules - Pricing rules
+   * @returns {Object} Ledger item
+   */
+  static autoLink(line, products, settings, rules) {
+    const bySku = line.sku ? (products || []).find(p => p.asin === line.sku) : null;
+    if (bySku) {
+      return this.linkProduct(line, bySku, 'sku', settings, rules);
+    }
+
+    const [best] = this.findCandidates(line, products, { limit: 1, minScore: this.AUTO_LINK_SCORE });
+    if (best) {
+      return this.linkProduct(line, best.product, 'title', settings, rules);
+    }
+
+    return { ...line, asin: null, linkType: null, supplierCost: null, supplierTax: null, supplierShipping: null, rateMissing: null };
+  }
+
+  /**
+   * Supplier products whose title resembles the order line, best first
+   * @param {Object} line - Ledger item
+   * @param {Array} products - Supplier products
+   * @param {Object} [options] - Passed to ProductMatcher.findCandidates
+   * @returns {Array} [{ product, score, ... }]
+   */
+  static findCandidates(line, products, options = {}) {
+    return ProductMatcher.findCandidates({ title: line.title, priceText: line.soldPrice }, products, options);
+  }
+
+  /**
+   * Link an order line to a product, costing it at the product's current supplier price
+   * converted to the base currency; without a rate for the product's currency the costs stay empty
+   * @param {Object} line - Ledger item
+   * @param {Object} product - Supplier product
+   * @param {string} linkType - 'sku' | 'title' | 'manual'
+   * @param {Object} settings - Ledger settings
+   * @param {Object} rules - Pricing rules
+   * @returns {Object} Ledger item
+   */
+  static linkProduct(line, product, linkType, settings, rules) {
+    const baseCurrency = PricingEngine.normalizeRules(rules).exchangeRates.baseCurrency;
+    const rate = PricingEngine.getRate(product.currency, baseCurrency, rules);
+    if (rate === null) {
+      return {
+        ...line, asin: product.asin, linkType,
+        supplierCost: null, supplierTax: null, supplierShipping: null, rateMissing: product.currency
+      };
+    }
+
+    const supplierCost = PricingEngine.round2(PricingEngine.parseAmount(product.price) * rate * (line.quantity || 1));
+    return {
+      ...line,
+      asin: product.asin,
+      linkType,
+      supplierCost,
+      supplierTax: PricingEngine.round2(supplierCost * (settings.taxRatePercent || 0) / 100),
+      supplierShipping: PricingEngine.round2(PricingEngine.parseAmount(product.deliveryFee) * rate),
+      rateMissing: null
+    };
+  }
+
+  static getSupplierTotal(item) {
+    return PricingEngine.round2((item.supplierCost || 0) + (item.supplierTax || 0) + (item.supplierShipping || 0));
+  }
+
+  /**
+   * Net profit of one order
+   * @param {Object} entry - Ledger entry
+   * @returns {Object} { supplierCost, supplierTax, supplierShipping, supplierTotal, netProfit, marginPercent, complete, missingRates }
+   *   complete is false while any item has no supplier cost or a currency has no exchange rate;
+   *   missingRates lists those currencies
+   */
+  static computeOrder(entry) {
+    const sum = (field) => PricingEngine.round2(entry.items.reduce((total, item) => total + (item[field] || 0), 0));
+    const supplierCost = sum('supplierCost');
+    const supplierTax = sum('supplierTax');
+    const supplierShipping = sum('supplierShipping');
+    const supplierTotal = PricingEngine.round2(supplierCost + supplierTax + supplierShipping);
+    const netProfit = PricingEngine.round2((entry.payout || 0) - supplierTotal);
+    const missingRates = [...new Set([
+      entry.exchangeRate === null ? entry.currency : null,
+      ...entry.items.map(item => item.rateMissing)
+    ].filter(Boolean))];
+
+    return {
+      supplierCost,
+      supplierTax,
+      supplierShipping,
+      supplierTotal,
+      netProfit,
+      marginPercent: entry.sales > 0 ? Math.round((netProfit / entry.sales) * 1000) / 10 : null,
+      complete: missingRates.length === 0 && entry.items.length > 0 && entry.items.every(item => item.supplierCost != null),
+      missingRates
+    };
+  }
+
+  /**
+   * Totals per calendar month, newest first
+   * @param {Object} ledger - Ledger
+   * @returns {Array} [{ month, orders, incomplete, sales, fees, payout, supplierCost, supplierTax, supplierShipping, netProfit }]
+   */
+  static summarizeByMonth(ledger) {
+    const months = new Map();
+
+    for (const entry of Object.values(ledger)) {
+      const totals = months.get(entry.month) || {
+        month: entry.month, orders: 0, incomplete: 0, sales: 0, fees: 0, payout: 0,
+        supplierCost: 0, supplierTax: 0, supplierShipping: 0, netProfit: 0
+      };
+      const result = this.computeOrder(entry);
+
+      totals.orders++;
+      if (!result.complete) totals.incomplete++;
+      totals.sales += entry.sales || 0;
+      totals.fees += entry.fees || 0;
+      totals.payout += entry.payout || 0;
+      totals.supplierCost += result.supplierCost;
+      totals.supplierTax += result.supplierTax;
+      totals.supplierShipping += result.supplierShipping;
+      totals.netProfit += result.netProfit;
+      months.set(entry.month, totals);
+    }
+
+    return [...months.values()]
+      .map(totals => {
+        for (const field of ['sales', 'fees', 'payout', 'supplierCost', 'supplierTax', 'supplierShipping', 'netProfit']) {
+          totals[field] = PricingEngine.round2(totals[field]);
+        }
+        return totals;
+      })
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  /**
+   * Totals per linked supplier product, most profitable first
+   * An order's payout is split across its items by their share of the sold price
+   * @param {Object} ledger - Ledger
+   * @returns {Array} [{ asin, title, orders, units, payout, supplierTotal, netProfit }]
+   */
+  static summarizeByProduct(ledger) {
+    const products = new Map();
+
+    for (const entry of Object.values(ledger)) {
+      const lineTotal = (item) => (item.soldPrice || 0) * (item.quantity || 1);
+      const orderTotal = entry.items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+      for (const item of entry.items) {
+        if (!item.asin) continue;
+
+        const share = orderTotal > 0 ? lineTotal(item) / orderTotal : 1 / entry.items.length;
+        const payout = (entry.payout || 0) * share;
+        const supplierTotal = this.getSupplierTotal(item);
+
+        const totals = products.get(item.asin) || { asin: item.asin, title: item.title, orders: 0, units: 0, payout: 0, supplierTotal: 0, netProfit: 0 };
+        totals.orders++;
+        totals.units += item.quantity || 1;
+        totals.payout += payout;
+        totals.supplierTotal += supplierTotal;
+        totals.netProfit += payout - supplierTotal;
+        products.set(item.asin, totals);
+      }
+    }
+
+    return [...products.values()]
+      .map(totals => ({
+        ...totals,
+        payout: PricingEngine.round2(totals.payout),
+        supplierTotal: PricingEngine.round2(totals.supplierTotal),
+        netProfit: PricingEngine.round2(totals.netProfit)
+      }))
+      .sort((a, b) => b.netProfit - a.netProfit);
+  }
+
+  /**
+   * Bookkeeping CSV for one month: a row per order and a totals row
+   * @param {Object} ledger - Ledger
+   * @param {string} month - 'YYYY-MM'
+   * @returns {string} CSV text
+   */
+  static toMonthlyCSV(ledger, month) {
+    const headers = [
+      'Order Date', 'Order ID', 'Items', 'Supplier Products', 'Sales', 'eBay Fees', 'Sales Tax', 'Payout',
+      'Supplier Cost', 'Supplier Tax', 'Supplier Shipping', 'Net Profit', 'Margin %', 'Costs Complete'
+    ];
+
+    const entries = Object.values(ledger)
+      .filter(entry => entry.month === month)
+      .sort((a, b) => new Date(a.orderDate) - new Date(b.orderDate));
+
+    const rows = entries.map(entry => {
+      const result = this.computeOrder(entry);
+      return [
+        entry.orderDate || '',
+        entry.orderId,
+        entry.items.map(item => `${item.quantity || 1}x ${item.title}`).join('; '),
+        entry.items.map(item => item.asin || '').filter(Boolean).join('; '),
+        entry.sales, entry.fees, entry.salesTax, entry.payout,
+        result.supplierCost, result.supplierTax, result.supplierShipping,
+        result.netProfit, result.marginPercent ?? '', result.complete ? 'Yes' : 'No'
+      ];
+    });
+
+    const [summary] = this.summarizeByMonth(Object.fromEntries(entries.map(entry => [entry.orderId, entry])));
+    if (summary) {
+      rows.push([
+        'Total', '', `${summary.orders} orders`, '',
+        summary.sales, summary.fees, '', summary.payout,
+        summary.supplierCost, summary.supplierTax, summary.supplierShipping,
+        summary.netProfit, '', summary.incomplete ? `${summary.incomplete} incomplete` : 'Yes'
+      ]);
+    }
+
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * Marketplaces - Per-marketplace config for the Amazon sites we source from
+ * Every scraped product records the marketplace it came from and the ISO currency of its
+ * price strings. Each marketplace entry holds what differs per site (host, currency, page
+ * paths, address form); the strings of each page language (month and weekday names, free
+ * delivery, unit prices, branding phrases, buttons) live in LANGUAGES.
+ * Prices are parsed with the marketplace's symbols and separators ("£12.99", "C$1,299.00",
+ * "12,99 €", "￥1,299"), and delivery dates in its language.
+ * Yami and Costco are US-only and always record US / USD.
+ * Loaded as a classic script in the popup, the background worker and every supplier content script
+ */
+
+class Marketplaces {
+  static DEFAULT_CODE = 'US';
+
+  // address.region: how the form asks for the state/county/province ('select', 'text', or null for none)
+  static MARKETPLACES = {
+    US: {
+      code: 'US', host: 'www.amazon.com', currency: 'USD', locale: 'en-US', language: 'en',
+      categoryPaths: ['/Best-Sellers'],
+      address: { countryCode: 'US', phonePrefix: '+1', region: 'select' }
+    },
+    UK: {
+      code: 'UK', host: 'www.amazon.co.uk', currency: 'GBP', locale: 'en-GB', language: 'en',
+      categoryPaths: ['/Best-Sellers'],
+      address: { countryCode: 'GB', phonePrefix: '+44', region: 'text' }
+    },
+    CA: {
+      code: 'CA', host: 'www.amazon.ca', currency: 'CAD', locale: 'en-CA', language: 'en',
+      categoryPaths: ['/Best-Sellers'],
+      address: { countryCode: 'CA', phonePrefix: '+1', region: 'select' }
+    },
+    DE: {
+      code: 'DE', host: 'www.amazon.de', currency: 'EUR', locale: 'de-DE', language: 'de',
+      categoryPaths: ['/Bestseller', '/neuerscheinungen'],
+      address: { countryCode: 'DE', phonePrefix: '+49', region: null }
+    },
+    FR: {
+      code: 'FR', host: 'www.amazon.fr', currency: 'EUR', locale: 'fr-FR', language: 'fr',
+      categoryPaths: ['/Meilleures-ventes', '/nouveautes'],
+      address: { countryCode: 'FR', phonePrefix: '+33', region: null }
+    },
+    IT: {
+      code: 'IT', host: 'www.amazon.it', currency: 'EUR', locale: 'it-IT', language: 'it',
+      categoryPaths: ['/Bestseller', '/novita'],
+      address: { countryCode: 'IT', phonePrefix: '+39', region: 'select' }
+    },
+    ES: {
+      code: 'ES', host: 'www.amazon.es', currency: 'EUR', locale: 'es-ES', language: 'es',
+      categoryPaths: ['/mas-vendidos', '/m%C3%A1s-vendidos', '/Los-m%C3%A1s-vendidos'],
+      address: { countryCode: 'ES', phonePrefix: '+34', region: 'text' }
+    },
+    JP: {
+      code: 'JP', host: 'www.amazon.co.jp', currency: 'JPY', locale: 'ja-JP', language: 'ja',
+      categoryPaths: ['/ranking'],
+      // The Japanese form splits the postal code (123-4567) over two inputs
+      address: { countryCode: 'JP', phonePrefix: '+81', region: 'select', postalCodeSplit: [3, 4] }
+    },
+    AU: {
+      code: 'AU', host: 'www.amazon.com.au', currency: 'AUD', locale: 'en-AU', language: 'en',
+      categoryPaths: ['/Best-Sellers'],
+      address: { countryCode: 'AU', phonePrefix: '+61', region: 'select' }
+    }
+  };
+
+  // Longest first, so "C$" is found before "$"; a bare "$" is the marketplace's own dollar
+  static CURRENCY_SYMBOLS = [
+    ['CDN$', 'CAD'], ['CA$', 'CAD'], ['C$', 'CAD'],
+    ['AU$', 'AUD'], ['A$', 'AUD'],
+    ['US$', 'USD'],
+    ['£', 'GBP'], ['€', 'EUR'], ['￥', 'JPY'], ['¥', 'JPY']
+  ];
+
+  static CURRENCY_CODES = ['USD', 'GBP', 'CAD', 'EUR', 'JPY', 'AUD'];
+
+  static DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD'];
+
+  /**
+   * Page strings per language
+   * months: full names then the abbreviations Amazon uses; relativeDays: words for "today" etc.
+   * unitWords: units in unit prices ("$0.50/ounce", "1,20 €/kg"); unitPer: "per" in that language
+   * branding: supplier phrases DataSanitizer removes, before the bare word "Amazon" is
+   * trackingLabels / carrierLabels: what precedes the tracking number and carrier on order pages
+   * outOfStock: product page availability messages for an item that can't be bought
+   */
+  static LANGUAGES = {
+    en: {
+      months: [
+        ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'], ['may'], ['june', 'jun'],
+        ['july', 'jul'], ['august', 'aug'], ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec']
+      ],
+      weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      relativeDays: { today: 0, tomorrow: 1 },
+      freeDelivery: /free\s+(?:prime\s+)?(delivery|shipping)/i,
+      freeReturns: /free.*returns/i,
+      unitPer: 'per',
+      unitWords: ['fl\\.?\\s*oz', 'fluid\\s*ounce', 'ounce', 'oz', 'count', 'each', 'lb', 'pound', 'kg', 'gram', 'item', 'piece', '100\\s*g', '100\\s*ml'],
+      addAddressButton: ['add address', 'submit', 'use this address'],
+      trackingLabels: ['tracking id', 'tracking number'],
+      carrierLabels: ['delivery by', 'shipped with', 'carrier'],
+      outOfStock: ['currently unavailable', 'out of stock'],
+      branding: [
+        { pattern: /Ships from Amazon/gi, replacement: '' },
+        { pattern: /Dispatched from Amazon/gi, replacement: '' },
+        { pattern: /Sold by Amazon/gi, replacement: '' },
+        { pattern: /Fulfilled by Amazon/gi, replacement: '' }
+      ]
+    },
+    de: {
+      months: [
+        ['januar', 'jan'], ['februar', 'feb'], ['märz', 'maerz', 'mär'], ['april', 'apr'], ['mai'], ['juni', 'jun'],
+        ['juli', 'jul'], ['august', 'aug'], ['september', 'sept', 'sep'], ['oktober', 'okt'], ['november', 'nov'], ['dezember', 'dez']
+      ],
+      weekdays: ['montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag'],
+      relativeDays: { heute: 0, morgen: 1, übermorgen: 2 },
+      freeDelivery: /(kostenlose|gratis)[\s-]*(lieferung|versand)|kostenloser\s+versand/i,
+      freeReturns: /kostenlose\s+rücksendung/i,
+      unitPer: 'pro',
+      unitWords: ['kg', 'g', '100\\s*g', 'l', 'ml', '100\\s*ml', 'stück', 'stk', 'einheit', 'meter'],
+      addAddressButton: ['adresse hinzufügen', 'adresse verwenden'],
+      trackingLabels: ['sendungsnummer', 'trackingnummer', 'tracking-id'],
+      carrierLabels: ['zustellung durch', 'versand mit', 'versanddienstleister'],
+      outOfStock: ['derzeit nicht verfügbar', 'nicht auf lager'],
+      branding: [
+        { pattern: /Verkauf und Versand durch Amazon/gi, replacement: '' },
+        { pattern: /Versand durch Amazon/gi, replacement: '' },
+        { pattern: /Verkauf durch Amazon/gi, replacement: '' },
+        { pattern: /Prime[- ]berechtigt/gi, replacement: '' }
+      ]
+    },
+    fr: {
+      months: [
+        ['janvier', 'janv'], ['février', 'fevrier', 'févr'], ['mars'], ['avril', 'avr'], ['mai'], ['juin'],
+        ['juillet', 'juil'], ['août', 'aout'], ['septembre', 'sept'], ['octobre', 'oct'], ['novembre', 'nov'], ['décembre', 'decembre', 'déc']
+      ],
+      weekdays: ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'],
+      relativeDays: { "aujourd'hui": 0, demain: 1, 'après-demain': 2 },
+      freeDelivery: /livraison\s+(gratuite|offerte)/i,
+      freeReturns: /retours?\s+gratuits?/i,
+      unitPer: 'par',
+      unitWords: ['kg', 'g', '100\\s*g', 'l', 'ml', '100\\s*ml', 'unité', 'pièce', 'mètre'],
+      addAddressButton: ['ajouter une adresse', "ajouter l'adresse", 'ajouter l’adresse', 'utiliser cette adresse'],
+      trackingLabels: ['numéro de suivi', 'id de suivi'],
+      carrierLabels: ['livraison par', 'expédié avec', 'transporteur'],
+      outOfStock: ['actuellement indisponible', 'en rupture de stock'],
+      branding: [
+        { pattern: /Expédié et vendu par Amazon/gi, replacement: '' },
+        { pattern: /Expédié par Amazon/gi, replacement: '' },
+        { pattern: /Vendu par Amazon/gi, replacement: '' },
+        { pattern: /Choix d['’]Amazon/gi, replacement: '' },
+        { pattern: /Éligible (à|au) Prime/gi, replacement: '' }
+      ]
+    },
+    it: {
+      months: [
+        ['gennaio', 'gen'], ['febbraio', 'feb'], ['marzo', 'mar'], ['aprile', 'apr'], ['maggio', 'mag'], ['giugno', 'giu'],
+        ['luglio', 'lug'], ['agosto', 'ago'], ['settembre', 'set'], ['ottobre', 'ott'], ['novembre', 'nov'], ['dicembre', 'dic']
+      ],
+      weekdays: ['lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato', 'domenica'],
+      relativeDays: { oggi: 0, domani: 1, dopodomani: 2 },
+      freeDelivery: /(consegna|spedizione)\s+gratuita/i,
+      freeReturns: /resi\s+gratuit[io]/i,
+      unitPer: 'al',
+      unitWords: ['kg', 'g', '100\\s*g', 'l', 'litro', 'ml', '100\\s*ml', 'unità', 'pezzo', 'metro'],
+      addAddressButton: ['aggiungi indirizzo', 'usa questo indirizzo'],
+      trackingLabels: ['id di tracciabilità', 'numero di tracciamento'],
+      carrierLabels: ['consegna a cura di', 'spedito con', 'corriere'],
+      outOfStock: ['attualmente non disponibile', 'temporaneamente non disponibile', 'esaurito'],
+      branding: [
+        { pattern: /Venduto e spedito da Amazon/gi, replacement: '' },
+        { pattern: /Spedito da Amazon/gi, replacement: '' },
+        { pattern: /Venduto da Amazon/gi, replacement: '' },
+        { pattern: /Scelta Amazon/gi, replacement: '' }
+      ]
+    },
+    es: {
+      months: [
+        ['enero', 'ene'], ['febrero', 'feb'], ['marzo', 'mar'], ['abril', 'abr'], ['mayo', 'may'], ['junio', 'jun'],
+        ['julio', 'jul'], ['agosto', 'ago'], ['septiembre', 'setiembre', 'sept', 'sep'], ['octubre', 'oct'], ['noviembre', 'nov'], ['diciembre', 'dic']
+      ],
+      weekdays: ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'],
+      relativeDays: { hoy: 0, mañana: 1, 'pasado mañana': 2 },
+      freeDelivery: /(env[ií]o|entrega)\s+gratis/i,
+      freeReturns: /devoluciones\s+gratuitas/i,
+      unitPer: 'por',
+      unitWords: ['kg', 'g', '100\\s*g', 'l', 'litro', 'ml', '100\\s*ml', 'unidad', 'pieza', 'metro'],
+      addAddressButton: ['añadir dirección', 'agregar dirección', 'usar esta dirección'],
+      trackingLabels: ['id de seguimiento', 'número de seguimiento'],
+      carrierLabels: ['entrega por', 'enviado con', 'transportista'],
+      outOfStock: ['no disponible por el momento', 'temporalmente sin stock', 'agotado'],
+      branding: [
+        { pattern: /Vendido y enviado por Amazon/gi, replacement: '' },
+        { pattern: /Enviado por Amazon/gi, replacement: '' },
+        { pattern: /Vendido por Amazon/gi, replacement: '' },
+        { pattern: /Elección de Amazon/gi, replacement: '' }
+      ]
+    },
+    ja: {
+      // Dates are written 3月4日(火); there are no month names to match
+      months: [],
+      weekdays: [],
+      numericDate: /(\d{1,2})\s*月\s*(\d{1,2})\s*日(?:\s*[(（][月火水木金土日][)）])?/g,
+      relativeDays: { 今日: 0, 明日: 1, 明後日: 2 },
+      freeDelivery: /配送料無料|送料無料|無料配送/,
+      freeReturns: /返品無料/,
+      unitPer: 'あたり',
+      unitWords: ['kg', 'g', '100\\s*g', 'l', 'ml', '100\\s*ml', '個', '本', '枚', '袋'],
+      addAddressButton: ['住所を追加', 'この住所を使用'],
+      trackingLabels: ['追跡番号', 'お問い合わせ伝票番号'],
+      carrierLabels: ['配送業者', '配送会社'],
+      outOfStock: ['現在在庫切れです', '在庫切れ', '一時的に在庫切れ'],
+      branding: [
+        { pattern: /Amazon\.co\.jp\s*(限定|が発送|が販売)/g, replacement: '' },
+        { pattern: /Amazon\s*(限定|が発送|が販売)/g, replacement: '' },
+        { pattern: /Amazonベーシック/g, replacement: 'ベーシック' }
+      ]
+    }
+  };
+
+  static get(code) {
+    return this.MARKETPLACES[code] || this.MARKETPLACES[this.DEFAULT_CODE];
+  }
+
+  /**
+   * Page strings for a marketplace
+   * @param {Object|string} [marketplace] - Marketplace or code (current page's when missing)
+   * @returns {Object} Entry of LANGUAGES
+   */
+  static strings(marketplace = this.current()) {
+    const entry = typeof marketplace === 'string' ? this.get(marketplace) : marketplace;
+    return this.LANGUAGES[entry.language] || this.LANGUAGES.en;
+  }
+
+  static hosts() {
+    return Object.values(this.MARKETPLACES).map(m => m.host);
+  }
+
+  /**
+   * Marketplace for a hostname
+   * @param {string} hostname - e.g. "www.amazon.co.uk"
+   * @returns {Object} Marketplace, US when the host isn't an Amazon marketplace
+   */
+  static fromHost(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/^(?!www\.)/, 'www.');
+    return Object.values(this.MARKETPLACES).find(m => m.host === host) || this.get(this.DEFAULT_CODE);
+  }
+
+  static current() {
+    return this.fromHost(typeof location !== 'undefined' ? location.hostname : '');
+  }
+
+  /**
+   * ISO currency of a price string
+   * @param {string} text - e.g. "£12.99", "CDN$ 24.00", "EUR 9,99"
+   * @param {string} [fallback] - Currency for a bare "$" or no symbol (the marketplace's)
+   * @returns {string|null} ISO code
+   */
+  static detectCurrency(text, fallback = null) {
+    const value = String(text || '');
+    const symbol = this.CURRENCY_SYMBOLS.find(([s]) => value.includes(s));
+    if (symbol) return symbol[1];
+
+    const code = value.toUpperCase().match(new RegExp(`\\b(${this.CURRENCY_CODES.join('|')})\\b`));
+    return code ? code[1] : fallback;
+  }
+
+  /**
+   * Symbols a marketplace writes its prices with, longest first
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {string[]} e.g. ['CDN$', 'CA$', 'C$', '$']
+   */
+  static priceSymbols(marketplace = this.current()) {
+    const symbols = this.CURRENCY_SYMBOLS.filter(([, currency]) => currency === marketplace.currency).map(([s]) => s);
+    return this.DOLLAR_CURRENCIES.includes(marketplace.currency) ? [...symbols, '$'] : symbols;
+  }
+
+  /**
+   * Pattern for an amount in the marketplace's currency, symbol before or after ("$12.99", "12,99 €")
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {RegExp}
+   */
+  static pricePattern(marketplace = this.current()) {
+    const symbols = this.priceSymbols(marketplace).map(s => s.replace(/\$/g, '\\$')).join('|');
+    const amount = '\\d(?:[\\d.,\\s\\u00a0\\u202f]*\\d)?';
+    return new RegExp(`(?:${symbols})\\s?${amount}|${amount}[\\s\\u00a0\\u202f]?(?:${symbols})`);
+  }
+
+  /**
+   * Whether text is exactly one price in the marketplace's currency (not a unit price or a range)
+   * @param {string} text - e.g. "$10.49", "£1,234.56", "12,99 €", "￥1,299"
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {boolean}
+   */
+  static isPriceText(text, marketplace = this.current()) {
+    const value = String(text || '').trim();
+    const match = value.match(this.pricePattern(marketplace));
+    return !!match && match[0] === value;
+  }
+
+  /**
+   * Whether text holds a unit price, e.g. "($0.50/ounce)", "1,20 €/kg", "per count"
+   * @param {string} text - Text around a price
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {boolean}
+   */
+  static isUnitPriceText(text, marketplace = this.current()) {
+    const strings = this.strings(marketplace);
+    const units = strings.unitWords.join('|');
+    const price = this.pricePattern(marketplace).source;
+    return new RegExp(`(?:${price})\\s*(?:\\/|${strings.unitPer})\\s*(?:${units})(?![\\p{L}])`, 'iu').test(text) ||
+      new RegExp(`(?<![\\p{L}])${strings.unitPer}\\s+(?:${units})(?![\\p{L}])`, 'iu').test(text);
+  }
+
+  /**
+   * Price string from the whole and fraction parts Amazon renders separately
+   * @param {string} whole - e.g. "1,234" or "1.234"
+   * @param {string} [fraction] - e.g. "56" (JPY has none)
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {string|null} e.g. "$1,234.56", "1.234,56 €"
+   */
+  static formatPriceParts(whole, fraction, marketplace = this.current()) {
+    const wholePart = String(whole || '').replace(/[^0-9]/g, '');
+    if (!wholePart) return null;
+    const fractionPart = String(fraction || '').replace(/[^0-9]/g, '') || '00';
+    return this.formatMoney(parseFloat(`${wholePart}.${fractionPart}`), marketplace.currency, marketplace.locale);
+  }
+
+  /**
+   * Parse a price string in any marketplace format
+   * The last "." or "," is the decimal point unless exactly three digits follow it
+   * (prices never have three decimals), so "1,299.00", "1.299,00", "12,99" and "1,299" all work
+   * @param {string|number} text - Price string; the first number in it is used
+   * @returns {number|null} Amount, null when there's no number
+   */
+  static parsePrice(text) {
+    if (typeof text === 'number') return isNaN(text) ? null : text;
+
+    // Spaces only group thousands ("1 234,50"), so "12.99 2 pack" stops at 12.99
+    const match = String(text || '').match(/\d+(?:[.,']\d+|[\s\u00a0\u202f]\d{3}(?!\d))*/);
+    if (!match) return null;
+
+    const digits = match[0].replace(/[\s\u00a0\u202f']/g, '');
+    const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    let normalized = digits;
+
+    if (lastSeparator !== -1) {
+      const separator = digits[lastSeparator];
+      const decimals = digits.length - lastSeparator - 1;
+      const repeated = digits.indexOf(separator) !== lastSeparator;
+
+      if (decimals === 3 || (repeated && !digits.includes(separator === '.' ? ',' : '.'))) {
+        normalized = digits.replace(/[.,]/g, '');
+      } else {
+        normalized = digits.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + digits.slice(lastSeparator + 1);
+      }
+    }
+
+    const amount = parseFloat(normalized);
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Format an amount, e.g. "£12.99", or "12,99 €" in the de-DE locale
+   * @param {number} amount - Amount
+   * @param {string} [currency] - ISO code
+   * @param {string} [locale] - BCP 47 locale
+   * @returns {string}
+   */
+  static formatMoney(amount, currency = 'USD', locale = 'en-US') {
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch (e) {
+      return `${Number(amount).toFixed(2)} ${currency}`;
+    }
+  }
+
+  /**
+   * Display symbol for a currency, e.g. "£", "CA$"
+   * @param {string} currency - ISO code
+   * @returns {string}
+   */
+  static symbol(currency = 'USD') {
+    return this.formatMoney(0, currency).replace(/[\d.,\s]/g, '');
+  }
+
+  /**
+   * First delivery date in Amazon delivery text, in the marketplace's language
+   * @param {string} text - e.g. "FREE delivery Tuesday, March 4", "GRATIS Lieferung Donnerstag, 6. März"
+   * @param {Object} [marketplace] - Marketplace (current page's when missing)
+   * @returns {string|null} The date as written, e.g. "Tuesday, March 4", "Donnerstag, 6. März", "3月4日(火)"
+   */
+  static findDeliveryDate(text, marketplace = this.current()) {
+    const strings = this.strings(marketplace);
+    const value = String(text || '');
+
+    if (strings.numericDate) {
+      const match = value.match(new RegExp(strings.numericDate.source));
+      return match ? match[0] : null;
+    }
+
+    const alternation = (words) => [...words].sort((a, b) => b.length - a.length).join('|');
+    const months = alternation(strings.months.flat());
+    const weekdays = alternation(strings.weekdays);
+    // "March 4" (US) or "4 March", "6. März", "6 de marzo" (everywhere else)
+    const pattern = new RegExp(
+      `(?:(?<!\\p{L})(?:${weekdays}),?\\s*)?` +
+      `(?:(?<!\\p{L})(?:${months})\\.?\\s+\\d{1,2}(?!\\d)|(?<!\\d)\\d{1,2}\\.?\\s*(?:de\\s+)?(?:${months})(?!\\p{L})\\.?)`,
+      'iu'
+    );
+    const match = value.match(pattern);
+    return match ? match[0].trim() : null;
+  }
+
+  /**
+   * Parse Amazon delivery text in the marketplace's language
+   * "Tuesday, March 4", "Friday, 7 March", "March 30 - April 2" (the last day of a range is used),
+   * "Tomorrow", "6. März", "3月4日". Dates without a year fall in the next twelve months.
+   * @param {string} text - Delivery date text
+   * @param {string} [code] - Marketplace code
+   * @param {Date} [now] - Today
+   * @returns {Date|null} Delivery date at midnight
+   */
+  static parseDeliveryDate(text, code = this.DEFAULT_CODE, now = new Date()) {
+    if (!text) return null;
+
+    const strings = this.strings(code);
+    const lower = String(text).toLowerCase();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    let month = null;
+    let day = null;
+
+    if (strings.numericDate) {
+      const matches = [...lower.matchAll(strings.numericDate)];
+      if (matches.length > 0) {
+        const last = matches[matches.length - 1];
+        month = Number(last[1]) - 1;
+        day = Number(last[2]);
+      }
+    } else {
+      let monthEnd = -1;
+      strings.months.forEach((names, index) => {
+        for (const name of names) {
+          const pattern = new RegExp(`(?<!\\p{L})${name}\\.?(?!\\p{L})`, 'gu');
+          let found;
+          while ((found = pattern.exec(lower))) {
+            // The last month mentioned is the end of a range
+            if (found.index > monthEnd) {
+              monthEnd = found.index;
+              month = index;
+            }
+          }
+        }
+      });
+    }
+
+    if (month === null) {
+      // Longest first, so "übermorgen" isn't read as "morgen"
+      const relative = Object.entries(strings.relativeDays)
+        .sort((a, b) => b[0].length - a[0].length)
+        .find(([word]) => lower.includes(word));
+      if (!relative) return null;
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate() + relative[1]);
+    }
+
+    const numbers = (lower.match(/\d+/g) || []).map(Number);
+    const year = numbers.find(n => n >= 2000 && n < 2100);
+
+    if (day === null) {
+      const days = numbers.filter(n => n >= 1 && n <= 31);
+      if (days.length === 0) return null;
+      day = days[days.length - 1];
+    }
+
+    const date = new Date(year || today.getFullYear(), month, day);
+
+    // "January 3" read in late December is next year's
+    if (!year && date < new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7)) {
+      date.setFullYear(date.getFullYear() + 1);
+    }
+
+    return date;
+  }
+
+  /**
+   * Days from today until a delivery date
+   * @param {string} text - Delivery date text
+   * @param {string} [code] - Marketplace code
+   * @returns {number|null}
+   */
+  static daysUntilDelivery(text, code = this.DEFAULT_CODE, now = new Date()) {
+    const date = this.parseDeliveryDate(text, code, now);
+    if (!date) return null;
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((date - today) / (1000 * 60 * 60 * 24));
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Marketplaces;
+}
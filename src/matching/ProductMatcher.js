@@ -0,0 +1,154 @@
+/**
+ * ProductMatcher - Links scanned eBay competitor listings to supplier products
+ * Candidates from the product catalog are ranked by title similarity; a match the user
+ * confirms is kept in scannedMatches so it survives re-scans of the seller.
+ *
+ * Storage (scannedMatches): { [itemId]: { asin, score, confirmedAt } }
+ * Margins are worked out with PricingEngine, which the page loads as a classic script.
+ */
+export class ProductMatcher {
+  static MATCHES_KEY = 'scannedMatches';
+  static MIN_SCORE = 0.2;
+  static MAX_CANDIDATES = 5;
+
+  // Words that appear in most listing titles and say nothing about the product
+  static STOPWORDS = new Set([
+    'a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'to', 'by', 'from',
+    'new', 'free', 'shipping', 'fast', 'brand', 'sealed', 'authentic', 'original',
+    'genuine', 'best', 'hot', 'sale', 'us', 'usa', 'seller', 'lot', 'set'
+  ]);
+
+  /**
+   * Lowercase words of a title, without punctuation and stopwords
+   * Sizes like "12 oz" or "12oz" become a single "12oz" token, and "Pack of 6" becomes "6pack"
+   * @param {string} title - Listing or product title
+   * @returns {string[]} Tokens
+   */
+  static tokenize(title) {
+    return String(title || '')
+      .toLowerCase()
+      .replace(/\b(?:pack|case|box|set) of (\d+)\b/g, '$1pack')
+      .replace(/(\d+(?:\.\d+)?)\s+(oz|fl|lb|lbs|g|kg|ml|l|ct|count|pack|pk|pcs|pc|in|inch|ft|qt|gal)\b/g, '$1$2')
+      .replace(/[^a-z0-9.\s]/g, ' ')
+      .split(/\s+/)
+      .map(token => token.replace(/^\.+|\.+$/g, ''))
+      .filter(token => token.length > 1 && !this.STOPWORDS.has(token));
+  }
+
+  /**
+   * Title similarity from 0 (nothing shared) to 1 (same words)
+   * Dice coefficient over the word sets, with sizes/counts weighted double
+   * because a different size is a different product
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Score 0-1
+   */
+  static similarity(a, b) {
+    const tokensA = new Set(this.tokenize(a));
+    const tokensB = new Set(this.tokenize(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    const weight = token => /\d/.test(token) ? 2 : 1;
+    const total = set => [...set].reduce((sum, token) => sum + weight(token), 0);
+
+    let shared = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) shared += weight(token);
+    }
+
+    return (2 * shared) / (total(tokensA) + total(tokensB));
+  }
+
+  /**
+   * Supplier products that could be the scanned listing, best first
+   * @param {Object} scannedItem - Entry from scannedItems
+   * @param {Array} products - Supplier products from ProductCatalog
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum candidates returned
+   * @param {number} [options.minScore] - Drop candidates scoring below this
+   * @returns {Array} [{ product, score, supplierCost, competitorPrice, priceSpread }]
+   */
+  static findCandidates(scannedItem, products, { limit = this.MAX_CANDIDATES, minScore = this.MIN_SCORE } = {}) {
+    const competitorPrice = PricingEngine.parseAmount(scannedItem.priceText);
+
+    return (products || [])
+      .map(product => {
+        const supplierCost = this.getSupplierCost(product);
+        return {
+          product,
+          score: this.similarity(scannedItem.title, product.title),
+          supplierCost,
+          competitorPrice,
+          priceSpread: competitorPrice && supplierCost ? PricingEngine.round2(competitorPrice - supplierCost) : null
+        };
+      })
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Landed supplier cost: item price plus delivery fee, in the pricing base currency
+   * @param {Object} product - Product record
+   * @returns {number} Cost, 0 when unknown
+   */
+  static getSupplierCost(product) {
+    return PricingEngine.round2(PricingEngine.costInBase(product.price, product) + PricingEngine.costInBase(product.deliveryFee, product));
+  }
+
+  /**
+   * Estimated profit if we listed the supplier product at the competitor's price
+   * @param {Object} scannedItem - Entry from scannedItems
+   * @param {Object} product - Matched supplier product
+   * @param {Object} rules - Pricing rules (fees come from the product's source)
+   * @returns {Object|null} { salePrice, totalCost, fees, profit, marginPercent }, null without prices
+   */
+  static estimateMargin(scannedItem, product, rules) {
+    const salePrice = PricingEngine.parseAmount(scannedItem.priceText);
+    if (!salePrice) return null;
+
+    // Pricing the product at a manual price gives the fee/profit breakdown at that price
+    const breakdown = PricingEngine.calculate(
+      { ...product, manualPrice: true, customizedFinalPrice: salePrice },
+      rules
+    );
+    if (!breakdown) return null;
+
+    return {
+      salePrice,
+      totalCost: breakdown.totalCost,
+      fees: PricingEngine.round2(breakdown.ebayFee + breakdown.paymentFee),
+      profit: breakdown.profit,
+      marginPercent: breakdown.marginPercent
+    };
+  }
+
+  static async getMatches() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.MATCHES_KEY], (result) => resolve(result[this.MATCHES_KEY] || {}));
+    });
+  }
+
+  /**
+   * Remember that a scanned listing is the given supplier product
+   * @param {string} itemId - eBay item ID
+   * @param {string} asin - Supplier product ID
+   * @param {number} score - Similarity score when confirmed
+   * @returns {Promise<void>}
+   */
+  static async confirmMatch(itemId, asin, score) {
+    const matches = await this.getMatches();
+    matches[itemId] = { asin, score: Math.round(score * 1000) / 1000, confirmedAt: new Date().toISOString() };
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.MATCHES_KEY]: matches }, resolve);
+    });
+  }
+
+  static async removeMatch(itemId) {
+    const matches = await this.getMatches();
+    delete matches[itemId];
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.MATCHES_KEY]: matches }, resolve);
+    });
+  }
+}
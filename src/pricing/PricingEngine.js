@@ -0,0 +1,299 @@
+/**
+ * PricingEngine - Computes the eBay listing price for scraped products
+ * Fills customizedFinalPrice from per-source pricing rules and attaches a
+ * fee/profit breakdown so the popup can show how the price was reached
+ * Amazon costs in other currencies (UK, CA, EU, JP, AU) are converted into the base currency with the user's exchange-rate table
+ * Loaded as a classic script in the popup and in every supplier content script (after Marketplaces)
+ */
+
+class PricingEngine {
+  static RULES_KEY = 'pricingRules';
+
+  static ROUNDING_OPTIONS = ['none', '.99', '.95'];
+
+  static DEFAULT_SOURCE_RULES = {
+    markupPercent: 30,
+    fixedAddOn: 0,
+    ebayFeePercent: 13.25,   // eBay final value fee (most categories)
+    paymentFeePercent: 0,    // Extra processing fee, if any
+    perOrderFee: 0.30,       // eBay per-order fee
+    includeDeliveryFee: true,
+    rounding: '.99',
+    minProfit: 2
+  };
+
+  // rates[X] is what one unit of X costs in the base currency
+  static DEFAULT_EXCHANGE_RATES = {
+    baseCurrency: 'USD',
+    rates: {}
+  };
+
+  static DEFAULT_RULES = {
+    enabled: true,
+    exchangeRates: PricingEngine.DEFAULT_EXCHANGE_RATES,
+    sources: {
+      amazon: { ...PricingEngine.DEFAULT_SOURCE_RULES },
+      yami: { ...PricingEngine.DEFAULT_SOURCE_RULES },
+      costco: { ...PricingEngine.DEFAULT_SOURCE_RULES }
+    }
+  };
+
+  /**
+   * Fill in defaults for any missing source or field
+   * @param {Object} rules - Stored rules (may be partial or undefined)
+   * @returns {Object} Complete rules object
+   */
+  static normalizeRules(rules) {
+    const stored = rules || {};
+    const sources = {};
+
+    for (const source of Object.keys(this.DEFAULT_RULES.sources)) {
+      sources[source] = { ...this.DEFAULT_SOURCE_RULES, ...(stored.sources?.[source] || {}) };
+    }
+
+    const rates = {};
+    Object.entries(stored.exchangeRates?.rates || {}).forEach(([currency, rate]) => {
+      const value = parseFloat(rate);
+      if (value > 0) rates[currency] = value;
+    });
+
+    return {
+      enabled: stored.enabled !== undefined ? !!stored.enabled : this.DEFAULT_RULES.enabled,
+      exchangeRates: {
+        baseCurrency: stored.exchangeRates?.baseCurrency || this.DEFAULT_EXCHANGE_RATES.baseCurrency,
+        rates
+      },
+      sources
+    };
+  }
+
+  /**
+   * Load pricing rules from storage
+   * @returns {Promise<Object>} Pricing rules
+   */
+  static async getRules() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.RULES_KEY], (result) => {
+        resolve(this.normalizeRules(result[this.RULES_KEY]));
+      });
+    });
+  }
+
+  /**
+   * Persist pricing rules
+   * @param {Object} rules - Pricing rules
+   * @returns {Promise<void>}
+   */
+  static async saveRules(rules) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.RULES_KEY]: this.normalizeRules(rules) }, () => resolve());
+    });
+  }
+
+  /**
+   * Rules that apply to a product's source (Amazon when source is missing)
+   * @param {Object} product - Product record
+   * @param {Object} rules - Pricing rules
+   * @returns {Object} Source rules
+   */
+  static getSourceRules(product, rules) {
+    const normalized = this.normalizeRules(rules);
+    return normalized.sources[product.source] || normalized.sources.amazon;
+  }
+
+  /**
+   * Work out the listing price and breakdown for a product
+   * When the product carries a manual price, the breakdown is computed at that price
+   * @param {Object} product - Product record
+   * @param {Object} rules - Pricing rules
+   * @returns {Object|null} Breakdown in the base currency, or null if the product has no usable cost
+   *   (no price, or no exchange rate for its currency)
+   */
+  static calculate(product, rules) {
+    const normalized = this.normalizeRules(rules);
+    const sourceRules = this.getSourceRules(product, normalized);
+    const baseCurrency = normalized.exchangeRates.baseCurrency;
+    const sourceCurrency = product.currency || baseCurrency;
+    const exchangeRate = this.getRate(sourceCurrency, baseCurrency, normalized);
+    if (exchangeRate === null) return null;
+
+    const itemCost = this.parseAmount(product.price) * exchangeRate;
+    if (!itemCost) return null;
+
+    const shipping = sourceRules.includeDeliveryFee ? this.parseAmount(product.deliveryFee) * exchangeRate : 0;
+    const totalCost = itemCost + shipping;
+    const feeRate = (this.toNumber(sourceRules.ebayFeePercent) + this.toNumber(sourceRules.paymentFeePercent)) / 100;
+    if (feeRate >= 1) return null;
+
+    const perOrderFee = this.toNumber(sourceRules.perOrderFee);
+    const minProfit = this.toNumber(sourceRules.minProfit);
+
+    let finalPrice;
+    let floorApplied = false;
+
+    if (product.manualPrice && this.toNumber(product.customizedFinalPrice) > 0) {
+      finalPrice = this.toNumber(product.customizedFinalPrice);
+    } else {
+      // Markup is taken on landed cost, then grossed up so fees come out of the sale price
+      const target = totalCost * (1 + this.toNumber(sourceRules.markupPercent) / 100) + this.toNumber(sourceRules.fixedAddOn);
+      finalPrice = (target + perOrderFee) / (1 - feeRate);
+
+      const floorPrice = (totalCost + minProfit + perOrderFee) / (1 - feeRate);
+      if (floorPrice > finalPrice) {
+        finalPrice = floorPrice;
+        floorApplied = true;
+      }
+
+      finalPrice = this.applyRounding(finalPrice, sourceRules.rounding);
+    }
+
+    const ebayFee = finalPrice * this.toNumber(sourceRules.ebayFeePercent) / 100 + perOrderFee;
+    const paymentFee = finalPrice * this.toNumber(sourceRules.paymentFeePercent) / 100;
+    const profit = finalPrice - totalCost - ebayFee - paymentFee;
+
+    return {
+      itemCost: this.round2(itemCost),
+      shipping: this.round2(shipping),
+      totalCost: this.round2(totalCost),
+      finalPrice: this.round2(finalPrice),
+      ebayFee: this.round2(ebayFee),
+      paymentFee: this.round2(paymentFee),
+      profit: this.round2(profit),
+      marginPercent: finalPrice > 0 ? Math.round((profit / finalPrice) * 1000) / 10 : 0,
+      floorApplied,
+      manual: !!product.manualPrice,
+      currency: baseCurrency,
+      sourceCurrency,
+      exchangeRate,
+      calculatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Price a product in place
+   * @param {Object} product - Product record (mutated)
+   * @param {Object} rules - Pricing rules
+   * @param {Object} [existing] - Previously saved copy, used to keep a manual price on re-scrape
+   * @returns {Object} The same product
+   */
+  static applyToProduct(product, rules, existing = null) {
+    if (existing?.manualPrice && !product.manualPrice) {
+      product.manualPrice = true;
+      product.customizedFinalPrice = existing.customizedFinalPrice;
+    }
+
+    const normalized = this.normalizeRules(rules);
+    if (!normalized.enabled && !product.manualPrice) {
+      product.pricing = null;
+      return product;
+    }
+
+    const breakdown = this.calculate(product, normalized);
+    product.pricing = breakdown;
+
+    if (breakdown && !product.manualPrice) {
+      product.customizedFinalPrice = breakdown.finalPrice;
+    }
+
+    return product;
+  }
+
+  /**
+   * Re-price a whole catalog (used when the rules change)
+   * @param {Array} products - Product records (mutated)
+   * @param {Object} rules - Pricing rules
+   * @returns {Array} The same array
+   */
+  static applyToCatalog(products, rules) {
+    const normalized = this.normalizeRules(rules);
+    products.forEach(product => {
+      if (!normalized.enabled && !product.manualPrice) {
+        // Drop prices the engine filled in; manual prices stay
+        if (product.pricing) product.customizedFinalPrice = null;
+        product.pricing = null;
+        return;
+      }
+      this.applyToProduct(product, normalized);
+    });
+    return products;
+  }
+
+  /**
+   * Round a price up to the next .99 / .95 ending
+   * @param {number} price - Raw price
+   * @param {string} mode - One of ROUNDING_OPTIONS
+   * @returns {number} Rounded price
+   */
+  static applyRounding(price, mode) {
+    const ending = mode === '.99' ? 0.99 : mode === '.95' ? 0.95 : null;
+    if (ending === null) return Math.ceil(price * 100) / 100;
+
+    let rounded = Math.floor(price) + ending;
+    if (rounded < price - 0.0001) rounded += 1;
+    return this.round2(rounded);
+  }
+
+  /**
+   * Rate that turns an amount in one currency into another, via the base currency
+   * @param {string} from - ISO code
+   * @param {string} to - ISO code
+   * @param {Object} rules - Pricing rules
+   * @returns {number|null} Multiplier, null when a rate is missing
+   */
+  static getRate(from, to, rules) {
+    if (!from || !to || from === to) return 1;
+
+    const { baseCurrency, rates } = this.normalizeRules(rules).exchangeRates;
+    const toBase = from === baseCurrency ? 1 : rates[from];
+    const fromBase = to === baseCurrency ? 1 : rates[to];
+    if (!toBase || !fromBase) return null;
+
+    return toBase / fromBase;
+  }
+
+  /**
+   * Convert an amount between currencies with the user's exchange-rate table
+   * @param {number} amount - Amount
+   * @param {string} from - ISO code
+   * @param {string} to - ISO code
+   * @param {Object} rules - Pricing rules
+   * @returns {number|null} Converted amount, null when a rate is missing
+   */
+  static convert(amount, from, to, rules) {
+    const rate = this.getRate(from, to, rules);
+    return rate === null ? null : this.round2(this.parseAmount(amount) * rate);
+  }
+
+  /**
+   * A product's cost figure in the base currency, at the rate it was last priced with
+   * @param {string|number} value - Raw price or delivery fee
+   * @param {Object} product - Product record
+   * @returns {number}
+   */
+  static costInBase(value, product) {
+    return this.parseAmount(value) * (product?.pricing?.exchangeRate ?? 1);
+  }
+
+  /**
+   * Parse a scraped money string ("$12.99", "£1,299.00", "12,99 €", "FREE") to a number
+   * @param {string|number} value - Raw value
+   * @returns {number} Amount, 0 when not a price
+   */
+  static parseAmount(value) {
+    return Marketplaces.parsePrice(value) || 0;
+  }
+
+  static toNumber(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? 0 : n;
+  }
+
+  static round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingEngine;
+}
@@ -0,0 +1,281 @@
+/**
+ * ProductRechecker - Re-checks saved products against their supplier pages
+ * Runs in the background service worker; pages are fetched and parsed in the
+ * offscreen document (offscreen.html) because service workers have no DOMParser.
+ * Scheduled runs pass their own fetchSnapshot that reads the page in a background tab.
+ *
+ * Each check appends to product.priceHistory and sets product.recheck:
+ *   { lastCheckedAt, status: 'ok'|'error', error, flags: [...], changed, previousPrice, currentPrice, changePercent }
+ * Flags: 'price_up', 'price_down', 'unavailable', 'back_in_stock', 'lost_prime'
+ */
+
+class ProductRechecker {
+  static SETTINGS_KEY = 'recheckSettings';
+  static STATUS_KEY = 'recheckStatus';
+  static OFFSCREEN_URL = 'offscreen.html';
+
+  static DEFAULT_SETTINGS = {
+    priceChangePercent: 5,  // Flag cost moves larger than this
+    maxHistory: 30          // Snapshots kept per product
+  };
+
+  static BATCH_SIZE = 3;
+  static BATCH_DELAY_MS = 1500; // Pause between batches so supplier sites don't rate-limit us
+
+  static running = false;
+  static stopRequested = false;
+
+  /**
+   * Clear a status left "running" by a service worker that was shut down mid-run
+   */
+  static async init() {
+    const status = await this.getStatus();
+    if (status?.running) {
+      await this.setStatus({ ...status, running: false, interrupted: true, finishedAt: new Date().toISOString() });
+    }
+  }
+
+  static async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.SETTINGS_KEY], (result) => {
+        resolve({ ...this.DEFAULT_SETTINGS, ...(result[this.SETTINGS_KEY] || {}) });
+      });
+    });
+  }
+
+  static async getStatus() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STATUS_KEY], (result) => resolve(result[this.STATUS_KEY] || null));
+    });
+  }
+
+  static async setStatus(status) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STATUS_KEY]: status }, () => resolve());
+    });
+  }
+
+  /**
+   * Re-check every saved product (or only the given IDs)
+   * @param {Object} [options]
+   * @param {string[]} [options.asins] - Limit the run to these product IDs
+   * @param {Function} [options.fetchSnapshot] - (product) => Promise<snapshot>; defaults to the offscreen document
+   * @param {number} [options.batchSize] - Products checked in parallel
+   * @param {string} [options.trigger] - 'manual' | 'scheduled', shown in the popup
+   * @param {Function} [options.shouldStop] - () => boolean, asked before each batch; true ends the run there
+   * @returns {Promise<Object>} Final status { checked, changed, failed, total }
+   */
+  static async recheckAll({ asins = null, fetchSnapshot = null, batchSize = this.BATCH_SIZE, trigger = 'manual', shouldStop = null } = {}) {
+    if (this.running) {
+      throw new Error('A re-check is already running');
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+
+    const settings = await this.getSettings();
+    const rules = await PricingEngine.getRules();
+    const products = await this.getProducts();
+    const targets = products.filter(p => this.getProductUrl(p) && (!asins || asins.includes(p.asin)));
+
+    const status = {
+      running: true,
+      interrupted: false,
+      trigger,
+      total: targets.length,
+      checked: 0,
+      changed: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    await this.setStatus(status);
+
+    try {
+      if (!fetchSnapshot) {
+        await this.ensureOffscreenDocument();
+      }
+      const fetchOne = fetchSnapshot || ((product) => this.fetchSnapshot(product));
+
+      for (let batchStart = 0; batchStart < targets.length; batchStart += batchSize) {
+        if (this.stopRequested || shouldStop?.()) break;
+
+        const batch = targets.slice(batchStart, batchStart + batchSize);
+        const results = await Promise.allSettled(batch.map(p => fetchOne(p)));
+
+        for (let i = 0; i < batch.length; i++) {
+          const result = results[i];
+          const snapshot = result.status === 'fulfilled' ? result.value : null;
+          const error = result.status === 'rejected' ? result.reason.message : null;
+
+          const updated = await this.updateStoredProduct(batch[i].asin, (product) =>
+            PricingEngine.applyToProduct(this.applySnapshot(product, snapshot, settings, error), rules)
+          );
+
+          status.checked++;
+          if (error) status.failed++;
+          if (updated?.recheck?.changed) status.changed++;
+        }
+
+        await this.setStatus({ ...status });
+
+        if (batchStart + batchSize < targets.length && !this.stopRequested) {
+          await new Promise(resolve => setTimeout(resolve, this.BATCH_DELAY_MS));
+        }
+      }
+    } finally {
+      status.running = false;
+      status.interrupted = this.stopRequested;
+      status.finishedAt = new Date().toISOString();
+      await this.setStatus({ ...status });
+      this.running = false;
+    }
+
+    return status;
+  }
+
+  static stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Supplier URL for a product (sanitizers move the real URL to original*Url)
+   * @param {Object} product - Product record
+   * @returns {string|null}
+   */
+  static getProductUrl(product) {
+    const url = product.originalAmazonUrl || product.originalYamiUrl || product.originalCostcoUrl || product.url;
+    return url && /^https?:\/\//.test(url) ? url : null;
+  }
+
+  static async fetchSnapshot(product) {
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'EXTRACT_PRODUCT_SNAPSHOT',
+      url: this.getProductUrl(product),
+      source: product.source || 'amazon'
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from offscreen document');
+    }
+    return response.snapshot;
+  }
+
+  /**
+   * Record a snapshot on a product and work out what changed since the previous check
+   * @param {Object} product - Stored product (mutated)
+   * @param {Object|null} snapshot - Result from the offscreen document, null on error
+   * @param {Object} settings - Re-check settings
+   * @param {string|null} error - Fetch/parse error
+   * @returns {Object} The same product
+   */
+  static applySnapshot(product, snapshot, settings, error = null) {
+    const now = new Date().toISOString();
+    const history = Array.isArray(product.priceHistory) ? product.priceHistory : [];
+
+    if (error || !snapshot) {
+      // Keep the previous flags; a failed fetch says nothing about the product
+      product.recheck = {
+        ...(product.recheck || {}),
+        lastCheckedAt: now,
+        status: 'error',
+        error: error || 'Unknown error'
+      };
+      return product;
+    }
+
+    // The scrape itself is the first data point
+    if (history.length === 0) {
+      history.push({
+        checkedAt: product.scrapedAt || now,
+        price: this.parsePrice(product.price),
+        available: true,
+        isPrime: product.isPrime ?? null
+      });
+    }
+
+    const previous = history[history.length - 1];
+    const entry = {
+      checkedAt: now,
+      price: this.parsePrice(snapshot.price),
+      available: !!snapshot.available,
+      isPrime: snapshot.isPrime ?? null
+    };
+
+    const flags = [];
+    let changePercent = null;
+
+    if (entry.price != null && previous.price) {
+      changePercent = Math.round(((entry.price - previous.price) / previous.price) * 1000) / 10;
+      if (Math.abs(changePercent) > settings.priceChangePercent) {
+        flags.push(changePercent > 0 ? 'price_up' : 'price_down');
+      }
+    }
+    if (previous.available && !entry.available) flags.push('unavailable');
+    if (!previous.available && entry.available) flags.push('back_in_stock');
+    if (previous.isPrime === true && entry.isPrime === false) flags.push('lost_prime');
+
+    history.push(entry);
+    product.priceHistory = history.slice(-settings.maxHistory);
+
+    product.recheck = {
+      lastCheckedAt: now,
+      status: 'ok',
+      error: null,
+      flags,
+      changed: flags.length > 0,
+      previousPrice: previous.price,
+      currentPrice: entry.price,
+      changePercent
+    };
+
+    // Keep the catalog on the supplier's current cost so pricing follows it
+    if (snapshot.price) {
+      product.price = snapshot.price;
+    }
+    if (snapshot.isPrime != null) {
+      product.isPrime = snapshot.isPrime;
+    }
+    product.available = entry.available;
+
+    return product;
+  }
+
+  /**
+   * Read-modify-write one product so products scraped during the run aren't lost
+   * @param {string} asin - Product ID
+   * @param {Function} update - (product) => product
+   * @returns {Promise<Object|null>} Updated product, or null if it was deleted meanwhile
+   */
+  static async updateStoredProduct(asin, update) {
+    return ProductCatalog.update(asin, update);
+  }
+
+  static async getProducts() {
+    return ProductCatalog.getAll();
+  }
+
+  static async ensureOffscreenDocument() {
+    const existing = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(this.OFFSCREEN_URL)]
+    });
+    if (existing.length > 0) return;
+
+    await chrome.offscreen.createDocument({
+      url: this.OFFSCREEN_URL,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse supplier product pages to re-check price and stock'
+    });
+  }
+
+  static parsePrice(value) {
+    return Marketplaces.parsePrice(value);
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductRechecker;
+}
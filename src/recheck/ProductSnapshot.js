@@ -0,0 +1,78 @@
+/**
+ * ProductSnapshot - Reads a product page's current price and availability
+ * Shared by the offscreen document (fetched + parsed pages) and the supplier
+ * content scripts (live pages opened by scheduled re-checks)
+ */
+
+class ProductSnapshot {
+  /**
+   * Extract a price/stock snapshot from a product page
+   * @param {Document} doc - Product page document
+   * @param {string} source - 'amazon' | 'yami' | 'costco'
+   * @param {Object} extractor - DataExtractor / YamiDataExtractor / CostcoDataExtractor
+   * @param {Object} [marketplace] - Amazon marketplace the page is from (current page's when missing)
+   * @returns {Object} { title, price, deliveryFee, isPrime, available }
+   */
+  static fromDocument(doc, source, extractor, marketplace = Marketplaces.current()) {
+    SelectorHealth.begin();
+    const title = extractor.extractTitleFromDoc(doc);
+    if (!title) {
+      // Captcha, sign-in wall or removed listing - don't record it as a real change
+      throw new Error('Could not read product page (captcha or page removed?)');
+    }
+
+    const price = extractor.extractPriceFromDoc(doc);
+    const markedOutOfStock = this.isMarkedOutOfStock(doc, source, marketplace);
+
+    const snapshot = {
+      title,
+      price,
+      deliveryFee: extractor.extractDeliveryFeeFromDoc(doc),
+      // Costco has no Prime equivalent
+      isPrime: extractor.extractPrimeEligibilityFromDoc ? extractor.extractPrimeEligibilityFromDoc(doc) : null,
+      available: !!price && !markedOutOfStock
+    };
+
+    // Out-of-stock pages legitimately have no price, so they don't count against its selectors
+    const fields = SelectorHealth.SITE_FIELDS[source]
+      .filter(field => field in snapshot && !(field === 'price' && markedOutOfStock));
+    SelectorHealth.report(source, snapshot, fields);
+
+    return snapshot;
+  }
+
+  /**
+   * Check the page's own out-of-stock markers
+   * @param {Document} doc - Product page document
+   * @param {string} source - Product source
+   * @param {Object} [marketplace] - Amazon marketplace, for the language of its availability message
+   * @returns {boolean}
+   */
+  static isMarkedOutOfStock(doc, source, marketplace = Marketplaces.current()) {
+    if (source === 'amazon') {
+      if (doc.querySelector('#outOfStock')) return true;
+      const availability = (doc.querySelector('#availability')?.textContent || '').toLowerCase();
+      return Marketplaces.strings(marketplace).outOfStock.some(message => availability.includes(message));
+    }
+
+    // Yami and Costco publish availability in their JSON-LD Product schema
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const offers = Array.isArray(data.offers) ? data.offers[0] : data.offers;
+        if (offers?.availability) {
+          return /OutOfStock|SoldOut|Discontinued/i.test(offers.availability);
+        }
+      } catch (e) {
+        // Ignore malformed JSON-LD blocks
+      }
+    }
+
+    return /\bout of stock\b/i.test(doc.body?.textContent || '');
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductSnapshot;
+}
@@ -0,0 +1,349 @@
+/**
+ * RecheckScheduler - Periodic re-checks of saved products and bookmarked sellers
+ * Driven by a chrome.alarms alarm in the background service worker. Each page is
+ * opened in a background tab (the same flow bulk scrape jobs use) and read by the
+ * site's content script, a few tabs at a time.
+ *
+ * Every run is recorded in scheduleRunLog (newest first) for the popup, and the
+ * number of items needing attention is shown as a badge on the extension icon.
+ */
+
+class RecheckScheduler {
+  static ALARM_NAME = 'scheduledRecheck';
+  static SETTINGS_KEY = 'scheduleSettings';
+  static LOG_KEY = 'scheduleRunLog';
+  static MAX_LOG_ENTRIES = 50;
+
+  static PRODUCT_TIMEOUT_MS = 90000;
+  static SELLER_TIMEOUT_MS = 15 * 60 * 1000; // A seller scan fetches every listing page
+
+  static DEFAULT_SETTINGS = {
+    enabled: false,
+    intervalHours: 12,
+    checkProducts: true,
+    checkSellers: true,
+    sellerMaxItems: 200,    // Listings scanned per bookmarked seller
+    maxConcurrentTabs: 2,   // Product pages open at the same time
+    quietHoursEnabled: true,
+    quietStart: 23,         // Local hour the quiet window starts
+    quietEnd: 7             // Local hour it ends
+  };
+
+  static running = false;
+  static openInTab = null;
+
+  /**
+   * Make sure the alarm matches the saved settings and close out a run the worker lost
+   * @param {Object} handlers
+   * @param {Function} handlers.openInTab - (url, message) => Promise<response>
+   * @returns {Promise<void>}
+   */
+  static async init({ openInTab }) {
+    this.openInTab = openInTab;
+
+    const log = await this.getRunLog();
+    const stale = log.find(entry => entry.status === 'running');
+    if (stale) {
+      await this.saveLogEntry({ ...stale, status: 'interrupted', finishedAt: new Date().toISOString() });
+    }
+
+    await this.syncAlarm(await this.getSettings());
+  }
+
+  /**
+   * Fill in defaults and clamp values from the popup form
+   * @param {Object} settings - Stored or submitted settings (may be partial)
+   * @returns {Object} Complete settings
+   */
+  static normalizeSettings(settings) {
+    const merged = { ...this.DEFAULT_SETTINGS, ...(settings || {}) };
+    const clamp = (value, min, max, fallback) => {
+      const n = parseInt(value, 10);
+      return isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+    };
+
+    return {
+      enabled: !!merged.enabled,
+      intervalHours: clamp(merged.intervalHours, 1, 168, this.DEFAULT_SETTINGS.intervalHours),
+      checkProducts: !!merged.checkProducts,
+      checkSellers: !!merged.checkSellers,
+      sellerMaxItems: clamp(merged.sellerMaxItems, 10, 9999, this.DEFAULT_SETTINGS.sellerMaxItems),
+      maxConcurrentTabs: clamp(merged.maxConcurrentTabs, 1, 5, this.DEFAULT_SETTINGS.maxConcurrentTabs),
+      quietHoursEnabled: !!merged.quietHoursEnabled,
+      quietStart: clamp(merged.quietStart, 0, 23, this.DEFAULT_SETTINGS.quietStart),
+      quietEnd: clamp(merged.quietEnd, 0, 23, this.DEFAULT_SETTINGS.quietEnd)
+    };
+  }
+
+  static async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.SETTINGS_KEY], (result) => {
+        resolve(this.normalizeSettings(result[this.SETTINGS_KEY]));
+      });
+    });
+  }
+
+  /**
+   * Persist settings and reschedule the alarm
+   * @param {Object} settings - Schedule settings
+   * @returns {Promise<Object>} Saved settings
+   */
+  static async saveSettings(settings) {
+    const normalized = this.normalizeSettings(settings);
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [this.SETTINGS_KEY]: normalized }, () => resolve());
+    });
+    await this.syncAlarm(normalized);
+    return normalized;
+  }
+
+  static async syncAlarm(settings) {
+    const existing = await chrome.alarms.get(this.ALARM_NAME);
+
+    if (!settings.enabled) {
+      if (existing) await chrome.alarms.clear(this.ALARM_NAME);
+      return;
+    }
+
+    const periodInMinutes = settings.intervalHours * 60;
+    if (existing?.periodInMinutes === periodInMinutes) return;
+
+    await chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: periodInMinutes, periodInMinutes });
+  }
+
+  /**
+   * Whether the given time falls inside the quiet window (which may wrap past midnight)
+   * @param {Object} settings - Schedule settings
+   * @param {Date} [date] - Time to test
+   * @returns {boolean}
+   */
+  static isQuietHours(settings, date = new Date()) {
+    const { quietHoursEnabled, quietStart, quietEnd } = settings;
+    if (!quietHoursEnabled || quietStart === quietEnd) return false;
+
+    const hour = date.getHours();
+    return quietStart < quietEnd
+      ? hour >= quietStart && hour < quietEnd
+      : hour >= quietStart || hour < quietEnd;
+  }
+
+  static async handleAlarm(alarm) {
+    if (alarm.name !== this.ALARM_NAME) return;
+
+    const settings = await this.getSettings();
+    if (this.isQuietHours(settings)) {
+      await this.saveLogEntry(this.createLogEntry('scheduled', 'skipped', 'Quiet hours'));
+      return;
+    }
+
+    try {
+      await this.runNow('scheduled');
+    } catch (error) {
+      await this.saveLogEntry(this.createLogEntry('scheduled', 'skipped', error.message));
+    }
+  }
+
+  /**
+   * Re-check products and sellers now
+   * @param {string} [trigger] - 'scheduled' | 'manual'
+   * @returns {Promise<Object>} The run log entry
+   */
+  static async runNow(trigger = 'manual') {
+    if (this.running) {
+      throw new Error('A scheduled re-check is already running');
+    }
+    if (ProductRechecker.running) {
+      throw new Error('A price re-check is already running');
+    }
+
+    this.running = true;
+    const settings = await this.getSettings();
+    const entry = this.createLogEntry(trigger, 'running');
+    await this.saveLogEntry(entry);
+
+    try {
+      if (settings.checkProducts) {
+        entry.products = await this.recheckProducts(settings, trigger);
+        await this.saveLogEntry(entry);
+      }
+      if (settings.checkSellers) {
+        entry.sellers = await this.recheckSellers(settings, trigger);
+      }
+      entry.status = 'completed';
+    } catch (error) {
+      console.error('Scheduled re-check failed:', error);
+      entry.status = 'failed';
+      entry.error = error.message;
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      entry.attention = (entry.products?.changed || 0) + (entry.sellers?.newListings || 0) + (entry.sellers?.soldIncreases || 0);
+      await this.saveLogEntry(entry);
+      await this.setBadge(entry.attention);
+      this.running = false;
+    }
+
+    return entry;
+  }
+
+  static async recheckProducts(settings, trigger = 'scheduled') {
+    // A long scheduled run can reach quiet hours; the rest waits for the next run. Run now ignores them
+    let quietHoursReached = false;
+    const status = await ProductRechecker.recheckAll({
+      trigger,
+      batchSize: settings.maxConcurrentTabs,
+      fetchSnapshot: (product) => this.fetchSnapshotInTab(product),
+      shouldStop: trigger === 'scheduled' ? () => (quietHoursReached = this.isQuietHours(settings)) : null
+    });
+
+    return { total: status.total, checked: status.checked, changed: status.changed, failed: status.failed, quietHoursReached };
+  }
+
+  /**
+   * Read a product's price and stock from its live page in a background tab
+   * @param {Object} product - Product record
+   * @returns {Promise<Object>} Snapshot from the content script
+   */
+  static async fetchSnapshotInTab(product) {
+    const response = await this.withTimeout(
+      this.openInTab(ProductRechecker.getProductUrl(product), {
+        action: 'READ_PRODUCT_SNAPSHOT',
+        source: product.source || 'amazon'
+      }),
+      this.PRODUCT_TIMEOUT_MS,
+      'Timed out waiting for product page'
+    );
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from product page');
+    }
+    return response.snapshot;
+  }
+
+  /**
+   * Scan each bookmarked seller, one at a time; every scan already fetches in parallel
+   * @param {Object} settings - Schedule settings
+   * @param {string} [trigger] - 'scheduled' | 'manual'; only scheduled runs stop for quiet hours
+   * @returns {Promise<Object>} { total, checked, failed, newListings, soldIncreases, endedListings, priceChanges, quietHoursReached, results }
+   */
+  static async recheckSellers(settings, trigger = 'scheduled') {
+    const sellers = await new Promise((resolve) => {
+      chrome.storage.local.get(['savedSellers'], (result) => resolve(result.savedSellers || []));
+    });
+
+    const summary = {
+      total: sellers.length,
+      checked: 0,
+      failed: 0,
+      newListings: 0,
+      soldIncreases: 0,
+      endedListings: 0,
+      priceChanges: 0,
+      quietHoursReached: false,
+      results: []
+    };
+
+    for (const seller of sellers) {
+      if (trigger === 'scheduled' && this.isQuietHours(settings)) {
+        summary.quietHoursReached = true;
+        break;
+      }
+
+      let response;
+      try {
+        response = await this.withTimeout(
+          this.openInTab(seller.url, { action: 'SCAN_SELLER_IN_TAB', maxItems: settings.sellerMaxItems }),
+          this.SELLER_TIMEOUT_MS,
+          'Timed out scanning seller'
+        );
+      } catch (error) {
+        response = { success: false, error: error.message };
+      }
+
+      if (response?.success) {
+        summary.checked++;
+        summary.newListings += response.newItems;
+        summary.soldIncreases += response.soldIncreases;
+        summary.endedListings += response.endedListings;
+        summary.priceChanges += response.priceChanges;
+        summary.results.push({
+          name: seller.name,
+          found: response.found,
+          newItems: response.newItems,
+          soldIncreases: response.soldIncreases,
+          endedListings: response.endedListings,
+          priceChanges: response.priceChanges
+        });
+      } else {
+        summary.failed++;
+        summary.results.push({ name: seller.name, error: response?.error || 'No response from seller page' });
+      }
+    }
+
+    return summary;
+  }
+
+  static createLogEntry(trigger, status, error = null) {
+    const now = new Date().toISOString();
+    return {
+      id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      trigger,
+      status,
+      error,
+      startedAt: now,
+      finishedAt: status === 'running' ? null : now,
+      products: null,
+      sellers: null,
+      attention: 0
+    };
+  }
+
+  static async getRunLog() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.LOG_KEY], (result) => resolve(result[this.LOG_KEY] || []));
+    });
+  }
+
+  /**
+   * Insert or update a run log entry, keeping the newest MAX_LOG_ENTRIES
+   * @param {Object} entry - Run log entry
+   * @returns {Promise<void>}
+   */
+  static async saveLogEntry(entry) {
+    const log = await this.getRunLog();
+    const index = log.findIndex(e => e.id === entry.id);
+    if (index >= 0) {
+      log[index] = { ...entry };
+    } else {
+      log.unshift({ ...entry });
+    }
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.LOG_KEY]: log.slice(0, this.MAX_LOG_ENTRIES) }, () => resolve());
+    });
+  }
+
+  static async setBadge(count) {
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+    if (count > 0) {
+      await chrome.action.setBadgeBackgroundColor({ color: '#d32f2f' });
+    }
+  }
+
+  static async withTimeout(promise, ms, message) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecheckScheduler;
+}
@@ -1,6 +1,9 @@
 /**
  * BulkOrderScraper - Bulk scraper for multiple eBay orders
  * Follows the same pattern as BulkScraper for consistency
+ * Orders are fetched in-page; each finished run is recorded in the background job queue
+ * so its report shows in the popup Jobs tab, and "Retry Failed" re-opens only the failures
+ * in background tabs (processJobItem).
  */
 import { OrderScraper } from './OrderScraper.js';
 import { OrderDataExtractor } from '../extractors/OrderDataExtractor.js';
@@ -350,6 +353,8 @@ export class BulkOrderScraper extends OrderScraper {
     let successCount = 0;
     let skippedCount = 0;
     let failedCount = 0;
+    const runItems = [];
+    const startedAt = new Date().toISOString();
 
     // Process orders in batches
     const BATCH_SIZE = 3;
@@ -364,65 +369,39 @@ export class BulkOrderScraper extends OrderScraper {
       const batch = linksToScrape.slice(i, i + BATCH_SIZE);
       const batchPromises = batch.map(async (link, batchIndex) => {
         const currentIndex = i + batchIndex;
-
+        const started = Date.now();
+
+        // Update progress UI
+        UIManager.updateProgressIndicator(
+          progressUI,
+          currentIndex + 1,
+          linksToScrape.length,
+          successCount,
+          skippedCount,
+          failedCount,
+          `Scraping order ${currentIndex + 1}...`
+        );
+
+        let outcome;
         try {
-          // Update progress UI
-          UIManager.updateProgressIndicator(
-            progressUI,
-            currentIndex + 1,
-            linksToScrape.length,
-            successCount,
-            skippedCount,
-            failedCount,
-            `Scraping order ${currentIndex + 1}...`
-          );
-
-          // Fetch order page
           const orderData = await this.scrapeOrderFromLink(link.url);
-
-          if (!orderData) {
-            failedCount++;
-            console.error(`Failed to scrape order from ${link.url}`);
-            return;
-          }
-
-          // Check for duplicates
-          if (settings.skipDuplicates && OrderValidators.isDuplicateOrder(orderData, existingOrders)) {
-            skippedCount++;
-            console.log(`Skipped duplicate order: ${orderData.orderId}`);
-            return;
-          }
-
-          // Validate order
-          const validationOptions = {
-            minEarnings: settings.earningsFilter ? settings.minEarnings : undefined,
-            maxEarnings: settings.earningsFilter ? settings.maxEarnings : undefined,
-          };
-
-          const validation = OrderValidators.validateOrder(orderData, validationOptions);
-
-          if (!validation.isValid) {
-            skippedCount++;
-            console.log(`Skipped order ${orderData.orderId}: ${validation.errors.join(', ')}`);
-            return;
-          }
-
-          // Sanitize and save
-          const sanitizedOrder = OrderDataSanitizer.sanitizeOrderData(orderData);
-          const saved = await OrderStorageManager.saveOrder(sanitizedOrder);
-
-          if (saved) {
-            successCount++;
-            existingOrders.push(sanitizedOrder); // Add to existing orders for duplicate check
-            console.log(`Saved order: ${sanitizedOrder.orderId}`);
-          } else {
-            failedCount++;
-            console.error(`Failed to save order: ${orderData.orderId}`);
-          }
+          outcome = await this.saveScrapedOrder(orderData, settings, existingOrders);
         } catch (error) {
-          failedCount++;
-          console.error(`Error processing order:`, error);
+          console.error(`Error processing order ${link.url}:`, error);
+          outcome = { status: 'failed', orderId: link.orderId, error: error.message };
         }
+
+        if (outcome.status === 'saved') successCount++;
+        else if (outcome.status === 'skipped') skippedCount++;
+        else failedCount++;
+
+        runItems.push({
+          id: outcome.orderId || link.orderId,
+          url: link.url,
+          status: outcome.status,
+          error: outcome.error || null,
+          durationMs: Date.now() - started
+        });
       });
 
       // Wait for batch to complete
@@ -456,9 +435,12 @@ export class BulkOrderScraper extends OrderScraper {
       'Complete!'
     );
 
+    const recorded = await this.recordRun(runItems, settings, startedAt);
+
     // Show completion notification
     UIManager.showNotification(
-      `Bulk scraping complete! Success: ${successCount}, Skipped: ${skippedCount}, Failed: ${failedCount}`,
+      `Bulk scraping complete! Success: ${successCount}, Skipped: ${skippedCount}, Failed: ${failedCount}` +
+        (recorded && (skippedCount > 0 || failedCount > 0) ? ' - see the Jobs tab for the report' : ''),
       'success'
     );
 
@@ -470,36 +452,120 @@ export class BulkOrderScraper extends OrderScraper {
     this.isScraping = false;
   }
 
+  /**
+   * Validate, de-duplicate and save one scraped order
+   * @param {Object} orderData - Extracted order data
+   * @param {Object} settings - { earningsFilter, minEarnings, maxEarnings, skipDuplicates }
+   * @param {Array} existingOrders - Saved orders; the new order is added to it once saved
+   * @returns {Promise<Object>} { status: 'saved'|'skipped'|'failed', orderId, error }
+   */
+  async saveScrapedOrder(orderData, settings, existingOrders) {
+    // Check for duplicates
+    if (settings.skipDuplicates && OrderValidators.isDuplicateOrder(orderData, existingOrders)) {
+      console.log(`Skipped duplicate order: ${orderData.orderId}`);
+      return { status: 'skipped', orderId: orderData.orderId, error: 'Already scraped' };
+    }
+
+    // Validate order
+    const validationOptions = {
+      minEarnings: settings.earningsFilter ? settings.minEarnings : undefined,
+      maxEarnings: settings.earningsFilter ? settings.maxEarnings : undefined,
+    };
+
+    const validation = OrderValidators.validateOrder(orderData, validationOptions);
+
+    if (!validation.isValid) {
+      console.log(`Skipped order ${orderData.orderId}: ${validation.errors.join(', ')}`);
+      return { status: 'skipped', orderId: orderData.orderId, error: validation.errors.join(' | ') };
+    }
+
+    // Sanitize and save
+    const sanitizedOrder = OrderDataSanitizer.sanitizeOrderData(orderData);
+    const saved = await OrderStorageManager.saveOrder(sanitizedOrder);
+
+    if (!saved) {
+      console.error(`Failed to save order: ${orderData.orderId}`);
+      return { status: 'failed', orderId: orderData.orderId, error: 'Could not save order' };
+    }
+
+    existingOrders.push(sanitizedOrder); // Add to existing orders for duplicate check
+    console.log(`Saved order: ${sanitizedOrder.orderId}`);
+    return { status: 'saved', orderId: sanitizedOrder.orderId };
+  }
+
+  /**
+   * Record the finished run in the background job queue (popup Jobs tab)
+   * @returns {Promise<boolean>} Whether it was recorded
+   */
+  async recordRun(runItems, settings, startedAt) {
+    if (runItems.length === 0) return false;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'RECORD_SCRAPE_RUN',
+        source: 'ebay-orders',
+        label: document.title,
+        originUrl: window.location.href,
+        items: runItems,
+        options: settings,
+        startedAt
+      });
+      return !!response?.success;
+    } catch (error) {
+      console.error('Could not record bulk order run:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retry of a failed order, run inside the background tab the job queue opened for its URL
+   * @param {Object} options - The run's settings
+   * @returns {Promise<Object>} { status, asin, reason } like the product scrapers' processJobItem
+   */
+  async processJobItem(options = {}) {
+    const orderData = OrderDataExtractor.extractOrderDataFromDoc(document, window.location.href);
+    if (!orderData) {
+      throw new Error('Could not extract order information');
+    }
+
+    const existingOrders = options.skipDuplicates ? await OrderStorageManager.getScrapedOrders() : [];
+    const outcome = await this.saveScrapedOrder(orderData, options, existingOrders);
+
+    if (outcome.status === 'failed') {
+      throw new Error(outcome.error);
+    }
+
+    return { status: outcome.status, asin: outcome.orderId, reason: outcome.error || null };
+  }
+
   /**
    * Scrape order from a link
    * @param {string} url - Order detail page URL
    * @returns {Promise<Object>} Scraped order data
+   * @throws {Error} When the page can't be fetched or read; the message goes in the run report
    */
   async scrapeOrderFromLink(url) {
-    try {
-      console.log(`Fetching order from: ${url}`);
+    console.log(`Fetching order from: ${url}`);
 
-      // Fetch the order page
-      const response = await fetch(url);
-      if (!response.ok) {
-        console.error(`Failed to fetch order page: ${response.status}`);
-        return null;
-      }
-
-      const html = await response.text();
+    // Fetch the order page
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch order page: HTTP ${response.status}`);
+    }
 
-      // Parse HTML
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+    const html = await response.text();
 
-      // Extract order data from parsed document
-      const orderData = OrderDataExtractor.extractOrderDataFromDoc(doc, url);
+    // Parse HTML
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
 
-      return orderData;
-    } catch (error) {
-      console.error(`Error scraping order from link:`, error);
-      return null;
+    // Extract order data from parsed document
+    const orderData = OrderDataExtractor.extractOrderDataFromDoc(doc, url);
+    if (!orderData) {
+      throw new Error('Could not extract order information');
     }
+
+    return orderData;
   }
 
   /**
@@ -6,6 +6,7 @@ import { DataExtractor } from '../extractors/DataExtractor.js';
 import { DataSanitizer } from '../utils/DataSanitizer.js';
 import { Validators } from '../utils/Validators.js';
 import { DOMHelpers } from '../utils/DOMHelpers.js';
+import { VariationExpander } from './VariationExpander.js';
 import { StorageManager } from '../storage/StorageManager.js';
 import { UIManager } from '../ui/UIManager.js';
 
@@ -13,10 +14,12 @@ export class BulkScraper {
   constructor() {
     this.scrapeButton = null;
     this.primeOnlyMode = false;
+    this.expandVariations = false;
   }
 
   async init() {
     this.primeOnlyMode = await StorageManager.getPrimeOnlyMode();
+    this.expandVariations = await StorageManager.getExpandVariationsMode();
     this.injectBulkScrapeButton();
   }
 
@@ -56,7 +59,7 @@ export class BulkScraper {
     document.body.appendChild(this.scrapeButton);
   }
 
-  showBulkScrapeSettings() {
+  async showBulkScrapeSettings() {
     const allProducts = DataExtractor.extractProductLinksFromPage();
 
     if (allProducts.length === 0) {
@@ -64,11 +67,13 @@ export class BulkScraper {
       return;
     }
 
-    const settingsModal = this.createSettingsModal(allProducts);
+    const profiles = await ValidationProfiles.getProfiles();
+    const selectedProfile = await ValidationProfiles.getProfileFor('amazon');
+    const settingsModal = this.createSettingsModal(allProducts, profiles, selectedProfile.id);
     document.body.appendChild(settingsModal);
   }
 
-  createSettingsModal(allProducts) {
+  createSettingsModal(allProducts, profiles, selectedProfileId) {
     const productsWithMetadata = allProducts.map(p => {
       const priceText = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z')?.textContent?.trim();
       const price = DOMHelpers.parsePrice(priceText);
@@ -81,6 +86,7 @@ export class BulkScraper {
     const prices = productsWithPrices.map(p => p.price);
     const minPrice = prices.length > 0 ? Math.floor(Math.min(...prices)) : 0;
     const maxPrice = prices.length > 0 ? Math.ceil(Math.max(...prices)) : 100;
+    const currencySymbol = Marketplaces.symbol(Marketplaces.current().currency);
 
     const modal = document.createElement('div');
     modal.id = 'scraper-settings-modal';
@@ -116,7 +122,7 @@ export class BulkScraper {
               style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
             <div style="display: flex; justify-content: space-between; font-size: 12px; color: #999; margin-top: 5px;">
               <span>1</span>
-              <span>${allProducts.length}</span>
+              <span id="count-max">${allProducts.length}</span>
             </div>
           </div>
         </div>
@@ -130,7 +136,7 @@ export class BulkScraper {
           <div id="price-filter-controls" style="opacity: 0.5; pointer-events: none; transition: opacity 0.3s;">
             <div style="margin-bottom: 15px;">
               <label style="display: block; color: #666; font-size: 13px; margin-bottom: 8px;">
-                Min Price: $<span id="min-price-value">${minPrice}</span>
+                Min Price: ${currencySymbol}<span id="min-price-value">${minPrice}</span>
               </label>
               <input type="range" id="min-price-slider" min="${minPrice}" max="${maxPrice}" value="${minPrice}"
                 style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
@@ -138,7 +144,7 @@ export class BulkScraper {
 
             <div style="margin-bottom: 15px;">
               <label style="display: block; color: #666; font-size: 13px; margin-bottom: 8px;">
-                Max Price: $<span id="max-price-value">${maxPrice}</span>
+                Max Price: ${currencySymbol}<span id="max-price-value">${maxPrice}</span>
               </label>
               <input type="range" id="max-price-slider" min="${minPrice}" max="${maxPrice}" value="${maxPrice}"
                 style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
@@ -166,6 +172,42 @@ export class BulkScraper {
           </div>
         </div>
 
+        <div style="margin-bottom: 20px; padding: 15px 20px; background: #fff7ed; border-radius: 8px; border: 2px solid #f97316;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="checkbox" id="crawl-pages" style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
+            <span style="color: #c2410c; font-weight: 600;">Crawl through pages</span>
+          </label>
+          <p style="margin: 8px 0 0 28px; font-size: 12px; color: #666;">
+            Also read the next results pages until the number to scrape is reached
+          </p>
+          <div style="margin: 10px 0 0 28px; font-size: 13px; color: #666;">
+            Read up to
+            <input type="number" id="crawl-max-pages" min="2" max="${PageCrawler.MAX_PAGES}" value="${PageCrawler.DEFAULT_MAX_PAGES}"
+              style="width: 56px; padding: 4px; border: 1px solid #ddd; border-radius: 4px;">
+            pages
+          </div>
+        </div>
+
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 10px; font-weight: 600; color: #333;">
+            Validation profile
+          </label>
+          <select id="validation-profile" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;"></select>
+          <p style="margin: 8px 0 0 0; font-size: 12px; color: #666;">
+            Products failing the profile's rules are skipped; edit profiles in the extension popup
+          </p>
+        </div>
+
+        <div style="margin-bottom: 20px; padding: 15px 20px; background: #fdf4ff; border-radius: 8px; border: 2px solid #c026d3;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="checkbox" id="expand-variations" ${this.expandVariations ? 'checked' : ''} style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
+            <span style="color: #86198f; font-weight: 600;">Expand variations</span>
+          </label>
+          <p style="margin: 8px 0 0 28px; font-size: 12px; color: #666;">
+            Fetch every color/size of a variation product for its own price and stock (slower)
+          </p>
+        </div>
+
         <div style="margin-bottom: 20px; padding: 15px 20px; background: #f0fdf4; border-radius: 8px; border: 2px solid #22c55e;">
           <label style="display: flex; align-items: center; cursor: pointer;">
             <input type="checkbox" id="auto-export" style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
@@ -187,6 +229,10 @@ export class BulkScraper {
       </div>
     `;
 
+    // Profile names are user-entered, so build the options as nodes rather than markup
+    const profileSelect = modal.querySelector('#validation-profile');
+    profiles.forEach(p => profileSelect.add(new Option(p.name, p.id, false, p.id === selectedProfileId)));
+
     this.attachModalEventListeners(modal, allProducts, productsWithMetadata);
     return modal;
   }
@@ -210,6 +256,17 @@ export class BulkScraper {
       countValue.textContent = e.target.value;
     });
 
+    // Crawling can collect more products than this page shows
+    modal.querySelector('#crawl-pages').addEventListener('change', (e) => {
+      const max = e.target.checked ? Math.max(PageCrawler.MAX_PRODUCTS, allProducts.length) : allProducts.length;
+      countSlider.max = max;
+      modal.querySelector('#count-max').textContent = max;
+      if (parseInt(countSlider.value) > max) {
+        countSlider.value = max;
+      }
+      countValue.textContent = countSlider.value;
+    });
+
     const updateFilteredCount = () => {
       const minPrice = parseInt(minPriceSlider.value);
       const maxPrice = parseInt(maxPriceSlider.value);
@@ -271,9 +328,19 @@ export class BulkScraper {
       const maxPrice = parseInt(maxPriceSlider.value);
       const primeOnly = primeOnlyFilter.checked;
       const autoExport = modal.querySelector('#auto-export').checked;
+      const expandVariations = modal.querySelector('#expand-variations').checked;
+      const validationProfile = modal.querySelector('#validation-profile').value;
+      const crawl = modal.querySelector('#crawl-pages').checked
+        ? { maxPages: parseInt(modal.querySelector('#crawl-max-pages').value) || PageCrawler.DEFAULT_MAX_PAGES }
+        : null;
+
+      // Remembered for the next bulk run and for single-product scrapes
+      this.expandVariations = expandVariations;
+      StorageManager.setExpandVariationsMode(expandVariations);
+      ValidationProfiles.setSelectedProfile('amazon', validationProfile);
 
       modal.remove();
-      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, primeOnly, autoExport);
+      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, primeOnly, autoExport, expandVariations, validationProfile, crawl);
     });
 
     cancelBtn.addEventListener('click', () => modal.remove());
@@ -282,7 +349,7 @@ export class BulkScraper {
     });
   }
 
-  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, primeOnly = false, autoExport = false) {
+  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, primeOnly = false, autoExport = false, expandVariations = false, validationProfile = null, crawl = null) {
     try {
       this.scrapeButton.innerHTML = '⏳ Filtering...';
       this.scrapeButton.disabled = true;
@@ -290,13 +357,19 @@ export class BulkScraper {
 
       let productLinks = allProducts;
 
+      const inPriceRange = (p) => {
+        const priceElement = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z');
+        const priceText = priceElement?.textContent?.trim();
+        const price = DOMHelpers.parsePrice(priceText);
+        return price >= minPrice && price <= maxPrice;
+      };
+
+      if (crawl) {
+        productLinks = await this.crawlPages(allProducts, maxCount, crawl.maxPages, usePriceFilter ? inPriceRange : undefined);
+      }
+
       if (usePriceFilter) {
-        productLinks = productLinks.filter(p => {
-          const priceElement = p.element?.querySelector('.a-price .a-offscreen, .a-price-whole, ._cDEzb_p13n-sc-price_3mJ9Z');
-          const priceText = priceElement?.textContent?.trim();
-          const price = DOMHelpers.parsePrice(priceText);
-          return price >= minPrice && price <= maxPrice;
-        });
+        productLinks = productLinks.filter(inPriceRange);
       }
 
       productLinks = productLinks.slice(0, maxCount);
@@ -305,104 +378,21 @@ export class BulkScraper {
         throw new Error('No products found matching the filter criteria');
       }
 
-      const progressUI = UIManager.createProgressIndicator(productLinks.length);
-      document.body.appendChild(progressUI);
-
-      let stopRequested = false;
-      const stopBtn = progressUI.querySelector('#stop-scraping-btn');
-      stopBtn.addEventListener('click', () => {
-        stopRequested = true;
-        stopBtn.textContent = '⏹ Stopping...';
-        stopBtn.disabled = true;
-        stopBtn.style.background = '#9ca3af';
+      // The background job queue owns the run, so it survives closing or navigating this tab
+      const response = await chrome.runtime.sendMessage({
+        action: 'CREATE_SCRAPE_JOB',
+        source: 'amazon',
+        label: document.title,
+        originUrl: window.location.href,
+        items: productLinks.map(p => ({ id: p.asin, url: p.url })),
+        options: { primeOnly, autoExport, expandVariations, validationProfile }
       });
 
-      let successCount = 0;
-      let failCount = 0;
-      let skippedCount = 0;
-      let processedCount = 0;
-
-      const BATCH_SIZE = 3;
-
-      for (let batchStart = 0; batchStart < productLinks.length; batchStart += BATCH_SIZE) {
-        if (stopRequested) {
-          console.log('Scraping stopped by user');
-          break;
-        }
-
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, productLinks.length);
-        const batch = productLinks.slice(batchStart, batchEnd);
-
-        const batchPromises = batch.map(link => this.scrapeProductFromLink(link));
-        const batchResults = await Promise.allSettled(batchPromises);
-
-        for (let i = 0; i < batchResults.length; i++) {
-          processedCount++;
-          UIManager.updateProgressIndicator(progressUI, processedCount, productLinks.length, successCount, failCount, skippedCount);
-
-          const result = batchResults[i];
-
-          if (result.status === 'fulfilled' && result.value && result.value.title) {
-            const productData = result.value;
-            const validation = Validators.validateProductFromDoc(productData, this.primeOnlyMode);
-
-            if (validation.isValid) {
-              const sanitizedData = DataSanitizer.sanitizeProductData(productData);
-
-              try {
-                await StorageManager.saveProduct(sanitizedData);
-                successCount++;
-              } catch (error) {
-                console.warn('chrome.storage failed, using localStorage:', error);
-                StorageManager.saveToLocalStorage(sanitizedData);
-                successCount++;
-              }
-            } else {
-              skippedCount++;
-              console.log(`Skipped product ${productData.asin}:`, validation.errors.join(', '));
-            }
-          } else {
-            failCount++;
-            if (result.status === 'rejected') {
-              console.error('Error scraping product:', result.reason);
-            }
-          }
-        }
-
-        if (batchEnd < productLinks.length && !stopRequested) {
-          await DOMHelpers.sleep(100);
-        }
-      }
-
-      progressUI.remove();
-
-      const resultParts = [];
-      if (stopRequested) {
-        resultParts.push(`⏸ Stopped: ${successCount} products scraped`);
-      } else {
-        resultParts.push(`✅ Scraped ${successCount} products successfully!`);
-      }
-
-      if (skippedCount > 0) {
-        resultParts.push(`${skippedCount} skipped (no price/unavailable/non-Prime)`);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not queue scrape job');
       }
-      if (failCount > 0) {
-        resultParts.push(`${failCount} failed`);
-      }
-
-      UIManager.showNotification(resultParts.join(' | '), stopRequested ? 'warning' : 'success');
-
-      if (!stopRequested && successCount > 0 && autoExport) {
-        chrome.runtime.sendMessage({ action: 'AUTO_EXPORT_PRODUCTS', source: 'amazon' });
-      }
-
-      this.scrapeButton.innerHTML = `✅ Scraped ${successCount}!`;
 
-      setTimeout(() => {
-        const newCount = DOMHelpers.getVisibleProductCount();
-        this.scrapeButton.innerHTML = `📦 Scrape ${newCount} Items`;
-        this.scrapeButton.disabled = false;
-      }, 3000);
+      this.trackJob(response.jobId, productLinks.length);
 
     } catch (error) {
       console.error('Bulk scraping error:', error);
@@ -413,74 +403,141 @@ export class BulkScraper {
     }
   }
 
-  async scrapeProductFromLink(linkData) {
-    const { asin, url } = linkData;
+  /**
+   * Add product links from the following results pages (PageCrawler)
+   * @param {Array} firstLinks - Links on the open page
+   * @param {number} maxCount - Products wanted
+   * @param {number} maxPages - Pages to read, counting this one
+   * @param {Function} [accept] - Links that count toward maxCount (the price filter)
+   * @returns {Promise<Array>} Links from every page read, without repeated ASINs
+   */
+  async crawlPages(firstLinks, maxCount, maxPages, accept) {
+    const { links, pages, stopReason } = await PageCrawler.crawl({
+      firstLinks,
+      maxCount,
+      maxPages,
+      accept,
+      extractLinks: (doc) => DataExtractor.extractProductLinksFromPage(doc),
+      getNextPageUrl: (doc, pageUrl) => DataExtractor.getNextPageUrl(doc, pageUrl),
+      getId: (link) => link.asin,
+      onPage: (page, found) => {
+        this.scrapeButton.innerHTML = `⏳ Page ${page} (${found} found)...`;
+      }
+    });
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+    console.log(`Crawled ${pages} page(s), ${links.length} products, stopped: ${stopReason}`);
+    if (!['maxCount', 'maxPages'].includes(stopReason)) {
+      const why = stopReason === 'lastPage' ? 'no more pages' : stopReason === 'noNewProducts' ? 'no new products' : stopReason;
+      UIManager.showNotification(`📄 Read ${pages} page${pages === 1 ? '' : 's'} (${why}) - ${links.length} products found`, 'info');
+    }
+
+    return links;
+  }
+
+  // Mirror the queued job in the on-page progress indicator until it stops running
+  trackJob(jobId, total) {
+    const progressUI = UIManager.createProgressIndicator(total);
+    document.body.appendChild(progressUI);
+
+    const stopBtn = progressUI.querySelector('#stop-scraping-btn');
+    stopBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'PAUSE_SCRAPE_JOB', jobId });
+      stopBtn.textContent = '⏹ Stopping...';
+      stopBtn.disabled = true;
+      stopBtn.style.background = '#9ca3af';
+    });
+
+    const onJobsChanged = (changes, namespace) => {
+      if (namespace !== 'local' || !changes.scrapeJobs) return;
+
+      const job = (changes.scrapeJobs.newValue || []).find(j => j.id === jobId);
+      if (!job) {
+        chrome.storage.onChanged.removeListener(onJobsChanged);
+        progressUI.remove();
+        this.resetScrapeButton();
+        return;
       }
 
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      const variations = DataExtractor.extractVariationsFromDoc(doc);
-      let images = DataExtractor.extractImagesFromDoc(doc);
-
-      // Append all colorImages for all variations (same as single scraping)
-      if (variations.hasVariations && Object.keys(variations.colorImages).length > 0) {
-        const allColorUrls = [...new Set(Object.values(variations.colorImages).flat())];
-        for (const colorUrl of allColorUrls) {
-          if (!images.includes(colorUrl) && DataExtractor._isValidImageUrl(colorUrl)) {
-            images.push(colorUrl);
-          }
-        }
+      const { saved, skipped, failed } = job.counts;
+      UIManager.updateProgressIndicator(progressUI, saved + skipped + failed, job.counts.total, saved, failed, skipped);
+
+      if (!['completed', 'paused', 'cancelled'].includes(job.state)) return;
+
+      chrome.storage.onChanged.removeListener(onJobsChanged);
+      progressUI.remove();
+
+      const resultParts = [];
+      if (job.state === 'completed') {
+        resultParts.push(`✅ Scraped ${saved} products successfully!`);
+      } else {
+        resultParts.push(`⏸ ${job.state === 'paused' ? 'Paused' : 'Cancelled'}: ${saved} products scraped (see Jobs tab to resume)`);
+      }
+
+      if (skipped > 0) {
+        resultParts.push(`${skipped} skipped`);
       }
-      if (variations.sizeChart && variations.sizeChart.type === 'image') {
-        images.push(variations.sizeChart.url);
+      if (failed > 0) {
+        resultParts.push(`${failed} failed`);
+      }
+      if (skipped > 0 || failed > 0) {
+        resultParts.push('see the report in the Jobs tab');
       }
 
-      const productData = {
-        asin: asin,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: DataExtractor.extractTitleFromDoc(doc),
-        price: DataExtractor.extractPriceFromDoc(doc),
-        deliveryFee: DataExtractor.extractDeliveryFeeFromDoc(doc),
-        isPrime: DataExtractor.extractPrimeEligibilityFromDoc(doc),
-        images,
-        description: DataExtractor.extractDescriptionFromDoc(doc),
-        bulletPoints: DataExtractor.extractBulletPointsFromDoc(doc),
-        specifications: DataExtractor.extractSpecificationsFromDoc(doc),
-        variations,
-        deliveryDate: DataExtractor.extractDeliveryDateFromDoc(doc),
-        source: 'amazon',
-        customizedFinalPrice: null
-      };
+      UIManager.showNotification(resultParts.join(' | '), job.state === 'completed' ? 'success' : 'warning');
 
-      return productData;
+      this.scrapeButton.innerHTML = `✅ Scraped ${saved}!`;
+      setTimeout(() => this.resetScrapeButton(), 3000);
+    };
 
-    } catch (error) {
-      console.error(`Error fetching product ${asin}:`, error);
+    chrome.storage.onChanged.addListener(onJobsChanged);
+  }
+
+  resetScrapeButton() {
+    const newCount = DOMHelpers.getVisibleProductCount();
+    this.scrapeButton.innerHTML = `📦 Scrape ${newCount} Items`;
+    this.scrapeButton.disabled = false;
+  }
+
+  // Runs inside the background tab the job queue opened for one product URL
+  async processJobItem(options = {}) {
+    const productData = DataExtractor.extractProductData();
+
+    if (!productData.title) {
+      throw new Error('Could not extract product information');
+    }
+
+    const profile = await ValidationProfiles.getProfileFor('amazon', options.validationProfile);
+    const validation = Validators.validateProduct(productData, profile, {
+      primeOnly: !!options.primeOnly,
+      getDeliveryDateFn: () => DataExtractor.getDeliveryDate(),
+      bulk: true
+    });
+
+    if (!validation.isValid) {
       return {
-        asin: asin,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: `Product ${asin}`,
-        price: null,
-        deliveryFee: null,
-        isPrime: false,
-        images: [],
-        description: `Error loading details: ${error.message}`,
-        bulletPoints: [],
-        specifications: {},
-        variations: { hasVariations: false, parentAsin: null, dimensions: [], validCombinations: [], colorImages: {}, sizeChart: null },
-        deliveryDate: null,
-        source: 'amazon',
-        customizedFinalPrice: null
+        status: 'skipped',
+        asin: productData.asin,
+        reason: validation.errors.join(' | '),
+        rule: validation.failedRule
       };
     }
+
+    if (options.expandVariations && productData.variations.hasVariations) {
+      productData.variations = await VariationExpander.expand(productData);
+    }
+
+    const sanitizedData = DataSanitizer.sanitizeProductData(productData);
+    const { saved, screening } = await StorageManager.saveProduct(sanitizedData);
+
+    if (!saved) {
+      return { status: 'skipped', asin: productData.asin, reason: `Blocked by screening: ${screening.summary}`, rule: 'screening' };
+    }
+
+    // A flagged product is saved; the note shows in the job details
+    return {
+      status: 'saved',
+      asin: productData.asin,
+      reason: screening?.status === 'flagged' ? `Flagged by screening: ${screening.summary}` : null
+    };
   }
 }
@@ -70,7 +70,7 @@ class CostcoBulkScraper {
   /**
    * Show settings modal for bulk scraping
    */
-  showBulkScrapeSettings() {
+  async showBulkScrapeSettings() {
     const allProducts = CostcoDataExtractor.extractProductLinksFromPage();
 
     if (allProducts.length === 0) {
@@ -78,16 +78,20 @@ class CostcoBulkScraper {
       return;
     }
 
-    const settingsModal = this.createSettingsModal(allProducts);
+    const profiles = await ValidationProfiles.getProfiles();
+    const selectedProfile = await ValidationProfiles.getProfileFor('costco');
+    const settingsModal = this.createSettingsModal(allProducts, profiles, selectedProfile.id);
     document.body.appendChild(settingsModal);
   }
 
   /**
    * Create settings modal with filters
    * @param {Array} allProducts - All products found on page
+   * @param {Array} profiles - Validation profiles to pick from
+   * @param {string} selectedProfileId - Profile selected by default
    * @returns {HTMLElement} Modal element
    */
-  createSettingsModal(allProducts) {
+  createSettingsModal(allProducts, profiles, selectedProfileId) {
     // Extract metadata from product cards on the page
     // Costco uses data-testid="Text_Price_XXXXXX" for price elements
     const productsWithMetadata = allProducts.map(p => {
@@ -139,7 +143,7 @@ class CostcoBulkScraper {
               style="width: 100%; height: 6px; border-radius: 3px; background: #e0e0e0; outline: none; -webkit-appearance: none;">
             <div style="display: flex; justify-content: space-between; font-size: 12px; color: #999; margin-top: 5px;">
               <span>1</span>
-              <span>${allProducts.length}</span>
+              <span id="count-max">${allProducts.length}</span>
             </div>
           </div>
         </div>
@@ -173,6 +177,32 @@ class CostcoBulkScraper {
           </div>
         </div>
 
+        <div style="margin-bottom: 20px; padding: 15px 20px; background: #fff7ed; border-radius: 8px; border: 2px solid #f97316;">
+          <label style="display: flex; align-items: center; cursor: pointer;">
+            <input type="checkbox" id="crawl-pages" style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
+            <span style="color: #c2410c; font-weight: 600;">Crawl through pages</span>
+          </label>
+          <p style="margin: 8px 0 0 28px; font-size: 12px; color: #666;">
+            Also read the next results pages until the number to scrape is reached
+          </p>
+          <div style="margin: 10px 0 0 28px; font-size: 13px; color: #666;">
+            Read up to
+            <input type="number" id="crawl-max-pages" min="2" max="${PageCrawler.MAX_PAGES}" value="${PageCrawler.DEFAULT_MAX_PAGES}"
+              style="width: 56px; padding: 4px; border: 1px solid #ddd; border-radius: 4px;">
+            pages
+          </div>
+        </div>
+
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 10px; font-weight: 600; color: #333;">
+            Validation profile
+          </label>
+          <select id="validation-profile" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;"></select>
+          <p style="margin: 8px 0 0 0; font-size: 12px; color: #666;">
+            Products failing the profile's rules are skipped; edit profiles in the extension popup
+          </p>
+        </div>
+
         <div style="margin-bottom: 20px; padding: 15px 20px; background: #f0fdf4; border-radius: 8px; border: 2px solid #22c55e;">
           <label style="display: flex; align-items: center; cursor: pointer;">
             <input type="checkbox" id="auto-export" style="margin-right: 10px; width: 18px; height: 18px; cursor: pointer;">
@@ -194,6 +224,10 @@ class CostcoBulkScraper {
       </div>
     `;
 
+    // Profile names are user-entered, so build the options as nodes rather than markup
+    const profileSelect = modal.querySelector('#validation-profile');
+    profiles.forEach(p => profileSelect.add(new Option(p.name, p.id, false, p.id === selectedProfileId)));
+
     this.attachModalEventListeners(modal, allProducts, productsWithMetadata);
     return modal;
   }
@@ -221,6 +255,17 @@ class CostcoBulkScraper {
       countValue.textContent = e.target.value;
     });
 
+    // Crawling can collect more products than this page shows
+    modal.querySelector('#crawl-pages').addEventListener('change', (e) => {
+      const max = e.target.checked ? Math.max(PageCrawler.MAX_PRODUCTS, allProducts.length) : allProducts.length;
+      countSlider.max = max;
+      modal.querySelector('#count-max').textContent = max;
+      if (parseInt(countSlider.value) > max) {
+        countSlider.value = max;
+      }
+      countValue.textContent = countSlider.value;
+    });
+
     const updateFilteredCount = () => {
       const minPrice = parseInt(minPriceSlider.value);
       const maxPrice = parseInt(maxPriceSlider.value);
@@ -272,8 +317,13 @@ class CostcoBulkScraper {
       const maxPrice = parseInt(maxPriceSlider.value);
 
       const autoExport = modal.querySelector('#auto-export').checked;
+      const validationProfile = modal.querySelector('#validation-profile').value;
+      const crawl = modal.querySelector('#crawl-pages').checked
+        ? { maxPages: parseInt(modal.querySelector('#crawl-max-pages').value) || PageCrawler.DEFAULT_MAX_PAGES }
+        : null;
+      ValidationProfiles.setSelectedProfile('costco', validationProfile);
       modal.remove();
-      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, autoExport);
+      this.bulkScrapeFromPage(allProducts, count, usePriceFilter, minPrice, maxPrice, autoExport, validationProfile, crawl);
     });
 
     cancelBtn.addEventListener('click', () => modal.remove());
@@ -285,24 +335,30 @@ class CostcoBulkScraper {
   /**
    * Execute bulk scraping with filters
    */
-  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, autoExport = false) {
+  async bulkScrapeFromPage(allProducts, maxCount, usePriceFilter, minPrice, maxPrice, autoExport = false, validationProfile = null, crawl = null) {
     try {
       this.scrapeButton.innerHTML = '⏳ Filtering...';
       this.scrapeButton.disabled = true;
 
       let productLinks = allProducts;
 
+      const inPriceRange = (p) => {
+        // Costco uses data-testid="Text_Price_XXXXXX" for price elements
+        const priceElement = p.element?.querySelector('[data-testid^="Text_Price_"]') ||
+                            p.element?.querySelector('[data-testid^="PriceGroup_"]') ||
+                            p.element?.querySelector('.MuiTypography-t5');
+        const priceText = priceElement?.textContent?.trim();
+        const price = CostcoDOMHelpers.parsePrice(priceText);
+        return price !== null && price > 0 && price >= minPrice && price <= maxPrice;
+      };
+
+      if (crawl) {
+        productLinks = await this.crawlPages(allProducts, maxCount, crawl.maxPages, usePriceFilter ? inPriceRange : undefined);
+      }
+
       // Apply price filter
       if (usePriceFilter) {
-        productLinks = productLinks.filter(p => {
-          // Costco uses data-testid="Text_Price_XXXXXX" for price elements
-          const priceElement = p.element?.querySelector('[data-testid^="Text_Price_"]') ||
-                              p.element?.querySelector('[data-testid^="PriceGroup_"]') ||
-                              p.element?.querySelector('.MuiTypography-t5');
-          const priceText = priceElement?.textContent?.trim();
-          const price = CostcoDOMHelpers.parsePrice(priceText);
-          return price !== null && price > 0 && price >= minPrice && price <= maxPrice;
-        });
+        productLinks = productLinks.filter(inPriceRange);
       }
 
       // Limit to max count
@@ -312,255 +368,187 @@ class CostcoBulkScraper {
         throw new Error('No products found matching the filter criteria');
       }
 
-      // Create progress UI
-      const progressUI = this.createProgressIndicator(productLinks.length);
-      document.body.appendChild(progressUI);
-
-      let stopRequested = false;
-      const stopBtn = progressUI.querySelector('#stop-scraping-btn');
-      stopBtn.addEventListener('click', () => {
-        stopRequested = true;
-        stopBtn.textContent = '⏹ Stopping...';
-        stopBtn.disabled = true;
-        stopBtn.style.background = '#9ca3af';
+      // Hand the URLs to the background job queue so the run survives closing this tab
+      const response = await chrome.runtime.sendMessage({
+        action: 'CREATE_SCRAPE_JOB',
+        source: 'costco',
+        label: document.title,
+        originUrl: window.location.href,
+        items: productLinks.map(p => ({ id: p.productID, url: p.url })),
+        options: { autoExport, validationProfile }
       });
 
-      let successCount = 0;
-      let failCount = 0;
-      let skippedCount = 0;
-      let processedCount = 0;
-
-      const BATCH_SIZE = 3; // Process 3 products at a time
-
-      for (let batchStart = 0; batchStart < productLinks.length; batchStart += BATCH_SIZE) {
-        if (stopRequested) {
-          console.log('Costco scraping stopped by user');
-          break;
-        }
-
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, productLinks.length);
-        const batch = productLinks.slice(batchStart, batchEnd);
-
-        const batchPromises = batch.map(link => this.scrapeProductFromLink(link));
-        const batchResults = await Promise.allSettled(batchPromises);
-
-        for (let i = 0; i < batchResults.length; i++) {
-          processedCount++;
-          this.updateProgressIndicator(progressUI, processedCount, productLinks.length, successCount, failCount, skippedCount);
-
-          const result = batchResults[i];
-
-          if (result.status === 'fulfilled' && result.value && result.value.title) {
-            const productData = result.value;
-            const validation = this.validateProduct(productData);
-
-            if (validation.isValid) {
-              const sanitizedData = CostcoDataSanitizer.sanitizeProductData(productData);
-
-              try {
-                await this.saveProduct(sanitizedData);
-                successCount++;
-              } catch (error) {
-                console.warn('Chrome storage failed, using localStorage:', error);
-                this.saveToLocalStorage(sanitizedData);
-                successCount++;
-              }
-            } else {
-              skippedCount++;
-              console.log(`Skipped product ${productData.asin}:`, validation.errors.join(', '));
-            }
-          } else {
-            failCount++;
-            if (result.status === 'rejected') {
-              console.error('Error scraping Costco product:', result.reason);
-            }
-          }
-        }
-
-        // Delay between batches
-        if (batchEnd < productLinks.length && !stopRequested) {
-          await CostcoDOMHelpers.sleep(100);
-        }
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not queue scrape job');
       }
 
+      this.trackJob(response.jobId, productLinks.length);
+
+    } catch (error) {
+      console.error('Costco bulk scraping error:', error);
+      this.showNotification('❌ Error: ' + error.message, 'error');
+      this.resetScrapeButton();
+    }
+  }
+
+  /**
+   * Add product links from the following category pages (PageCrawler)
+   * @param {Array} firstLinks - Links on the open page
+   * @param {number} maxCount - Products wanted
+   * @param {number} maxPages - Pages to read, counting this one
+   * @param {Function} [accept] - Links that count toward maxCount (the price filter)
+   * @returns {Promise<Array>} Links from every page read, without repeated product IDs
+   */
+  async crawlPages(firstLinks, maxCount, maxPages, accept) {
+    const { links, pages, stopReason } = await PageCrawler.crawl({
+      firstLinks,
+      maxCount,
+      maxPages,
+      accept,
+      extractLinks: (doc) => CostcoDataExtractor.extractProductLinksFromPage(doc),
+      getNextPageUrl: (doc, pageUrl) => CostcoDataExtractor.getNextPageUrl(doc, pageUrl),
+      getId: (link) => link.productID,
+      onPage: (page, found) => {
+        this.scrapeButton.innerHTML = `⏳ Page ${page} (${found} found)...`;
+      }
+    });
+
+    console.log(`Crawled ${pages} page(s), ${links.length} products, stopped: ${stopReason}`);
+    if (!['maxCount', 'maxPages'].includes(stopReason)) {
+      const why = stopReason === 'lastPage' ? 'no more pages' : stopReason === 'noNewProducts' ? 'no new products' : stopReason;
+      this.showNotification(`📄 Read ${pages} page${pages === 1 ? '' : 's'} (${why}) - ${links.length} products found`, 'info');
+    }
+
+    return links;
+  }
+
+  /**
+   * Mirror a queued job's progress in the on-page indicator
+   * The job keeps running in the background if this tab is closed
+   * @param {string} jobId - Job ID returned by the background queue
+   * @param {number} total - Number of queued URLs
+   */
+  trackJob(jobId, total) {
+    const progressUI = this.createProgressIndicator(total);
+    document.body.appendChild(progressUI);
+
+    const stopBtn = progressUI.querySelector('#stop-scraping-btn');
+    stopBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'PAUSE_SCRAPE_JOB', jobId });
+      stopBtn.textContent = '⏹ Stopping...';
+      stopBtn.disabled = true;
+      stopBtn.style.background = '#9ca3af';
+    });
+
+    const onJobsChanged = (changes, namespace) => {
+      if (namespace !== 'local' || !changes.scrapeJobs) return;
+
+      const job = (changes.scrapeJobs.newValue || []).find(j => j.id === jobId);
+      if (!job) {
+        chrome.storage.onChanged.removeListener(onJobsChanged);
+        progressUI.remove();
+        this.resetScrapeButton();
+        return;
+      }
+
+      const { saved, skipped, failed } = job.counts;
+      this.updateProgressIndicator(progressUI, saved + skipped + failed, job.counts.total, saved, failed, skipped);
+
+      if (!['completed', 'paused', 'cancelled'].includes(job.state)) return;
+
+      chrome.storage.onChanged.removeListener(onJobsChanged);
       progressUI.remove();
 
       // Show results
       const resultParts = [];
-      if (stopRequested) {
-        resultParts.push(`⏸ Stopped: ${successCount} products scraped`);
+      if (job.state === 'completed') {
+        resultParts.push(`✅ Scraped ${saved} products successfully!`);
       } else {
-        resultParts.push(`✅ Scraped ${successCount} products successfully!`);
+        resultParts.push(`⏸ ${job.state === 'paused' ? 'Paused' : 'Cancelled'}: ${saved} products scraped (see Jobs tab to resume)`);
       }
 
-      if (skippedCount > 0) {
-        resultParts.push(`${skippedCount} skipped (no price/unavailable)`);
+      if (skipped > 0) {
+        resultParts.push(`${skipped} skipped`);
       }
-      if (failCount > 0) {
-        resultParts.push(`${failCount} failed`);
+      if (failed > 0) {
+        resultParts.push(`${failed} failed`);
       }
-
-      this.showNotification(resultParts.join(' | '), stopRequested ? 'warning' : 'success');
-
-      if (!stopRequested && successCount > 0 && autoExport) {
-        chrome.runtime.sendMessage({ action: 'AUTO_EXPORT_PRODUCTS', source: 'costco' });
+      if (skipped > 0 || failed > 0) {
+        resultParts.push('see the report in the Jobs tab');
       }
 
-      this.scrapeButton.innerHTML = `✅ Scraped ${successCount}!`;
+      this.showNotification(resultParts.join(' | '), job.state === 'completed' ? 'success' : 'warning');
 
-      setTimeout(() => {
-        const newCount = this.getVisibleProductCount();
-        this.scrapeButton.innerHTML = `📦 Scrape ${newCount} Items`;
-        this.scrapeButton.disabled = false;
-      }, 3000);
+      this.scrapeButton.innerHTML = `✅ Scraped ${saved}!`;
+      setTimeout(() => this.resetScrapeButton(), 3000);
+    };
 
-    } catch (error) {
-      console.error('Costco bulk scraping error:', error);
-      this.showNotification('❌ Error: ' + error.message, 'error');
-      const count = this.getVisibleProductCount();
-      this.scrapeButton.innerHTML = `📦 Scrape ${count} Items`;
-      this.scrapeButton.disabled = false;
-    }
+    chrome.storage.onChanged.addListener(onJobsChanged);
   }
 
   /**
-   * Scrape individual product from link by opening it in a background tab
-   * This allows us to get the fully-rendered DOM
-   * @param {Object} linkData - Product link data {productID, url, element}
-   * @returns {Promise<Object>} Product data
+   * Restore the bulk scrape button label
    */
-  async scrapeProductFromLink(linkData) {
-    const { productID, url } = linkData;
+  resetScrapeButton() {
+    const count = this.getVisibleProductCount();
+    this.scrapeButton.innerHTML = `📦 Scrape ${count} Items`;
+    this.scrapeButton.disabled = false;
+  }
 
-    if (!productID) {
-      return {
-        asin: null,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: 'Error: No product ID',
-        price: null,
-        deliveryFee: 'Included',
-        images: [],
-        description: 'Product ID was undefined',
-        bulletPoints: [],
-        specifications: {},
-        source: 'costco'
-      };
-    }
+  /**
+   * Scrape and save the current product page for a background job
+   * Runs inside the tab the job queue opened, so no UI is shown
+   * @param {Object} [options] - Job options (validationProfile)
+   * @returns {Promise<Object>} { status: 'saved'|'skipped', asin, reason, rule }
+   */
+  async processJobItem(options = {}) {
+    // Wait a bit for lazy loading to complete
+    await CostcoDOMHelpers.sleep(2000);
 
-    try {
-      // Send message to background script to open product in a background tab and scrape it
-      const response = await chrome.runtime.sendMessage({
-        action: 'SCRAPE_PRODUCT_IN_BACKGROUND_TAB',
-        url: url
-      });
+    const productData = CostcoDataExtractor.extractProductData();
 
-      // Check if scraping was successful
-      if (response.success) {
-        return response.data;
-      } else {
-        throw new Error(response.error || 'Unknown error');
-      }
+    if (!productData.title) {
+      throw new Error('Could not extract product information');
+    }
 
-    } catch (error) {
-      console.error(`Error scraping Costco product ${productID} in tab:`, error);
+    const profile = await ValidationProfiles.getProfileFor('costco', options.validationProfile);
+    const validation = this.validateProduct(productData, profile);
+
+    if (!validation.isValid) {
       return {
-        asin: productID,
-        url: url,
-        scrapedAt: new Date().toISOString(),
-        title: `Product ${productID}`,
-        price: null,
-        deliveryFee: 'Included',
-        images: [],
-        description: `Error loading details: ${error.message}`,
-        bulletPoints: [],
-        specifications: {},
-        source: 'costco'
+        status: 'skipped',
+        asin: productData.asin,
+        reason: validation.errors.join(' | '),
+        rule: validation.failedRule
       };
     }
-  }
-
-  /**
-   * Validate product data before saving
-   */
-  validateProduct(productData) {
-    const errors = [];
 
-    if (!productData.asin) {
-      errors.push('Could not extract product ID from URL');
-    }
+    const sanitizedData = CostcoDataSanitizer.sanitizeProductData(productData);
+    const { saved, screening } = await CatalogClient.saveProduct(sanitizedData);
 
-    if (!productData.price) {
-      errors.push('No price available - item may be out of stock or member-only');
+    if (!saved) {
+      return { status: 'skipped', asin: productData.asin, reason: `Blocked by screening: ${screening.summary}`, rule: 'screening' };
     }
 
+    // A flagged product is saved; the note shows in the job details
     return {
-      isValid: errors.length === 0,
-      errors: errors
+      status: 'saved',
+      asin: productData.asin,
+      reason: screening?.status === 'flagged' ? `Flagged by screening: ${screening.summary}` : null
     };
   }
 
   /**
-   * Save product to storage
-   */
-  async saveProduct(productData) {
-    return new Promise((resolve, reject) => {
-      if (!chrome.runtime?.id) {
-        this.saveToLocalStorage(productData);
-        resolve();
-        return;
-      }
-
-      try {
-        chrome.storage.local.get(['scrapedProducts'], (result) => {
-          const products = result.scrapedProducts || [];
-
-          const existingIndex = products.findIndex(p =>
-            p.asin === productData.asin
-          );
-
-          if (existingIndex >= 0) {
-            products[existingIndex] = productData;
-          } else {
-            products.push(productData);
-          }
-
-          chrome.storage.local.set({ scrapedProducts: products }, () => {
-            if (chrome.runtime.lastError) {
-              this.saveToLocalStorage(productData);
-            }
-            resolve();
-          });
-        });
-      } catch (error) {
-        this.saveToLocalStorage(productData);
-        resolve();
-      }
-    });
-  }
-
-  /**
-   * Fallback: save to localStorage
+   * Validate product data before saving
+   * @param {Object} productData - Product data to validate
+   * @param {Object} profile - Validation profile (ValidationProfiles)
    */
-  saveToLocalStorage(productData) {
-    try {
-      const stored = localStorage.getItem('scrapedProducts');
-      const products = stored ? JSON.parse(stored) : [];
-
-      const existingIndex = products.findIndex(p =>
-        p.asin === productData.asin
-      );
-
-      if (existingIndex >= 0) {
-        products[existingIndex] = productData;
-      } else {
-        products.push(productData);
-      }
-
-      localStorage.setItem('scrapedProducts', JSON.stringify(products));
-    } catch (error) {
-      console.error('localStorage save failed:', error);
+  validateProduct(productData, profile) {
+    if (!productData.asin) {
+      return { isValid: false, errors: ['Could not extract product ID from URL'], failedRule: 'productId' };
     }
+
+    return ValidationProfiles.validate(productData, profile);
   }
 
   /**
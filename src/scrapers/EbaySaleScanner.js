@@ -2,10 +2,14 @@
  * EbaySaleScanner
  * Scans an eBay seller's active listings and extracts sold count, watching count,
  * and revision history link from each individual item page.
+ * Every finished scan is also stored as a dated snapshot (SellerScanHistory).
+ * Page selectors come from the ebay selector pack (SelectorPacks, loaded ahead of this module).
  *
  * Injected on eBay seller store pages: https://www.ebay.com/str/STORENAME
  */
 
+import { SellerScanHistory } from '../storage/SellerScanHistory.js';
+
 export class EbaySaleScanner {
   constructor() {
     this.sellerId = null;
@@ -13,6 +17,8 @@ export class EbaySaleScanner {
     this.button = null;
     this.overlayModal = null;
     this.scannedItems = []; // Items where soldCount > 0 or watchingCount > 0
+    this.snapshotItems = {}; // Every listing scanned, for the history snapshot
+    this.scanComplete = false;
     this.isScanning = false;
     this.stopRequested = false;
     this.totalLinks = 0;
@@ -68,17 +74,7 @@ export class EbaySaleScanner {
     if (ssn) return ssn;
 
     // 4. DOM fallback: try seller identity elements eBay renders on store/user pages
-    const domSelectors = [
-      '.str-seller-card__name a',
-      '.str-seller-card__name',
-      '.seller-persona a',
-      '[data-seller-name]',
-      '.mbg-nw a',         // user page username link
-      '.mbg-nw',           // user page username element
-      '.member-profile a',
-      '[data-track*="seller"] a',
-    ];
-    for (const sel of domSelectors) {
+    for (const sel of SelectorPacks.get('ebay', 'sellerName')) {
       const el = document.querySelector(sel);
       if (!el) continue;
       const text = (el.getAttribute('data-seller-name') || el.textContent || '').trim();
@@ -204,6 +200,8 @@ export class EbaySaleScanner {
     this.isScanning = true;
     this.stopRequested = false;
     this.scannedItems = [];
+    this.snapshotItems = {};
+    this.scanComplete = false;
     this.processedCount = 0;
     this.totalLinks = 0;
 
@@ -216,7 +214,7 @@ export class EbaySaleScanner {
     try {
       // Phase 1: collect listing URLs from the seller's search results pages
       this.setPhaseStatus('Collecting seller listings...');
-      const allLinks = await this.collectListingLinks(maxItems);
+      const { links: allLinks, reachedEnd } = await this.collectListingLinks(maxItems);
 
       if (this.stopRequested) {
         this.endScan();
@@ -227,36 +225,104 @@ export class EbaySaleScanner {
       this.setPhaseStatus(`Found ${allLinks.length} listings — fetching item details...`);
 
       // Phase 2: fetch each item page in small concurrent batches
-      const BATCH_SIZE = 3;
-      for (let i = 0; i < allLinks.length && !this.stopRequested; i += BATCH_SIZE) {
-        const batch = allLinks.slice(i, i + BATCH_SIZE);
-        const results = await Promise.allSettled(
-          batch.map(link => this.fetchItemDetails(link))
-        );
+      await this.fetchActiveItems(allLinks, item => this.appendLiveRow(item));
+      this.scanComplete = !this.stopRequested && reachedEnd;
+    } catch (err) {
+      console.error('[EbaySaleScanner] Scan error:', err);
+    }
+
+    this.endScan();
+  }
 
-        for (const result of results) {
-          if (result.status === 'fulfilled' && result.value) {
-            const item = result.value;
-            if (item.soldCount > 0 || item.watchingCount > 0) {
-              this.scannedItems.push(item);
-              this.appendLiveRow(item);
-            }
-          }
-          this.processedCount++;
+  // Fetches item pages in small concurrent batches and keeps the ones with activity
+  async fetchActiveItems(links, onItem = null) {
+    const BATCH_SIZE = 3;
+    for (let i = 0; i < links.length && !this.stopRequested; i += BATCH_SIZE) {
+      const batch = links.slice(i, i + BATCH_SIZE);
+      const results = await Promise.allSettled(
+        batch.map(link => this.fetchItemDetails(link))
+      );
+
+      results.forEach((result, j) => {
+        const link = batch[j];
+        const item = result.status === 'fulfilled' ? result.value : null;
+
+        // Listings whose page failed still count as present, with unknown sales
+        this.snapshotItems[link.itemId] = {
+          price: SellerScanHistory.parsePrice(link.priceText),
+          soldCount: item ? item.soldCount : null,
+          watchingCount: item ? item.watchingCount : null,
+        };
+
+        if (item && (item.soldCount > 0 || item.watchingCount > 0)) {
+          this.scannedItems.push(item);
+          if (onItem) onItem(item);
         }
+        this.processedCount++;
+      });
 
-        this.updateProgressBar(this.processedCount, allLinks.length);
-        this.updateScanStats();
+      this.updateProgressBar(this.processedCount, links.length);
+      this.updateScanStats();
 
-        if (i + BATCH_SIZE < allLinks.length && !this.stopRequested) {
-          await this.sleep(this.randomDelay(180, 380));
-        }
+      if (i + BATCH_SIZE < links.length && !this.stopRequested) {
+        await this.sleep(this.randomDelay(180, 380));
       }
-    } catch (err) {
-      console.error('[EbaySaleScanner] Scan error:', err);
     }
+  }
 
-    this.endScan();
+  // Scheduled scan: no button or overlay. The background scheduler opens the
+  // seller's page in a hidden tab and uses the returned counts for its run log.
+  async scanInBackground(maxItems = 200) {
+    this.sellerId = this.extractSellerId();
+    if (!this.sellerId) {
+      throw new Error('Could not detect seller ID from page URL');
+    }
+    this.storeBaseUrl = this.computeStoreBaseUrl();
+
+    this.isScanning = true;
+    this.stopRequested = false;
+    this.scannedItems = [];
+    this.snapshotItems = {};
+    this.processedCount = 0;
+
+    const previous = await new Promise(resolve => {
+      chrome.storage.local.get(['scannedItems'], (result) => {
+        resolve(new Map((result.scannedItems || []).map(i => [i.itemId, i])));
+      });
+    });
+
+    const { links: allLinks, reachedEnd } = await this.collectListingLinks(maxItems);
+    this.totalLinks = allLinks.length;
+    await this.fetchActiveItems(allLinks);
+    this.scanComplete = !this.stopRequested && reachedEnd;
+    this.isScanning = false;
+
+    // New = listing with activity we hadn't seen; sold increase = more sales than last scan
+    let newItems = 0;
+    let soldIncreases = 0;
+    for (const item of this.scannedItems) {
+      const before = previous.get(item.itemId);
+      if (!before) {
+        newItems++;
+      } else if (item.soldCount > (before.soldCount || 0)) {
+        soldIncreases++;
+      }
+    }
+
+    if (this.scannedItems.length > 0) {
+      await this.persistScannedItems();
+    }
+    const changes = await this.recordScanHistory();
+
+    return {
+      seller: this.sellerId,
+      scanned: allLinks.length,
+      found: this.scannedItems.length,
+      newItems,
+      soldIncreases,
+      endedListings: changes ? changes.endedListings.length : 0,
+      priceChanges: changes ? changes.priceChanges.length : 0,
+    };
   }
 
   endScan() {
@@ -297,6 +363,18 @@ export class EbaySaleScanner {
       });
     }
 
+    // A stopped scan only covers part of the store, so it would show most listings as new
+    if (!this.stopRequested) {
+      this.recordScanHistory().then(changes => {
+        const el = this.overlayModal?.querySelector('#scan-stats');
+        if (el && changes) {
+          el.textContent =
+            `Since last scan: ${changes.soldDelta} sold · ${changes.newListings.length} new` +
+            ` · ${changes.endedListings.length} ended · ${changes.priceChanges.length} price changes`;
+        }
+      }).catch(error => console.error('Error recording scan history:', error));
+    }
+
     const exportBtn = this.overlayModal?.querySelector('#scanner-export-btn');
     if (exportBtn && found > 0) {
       exportBtn.style.visibility = 'visible';
@@ -306,9 +384,12 @@ export class EbaySaleScanner {
 
   // ─── Listing Collection ───────────────────────────────────────────────────────
 
+  // reachedEnd is true only when the seller's last page was read and every link on it kept;
+  // a failed, empty or captcha page, a stop or the maxItems cap leave it false
   async collectListingLinks(maxItems) {
     const links = [];
     let page = 1;
+    let reachedEnd = false;
 
     // Store pages (/usr/ and /str/) max out at 72 items per page.
     // If we have no store base URL (e.g. _ssn search page), fall back to sch/i.html.
@@ -344,8 +425,11 @@ export class EbaySaleScanner {
         // On store pages, the next control is an <a class="pagination__next"> when
         // there are more pages, or a disabled <button> when on the last page.
         // We only continue if we find an actual <a> (anchor) element.
-        const nextAnchor = doc.querySelector('a.pagination__next');
-        if (!nextAnchor) break;
+        const nextAnchor = doc.querySelector(SelectorPacks.selector('ebay', 'listingsNextPage'));
+        if (!nextAnchor) {
+          reachedEnd = links.length <= maxItems;
+          break;
+        }
 
         page++;
         await this.sleep(this.randomDelay(280, 450));
@@ -355,7 +439,7 @@ export class EbaySaleScanner {
       }
     }
 
-    return links.slice(0, maxItems);
+    return { links: links.slice(0, maxItems), reachedEnd };
   }
 
   // Parses item links from fetched HTML.
@@ -371,7 +455,7 @@ export class EbaySaleScanner {
     //   h3.str-card-title .str-text-span  →  title text
     //   .str-item-card__property-displayPrice  →  price
     //   img[data-testid="str-img"]  →  thumbnail
-    const storeCards = doc.querySelectorAll('article.str-item-card, article[data-testid^="ig-"]');
+    const storeCards = doc.querySelectorAll(SelectorPacks.selector('ebay', 'storeCards'));
 
     if (storeCards.length > 0) {
       for (const card of storeCards) {
@@ -386,13 +470,9 @@ export class EbaySaleScanner {
         }
         if (!itemId) continue;
 
-        const titleEl = card.querySelector(
-          'h3.str-card-title .str-text-span, .str-item-card__property-title .str-text-span'
-        );
-        const priceEl = card.querySelector(
-          '.str-item-card__property-displayPrice, [class*="displayPrice"]'
-        );
-        const imgEl = card.querySelector('img[data-testid="str-img"], picture img, img');
+        const titleEl = card.querySelector(SelectorPacks.selector('ebay', 'storeCardTitle'));
+        const priceEl = card.querySelector(SelectorPacks.selector('ebay', 'storeCardPrice'));
+        const imgEl = card.querySelector(SelectorPacks.selector('ebay', 'storeCardImage'));
 
         items.push({
           itemId,
@@ -406,18 +486,18 @@ export class EbaySaleScanner {
     }
 
     // ── Search results fallback (li.s-item) ────────────────────────────────────
-    const searchItems = doc.querySelectorAll('li.s-item:not(.s-item--placeholder)');
+    const searchItems = doc.querySelectorAll(SelectorPacks.selector('ebay', 'searchResults'));
     for (const li of searchItems) {
-      const link = li.querySelector('a.s-item__link');
+      const link = li.querySelector(SelectorPacks.selector('ebay', 'searchResultLink'));
       if (!link) continue;
       const href = link.getAttribute('href') || '';
       const itemId = href.match(/\/itm\/(\d+)/)?.[1];
       if (!itemId) continue;
 
-      const title = li.querySelector('.s-item__title')?.textContent?.trim() || '';
+      const title = li.querySelector(SelectorPacks.selector('ebay', 'searchResultTitle'))?.textContent?.trim() || '';
       if (title === 'Shop on eBay') continue;
 
-      const priceText = li.querySelector('.s-item__price')?.textContent?.trim() || '';
+      const priceText = li.querySelector(SelectorPacks.selector('ebay', 'searchResultPrice'))?.textContent?.trim() || '';
       const imgEl = li.querySelector('img');
       items.push({
         itemId,
@@ -456,16 +536,7 @@ export class EbaySaleScanner {
 
   parseSoldCount(doc) {
     // Try targeted containers first (most reliable)
-    const containers = [
-      doc.querySelector('#qtySubTxt'),
-      doc.querySelector('.x-quantity__availability'),
-      doc.querySelector('.d-quantity__availability'),
-      doc.querySelector('[class*="quantity__availability"]'),
-      doc.querySelector('.x-purchase-section'),
-      doc.querySelector('[data-testid*="quantity"]'),
-      doc.querySelector('.vi-quantity'),
-      doc.querySelector('.qtyAvailThreshold'),
-    ];
+    const containers = SelectorPacks.get('ebay', 'soldCount').map(sel => doc.querySelector(sel));
 
     for (const el of containers) {
       if (!el) continue;
@@ -478,20 +549,14 @@ export class EbaySaleScanner {
 
   parseWatchingCount(doc) {
     // Older eBay: #why2buy .w2b-cnt
-    const w2b = doc.querySelector('#why2buy .w2b-cnt, .w2b-cnt');
+    const w2b = doc.querySelector(SelectorPacks.selector('ebay', 'watchCountBadge'));
     if (w2b) {
       const m = w2b.textContent.match(/(\d[\d,]*)/);
       if (m) return parseInt(m[1].replace(/,/g, ''), 10);
     }
 
     // Modern eBay: various watcher containers
-    const watchContainers = [
-      doc.querySelector('[class*="watch"][class*="count"]'),
-      doc.querySelector('[id*="watch"]'),
-      doc.querySelector('.x-wishlist, [data-testid*="watch"]'),
-      doc.querySelector('#why2buy'),
-      doc.querySelector('.vi-w2b'),
-    ];
+    const watchContainers = SelectorPacks.get('ebay', 'watchCount').map(sel => doc.querySelector(sel));
 
     for (const el of watchContainers) {
       if (!el) continue;
@@ -868,6 +933,11 @@ export class EbaySaleScanner {
     });
   }
 
+  recordScanHistory() {
+    if (Object.keys(this.snapshotItems).length === 0) return Promise.resolve(null);
+    return SellerScanHistory.recordSnapshot(this.sellerId, this.snapshotItems, { complete: this.scanComplete });
+  }
+
   exportScannedResults() {
     if (this.scannedItems.length === 0) return;
 
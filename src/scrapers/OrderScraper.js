@@ -228,7 +228,7 @@ export class OrderScraper {
         <div style="margin-bottom: 16px;">
           <p style="margin: 4px 0;"><strong>Order ID:</strong> ${orderData.orderId}</p>
           <p style="margin: 4px 0;"><strong>Date:</strong> ${orderData.orderDate || 'N/A'}</p>
-          <p style="margin: 4px 0;"><strong>Status:</strong> ${orderData.orderStatus || 'N/A'}</p>
+          <p style="margin: 4px 0;"><strong>Status:</strong> ${OrderTimeline.STATE_LABELS[orderData.orderStatus] || 'N/A'}</p>
         </div>
 
         <div style="margin-bottom: 16px;">
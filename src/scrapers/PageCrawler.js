@@ -0,0 +1,144 @@
+/**
+ * PageCrawler - Follows category/search pagination for the bulk scrapers (Amazon, Yami, Costco)
+ * Pages 2..N are fetched with fetch + DOMParser, the same way EbaySaleScanner.collectListingLinks
+ * walks a seller's store, so the user doesn't have to click through pages and re-run.
+ * Loaded as a classic script ahead of each site's content script in manifest.json
+ */
+
+class PageCrawler {
+  static DEFAULT_MAX_PAGES = 5;
+  static MAX_PAGES = 20;
+  static MAX_PRODUCTS = 500;        // Upper end of the "Number to Scrape" slider when crawling
+
+  // Numbered page links are looked for inside these when a site has no "next" link
+  static PAGINATION_SELECTORS = [
+    'nav[aria-label*="pagination" i]',
+    '[class*="pagination" i]',
+    '[class*="pager" i]',
+    '[class*="paging" i]'
+  ];
+
+  /**
+   * Collect product links from the current page and the pages after it
+   * @param {Object} params
+   * @param {Array} params.firstLinks - Links already read from the current page
+   * @param {number} params.maxCount - Stop once this many accepted links are collected
+   * @param {number} [params.maxPages] - Pages to read, counting the current one
+   * @param {Function} params.extractLinks - (doc) => links on a fetched page
+   * @param {Function} params.getNextPageUrl - (doc, pageUrl) => URL of the next page or null
+   * @param {Function} params.getId - (link) => product ID, used to drop links seen on earlier pages
+   * @param {Function} [params.accept] - (link) => whether it counts toward maxCount (e.g. the price filter)
+   * @param {Function} [params.onPage] - (page, found) => void, after each fetched page
+   * @returns {Promise<Object>} { links, pages, stopReason: 'maxCount'|'maxPages'|'lastPage'|'noNewProducts'|error message }
+   */
+  static async crawl({ firstLinks, maxCount, maxPages = this.DEFAULT_MAX_PAGES, extractLinks, getNextPageUrl, getId, accept = () => true, onPage = null }) {
+    const links = [];
+    const seenIds = new Set();
+    const visited = new Set([location.href]);
+
+    const addLinks = (pageLinks) => {
+      let added = 0;
+      pageLinks.forEach(link => {
+        const id = getId(link);
+        if (!id || seenIds.has(id)) return;
+        seenIds.add(id);
+        links.push(link);
+        added++;
+      });
+      return added;
+    };
+
+    addLinks(firstLinks);
+
+    let doc = document;
+    let pageUrl = location.href;
+    let page = 1;
+    let stopReason = 'maxCount';
+
+    while (links.filter(accept).length < maxCount) {
+      if (page >= Math.min(maxPages, this.MAX_PAGES)) {
+        stopReason = 'maxPages';
+        break;
+      }
+
+      const nextUrl = getNextPageUrl(doc, pageUrl) || this.findNumberedPageUrl(doc, pageUrl, page + 1);
+      if (!nextUrl || visited.has(nextUrl)) {
+        stopReason = 'lastPage';
+        break;
+      }
+      visited.add(nextUrl);
+
+      await this.sleep(this.randomDelay(600, 1200));
+
+      try {
+        const response = await fetch(nextUrl, { credentials: 'include' });
+        if (!response.ok) {
+          stopReason = `HTTP ${response.status} on page ${page + 1}`;
+          break;
+        }
+
+        const html = await response.text();
+        doc = new DOMParser().parseFromString(html, 'text/html');
+        pageUrl = nextUrl;
+        page++;
+      } catch (error) {
+        console.error(`[PageCrawler] Error fetching page ${page + 1}:`, error);
+        stopReason = error.message;
+        break;
+      }
+
+      // A captcha or an empty page has nothing new; so does a site that ignores the page parameter
+      const added = addLinks(extractLinks(doc));
+      if (onPage) onPage(page, links.length);
+
+      if (added === 0) {
+        stopReason = 'noNewProducts';
+        break;
+      }
+    }
+
+    return { links, pages: page, stopReason };
+  }
+
+  /**
+   * Link to a page number inside the page's pagination control
+   * @param {Document} doc - Page document
+   * @param {string} pageUrl - URL the document was loaded from (for relative links)
+   * @param {number} pageNumber - Page to find
+   * @returns {string|null} Absolute URL
+   */
+  static findNumberedPageUrl(doc, pageUrl, pageNumber) {
+    for (const selector of this.PAGINATION_SELECTORS) {
+      for (const container of doc.querySelectorAll(selector)) {
+        const link = [...container.querySelectorAll('a[href]')]
+          .find(a => a.textContent.trim() === String(pageNumber));
+        if (link) {
+          return this.resolveUrl(link.getAttribute('href'), pageUrl);
+        }
+      }
+    }
+    return null;
+  }
+
+  static resolveUrl(href, pageUrl) {
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+    try {
+      return new URL(href, pageUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  static randomDelay(min, max) {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageCrawler;
+}
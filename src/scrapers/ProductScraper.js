@@ -5,6 +5,7 @@
 import { DataExtractor } from '../extractors/DataExtractor.js';
 import { DataSanitizer } from '../utils/DataSanitizer.js';
 import { Validators } from '../utils/Validators.js';
+import { VariationExpander } from './VariationExpander.js';
 import { StorageManager } from '../storage/StorageManager.js';
 import { UIManager } from '../ui/UIManager.js';
 
@@ -12,10 +13,12 @@ export class ProductScraper {
   constructor() {
     this.scrapeButton = null;
     this.primeOnlyMode = false;
+    this.expandVariations = false;
   }
 
   async init() {
     this.primeOnlyMode = await StorageManager.getPrimeOnlyMode();
+    this.expandVariations = await StorageManager.getExpandVariationsMode();
     this.injectScrapeButton();
   }
 
@@ -65,11 +68,11 @@ export class ProductScraper {
         throw new Error('Could not extract product information');
       }
 
-      const validation = Validators.validateProduct(
-        productData,
-        this.primeOnlyMode,
-        () => DataExtractor.getDeliveryDate()
-      );
+      const profile = await ValidationProfiles.getProfileFor('amazon');
+      const validation = Validators.validateProduct(productData, profile, {
+        primeOnly: this.primeOnlyMode,
+        getDeliveryDateFn: () => DataExtractor.getDeliveryDate()
+      });
 
       if (!validation.isValid) {
         const errorMessage = '❌ Cannot scrape this product:\n\n' + validation.errors.join('\n\n');
@@ -79,10 +82,29 @@ export class ProductScraper {
         return;
       }
 
+      if (this.expandVariations && productData.variations.hasVariations) {
+        productData.variations = await VariationExpander.expand(productData, {
+          onProgress: (checked, total) => {
+            this.scrapeButton.innerHTML = `⏳ Variations ${checked}/${total}...`;
+          }
+        });
+      }
+
       const sanitizedData = DataSanitizer.sanitizeProductData(productData);
-      await StorageManager.saveProduct(sanitizedData);
+      const { saved, screening } = await StorageManager.saveProduct(sanitizedData);
+
+      if (!saved) {
+        UIManager.showNotification(`⛔ Not saved - blocked by screening: ${screening.summary}`, 'error');
+        this.scrapeButton.innerHTML = '📦 Scrape for eBay';
+        this.scrapeButton.disabled = false;
+        return;
+      }
 
-      UIManager.showNotification('✅ Product scraped successfully!', 'success');
+      if (screening?.status === 'flagged') {
+        UIManager.showNotification(`⚠️ Saved, but flagged by screening: ${screening.summary}`, 'warning');
+      } else {
+        UIManager.showNotification('✅ Product scraped successfully!', 'success');
+      }
       this.scrapeButton.innerHTML = '✅ Scraped!';
 
       setTimeout(() => {
@@ -0,0 +1,178 @@
+/**
+ * Variation Expander
+ * Fetches every child ASIN of an Amazon variation product and records its own
+ * price, stock, Prime status and images, so the eBay export can list real children.
+ *
+ * Child ASINs are discovered from the parent page's swatches and twister data, then
+ * from each fetched child's swatches (a two-dimension page only links the children
+ * that share its selected size or color). Unavailable or unpriced children are dropped.
+ * Offers are read with ProductSnapshot (loaded ahead of content.js in manifest.json).
+ */
+import { DataExtractor } from '../extractors/DataExtractor.js';
+
+export class VariationExpander {
+  static BATCH_SIZE = 3;
+  static BATCH_DELAY_MS = 800;
+  static MAX_CHILDREN = 40;
+  static MAX_DURATION_MS = 60000; // Stay well inside the job queue's per-item timeout
+
+  /**
+   * Expand a product's variations with per-child offers
+   * @param {Object} product - Output of DataExtractor.extractProductData() for the current page
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (checked, queued) => void
+   * @returns {Promise<Object>} Variations with children, validCombinations limited to available
+   *   children, and expansion stats; the original variations if no child could be read
+   */
+  static async expand(product, { onProgress = null } = {}) {
+    const variations = product.variations;
+    if (!variations?.hasVariations) return variations;
+
+    const deadline = Date.now() + this.MAX_DURATION_MS;
+    const children = new Map();
+    const seen = new Set([product.asin]);
+    const queue = [];
+    const stats = { checked: 0, failed: 0, dropped: 0 };
+
+    const enqueue = (asins) => {
+      for (const asin of asins) {
+        if (asin && !seen.has(asin)) {
+          seen.add(asin);
+          queue.push(asin);
+        }
+      }
+    };
+
+    // The open page is one of the children, so it doesn't need fetching
+    try {
+      this.addChild(children, stats, this.readChild(document, product.asin, variations));
+    } catch (error) {
+      stats.dropped++;
+    }
+    enqueue(this.collectChildAsins(document, variations));
+
+    while (queue.length > 0 && stats.checked < this.MAX_CHILDREN && Date.now() < deadline) {
+      const batch = queue.splice(0, Math.min(this.BATCH_SIZE, this.MAX_CHILDREN - stats.checked));
+      const results = await Promise.allSettled(batch.map(asin => this.fetchChild(asin)));
+
+      results.forEach((result, i) => {
+        stats.checked++;
+        if (result.status === 'rejected') {
+          console.warn(`Variation ${batch[i]} could not be read:`, result.reason);
+          stats.failed++;
+          return;
+        }
+        this.addChild(children, stats, result.value.child);
+        enqueue(result.value.asins);
+      });
+
+      if (onProgress) onProgress(stats.checked, stats.checked + queue.length);
+
+      if (queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.BATCH_DELAY_MS));
+      }
+    }
+
+    if (stats.checked === stats.failed) {
+      // Nothing fetched (blocked, signed out...) - keep the swatch-level data
+      return variations;
+    }
+
+    const available = [...children.values()];
+    return {
+      ...variations,
+      validCombinations: available.map(child => child.combination),
+      children: available,
+      expansion: {
+        expandedAt: new Date().toISOString(),
+        ...stats,
+        // Children we knew about but ran out of budget for
+        skipped: queue.length
+      }
+    };
+  }
+
+  /**
+   * Child ASINs linked from a product page
+   * @param {Document} doc - Product page document
+   * @param {Object} variations - Variations extracted from the same page
+   * @returns {string[]} ASINs
+   */
+  static collectChildAsins(doc, variations) {
+    const asins = variations.dimensions.flatMap(dim => dim.values.map(v => v.asin));
+
+    // twister data maps every dimension index combination to its ASIN, when present
+    const twisterEl = doc.getElementById('twister-js-init-dpx-data');
+    if (twisterEl) {
+      try {
+        const twisterData = JSON.parse(twisterEl.textContent.trim());
+        asins.push(...Object.values(twisterData.dimensionToAsinMap || {}));
+      } catch (e) {}
+    }
+
+    return asins.filter(asin => /^[A-Z0-9]{10}$/.test(asin));
+  }
+
+  /**
+   * Fetch and read one child ASIN's page
+   * @param {string} asin - Child ASIN
+   * @returns {Promise<Object>} { child, asins } - the child offer and the ASINs its page links to
+   */
+  static async fetchChild(asin) {
+    // psc=1 makes Amazon render this exact child instead of redirecting to a default one
+    const response = await fetch(`${location.origin}/dp/${asin}?th=1&psc=1`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const variations = DataExtractor.extractVariationsFromDoc(doc);
+
+    return {
+      child: this.readChild(doc, asin, variations),
+      asins: this.collectChildAsins(doc, variations)
+    };
+  }
+
+  /**
+   * Read a child's offer from its page
+   * @param {Document} doc - The child's product page
+   * @param {string} asin - Child ASIN
+   * @param {Object} variations - Variations extracted from the same page
+   * @returns {Object} { asin, combination, price, available, isPrime, images }
+   */
+  static readChild(doc, asin, { dimensions }) {
+    const snapshot = ProductSnapshot.fromDocument(doc, 'amazon', DataExtractor);
+
+    // The selected swatch in each dimension is this child's value
+    const combination = {};
+    for (const dim of dimensions) {
+      const selected = dim.values.find(v => v.selected);
+      if (selected) combination[dim.name] = selected.value;
+    }
+    const complete = dimensions.length > 0 && Object.keys(combination).length === dimensions.length;
+
+    return {
+      asin,
+      combination: complete ? combination : null,
+      price: snapshot.price,
+      available: snapshot.available,
+      isPrime: snapshot.isPrime,
+      images: DataExtractor.extractImagesFromDoc(doc)
+    };
+  }
+
+  static addChild(children, stats, child) {
+    if (!child.combination || !child.available || !child.price) {
+      stats.dropped++;
+      return;
+    }
+
+    // Two ASINs for the same combination (e.g. a renamed listing) - the first one wins
+    const key = JSON.stringify(child.combination);
+    if (!children.has(key)) {
+      children.set(key, child);
+    }
+  }
+}
@@ -70,8 +70,9 @@ class YamiProductScraper {
         throw new Error('Could not extract product information. Please make sure you are on a Yami product page.');
       }
 
-      // Validate product
-      const validation = this.validateProduct(productData);
+      // Validate product against the profile selected for this site
+      const profile = await ValidationProfiles.getProfileFor('yami');
+      const validation = this.validateProduct(productData, profile);
 
       if (!validation.isValid) {
         const errorMessage = '❌ Cannot scrape this product:\n\n' + validation.errors.join('\n\n');
@@ -84,11 +85,22 @@ class YamiProductScraper {
       // Sanitize data (remove Yami branding)
       const sanitizedData = YamiDataSanitizer.sanitizeProductData(productData);
 
-      // Save to storage
-      await this.saveProduct(sanitizedData);
+      // Save to storage (screened for restricted brands and keywords on the way)
+      const { saved, screening } = await CatalogClient.saveProduct(sanitizedData);
+
+      if (!saved) {
+        this.showNotification(`⛔ Not saved - blocked by screening: ${screening.summary}`, 'error');
+        this.scrapeButton.innerHTML = '📦 Scrape for eBay';
+        this.scrapeButton.disabled = false;
+        return;
+      }
 
       // Show success notification
-      this.showNotification('✅ Product scraped successfully!', 'success');
+      if (screening?.status === 'flagged') {
+        this.showNotification(`⚠️ Saved, but flagged by screening: ${screening.summary}`, 'warning');
+      } else {
+        this.showNotification('✅ Product scraped successfully!', 'success');
+      }
       this.scrapeButton.innerHTML = '✅ Scraped!';
 
       setTimeout(() => {
@@ -107,96 +119,15 @@ class YamiProductScraper {
   /**
    * Validate product data
    * @param {Object} productData - Product data to validate
-   * @returns {Object} Validation result with isValid and errors array
+   * @param {Object} profile - Validation profile (ValidationProfiles)
+   * @returns {Object} Validation result with isValid, errors array and failedRule
    */
-  validateProduct(productData) {
-    const errors = [];
-
+  validateProduct(productData, profile) {
     if (!productData.asin) {
-      errors.push('Could not extract product ID from URL');
+      return { isValid: false, errors: ['Could not extract product ID from URL'], failedRule: 'productId' };
     }
 
-    if (!productData.price) {
-      errors.push('No price available - item may be out of stock');
-    }
-
-    if (!productData.images || productData.images.length === 0) {
-      errors.push('No product images found');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors: errors
-    };
-  }
-
-  /**
-   * Save product to storage
-   * @param {Object} productData - Product data to save
-   * @returns {Promise}
-   */
-  async saveProduct(productData) {
-    return new Promise((resolve, reject) => {
-      if (!chrome.runtime?.id) {
-        this.saveToLocalStorage(productData);
-        resolve();
-        return;
-      }
-
-      try {
-        chrome.storage.local.get(['scrapedProducts'], (result) => {
-          const products = result.scrapedProducts || [];
-
-          // Check if product already exists (update instead of duplicate)
-          const existingIndex = products.findIndex(p =>
-            p.asin === productData.asin
-          );
-
-          if (existingIndex >= 0) {
-            products[existingIndex] = productData;
-          } else {
-            products.push(productData);
-          }
-
-          chrome.storage.local.set({ scrapedProducts: products }, () => {
-            if (chrome.runtime.lastError) {
-              console.warn('Chrome storage failed, using localStorage:', chrome.runtime.lastError);
-              this.saveToLocalStorage(productData);
-            }
-            resolve();
-          });
-        });
-      } catch (error) {
-        console.warn('Chrome storage not available, using localStorage:', error);
-        this.saveToLocalStorage(productData);
-        resolve();
-      }
-    });
-  }
-
-  /**
-   * Fallback: Save to localStorage
-   * @param {Object} productData - Product data to save
-   */
-  saveToLocalStorage(productData) {
-    try {
-      const stored = localStorage.getItem('scrapedProducts');
-      const products = stored ? JSON.parse(stored) : [];
-
-      const existingIndex = products.findIndex(p =>
-        p.asin === productData.asin
-      );
-
-      if (existingIndex >= 0) {
-        products[existingIndex] = productData;
-      } else {
-        products.push(productData);
-      }
-
-      localStorage.setItem('scrapedProducts', JSON.stringify(products));
-    } catch (error) {
-      console.error('localStorage save failed:', error);
-    }
+    return ValidationProfiles.validate(productData, profile);
   }
 
   /**
@@ -213,7 +144,7 @@ class YamiProductScraper {
       right: 20px;
       z-index: 10001;
       padding: 16px 24px;
-      background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : '#3b82f6'};
+      background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : '#3b82f6'};
       color: white;
       border-radius: 8px;
       font-size: 14px;
@@ -0,0 +1,257 @@
+/**
+ * ProductScreener - Checks scraped products against VeRO / restricted-brand and keyword blocklists
+ * Runs in the background worker when ProductCatalog.saveProduct is called, so every scraper
+ * (Amazon, Yami, Costco, and products recovered from localStorage) is screened the same way.
+ *
+ * Entry: { term, regex, action: 'block'|'flag', categories: [...], note }
+ * - term is matched as a whole word (any case), or as a regular expression when regex is set
+ * - categories limits the entry to products whose category path contains one of them
+ * Brand entries are matched against the brand specification, then the title; a brand that
+ * only shows up in the title (e.g. "Apple" in "Apple cider vinegar") is flagged, not blocked.
+ * Keyword entries are matched against the title, bullet points and description.
+ *
+ * Storage: screeningLists = { brands: [entry], keywords: [entry] }
+ */
+
+class ProductScreener {
+  static LISTS_KEY = 'screeningLists';
+
+  static ACTIONS = ['block', 'flag'];
+  static CSV_HEADERS = ['list', 'term', 'regex', 'action', 'categories', 'note'];
+
+  // Common VeRO participants and counterfeit wording; edit in the popup
+  static DEFAULT_LISTS = {
+    brands: [
+      'Nike', 'Adidas', 'Apple', 'Disney', 'LEGO', 'Chanel', 'Louis Vuitton', 'Gucci',
+      'Michael Kors', 'Rolex', 'Oakley', 'Ray-Ban', 'Bose', 'Beats'
+    ].map(term => ({ term, action: 'block' })),
+    keywords: [
+      { term: 'replica', action: 'block' },
+      { term: 'counterfeit', action: 'block' },
+      { term: '\\bCBD\\b|cannabidiol', regex: true, action: 'block' },
+      { term: 'supplement', action: 'flag', categories: ['Health'] }
+    ]
+  };
+
+  static BRAND_SPEC_KEYS = ['Brand', 'Brand Name', 'Manufacturer'];
+
+  static FIELD_LABELS = { brand: 'brand', title: 'title', bulletPoints: 'bullet points', description: 'description' };
+
+  static normalizeEntry(entry) {
+    const categories = Array.isArray(entry?.categories)
+      ? entry.categories
+      : String(entry?.categories || '').split(/[;,]/);
+
+    return {
+      term: String(entry?.term || '').trim(),
+      regex: !!entry?.regex,
+      action: this.ACTIONS.includes(entry?.action) ? entry.action : 'block',
+      categories: categories.map(c => String(c).trim()).filter(Boolean),
+      note: String(entry?.note || '').trim()
+    };
+  }
+
+  static normalizeLists(lists) {
+    const stored = lists || this.DEFAULT_LISTS;
+    const clean = (entries) => (entries || []).map(entry => this.normalizeEntry(entry)).filter(entry => entry.term);
+
+    return {
+      brands: clean(stored.brands),
+      keywords: clean(stored.keywords)
+    };
+  }
+
+  static async getLists() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.LISTS_KEY], (result) => {
+        resolve(this.normalizeLists(result[this.LISTS_KEY]));
+      });
+    });
+  }
+
+  static async saveLists(lists) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.LISTS_KEY]: this.normalizeLists(lists) }, () => resolve());
+    });
+  }
+
+  /**
+   * Screen a product against the blocklists
+   * @param {Object} product - Sanitized product data
+   * @param {Object} lists - { brands, keywords }
+   * @returns {Object} { status: 'clear'|'flagged'|'blocked', matches: [{ list, term, matched, field, action }], summary }
+   */
+  static screen(product, lists) {
+    const brandFields = {
+      brand: this.getBrand(product),
+      title: product.title
+    };
+    const keywordFields = {
+      title: product.title,
+      bulletPoints: (product.bulletPoints || []).filter(b => !String(b).startsWith('[IMAGE]:')).join('\n'),
+      description: product.description
+    };
+
+    const matches = [
+      ...this.findMatches(lists.brands, 'brand', brandFields, product.category),
+      ...this.findMatches(lists.keywords, 'keyword', keywordFields, product.category)
+    ];
+
+    const status = matches.some(m => m.action === 'block')
+      ? 'blocked'
+      : matches.length > 0 ? 'flagged' : 'clear';
+
+    return {
+      status,
+      matches,
+      summary: matches.map(m => `${m.list} "${m.matched}" in ${this.FIELD_LABELS[m.field]}`).join(', ')
+    };
+  }
+
+  static findMatches(entries, list, fields, category) {
+    const matches = [];
+
+    for (const entry of entries) {
+      if (!this.inScope(entry, category)) continue;
+
+      const pattern = this.toPattern(entry);
+      if (!pattern) continue;
+
+      for (const [field, text] of Object.entries(fields)) {
+        const match = text ? String(text).match(pattern) : null;
+        if (match) {
+          const action = list === 'brand' && field !== 'brand' ? 'flag' : entry.action;
+          matches.push({ list, term: entry.term, matched: match[0].trim(), field, action });
+          break;
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  static inScope(entry, category) {
+    if (entry.categories.length === 0) return true;
+    const path = String(category || '').toLowerCase();
+    return !!path && entry.categories.some(c => path.includes(c.toLowerCase()));
+  }
+
+  /**
+   * Build the RegExp for an entry; plain terms only match whole words
+   * @param {Object} entry - Normalized entry
+   * @returns {RegExp|null} null for an invalid regular expression
+   */
+  static toPattern(entry) {
+    if (entry.regex) {
+      try {
+        return new RegExp(entry.term, 'i');
+      } catch (error) {
+        console.warn(`Invalid screening regex "${entry.term}":`, error.message);
+        return null;
+      }
+    }
+
+    const escaped = entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'i');
+  }
+
+  static getBrand(product) {
+    const specs = product.specifications || {};
+    const key = this.BRAND_SPEC_KEYS.find(k => specs[k]);
+    return key ? specs[key] : (product.brand || '');
+  }
+
+  // ===== CSV import / export =====
+
+  /**
+   * Both lists as one CSV: list,term,regex,action,categories,note
+   * @param {Object} lists - { brands, keywords }
+   * @returns {string} CSV text
+   */
+  static toCSV(lists) {
+    const rows = [
+      ...lists.brands.map(entry => ['brand', entry]),
+      ...lists.keywords.map(entry => ['keyword', entry])
+    ].map(([list, entry]) => [list, entry.term, entry.regex ? 'yes' : 'no', entry.action, entry.categories.join(';'), entry.note]);
+
+    return [this.CSV_HEADERS, ...rows]
+      .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Parse a CSV written by toCSV (or by hand with the same header)
+   * @param {string} text - CSV text
+   * @returns {Object} { brands, keywords }
+   * @throws {Error} When the header has no list or term column
+   */
+  static fromCSV(text) {
+    const [header, ...rows] = this.parseCSVRows(text);
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    const col = (row, name) => row[columns.indexOf(name)] ?? '';
+
+    if (!columns.includes('list') || !columns.includes('term')) {
+      throw new Error('CSV needs "list" and "term" columns');
+    }
+
+    const lists = { brands: [], keywords: [] };
+    for (const row of rows) {
+      const list = col(row, 'list').trim().toLowerCase();
+      const target = list === 'brand' ? lists.brands : list === 'keyword' ? lists.keywords : null;
+      if (!target) continue;
+
+      target.push({
+        term: col(row, 'term'),
+        regex: /^(yes|true|1)$/i.test(col(row, 'regex').trim()),
+        action: col(row, 'action').trim().toLowerCase(),
+        categories: col(row, 'categories'),
+        note: col(row, 'note')
+      });
+    }
+
+    return this.normalizeLists(lists);
+  }
+
+  static parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          value += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(value);
+        value = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        if (row.some(cell => cell !== '')) rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += ch;
+      }
+    }
+
+    row.push(value);
+    if (row.some(cell => cell !== '')) rows.push(row);
+    return rows;
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductScreener;
+}
@@ -0,0 +1,280 @@
+/**
+ * SelectorPacks - The CSS selectors every extractor reads pages with
+ * Selectors live in versioned JSON packs, one per site (src/selectors/packs/<site>.json), instead
+ * of in the extractors. Each pack field holds an ordered selector list: for most fields it is a
+ * fallback chain (first selector that matches wins), for a few it lists everything that counts
+ * (thumbnails, spec rows) - each field's note says which.
+ *
+ * Where a field's selectors come from, highest first:
+ *   1. selectorOverrides - per-field lists saved on the options page
+ *   2. selectorPacks     - packs imported from a file, used while their version is >= the built-in one
+ *                          and they have every field the built-in pack has
+ *   3. the built-in pack shipped with the extension
+ * Changes made on the options page reach open tabs through storage.onChanged, without a reload.
+ *
+ * Extractors read selectors synchronously, so each entry point awaits load() first.
+ * Loaded as a classic script by the supplier and eBay content scripts, the offscreen document
+ * and the options page.
+ */
+
+class SelectorPacks {
+  static SITES = ['amazon', 'yami', 'costco', 'ebay'];
+  static SCHEMA = 1;
+  static PACKS_PATH = 'src/selectors/packs';
+  static IMPORTED_KEY = 'selectorPacks';
+  static OVERRIDES_KEY = 'selectorOverrides';
+
+  static SITE_LABELS = { amazon: 'Amazon', yami: 'Yami', costco: 'Costco', ebay: 'eBay' };
+
+  static builtin = {};    // site -> pack shipped with the extension
+  static imported = {};   // site -> pack imported from a file
+  static overrides = {};  // site -> { field -> [selectors] }
+  static loading = null;
+
+  // ===== Loading =====
+
+  /**
+   * Load the built-in packs, imported packs and overrides (once per page)
+   * @returns {Promise<void>}
+   */
+  static load() {
+    if (!this.loading) {
+      this.loading = this.loadAll();
+    }
+    return this.loading;
+  }
+
+  static async loadAll() {
+    const [stored] = await Promise.all([
+      new Promise(resolve => chrome.storage.local.get([this.IMPORTED_KEY, this.OVERRIDES_KEY], resolve)),
+      ...this.SITES.map(site => this.fetchBuiltin(site))
+    ]);
+    this.imported = stored[this.IMPORTED_KEY] || {};
+    this.overrides = stored[this.OVERRIDES_KEY] || {};
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local') return;
+      if (changes[this.IMPORTED_KEY]) this.imported = changes[this.IMPORTED_KEY].newValue || {};
+      if (changes[this.OVERRIDES_KEY]) this.overrides = changes[this.OVERRIDES_KEY].newValue || {};
+    });
+  }
+
+  static async fetchBuiltin(site) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(`${this.PACKS_PATH}/${site}.json`));
+      this.install(await response.json());
+    } catch (error) {
+      console.error(`Failed to load the built-in ${site} selector pack:`, error);
+    }
+  }
+
+  /**
+   * Use a pack as a site's built-in pack (load() does this; the fixture tests call it directly)
+   * @param {Object} pack
+   */
+  static install(pack) {
+    this.builtin[pack.site] = pack;
+  }
+
+  // ===== Reading (extractors) =====
+
+  /**
+   * The pack in use for a site: an imported pack unless the built-in one is newer or has
+   * fields the imported one lacks (extractors would find no selectors for them)
+   * @param {string} site
+   * @returns {Object|null}
+   */
+  static pack(site) {
+    const builtin = this.builtin[site] || null;
+    const imported = this.imported[site];
+    if (imported && (!builtin || (imported.version >= builtin.version && this.missingFields(imported).length === 0))) {
+      return imported;
+    }
+    return builtin;
+  }
+
+  /**
+   * Fields of the site's built-in pack that a pack has no selectors for
+   * @param {Object} pack
+   * @returns {Array<string>}
+   */
+  static missingFields(pack) {
+    const builtin = this.builtin[pack.site];
+    if (!builtin) return [];
+    return Object.keys(builtin.fields).filter(field => !pack.fields?.[field]?.selectors?.length);
+  }
+
+  /**
+   * A field's ordered selector list
+   * @param {string} site - 'amazon' | 'yami' | 'costco' | 'ebay'
+   * @param {string} field - Pack field, e.g. 'title'
+   * @returns {Array<string>}
+   */
+  static get(site, field) {
+    const override = this.overrides[site]?.[field];
+    if (override?.length) return override;
+
+    const selectors = this.pack(site)?.fields?.[field]?.selectors;
+    if (!selectors) {
+      throw new Error(`No "${field}" selectors in the ${site} selector pack (packs not loaded yet?)`);
+    }
+    return selectors;
+  }
+
+  /**
+   * Where a field's selectors currently come from
+   * @param {string} site
+   * @param {string} field
+   * @returns {string} 'override' | 'imported' | 'builtin'
+   */
+  static source(site, field) {
+    if (this.overrides[site]?.[field]?.length) return 'override';
+    return this.pack(site) === this.builtin[site] ? 'builtin' : 'imported';
+  }
+
+  /**
+   * A field's selectors as one CSS selector list, for fields where any match counts
+   * @param {string} site
+   * @param {string} field
+   * @returns {string}
+   */
+  static selector(site, field) {
+    return this.get(site, field).join(', ');
+  }
+
+  /**
+   * First element matched by a field's fallback chain
+   * @param {ParentNode} root - Document or element to search
+   * @param {string} site
+   * @param {string} field
+   * @returns {Object|null} { element, rank, selector }
+   */
+  static first(root, site, field) {
+    for (const [rank, selector] of this.get(site, field).entries()) {
+      const element = root.querySelector(selector);
+      if (element) return { element, rank, selector };
+    }
+    return null;
+  }
+
+  // ===== Editing (options page) =====
+
+  /**
+   * Check a pack before it's imported
+   * @param {Object} pack - Parsed JSON
+   * @returns {Array<string>} Problems found; empty when the pack can be used
+   */
+  static validate(pack) {
+    if (!pack || typeof pack !== 'object') return ['Not a selector pack'];
+
+    const errors = [];
+    if (pack.schema !== this.SCHEMA) errors.push(`Unsupported schema ${pack.schema} (expected ${this.SCHEMA})`);
+    if (!this.SITES.includes(pack.site)) errors.push(`Unknown site "${pack.site}"`);
+    if (!Number.isInteger(pack.version) || pack.version < 1) errors.push('version must be a whole number from 1 up');
+    if (!pack.fields || typeof pack.fields !== 'object') {
+      errors.push('fields is missing');
+      return errors;
+    }
+
+    for (const [field, entry] of Object.entries(pack.fields)) {
+      errors.push(...this.validateSelectors(entry?.selectors).map(error => `${field}: ${error}`));
+    }
+    return errors;
+  }
+
+  /**
+   * Check one field's selector list
+   * @param {Array<string>} selectors
+   * @returns {Array<string>} Problems found
+   */
+  static validateSelectors(selectors) {
+    if (!Array.isArray(selectors) || selectors.length === 0) return ['needs at least one selector'];
+
+    const errors = [];
+    for (const selector of selectors) {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        errors.push('selectors must be non-empty strings');
+        continue;
+      }
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        errors.push(`invalid selector "${selector}"`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Import a pack from a file; it replaces the built-in pack while its version is at least as new.
+   * It must cover every built-in field, since it replaces the whole pack
+   * @param {Object} pack - Parsed JSON
+   * @returns {Promise<Object>} The stored pack
+   */
+  static async importPack(pack) {
+    const errors = this.validate(pack);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+
+    const builtin = this.builtin[pack.site];
+    if (builtin && pack.version < builtin.version) {
+      throw new Error(`This ${pack.site} pack is version ${pack.version}, older than the built-in version ${builtin.version}`);
+    }
+    const missing = this.missingFields(pack);
+    if (missing.length > 0) {
+      throw new Error(`This ${pack.site} pack has no selectors for: ${missing.join(', ')}`);
+    }
+
+    this.imported = { ...this.imported, [pack.site]: pack };
+    await this.save(this.IMPORTED_KEY, this.imported);
+    return pack;
+  }
+
+  static async removeImported(site) {
+    const { [site]: removed, ...rest } = this.imported;
+    this.imported = rest;
+    await this.save(this.IMPORTED_KEY, this.imported);
+  }
+
+  /**
+   * Save a field's selectors for a site, or clear the override with null
+   * @param {string} site
+   * @param {string} field
+   * @param {Array<string>|null} selectors
+   */
+  static async saveOverride(site, field, selectors) {
+    const siteOverrides = { ...(this.overrides[site] || {}) };
+    if (selectors && selectors.length > 0) {
+      const errors = this.validateSelectors(selectors);
+      if (errors.length > 0) throw new Error(errors.join('\n'));
+      siteOverrides[field] = selectors;
+    } else {
+      delete siteOverrides[field];
+    }
+
+    this.overrides = { ...this.overrides, [site]: siteOverrides };
+    await this.save(this.OVERRIDES_KEY, this.overrides);
+  }
+
+  /**
+   * The pack in use with the site's overrides applied, ready to save as a file
+   * @param {string} site
+   * @returns {Object}
+   */
+  static exportPack(site) {
+    const pack = this.pack(site);
+    const fields = {};
+    for (const [field, entry] of Object.entries(pack.fields)) {
+      fields[field] = { ...entry, selectors: [...this.get(site, field)] };
+    }
+    return { ...pack, updated: new Date().toISOString().slice(0, 10), fields };
+  }
+
+  static async save(key, value) {
+    return new Promise(resolve => chrome.storage.local.set({ [key]: value }, resolve));
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorPacks;
+}
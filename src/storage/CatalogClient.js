@@ -0,0 +1,111 @@
+/**
+ * CatalogClient - Saves scraped products from supplier content scripts
+ * The catalog (ProductCatalog) is an IndexedDB store in the extension's origin, which a
+ * content script can't open, so products are handed to the background worker.
+ * Used by StorageManager (Amazon) and the Yami and Costco scrapers.
+ *
+ * If the extension context is gone (extension reloaded under an open tab), the product
+ * is kept in the page's localStorage under scrapedProducts instead, and handed over by
+ * recoverFallback() the next time a content script starts on that site.
+ */
+
+class CatalogClient {
+  static FALLBACK_KEY = 'scrapedProducts';
+
+  /**
+   * Save a product through the background worker, which screens it first (ProductScreener)
+   * @param {Object} productData - Sanitized product data
+   * @returns {Promise<Object>} { saved, screening } - screening is null when the product went
+   *   to the localStorage fallback (it is screened when recovered)
+   */
+  static async saveProduct(productData) {
+    if (!chrome.runtime?.id) {
+      console.warn('Extension context invalidated, using localStorage');
+      this.saveToLocalStorage(productData);
+      return { saved: true, screening: null };
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'CATALOG_SAVE_PRODUCT', product: productData });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      return { saved: response.saved, screening: response.screening };
+    } catch (error) {
+      console.warn('Catalog save failed, using localStorage:', error);
+      this.saveToLocalStorage(productData);
+      return { saved: true, screening: null };
+    }
+  }
+
+  static saveToLocalStorage(productData) {
+    try {
+      const products = this.readFallback();
+      const existingIndex = products.findIndex(p => p.asin === productData.asin);
+
+      if (existingIndex >= 0) {
+        products[existingIndex] = productData;
+      } else {
+        products.push(productData);
+      }
+
+      localStorage.setItem(this.FALLBACK_KEY, JSON.stringify(products));
+    } catch (error) {
+      console.error('localStorage save failed:', error);
+    }
+  }
+
+  static readFallback() {
+    try {
+      const stored = localStorage.getItem(this.FALLBACK_KEY);
+      const products = stored ? JSON.parse(stored) : [];
+      return Array.isArray(products) ? products : [];
+    } catch (error) {
+      console.warn('Unreadable localStorage fallback:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Hand products stranded in this site's localStorage to the catalog
+   * Called when a supplier content script starts
+   * @returns {Promise<number>} Products added to or updated in the catalog
+   */
+  static async recoverFallback() {
+    const stranded = this.readFallback();
+    if (stranded.length === 0 || !chrome.runtime?.id) return 0;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'RECOVER_FALLBACK_PRODUCTS',
+        products: stranded,
+        origin: location.hostname
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      // Another orphaned tab on this site may have added products while we waited
+      const sent = new Set(stranded.map(p => p.asin));
+      const remaining = this.readFallback().filter(p => !sent.has(p.asin));
+      if (remaining.length > 0) {
+        localStorage.setItem(this.FALLBACK_KEY, JSON.stringify(remaining));
+      } else {
+        localStorage.removeItem(this.FALLBACK_KEY);
+      }
+
+      if (response.recovered > 0) {
+        console.log(`Recovered ${response.recovered} products from localStorage`);
+      }
+      return response.recovered;
+    } catch (error) {
+      console.warn('Could not recover products from localStorage:', error);
+      return 0;
+    }
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CatalogClient;
+}
@@ -0,0 +1,36 @@
+/**
+ * OrderMerge - What a stored eBay order keeps when a newer copy of it is saved
+ * A re-scraped, imported or recovered order replaces the stored one, but fulfillment progress
+ * (OrderFulfillment) is recorded on the stored order after it was scraped, and its status
+ * history (OrderTimeline) can hold events from earlier scrapes.
+ * Shared by OrderStorageManager (eBay content script) and StorageRecovery (background worker).
+ * Loaded as a classic script after OrderTimeline.
+ */
+
+class OrderMerge {
+  /**
+   * An incoming order with the stored order's fulfillment progress, when it has none of its own
+   * @param {Object} order - Incoming order
+   * @param {Object} [existing] - Stored order with the same ID
+   * @returns {Object}
+   */
+  static keepFulfillment(order, existing) {
+    return existing?.fulfillment && !order.fulfillment ? { ...order, fulfillment: existing.fulfillment } : order;
+  }
+
+  /**
+   * An incoming order with everything recorded on the stored one: fulfillment progress and the
+   * status events seen on earlier scrapes
+   * @param {Object} order - Incoming order
+   * @param {Object} [existing] - Stored order with the same ID
+   * @returns {Object}
+   */
+  static keepRecorded(order, existing) {
+    return OrderTimeline.keepHistory(this.keepFulfillment(order, existing), existing);
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrderMerge;
+}
@@ -1,6 +1,8 @@
 /**
  * OrderStorageManager - Manages storage of eBay order data
  * Follows the same pattern as StorageManager for consistency
+ * Order states come from OrderTimeline, and re-saved orders are merged by OrderMerge (both loaded
+ * ahead of this module)
  */
 export class OrderStorageManager {
   static STORAGE_KEY = 'scrapedOrders';
@@ -20,7 +22,7 @@ export class OrderStorageManager {
 
       if (existingIndex >= 0) {
         // Update existing order
-        orders[existingIndex] = orderData;
+        orders[existingIndex] = OrderMerge.keepRecorded(orderData, orders[existingIndex]);
         console.log(`Updated existing order: ${orderData.orderId}`);
       } else {
         // Add new order
@@ -54,7 +56,7 @@ export class OrderStorageManager {
 
       // Merge new orders with existing (update duplicates)
       ordersArray.forEach(order => {
-        orderMap.set(order.orderId, order);
+        orderMap.set(order.orderId, OrderMerge.keepRecorded(order, orderMap.get(order.orderId)));
       });
 
       const mergedOrders = Array.from(orderMap.values());
@@ -200,6 +202,59 @@ export class OrderStorageManager {
     }
   }
 
+  /**
+   * Hand orders stranded in this site's localStorage to the background worker,
+   * which merges them into chrome.storage without duplicates
+   * Called when the eBay content script starts
+   * @returns {Promise<number>} Number of orders added or updated
+   */
+  static async recoverFromLocalStorage() {
+    const stranded = this.readLocalStorage();
+    if (stranded.length === 0 || !chrome.runtime?.id) return 0;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'RECOVER_FALLBACK_ORDERS',
+        orders: stranded,
+        origin: location.hostname
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      // Another orphaned tab on this site may have saved orders while we waited; only the copies
+      // that were sent are done with
+      const sent = new Map(stranded.map(order => [order.orderId, order.scrapedAt]));
+      const remaining = this.readLocalStorage()
+        .filter(order => !sent.has(order.orderId) || sent.get(order.orderId) !== order.scrapedAt);
+      if (remaining.length > 0) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(remaining));
+      } else {
+        localStorage.removeItem(this.STORAGE_KEY);
+      }
+
+      return response.recovered;
+    } catch (error) {
+      console.warn('Could not recover orders from localStorage:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Orders in this site's localStorage fallback
+   * @returns {Array}
+   */
+  static readLocalStorage() {
+    try {
+      const localData = localStorage.getItem(this.STORAGE_KEY);
+      const orders = localData ? JSON.parse(localData) : [];
+      return Array.isArray(orders) ? orders.filter(order => order?.orderId) : [];
+    } catch (error) {
+      console.warn('Unreadable localStorage orders:', error);
+      return [];
+    }
+  }
+
   /**
    * Get order count
    * @returns {Promise<number>} Number of scraped orders
@@ -235,13 +290,13 @@ export class OrderStorageManager {
 
   /**
    * Get orders by status
-   * @param {string} status - Order status to filter by
+   * @param {string} status - Normalized state: one of OrderTimeline.STATES, or 'unknown'
    * @returns {Promise<Array>} Filtered orders
    */
   static async getOrdersByStatus(status) {
     try {
       const orders = await this.getScrapedOrders();
-      return orders.filter(order => order.orderStatus === status);
+      return orders.filter(order => OrderTimeline.stateOf(order) === status);
     } catch (error) {
       console.error('Error getting orders by status:', error);
       return [];
@@ -332,8 +387,8 @@ export class OrderStorageManager {
           stats.totalFees += parseFloat(order.financials.ebayFees.replace(/[^0-9.]/g, '')) || 0;
         }
 
-        // Count by status
-        const status = order.orderStatus || 'Unknown';
+        // Count by normalized state
+        const status = OrderTimeline.stateOf(order);
         stats.ordersByStatus[status] = (stats.ordersByStatus[status] || 0) + 1;
       });
 
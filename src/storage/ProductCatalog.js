@@ -0,0 +1,343 @@
+/**
+ * ProductCatalog - IndexedDB store for every scraped product (Amazon, Yami, Costco)
+ * Lives in the extension's origin: the background worker, popup and viewer pages open it
+ * directly, content scripts go through CatalogClient (IndexedDB in a content script would
+ * belong to the supplier's site).
+ *
+ * Object store "products", keyed by product ID (asin), with indexes on
+ * source, scrapedAt and priceValue (the price as a number, in the pricing base currency).
+ * Writes bump catalogUpdatedAt in chrome.storage.local so open pages can refresh.
+ * saveProduct screens scrapes with ProductScreener, so it is only called where that is loaded (background worker).
+ */
+
+class ProductCatalog {
+  static DB_NAME = 'productCatalog';
+  static DB_VERSION = 1;
+  static STORE_NAME = 'products';
+  static CHANGE_KEY = 'catalogUpdatedAt';
+  static LEGACY_KEY = 'scrapedProducts'; // Where products lived before the catalog
+
+  static SORT_INDEXES = { scrapedAt: 'scrapedAt', price: 'priceValue' };
+
+  static BATCH_SIZE = 25;       // Queued saves written in one transaction
+  static FLUSH_DELAY_MS = 400;  // How long a save waits for others to join its batch
+
+  static dbPromise = null;
+  static pending = new Map();
+  static flushTimer = null;
+
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'asin' });
+          store.createIndex('source', 'source');
+          store.createIndex('scrapedAt', 'scrapedAt');
+          store.createIndex('priceValue', 'priceValue');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback in a transaction and resolve once it has committed
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} callback - (store, setResult) => void
+   * @returns {Promise<*>} Whatever the callback passed to setResult
+   */
+  static async withStore(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE_NAME, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Catalog transaction aborted'));
+
+      callback(tx.objectStore(this.STORE_NAME), (value) => { result = value; });
+    });
+  }
+
+  // Index fields must always be present, or IndexedDB leaves the record out of the index
+  static toRecord(product) {
+    return {
+      ...product,
+      source: product.source || 'amazon',
+      scrapedAt: product.scrapedAt || '',
+      priceValue: PricingEngine.costInBase(product.price, product)
+    };
+  }
+
+  static fromRecord(record) {
+    if (!record) return null;
+    const { priceValue, ...product } = record;
+    return product;
+  }
+
+  /**
+   * Screen a scraped product and queue it for saving
+   * Blocked products are not saved; flagged ones are saved with a screening note
+   * @param {Object} product - Sanitized product data
+   * @returns {Promise<Object>} { saved, screening }, once the batch holding this product is written
+   */
+  static async saveProduct(product) {
+    if (!product?.asin) {
+      throw new Error('Product has no ID');
+    }
+
+    const screening = ProductScreener.screen(product, await ProductScreener.getLists());
+    if (screening.status === 'blocked') {
+      return { saved: false, screening };
+    }
+
+    if (screening.status === 'flagged') {
+      product.screening = { ...screening, screenedAt: new Date().toISOString() };
+    } else {
+      delete product.screening;
+    }
+
+    await this.enqueue(product);
+    return { saved: true, screening };
+  }
+
+  /**
+   * Queue a product for writing; saves arriving close together share a transaction
+   * The product is priced against the stored copy, so a manual price survives a re-scrape
+   * @param {Object} product - Sanitized product data
+   * @returns {Promise<void>} Resolves once the batch holding this product is written
+   */
+  static enqueue(product) {
+    return new Promise((resolve, reject) => {
+      const entry = this.pending.get(product.asin) || { callbacks: [] };
+      entry.product = product;
+      entry.callbacks.push({ resolve, reject });
+      this.pending.set(product.asin, entry);
+
+      if (this.pending.size >= this.BATCH_SIZE) {
+        this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), this.FLUSH_DELAY_MS);
+      }
+    });
+  }
+
+  static async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.size === 0) return;
+
+    const batch = [...this.pending.values()];
+    this.pending.clear();
+
+    try {
+      // Read the rules first: awaiting anything else inside a transaction would commit it
+      const rules = await PricingEngine.getRules();
+
+      await this.withStore('readwrite', (store) => {
+        for (const { product } of batch) {
+          const request = store.get(product.asin);
+          request.onsuccess = () => {
+            PricingEngine.applyToProduct(product, rules, this.fromRecord(request.result));
+            store.put(this.toRecord(product));
+          };
+        }
+      });
+
+      await this.notifyChanged();
+      batch.forEach(entry => entry.callbacks.forEach(cb => cb.resolve()));
+    } catch (error) {
+      console.error('Catalog batch write failed:', error);
+      batch.forEach(entry => entry.callbacks.forEach(cb => cb.reject(error)));
+    }
+  }
+
+  /**
+   * Write products as they are (no re-pricing) in a single transaction
+   * @param {Array} products - Product records
+   * @returns {Promise<void>}
+   */
+  static async putMany(products) {
+    if (!products || products.length === 0) return;
+
+    await this.withStore('readwrite', (store) => {
+      products.forEach(product => store.put(this.toRecord(product)));
+    });
+    await this.notifyChanged();
+  }
+
+  /**
+   * Read-modify-write one product in a single transaction
+   * @param {string} asin - Product ID
+   * @param {Function} update - (product) => product, must not be async
+   * @returns {Promise<Object|null>} Updated product, or null if it doesn't exist
+   */
+  static async update(asin, update) {
+    const updated = await this.withStore('readwrite', (store, setResult) => {
+      const request = store.get(asin);
+      request.onsuccess = () => {
+        if (!request.result) {
+          setResult(null);
+          return;
+        }
+        const product = update(this.fromRecord(request.result));
+        store.put(this.toRecord(product));
+        setResult(product);
+      };
+    });
+
+    if (updated) await this.notifyChanged();
+    return updated;
+  }
+
+  static async get(asin) {
+    return this.withStore('readonly', (store, setResult) => {
+      const request = store.get(asin);
+      request.onsuccess = () => setResult(this.fromRecord(request.result));
+    });
+  }
+
+  /**
+   * All products, optionally from one source
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'amazon' | 'yami' | 'costco'
+   * @returns {Promise<Array>} Products, oldest scrape first
+   */
+  static async getAll({ source = null } = {}) {
+    const records = await this.withStore('readonly', (store, setResult) => {
+      const request = source
+        ? store.index('source').getAll(source)
+        : store.index('scrapedAt').getAll();
+      request.onsuccess = () => setResult(request.result);
+    });
+
+    return records.map(record => this.fromRecord(record));
+  }
+
+  static async count({ source = null } = {}) {
+    return this.withStore('readonly', (store, setResult) => {
+      const request = source ? store.index('source').count(source) : store.count();
+      request.onsuccess = () => setResult(request.result);
+    });
+  }
+
+  /**
+   * One page of products
+   * @param {Object} [options]
+   * @param {string} [options.source] - Only this source
+   * @param {string} [options.sortBy] - 'scrapedAt' | 'price'
+   * @param {string} [options.direction] - 'desc' | 'asc'
+   * @param {number} [options.offset] - Products to skip
+   * @param {number} [options.limit] - Page size
+   * @param {Function} [options.filter] - Extra (product) => boolean test
+   * @returns {Promise<Object>} { items, total } where total counts every match
+   */
+  static async query({ source = null, sortBy = 'scrapedAt', direction = 'desc', offset = 0, limit = 20, filter = null } = {}) {
+    const indexName = this.SORT_INDEXES[sortBy] || this.SORT_INDEXES.scrapedAt;
+
+    return this.withStore('readonly', (store, setResult) => {
+      const items = [];
+      let total = 0;
+
+      const request = store.index(indexName).openCursor(null, direction === 'asc' ? 'next' : 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          setResult({ items, total });
+          return;
+        }
+
+        const product = this.fromRecord(cursor.value);
+        if ((!source || product.source === source) && (!filter || filter(product))) {
+          if (total >= offset && items.length < limit) items.push(product);
+          total++;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Totals for the popup header
+   * @returns {Promise<Object>} { count, images }
+   */
+  static async getStats() {
+    return this.withStore('readonly', (store, setResult) => {
+      let count = 0;
+      let images = 0;
+
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          setResult({ count, images });
+          return;
+        }
+        count++;
+        images += cursor.value.images?.length || 0;
+        cursor.continue();
+      };
+    });
+  }
+
+  static async delete(asin) {
+    await this.withStore('readwrite', (store) => store.delete(asin));
+    await this.notifyChanged();
+  }
+
+  static async clear() {
+    await this.withStore('readwrite', (store) => store.clear());
+    await this.notifyChanged();
+  }
+
+  /**
+   * Move products saved by older versions (chrome.storage.local scrapedProducts) into the catalog
+   * Products already in the catalog win; safe to run on every startup
+   * @returns {Promise<number>} Number of products imported
+   */
+  static async migrateFromStorage() {
+    const legacy = await new Promise((resolve) => {
+      chrome.storage.local.get([this.LEGACY_KEY], (result) => resolve(result[this.LEGACY_KEY] || []));
+    });
+    if (legacy.length === 0) return 0;
+
+    const imported = await this.withStore('readwrite', (store, setResult) => {
+      let added = 0;
+      setResult(added);
+      legacy.filter(product => product?.asin).forEach(product => {
+        const request = store.add(this.toRecord(product));
+        request.onsuccess = () => { added++; setResult(added); };
+        request.onerror = (event) => {
+          // Already in the catalog - keep the newer copy and don't abort the transaction
+          event.preventDefault();
+          event.stopPropagation();
+        };
+      });
+    });
+
+    await new Promise((resolve) => chrome.storage.local.remove([this.LEGACY_KEY], resolve));
+    await this.notifyChanged();
+    console.log(`Product catalog: migrated ${imported} products from chrome.storage.local`);
+    return imported;
+  }
+
+  static async notifyChanged() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.CHANGE_KEY]: Date.now() }, () => resolve());
+    });
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductCatalog;
+}
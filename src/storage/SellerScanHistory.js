@@ -0,0 +1,144 @@
+/**
+ * SellerScanHistory - Dated snapshots of every Sale Scanner run, per seller
+ * Comparing snapshots gives sold-per-day, new and ended listings, and price changes
+ *
+ * Storage (sellerScanHistory), oldest snapshot first:
+ *   { [seller]: [{ scannedAt, complete, items: { [itemId]: { price, soldCount, watchingCount } } }] }
+ * A snapshot is "complete" when it covers every listing the seller had, which is
+ * the only case where a missing listing can be counted as ended.
+ */
+export class SellerScanHistory {
+  static STORAGE_KEY = 'sellerScanHistory';
+  static MAX_SNAPSHOTS = 20; // Per seller
+  static MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  static async getAll() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => resolve(result[this.STORAGE_KEY] || {}));
+    });
+  }
+
+  /**
+   * Store a scan as a new snapshot and compare it with the seller's previous one
+   * @param {string} seller - Seller ID
+   * @param {Object} items - { [itemId]: { price, soldCount, watchingCount } }
+   * @param {Object} [options]
+   * @param {boolean} [options.complete] - Whether every listing was scanned
+   * @returns {Promise<Object|null>} Changes since the previous snapshot, null on the first scan
+   */
+  static async recordSnapshot(seller, items, { complete = false } = {}) {
+    const all = await this.getAll();
+    const snapshots = all[seller] || [];
+    const previous = snapshots[snapshots.length - 1] || null;
+
+    const snapshot = { scannedAt: new Date().toISOString(), complete, items };
+    all[seller] = [...snapshots, snapshot].slice(-this.MAX_SNAPSHOTS);
+
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: all }, resolve);
+    });
+
+    return previous ? this.compareSnapshots(previous, snapshot) : null;
+  }
+
+  /**
+   * Work out what changed between two snapshots of the same seller
+   * @param {Object} previous - Older snapshot
+   * @param {Object} current - Newer snapshot
+   * @returns {Object} { days, newListings, endedListings, priceChanges, soldDelta }
+   */
+  static compareSnapshots(previous, current) {
+    const newListings = [];
+    const endedListings = [];
+    const priceChanges = [];
+    let soldDelta = 0;
+
+    for (const [itemId, item] of Object.entries(current.items)) {
+      const before = previous.items[itemId];
+      if (!before) {
+        newListings.push(itemId);
+        continue;
+      }
+      if (before.price != null && item.price != null && before.price !== item.price) {
+        priceChanges.push({ itemId, from: before.price, to: item.price });
+      }
+      if (before.soldCount != null && item.soldCount != null && item.soldCount > before.soldCount) {
+        soldDelta += item.soldCount - before.soldCount;
+      }
+    }
+
+    // Only a full scan can tell an ended listing from one we didn't reach
+    if (current.complete) {
+      for (const itemId of Object.keys(previous.items)) {
+        if (!current.items[itemId]) endedListings.push(itemId);
+      }
+    }
+
+    return {
+      days: (new Date(current.scannedAt) - new Date(previous.scannedAt)) / this.MS_PER_DAY,
+      newListings,
+      endedListings,
+      priceChanges,
+      soldDelta
+    };
+  }
+
+  /**
+   * Every recorded data point for one listing, oldest first
+   * @param {Array} snapshots - The seller's snapshots
+   * @param {string} itemId - eBay item ID
+   * @returns {Array} [{ scannedAt, price, soldCount, watchingCount }]
+   */
+  static getItemHistory(snapshots, itemId) {
+    return (snapshots || [])
+      .filter(snapshot => snapshot.items[itemId])
+      .map(snapshot => ({ scannedAt: snapshot.scannedAt, ...snapshot.items[itemId] }));
+  }
+
+  /**
+   * Sales velocity and listing status of one item from its seller's snapshots
+   * Velocity is measured between the last two scans that read the sold count
+   * @param {Array} snapshots - The seller's snapshots
+   * @param {string} itemId - eBay item ID
+   * @returns {Object} { soldPerDay, soldDelta, days, isNew, isEnded, previousPrice, currentPrice, points }
+   */
+  static getItemTrend(snapshots, itemId) {
+    const list = snapshots || [];
+    const points = this.getItemHistory(list, itemId);
+    const counted = points.filter(p => p.soldCount != null);
+    const latestSnapshot = list[list.length - 1];
+
+    const trend = {
+      soldPerDay: null,
+      soldDelta: null,
+      days: null,
+      isNew: points.length === 1 && list.length > 1 && !!latestSnapshot?.items[itemId],
+      isEnded: !!latestSnapshot?.complete && points.length > 0 && !latestSnapshot.items[itemId],
+      previousPrice: points.length > 1 ? points[points.length - 2].price : null,
+      currentPrice: points.length > 0 ? points[points.length - 1].price : null,
+      points
+    };
+
+    if (counted.length >= 2) {
+      const last = counted[counted.length - 1];
+      const before = counted[counted.length - 2];
+      const days = (new Date(last.scannedAt) - new Date(before.scannedAt)) / this.MS_PER_DAY;
+      trend.soldDelta = Math.max(0, last.soldCount - before.soldCount);
+      trend.days = days;
+      trend.soldPerDay = days > 0 ? trend.soldDelta / days : null;
+    }
+
+    return trend;
+  }
+
+  static parsePrice(text) {
+    const m = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+    return m ? parseFloat(m[1]) : null;
+  }
+
+  static async clear() {
+    return new Promise(resolve => {
+      chrome.storage.local.remove([this.STORAGE_KEY], resolve);
+    });
+  }
+}
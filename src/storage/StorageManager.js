@@ -1,69 +1,11 @@
 /**
  * Storage Manager
  * Handles all data persistence using Chrome storage and localStorage fallback
+ * Products go to the catalog through CatalogClient (loaded ahead of content.js in manifest.json)
  */
 export class StorageManager {
   static async saveProduct(productData) {
-    return new Promise((resolve, reject) => {
-      if (!chrome.runtime?.id) {
-        console.warn('Extension context invalidated, using localStorage');
-        this.saveToLocalStorage(productData);
-        resolve();
-        return;
-      }
-
-      try {
-        chrome.storage.local.get(['scrapedProducts'], (result) => {
-          if (chrome.runtime.lastError) {
-            console.warn('chrome.storage failed, using localStorage:', chrome.runtime.lastError);
-            this.saveToLocalStorage(productData);
-            resolve();
-            return;
-          }
-
-          const products = result.scrapedProducts || [];
-          const existingIndex = products.findIndex(p => p.asin === productData.asin);
-
-          if (existingIndex >= 0) {
-            products[existingIndex] = productData;
-          } else {
-            products.push(productData);
-          }
-
-          chrome.storage.local.set({ scrapedProducts: products }, () => {
-            if (chrome.runtime.lastError) {
-              console.warn('chrome.storage.set failed, using localStorage:', chrome.runtime.lastError);
-              this.saveToLocalStorage(productData);
-              resolve();
-            } else {
-              resolve();
-            }
-          });
-        });
-      } catch (error) {
-        console.warn('Extension context invalidated, using localStorage');
-        this.saveToLocalStorage(productData);
-        resolve();
-      }
-    });
-  }
-
-  static saveToLocalStorage(productData) {
-    try {
-      const stored = localStorage.getItem('scrapedProducts');
-      const products = stored ? JSON.parse(stored) : [];
-      const existingIndex = products.findIndex(p => p.asin === productData.asin);
-
-      if (existingIndex >= 0) {
-        products[existingIndex] = productData;
-      } else {
-        products.push(productData);
-      }
-
-      localStorage.setItem('scrapedProducts', JSON.stringify(products));
-    } catch (error) {
-      console.error('localStorage save failed:', error);
-    }
+    return CatalogClient.saveProduct(productData);
   }
 
   static async getPrimeOnlyMode() {
@@ -81,4 +23,21 @@ export class StorageManager {
       });
     });
   }
+
+  // Fetch every child ASIN of a variation product (VariationExpander)
+  static async getExpandVariationsMode() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['expandVariations'], (result) => {
+        resolve(result.expandVariations || false);
+      });
+    });
+  }
+
+  static async setExpandVariationsMode(value) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ expandVariations: value }, () => {
+        resolve();
+      });
+    });
+  }
 }
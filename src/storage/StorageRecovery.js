@@ -0,0 +1,113 @@
+/**
+ * StorageRecovery - Merges records stranded in a site's localStorage back into extension storage
+ * When a content script loses its extension context, products (CatalogClient) and eBay
+ * orders (OrderStorageManager) are written to the page's localStorage. Freshly started
+ * content scripts send those leftovers here; the background worker de-duplicates them
+ * and leaves a notice for the popup.
+ *
+ * Notice (storageRecoveryNotice): { products, orders, origins: [...], updatedAt }
+ */
+
+class StorageRecovery {
+  static NOTICE_KEY = 'storageRecoveryNotice';
+  static ORDERS_KEY = 'scrapedOrders';
+
+  /**
+   * Whether a stranded record should replace the stored one
+   * @param {Object} record - Record from localStorage
+   * @param {Object|undefined} existing - Record already in extension storage
+   * @returns {boolean}
+   */
+  static isNewer(record, existing) {
+    return !existing || (record.scrapedAt || '') > (existing.scrapedAt || '');
+  }
+
+  /**
+   * Merge stranded products into the catalog; a catalog copy only loses to a newer scrape
+   * @param {Array} products - Products from the fallback
+   * @param {string} origin - Site they were stranded on
+   * @returns {Promise<number>} Products added or updated
+   */
+  static async recoverProducts(products, origin) {
+    const candidates = (products || []).filter(product => product?.asin);
+    const existing = await Promise.all(candidates.map(product => ProductCatalog.get(product.asin)));
+    const newer = candidates.filter((product, i) => this.isNewer(product, existing[i]));
+
+    // Saved through the normal path so the products are screened and priced like any other scrape
+    const results = await Promise.all(newer.map(product => ProductCatalog.saveProduct(product)));
+    const saved = results.filter(result => result.saved).length;
+
+    if (saved > 0) {
+      await this.recordNotice('products', saved, origin);
+    }
+    return saved;
+  }
+
+  /**
+   * Merge stranded orders into scrapedOrders
+   * The fallback holds a copy of the whole order list, so most entries are usually already stored
+   * @param {Array} orders - Orders from the fallback
+   * @param {string} origin - Site they were stranded on
+   * @returns {Promise<number>} Orders added or updated
+   */
+  static async recoverOrders(orders, origin) {
+    const stored = await new Promise((resolve) => {
+      chrome.storage.local.get([this.ORDERS_KEY], (result) => resolve(result[this.ORDERS_KEY] || []));
+    });
+    const orderMap = new Map(stored.map(order => [order.orderId, order]));
+
+    let recovered = 0;
+    (orders || []).filter(order => order?.orderId).forEach(order => {
+      const existing = orderMap.get(order.orderId);
+      if (this.isNewer(order, existing)) {
+        orderMap.set(order.orderId, OrderMerge.keepRecorded(order, existing));
+        recovered++;
+      }
+    });
+
+    if (recovered > 0) {
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [this.ORDERS_KEY]: Array.from(orderMap.values()) }, () => resolve());
+      });
+      await this.recordNotice('orders', recovered, origin);
+    }
+    return recovered;
+  }
+
+  /**
+   * Add to the popup notice; counts accumulate until the user dismisses it
+   * @param {string} kind - 'products' | 'orders'
+   * @param {number} count - Records recovered
+   * @param {string} origin - Site they were recovered from
+   * @returns {Promise<void>}
+   */
+  static async recordNotice(kind, count, origin) {
+    const notice = (await this.getNotice()) || { products: 0, orders: 0, origins: [] };
+    notice[kind] += count;
+    if (origin && !notice.origins.includes(origin)) {
+      notice.origins.push(origin);
+    }
+    notice.updatedAt = new Date().toISOString();
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.NOTICE_KEY]: notice }, () => resolve());
+    });
+  }
+
+  static async getNotice() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.NOTICE_KEY], (result) => resolve(result[this.NOTICE_KEY] || null));
+    });
+  }
+
+  static async dismissNotice() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([this.NOTICE_KEY], () => resolve());
+    });
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageRecovery;
+}
@@ -0,0 +1,152 @@
+/**
+ * TrackingNumbers - Recognizes carrier tracking numbers by their format and check digit
+ * Covers USPS, UPS, FedEx, DHL Express, Amazon Logistics and OnTrac. A number that fits a carrier's
+ * format but fails its check digit is kept and flagged invalid, as is a number after a tracking
+ * label that fits no carrier. Amazon (TBA) and OnTrac numbers carry no check digit; only their
+ * format is checked.
+ *
+ * Result: { trackingNumber, carrier, carrierCode, trackingUrl, valid, problem }
+ * Loaded as a classic script by the eBay content script and the popup.
+ */
+
+class TrackingNumbers {
+  static CARRIERS = {
+    usps: { name: 'USPS', url: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+    ups: { name: 'UPS', url: 'https://www.ups.com/track?tracknum=' },
+    fedex: { name: 'FedEx', url: 'https://www.fedex.com/fedextrack/?trknbr=' },
+    dhl: { name: 'DHL', url: 'https://www.dhl.com/global-en/home/tracking.html?tracking-id=' },
+    amazon: { name: 'Amazon Logistics', url: 'https://track.amazon.com/tracking/' },
+    ontrac: { name: 'OnTrac', url: 'https://www.ontrac.com/tracking/?number=' }
+  };
+
+  // Tried in order; numeric formats are told apart by length and prefix. `number` picks the part
+  // carriers track by (USPS labels can lead with a 420 + ZIP routing code)
+  static FORMATS = [
+    { carrier: 'ups', pattern: /^1Z[0-9A-Z]{16}$/, check: 'ups' },
+    { carrier: 'amazon', pattern: /^TBA\d{12}$/ },
+    { carrier: 'ontrac', pattern: /^[CD]\d{14}$/ },
+    { carrier: 'usps', pattern: /^[A-Z]{2}\d{9}US$/, check: 's10' },
+    { carrier: 'usps', pattern: /^(?:420\d{5}(?:\d{4})?)?(9[1-5]\d{18,20})$/, number: 1, check: 'mod10' },
+    { carrier: 'fedex', pattern: /^\d{12}$/, check: 'fedex' },
+    { carrier: 'fedex', pattern: /^\d{15}$/, check: 'mod10' },
+    { carrier: 'fedex', pattern: /^96\d{20}$/ },
+    { carrier: 'dhl', pattern: /^\d{10}$/, check: 'mod7' }
+  ];
+
+  // Formats distinctive enough to pick out of page text without a tracking label before them
+  static UNLABELLED_PATTERN = /\b(1Z[0-9A-Z]{16}|TBA\d{12}|[A-Z]{2}\d{9}US)\b/;
+
+  static LABEL_PATTERN = /tracking\s*(?:number|no\.?|#|id)?\s*[:#]?\s*([A-Z0-9][A-Z0-9 -]{6,40})/gi;
+
+  /**
+   * Identify a tracking number's carrier and check its check digit
+   * @param {string} raw - Tracking number; spaces and dashes are ignored
+   * @returns {Object|null} Result, or null when it fits no carrier's format
+   */
+  static parse(raw) {
+    const compact = this.compact(raw);
+
+    for (const format of this.FORMATS) {
+      const match = compact.match(format.pattern);
+      if (!match) continue;
+
+      const trackingNumber = match[format.number || 0];
+      const valid = !format.check || this.CHECKS[format.check](trackingNumber);
+      return this.result(trackingNumber, format.carrier,
+        valid ? null : `${this.CARRIERS[format.carrier].name} check digit doesn't match`);
+    }
+    return null;
+  }
+
+  /**
+   * Find the tracking number in order page text
+   * @param {string} text - Page or section text
+   * @returns {Object|null} Result; an unrecognized number after a tracking label comes back flagged
+   */
+  static findInText(text) {
+    const source = String(text || '');
+    let unrecognized = null;
+    let invalid = null;
+
+    for (const [, following] of source.matchAll(this.LABEL_PATTERN)) {
+      // The number ends where the words start again: "1Z999AA10123456784 Delivered"
+      const candidate = following.split(/\s+(?=[A-Z]*[a-z]|[A-Z]{2,}\b(?![0-9]))/)[0];
+      if (!/\d/.test(candidate)) continue;
+
+      const result = this.parse(candidate);
+      if (result?.valid) return result;
+      if (result) invalid = invalid || result;
+      else unrecognized = unrecognized || this.result(this.compact(candidate), null, 'Not a recognized tracking number format');
+    }
+
+    const unlabelled = source.match(this.UNLABELLED_PATTERN);
+    const result = unlabelled ? this.parse(unlabelled[1]) : null;
+    if (result?.valid) return result;
+    return invalid || result || unrecognized;
+  }
+
+  /**
+   * @param {string} trackingNumber
+   * @param {string|null} carrierCode - Key of CARRIERS
+   * @param {string|null} problem - Why the number looks invalid
+   * @returns {Object}
+   */
+  static result(trackingNumber, carrierCode, problem) {
+    const carrier = this.CARRIERS[carrierCode] || null;
+    return {
+      trackingNumber,
+      carrier: carrier?.name || null,
+      carrierCode: carrier ? carrierCode : null,
+      trackingUrl: carrier ? carrier.url + encodeURIComponent(trackingNumber) : null,
+      valid: !problem,
+      problem: problem || null
+    };
+  }
+
+  static compact(raw) {
+    return String(raw || '').replace(/[\s-]+/g, '').toUpperCase();
+  }
+
+  // ===== Check digits =====
+
+  static CHECKS = {
+    // 1Z + 15 characters + check digit; letters count as (code - 63) mod 10, every second one doubled
+    ups: (number) => {
+      const values = [...number.slice(2, -1)].map(char =>
+        /\d/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10);
+      const sum = values.reduce((total, value, i) => total + (i % 2 === 1 ? value * 2 : value), 0);
+      return (10 - (sum % 10)) % 10 === Number(number.slice(-1));
+    },
+
+    // UPU S10 (international mail): 8 digits weighted 8 6 4 2 3 5 9 7, mod 11
+    s10: (number) => {
+      const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+      const sum = weights.reduce((total, weight, i) => total + weight * Number(number[2 + i]), 0);
+      const check = 11 - (sum % 11);
+      return (check === 10 ? 0 : check === 11 ? 5 : check) === Number(number[10]);
+    },
+
+    // GS1 mod 10 (USPS IMpb, FedEx Ground): weights 3 and 1 from the right of the check digit
+    mod10: (number) => {
+      const digits = [...number.slice(0, -1)].reverse().map(Number);
+      const sum = digits.reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+      return (10 - (sum % 10)) % 10 === Number(number.slice(-1));
+    },
+
+    // FedEx Express: weights 1 3 7 from the right of the check digit, mod 11
+    fedex: (number) => {
+      const weights = [1, 3, 7];
+      const digits = [...number.slice(0, -1)].reverse().map(Number);
+      const sum = digits.reduce((total, digit, i) => total + digit * weights[i % 3], 0);
+      return (sum % 11) % 10 === Number(number.slice(-1));
+    },
+
+    // DHL Express waybill: the first 9 digits mod 7
+    mod7: (number) => Number(number.slice(0, 9)) % 7 === Number(number[9])
+  };
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrackingNumbers;
+}
@@ -14,6 +14,9 @@ export class DOMHelpers {
 
   static isCategoryPage() {
     const url = window.location.href;
+    // Localized bestseller/new-release paths differ per marketplace (/Bestseller, /ranking, ...)
+    if (Marketplaces.current().categoryPaths.some(path => url.includes(path))) return true;
+
     return url.includes('/s?') ||
            url.includes('/s/') ||
            url.includes('/b/') ||
@@ -38,6 +41,30 @@ export class DOMHelpers {
     return window.location.href.includes('alertId=yaab-enterAddressSucceed');
   }
 
+  static isCheckoutPage() {
+    const url = window.location.href;
+    return url.includes('/gp/buy/') || url.includes('/checkout/');
+  }
+
+  static isOrderConfirmationPage() {
+    return /thank-?you/i.test(window.location.pathname);
+  }
+
+  static isOrderHistoryPage() {
+    const url = window.location.href;
+    return url.includes('/gp/your-account/order-history') || url.includes('/your-orders/orders') || url.includes('/gp/css/order-history');
+  }
+
+  static isOrderDetailsPage() {
+    const url = window.location.href;
+    return url.includes('/gp/your-account/order-details') || url.includes('/your-orders/order-details') || url.includes('/gp/css/summary/edit.html');
+  }
+
+  static isPackageTrackingPage() {
+    const url = window.location.href;
+    return url.includes('/progress-tracker/package') || url.includes('/gp/your-account/ship-track');
+  }
+
   static getVisibleProductCount() {
     const productSelectors = [
       '[data-asin]:not([data-asin=""])',
@@ -71,10 +98,7 @@ export class DOMHelpers {
   }
 
   static parsePrice(priceText) {
-    if (!priceText) return 0;
-    const cleaned = priceText.replace(/[^0-9.]/g, '');
-    const price = parseFloat(cleaned);
-    return isNaN(price) ? 0 : price;
+    return Marketplaces.parsePrice(priceText) || 0;
   }
 
   static formatPhoneNumber(phoneNumber) {
@@ -1,6 +1,7 @@
 /**
  * Data Sanitizer
  * Removes Amazon branding and sanitizes product data for reselling
+ * Localized phrases ("Versand durch Amazon", "Expédié par Amazon", ...) come from Marketplaces
  */
 export class DataSanitizer {
   static sanitizeProductData(productData) {
@@ -37,8 +38,15 @@ export class DataSanitizer {
   static removeAmazonBranding(text) {
     if (!text || typeof text !== 'string') return text;
 
+    // The page language's phrases go first, while "Amazon" is still there to match
+    const strings = Marketplaces.strings();
+    const localized = strings === Marketplaces.LANGUAGES.en
+      ? strings.branding
+      : [...strings.branding, ...Marketplaces.LANGUAGES.en.branding];
+
     const patterns = [
-      { pattern: /\bAmazon\.com\b/gi, replacement: '' },
+      ...localized,
+      { pattern: /\bAmazon\.(com\.au|co\.uk|co\.jp|com|ca|de|fr|it|es)\b/gi, replacement: '' },
       { pattern: /\bAmazon\b/gi, replacement: '' },
       { pattern: /\bAMZ\b/gi, replacement: '' },
       { pattern: /\bamzn\b/gi, replacement: '' },
@@ -47,9 +55,6 @@ export class DataSanitizer {
       { pattern: /Amazon's Choice/gi, replacement: '' },
       { pattern: /Amazon Basics/gi, replacement: 'Basic' },
       { pattern: /Amazon\.com Gift Card/gi, replacement: 'Gift Card' },
-      { pattern: /Ships from Amazon/gi, replacement: '' },
-      { pattern: /Sold by Amazon/gi, replacement: '' },
-      { pattern: /Fulfilled by Amazon/gi, replacement: '' },
       { pattern: /\bFBA\b/gi, replacement: '' },
       { pattern: /https?:\/\/(www\.)?amazon\.[a-z.]+\/[^\s]*/gi, replacement: '' },
       { pattern: /www\.amazon\.[a-z]+/gi, replacement: '' },
@@ -0,0 +1,239 @@
+/**
+ * ValidationProfiles - Named rule sets deciding which scraped products are worth saving
+ * Each profile sets delivery, price, image, bullet, keyword, Prime and rating limits.
+ * Standard reproduces the checks from before profiles existed; the stricter rules live in the
+ * other built-in profiles.
+ * Every source (Amazon, Yami, Costco) has a selected profile used by the single-product
+ * button; bulk scrape jobs carry the profile picked in their settings modal.
+ * Loaded as a classic script in the popup and in every supplier content script
+ *
+ * Storage: validationProfiles = [profile], validationProfileBySource = { amazon: id, ... }
+ */
+
+class ValidationProfiles {
+  static PROFILES_KEY = 'validationProfiles';
+  static SELECTION_KEY = 'validationProfileBySource';
+
+  // null / 0 / [] / false turn a rule off
+  static RULE_DEFAULTS = {
+    maxDeliveryDays: null,
+    maxBulkDeliveryDays: null,
+    minPrice: null,
+    maxPrice: null,
+    minImages: 0,
+    minBullets: 0,
+    bannedKeywords: [],
+    requirePrime: false,
+    minRating: null
+  };
+
+  // Amazon bulk scrapes have always allowed a longer delivery estimate than single products
+  static DEFAULT_PROFILES = [
+    { id: 'standard', name: 'Standard', maxDeliveryDays: 10, maxBulkDeliveryDays: 12 },
+    { id: 'fast-ship-prime', name: 'Fast-ship Prime', maxDeliveryDays: 5, requirePrime: true, minImages: 3, minRating: 4 },
+    { id: 'costco-bulky', name: 'Costco bulky', minPrice: 20, minImages: 1 },
+    { id: 'yami-grocery', name: 'Yami grocery', minImages: 1, bannedKeywords: ['liquor', 'baijiu', 'soju', 'alcoholic'] }
+  ];
+
+  static DEFAULT_SELECTION = { amazon: 'standard', yami: 'standard', costco: 'standard' };
+
+  // Shown with the skip reason in the popup's job details
+  static RULE_LABELS = {
+    productId: 'Product ID',
+    price: 'Price',
+    maxDeliveryDays: 'Max delivery days',
+    maxBulkDeliveryDays: 'Max delivery days (bulk)',
+    minPrice: 'Min price',
+    maxPrice: 'Max price',
+    minImages: 'Min images',
+    minBullets: 'Min bullet points',
+    bannedKeywords: 'Banned keywords',
+    requirePrime: 'Prime required',
+    minRating: 'Min rating',
+    screening: 'Screening'
+  };
+
+  /**
+   * Fill in defaults and coerce field types
+   * @param {Object} profile - Stored or edited profile
+   * @returns {Object} Complete profile
+   */
+  static normalizeProfile(profile) {
+    const p = { ...this.RULE_DEFAULTS, ...(profile || {}) };
+    const numberOrNull = (value) => (value === null || value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+    return {
+      id: String(p.id || `profile_${Date.now()}`),
+      name: String(p.name || 'Untitled'),
+      maxDeliveryDays: numberOrNull(p.maxDeliveryDays),
+      maxBulkDeliveryDays: numberOrNull(p.maxBulkDeliveryDays),
+      minPrice: numberOrNull(p.minPrice),
+      maxPrice: numberOrNull(p.maxPrice),
+      minImages: parseInt(p.minImages) || 0,
+      minBullets: parseInt(p.minBullets) || 0,
+      bannedKeywords: (Array.isArray(p.bannedKeywords) ? p.bannedKeywords : String(p.bannedKeywords ?? '').split(','))
+        .map(keyword => String(keyword).trim())
+        .filter(Boolean),
+      requirePrime: !!p.requirePrime,
+      minRating: numberOrNull(p.minRating)
+    };
+  }
+
+  static async getProfiles() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.PROFILES_KEY], (result) => {
+        const stored = result[this.PROFILES_KEY];
+        const profiles = Array.isArray(stored) && stored.length > 0 ? stored : this.DEFAULT_PROFILES;
+        resolve(profiles.map(profile => this.normalizeProfile(profile)));
+      });
+    });
+  }
+
+  static async saveProfiles(profiles) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.PROFILES_KEY]: profiles.map(profile => this.normalizeProfile(profile)) }, () => resolve());
+    });
+  }
+
+  /**
+   * Selected profile ID per source
+   * @returns {Promise<Object>} { amazon, yami, costco }
+   */
+  static async getSelection() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.SELECTION_KEY], (result) => {
+        resolve({ ...this.DEFAULT_SELECTION, ...(result[this.SELECTION_KEY] || {}) });
+      });
+    });
+  }
+
+  static async setSelectedProfile(source, profileId) {
+    const selection = await this.getSelection();
+    selection[source] = profileId;
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.SELECTION_KEY]: selection }, () => resolve());
+    });
+  }
+
+  /**
+   * Profile to validate with: the requested one, else the source's selected one
+   * A deleted profile falls back to the first profile, so a queued job still runs
+   * @param {string} source - 'amazon' | 'yami' | 'costco'
+   * @param {string} [profileId] - Profile picked for a bulk job
+   * @returns {Promise<Object>} Profile
+   */
+  static async getProfileFor(source, profileId = null) {
+    const [profiles, selection] = await Promise.all([this.getProfiles(), this.getSelection()]);
+    return profiles.find(p => p.id === profileId)
+      || profiles.find(p => p.id === selection[source])
+      || profiles[0];
+  }
+
+  /**
+   * Check a product against a profile
+   * @param {Object} product - Extracted product data
+   * @param {Object} profile - Validation profile
+   * @param {Object} [options]
+   * @param {boolean} [options.primeOnly] - Require Prime even if the profile doesn't
+   * @param {string} [options.deliveryDate] - Delivery date text, e.g. "Tuesday, March 4"
+   * @param {boolean} [options.bulk] - Bulk scrape: maxBulkDeliveryDays applies when set
+   * @returns {Object} { isValid, errors, failures: [{ rule, message }], failedRule }
+   */
+  static validate(product, profile, { primeOnly = false, deliveryDate = null, bulk = false } = {}) {
+    const rules = this.normalizeProfile(profile);
+    const failures = [];
+    const fail = (rule, message) => failures.push({ rule, message });
+
+    // Price limits are in the product's own currency (no exchange rates in content scripts)
+    const price = this.parsePrice(product.price);
+    const money = (amount) => Marketplaces.formatMoney(amount, product.currency || 'USD');
+    if (!product.price) {
+      fail('price', 'No price available - item may be out of stock');
+    } else if (price !== null) {
+      if (rules.minPrice !== null && price < rules.minPrice) {
+        fail('minPrice', `Price ${money(price)} is below ${money(rules.minPrice)}`);
+      }
+      if (rules.maxPrice !== null && price > rules.maxPrice) {
+        fail('maxPrice', `Price ${money(price)} is above ${money(rules.maxPrice)}`);
+      }
+    }
+
+    const deliveryRule = bulk && rules.maxBulkDeliveryDays !== null ? 'maxBulkDeliveryDays' : 'maxDeliveryDays';
+    if (rules[deliveryRule] !== null && deliveryDate) {
+      const days = this.calculateDaysUntilDelivery(deliveryDate, product.marketplace);
+      if (days !== null && days > rules[deliveryRule]) {
+        fail(deliveryRule, `Delivery time too long (${days} days) - ships after ${deliveryDate}`);
+      }
+    }
+
+    if ((rules.requirePrime || primeOnly) && product.isPrime === false) {
+      fail('requirePrime', 'Not eligible for Amazon Prime shipping');
+    }
+
+    const imageCount = product.images?.length || 0;
+    if (imageCount < rules.minImages) {
+      fail('minImages', `Only ${imageCount} image${imageCount === 1 ? '' : 's'} (needs ${rules.minImages})`);
+    }
+
+    // Image placeholders are kept in bulletPoints but aren't bullets
+    const bulletCount = (product.bulletPoints || []).filter(b => !String(b).startsWith('[IMAGE]:')).length;
+    if (bulletCount < rules.minBullets) {
+      fail('minBullets', `Only ${bulletCount} bullet point${bulletCount === 1 ? '' : 's'} (needs ${rules.minBullets})`);
+    }
+
+    const keyword = this.findBannedKeyword(product, rules.bannedKeywords);
+    if (keyword) {
+      fail('bannedKeywords', `Contains banned keyword "${keyword}"`);
+    }
+
+    if (rules.minRating !== null) {
+      if (product.rating === null || product.rating === undefined) {
+        fail('minRating', 'No customer rating found');
+      } else if (product.rating < rules.minRating) {
+        fail('minRating', `Rating ${product.rating} is below ${rules.minRating}`);
+      }
+    }
+
+    return {
+      isValid: failures.length === 0,
+      errors: failures.map(f => f.message),
+      failures,
+      failedRule: failures.length > 0 ? failures[0].rule : null
+    };
+  }
+
+  /**
+   * First banned keyword found in the title or bullet points (whole words, any case)
+   * @param {Object} product - Product data
+   * @param {string[]} keywords - Banned keywords
+   * @returns {string|null} Matched keyword
+   */
+  static findBannedKeyword(product, keywords) {
+    if (!keywords || keywords.length === 0) return null;
+
+    const text = [product.title, ...(product.bulletPoints || [])].join('\n');
+    return keywords.find(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(text);
+    }) || null;
+  }
+
+  static parsePrice(price) {
+    return Marketplaces.parsePrice(price);
+  }
+
+  /**
+   * Days until an Amazon delivery date, read in the marketplace's locale
+   * @param {string} deliveryDateStr - e.g. "Tuesday, March 4" or "Friday, 7 March"
+   * @param {string} [marketplace] - Marketplace code (US when missing)
+   * @returns {number|null}
+   */
+  static calculateDaysUntilDelivery(deliveryDateStr, marketplace = Marketplaces.DEFAULT_CODE) {
+    return Marketplaces.daysUntilDelivery(deliveryDateStr, marketplace);
+  }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ValidationProfiles;
+}
@@ -0,0 +1,39 @@
+/**
+ * Extractor fixture tests
+ * Runs every saved page in tests/fixtures through its extractor and compares the result
+ * with the golden JSON next to it. After an intended change (or for a newly captured
+ * fixture), rewrite the golden files with `npm run test:update` and review the diff.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FixtureHarness } = require('./harness/FixtureHarness.js');
+
+// `npm run test:update` runs this file directly with --update
+const UPDATE = process.argv.includes('--update');
+
+const fixtures = FixtureHarness.listFixtures();
+
+test('fixtures are present', () => {
+  assert.ok(fixtures.length > 0, 'No fixtures found under tests/fixtures');
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.kind}/${fixture.name}`, () => {
+    const actual = FixtureHarness.run(fixture);
+
+    if (UPDATE) {
+      fs.writeFileSync(fixture.goldenPath, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+
+    assert.ok(
+      fs.existsSync(fixture.goldenPath),
+      `No golden file for ${path.relative(process.cwd(), fixture.htmlPath)} - run \`npm run test:update\` and review it`
+    );
+    const expected = JSON.parse(fs.readFileSync(fixture.goldenPath, 'utf8'));
+    assert.deepStrictEqual(actual, expected);
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * FixtureHarness - Runs the extension's page extractors against saved HTML fixtures in jsdom
+ * Each fixture is loaded as its own page (at the URL it was captured from) and the extractor
+ * sources are evaluated into it the way bundle.py / manifest.json load them: classic scripts
+ * as-is, ES modules with their import/export lines removed.
+ *
+ * Fixture layout: tests/fixtures/<kind>/<name>.html with its golden output in <name>.json.
+ * The capture tool (src/dev/FixtureCapture.js) writes the page URL on the first line:
+ *   <!-- fixture-url: https://www.amazon.com/dp/B0... -->
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(ROOT, 'tests', 'fixtures');
+const PACKS_DIR = path.join(ROOT, 'src', 'selectors', 'packs');
+
+class FixtureHarness {
+  // Per-kind scripts (dependencies first) and how the extractor is called on a fixture
+  static KINDS = {
+    amazon: {
+      scripts: ['src/locale/Marketplaces.js', 'src/selectors/SelectorPacks.js', 'src/health/SelectorHealth.js', 'src/scrapers/PageCrawler.js', 'src/utils/DOMHelpers.js', 'src/extractors/DataExtractor.js'],
+      defaultUrl: 'https://www.amazon.com/dp/B000000000',
+      // Every extract*FromDoc method, so new ones are covered without touching the harness
+      extract: ({ DataExtractor }, doc) => {
+        const output = {};
+        const methods = Object.getOwnPropertyNames(DataExtractor)
+          .filter(name => /^extract\w+FromDoc$/.test(name) && typeof DataExtractor[name] === 'function')
+          .sort();
+        for (const name of methods) {
+          output[name] = DataExtractor[name](doc);
+        }
+        return output;
+      }
+    },
+    'amazon-order': {
+      scripts: ['src/locale/Marketplaces.js', 'src/selectors/SelectorPacks.js', 'src/utils/DOMHelpers.js', 'src/extractors/AmazonOrderExtractor.js'],
+      defaultUrl: 'https://www.amazon.com/gp/your-account/order-history',
+      extract: ({ AmazonOrderExtractor }, doc) => AmazonOrderExtractor.extractOrdersFromDoc(doc)
+    },
+    yami: {
+      scripts: ['src/selectors/SelectorPacks.js', 'src/health/SelectorHealth.js', 'src/scrapers/PageCrawler.js', 'src/utils/YamiDOMHelpers.js', 'src/extractors/YamiDataExtractor.js'],
+      defaultUrl: 'https://www.yami.com/en/p/product/1000000000',
+      extract: ({ YamiDOMHelpers, YamiDataExtractor }, doc, url) =>
+        YamiDataExtractor.extractFromDocument(doc, YamiDOMHelpers.extractProductID(), url)
+    },
+    costco: {
+      scripts: ['src/selectors/SelectorPacks.js', 'src/health/SelectorHealth.js', 'src/scrapers/PageCrawler.js', 'src/utils/CostcoDOMHelpers.js', 'src/extractors/CostcoDataExtractor.js'],
+      defaultUrl: 'https://www.costco.com/product.100000000.html',
+      extract: ({ CostcoDOMHelpers, CostcoDataExtractor }, doc, url) =>
+        CostcoDataExtractor.extractFromDocument(doc, CostcoDOMHelpers.extractProductID(), url)
+    },
+    'ebay-order': {
+      scripts: ['src/selectors/SelectorPacks.js', 'src/tracking/TrackingNumbers.js', 'src/extractors/OrderTimeline.js', 'src/extractors/OrderDataExtractor.js'],
+      defaultUrl: 'https://www.ebay.com/mesh/ord/details?orderid=00-00000-00000',
+      extract: ({ OrderDataExtractor }, doc, url) => OrderDataExtractor.extractOrderDataFromDoc(doc, url)
+    },
+    'ebay-item': {
+      scripts: ['src/selectors/SelectorPacks.js', 'src/storage/SellerScanHistory.js', 'src/scrapers/EbaySaleScanner.js'],
+      defaultUrl: 'https://www.ebay.com/itm/100000000000',
+      extract: ({ EbaySaleScanner }, doc) => ({ soldCount: EbaySaleScanner.prototype.parseSoldCount(doc) })
+    }
+  };
+
+  // Values that change on every run are replaced before comparing with the golden file
+  static VOLATILE_KEYS = ['scrapedAt'];
+
+  // innerText approximation: elements never rendered, and elements laid out on their own lines
+  static HIDDEN_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'HEAD'];
+  static BLOCK_TAGS = ['ADDRESS', 'ARTICLE', 'ASIDE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL'];
+
+  /**
+   * List every fixture on disk
+   * @returns {Array} [{ kind, name, htmlPath, goldenPath }]
+   */
+  static listFixtures() {
+    const fixtures = [];
+    for (const kind of Object.keys(this.KINDS)) {
+      const dir = path.join(FIXTURES_DIR, kind);
+      if (!fs.existsSync(dir)) continue;
+
+      for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+        const name = file.slice(0, -'.html'.length);
+        fixtures.push({
+          kind,
+          name,
+          htmlPath: path.join(dir, file),
+          goldenPath: path.join(dir, `${name}.json`)
+        });
+      }
+    }
+    return fixtures;
+  }
+
+  /**
+   * Run a fixture's extractor and return its normalized output
+   * @param {Object} fixture - Entry from listFixtures()
+   * @returns {Object} JSON-safe extractor output
+   */
+  static run(fixture) {
+    const kind = this.KINDS[fixture.kind];
+    const html = fs.readFileSync(fixture.htmlPath, 'utf8');
+    const url = this.fixtureUrl(html) || kind.defaultUrl;
+
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+    try {
+      const { window } = dom;
+      this.polyfill(window);
+
+      const context = dom.getInternalVMContext();
+      for (const script of kind.scripts) {
+        this.loadScript(script, context);
+      }
+      this.installSelectorPacks(context);
+
+      const globals = new Proxy({}, { get: (_, name) => vm.runInContext(String(name), context) });
+      return this.normalize(kind.extract(globals, window.document, url));
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  /**
+   * Read the capture URL from the fixture's first-line comment
+   * @param {string} html - Fixture HTML
+   * @returns {string|null}
+   */
+  static fixtureUrl(html) {
+    return html.match(/^\s*<!--\s*fixture-url:\s*(\S+)\s*-->/)?.[1] || null;
+  }
+
+  /**
+   * Evaluate an extension source file in the fixture page, stripping ES module syntax like bundle.py
+   * @param {string} relativePath - Path from the repo root
+   * @param {Object} context - jsdom VM context
+   */
+  static loadScript(relativePath, context) {
+    const source = fs.readFileSync(path.join(ROOT, relativePath), 'utf8')
+      .replace(/^import\s+.*?from\s+['"].*?['"];?\s*$/gm, '')
+      .replace(/^export\s+/gm, '');
+    new vm.Script(source, { filename: relativePath }).runInContext(context);
+  }
+
+  /**
+   * Install the built-in selector packs from disk, in place of SelectorPacks.load()'s fetch
+   * @param {Object} context - jsdom VM context
+   */
+  static installSelectorPacks(context) {
+    const SelectorPacks = vm.runInContext('SelectorPacks', context);
+    for (const file of fs.readdirSync(PACKS_DIR).filter(f => f.endsWith('.json'))) {
+      SelectorPacks.install(JSON.parse(fs.readFileSync(path.join(PACKS_DIR, file), 'utf8')));
+    }
+  }
+
+  /**
+   * Fill in browser APIs jsdom doesn't implement
+   * @param {Window} window - jsdom window
+   */
+  static polyfill(window) {
+    // jsdom has no layout, so innerText is approximated: text of visible nodes, with
+    // block-level elements on their own lines the way Chrome lays out a parsed document
+    if (!('innerText' in window.HTMLElement.prototype)) {
+      const harness = this;
+      Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() { return harness.layoutText(this).replace(/[ \t]+/g, ' ').replace(/ ?\n\s*/g, '\n').trim(); },
+        configurable: true
+      });
+    }
+  }
+
+  /**
+   * Text of a node with a line break around each block-level element
+   * @param {Node} node
+   * @returns {string}
+   */
+  static layoutText(node) {
+    if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1 || this.HIDDEN_TAGS.includes(node.tagName)) return '';
+
+    const text = [...node.childNodes].map(child => this.layoutText(child)).join('');
+    return this.BLOCK_TAGS.includes(node.tagName) ? `\n${text}\n` : text;
+  }
+
+  /**
+   * Round-trip through JSON (drops undefined, flattens jsdom objects) and blank volatile values
+   * @param {*} output - Extractor output
+   * @returns {*}
+   */
+  static normalize(output) {
+    return JSON.parse(JSON.stringify(output ?? null, (key, value) =>
+      this.VOLATILE_KEYS.includes(key) && value ? `<${key}>` : value
+    ));
+  }
+}
+
+module.exports = { FixtureHarness, FIXTURES_DIR };
@@ -0,0 +1,105 @@
+/**
+ * Tracking number tests
+ * Known-good and known-bad numbers for each carrier's format and check digit, and picking the
+ * number out of order page text.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TrackingNumbers = require('../src/tracking/TrackingNumbers.js');
+
+const VALID = [
+  ['1Z999AA10123456784', 'ups'],
+  ['1Z5R89390357567127', 'ups'],
+  ['RA123456785US', 'usps'],
+  ['9505500020105668000019', 'usps'],
+  ['797843158299', 'fedex'],
+  ['123456789012', 'fedex'],
+  ['449044304137821', 'fedex'],
+  ['3318810025', 'dhl'],
+  ['TBA123456789012', 'amazon'],
+  ['C10999911320231', 'ontrac']
+];
+
+const INVALID = [
+  ['1Z999AA10123456785', 'ups'],
+  ['RA123456784US', 'usps'],
+  ['9400100000000000000000', 'usps'],
+  ['797843158298', 'fedex'],
+  ['449044304137822', 'fedex'],
+  ['1234567890', 'dhl']
+];
+
+test('numbers that pass their carrier\'s check digit', () => {
+  for (const [number, carrierCode] of VALID) {
+    const result = TrackingNumbers.parse(number);
+    assert.strictEqual(result?.carrierCode, carrierCode, number);
+    assert.strictEqual(result.valid, true, number);
+    assert.strictEqual(result.problem, null, number);
+  }
+});
+
+test('numbers that fail their carrier\'s check digit are kept and flagged', () => {
+  for (const [number, carrierCode] of INVALID) {
+    const result = TrackingNumbers.parse(number);
+    assert.strictEqual(result?.carrierCode, carrierCode, number);
+    assert.strictEqual(result.valid, false, number);
+    assert.match(result.problem, /check digit/, number);
+  }
+});
+
+test('check digits on their own', () => {
+  assert.ok(TrackingNumbers.CHECKS.ups('1Z999AA10123456784'));
+  assert.ok(!TrackingNumbers.CHECKS.ups('1Z999AA10123456785'));
+  assert.ok(TrackingNumbers.CHECKS.s10('RA123456785US'));
+  assert.ok(!TrackingNumbers.CHECKS.s10('RA123456784US'));
+  assert.ok(TrackingNumbers.CHECKS.mod10('9505500020105668000019'));
+  assert.ok(!TrackingNumbers.CHECKS.mod10('9400100000000000000000'));
+  assert.ok(TrackingNumbers.CHECKS.fedex('797843158299'));
+  assert.ok(!TrackingNumbers.CHECKS.fedex('797843158298'));
+  assert.ok(TrackingNumbers.CHECKS.mod7('3318810025'));
+  assert.ok(!TrackingNumbers.CHECKS.mod7('1234567890'));
+});
+
+test('spaces, dashes and case are ignored; unknown formats give null', () => {
+  assert.strictEqual(TrackingNumbers.parse('1z 999 aa1 0123 4567 84')?.trackingNumber, '1Z999AA10123456784');
+  assert.strictEqual(TrackingNumbers.parse('3318-8100-25')?.carrierCode, 'dhl');
+  assert.strictEqual(TrackingNumbers.parse('ABC12345'), null);
+  assert.strictEqual(TrackingNumbers.parse(''), null);
+});
+
+test('USPS labels drop the 420 + ZIP routing prefix', () => {
+  const withZip = TrackingNumbers.parse('420921559505500020105668000019');
+  assert.strictEqual(withZip.trackingNumber, '9505500020105668000019');
+  assert.strictEqual(withZip.carrierCode, 'usps');
+  assert.strictEqual(withZip.valid, true);
+  assert.ok(withZip.trackingUrl.endsWith('9505500020105668000019'));
+
+  const withZip4 = TrackingNumbers.parse('4209215512349505500020105668000019');
+  assert.strictEqual(withZip4.trackingNumber, '9505500020105668000019');
+});
+
+test('findInText picks the number out of page text', () => {
+  const labelled = TrackingNumbers.findInText('Tracking number: 1Z999AA10123456784 Delivered Monday');
+  assert.strictEqual(labelled.trackingNumber, '1Z999AA10123456784');
+  assert.strictEqual(labelled.carrier, 'UPS');
+  assert.strictEqual(labelled.valid, true);
+
+  const unlabelled = TrackingNumbers.findInText('Your package TBA123456789012 is on its way');
+  assert.strictEqual(unlabelled.carrierCode, 'amazon');
+
+  const unrecognized = TrackingNumbers.findInText('Tracking: ABC123XYZ999 foo');
+  assert.strictEqual(unrecognized.trackingNumber, 'ABC123XYZ999');
+  assert.strictEqual(unrecognized.carrierCode, null);
+  assert.strictEqual(unrecognized.valid, false);
+  assert.strictEqual(unrecognized.problem, 'Not a recognized tracking number format');
+
+  assert.strictEqual(TrackingNumbers.findInText('No tracking yet. Phone 2065551234'), null);
+  assert.strictEqual(TrackingNumbers.findInText(null), null);
+});
+
+test('findInText prefers a valid number over one that fails its check digit', () => {
+  const result = TrackingNumbers.findInText('Tracking #: 1Z999AA10123456785\nTracking #: 1Z999AA10123456784');
+  assert.strictEqual(result.trackingNumber, '1Z999AA10123456784');
+  assert.strictEqual(result.valid, true);
+});